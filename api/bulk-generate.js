@@ -0,0 +1,339 @@
+/**
+ * api/bulk-generate.js - Bulk Program Generation for an LMID
+ *
+ * PURPOSE: Refresh every out-of-date program of an LMID in one request - every world, both program
+ *          types and every language with recordings - instead of opening each world's radio page
+ * DEPENDENCIES: utils/program-planner.js (what is out of date), utils/generation-queue.js (jobs),
+ *               Supabase generation_batches table (supabase-migrations/create_generation_batches.sql)
+ *
+ * REQUEST FORMAT:
+ * POST /api/bulk-generate   Body: { lmid: "32", memberId: "mem_123", lang: "en" (optional) }
+ * GET  /api/bulk-generate?batchId=uuid&memberId=mem_123
+ * Only the teacher the LMID is assigned to may start or read a batch (403 otherwise)
+ *
+ * RESPONSE FORMAT (both methods):
+ * { success: true, batchId, lmid, status, percent, counts, worlds: [{ world, status, percent, programs: [...] }] }
+ * - status: running (jobs pending or processing) | completed | partial (some failed) | failed
+ * - programs: { type, lang, mode, jobId, status, percent, error } - mode is how the job was queued
+ *   (created, follow-up, merged, identical) or why there is none (up-to-date, no-recordings, failed)
+ * - batchId is null when every program was already up to date
+ * - Jobs can be stopped one by one with /api/cancel-job (counted as cancelled)
+ * - A superseded job is followed to the job that replaced it (superseded_by) - its program reports
+ *   that job's status, and jobIds carry the replacing job's id
+ * - Live progress: /api/job-stream?jobIds=... with the batch's job ids
+ *
+ * WORKFLOW (POST):
+ * 1. Plan every world/lang/type of the LMID (needsNewProgram: more recordings than the last completed job)
+ * 2. Enqueue a job for each one that needs it - coalesced like combine-audio.js
+ * 3. Save the batch, start the new jobs (one process-queue call each)
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+import { validateLMID, validateMemberId, validateLanguage } from '../utils/input-validator.js';
+import { getLmidDetails, getSupabaseClient } from '../utils/database-utils.js';
+import { planLmidPrograms } from '../utils/program-planner.js';
+import { buildProgramSegments, enqueueProgramJob, getProgramSettings, triggerJobProcessing } from '../utils/generation-queue.js';
+import { STOPPED_STATUSES } from '../utils/job-cancellation.js';
+
+const BATCH_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ACTIVE_STATUSES = ['pending', 'processing'];
+const FAILED_STATUSES = ['failed', 'dead'];
+const MAX_SUPERSEDED_HOPS = 5; // Replacement chains followed per batch summary
+
+/**
+ * Status and percentage of one batch target
+ */
+function describeTarget(target, job) {
+    const program = {
+        type: target.type,
+        lang: target.lang,
+        mode: target.mode,
+        jobId: target.jobId || null,
+        recordingCount: target.recordingCount,
+        status: target.mode === 'failed' ? 'failed' : 'skipped',
+        percent: 100,
+        error: target.error || null
+    };
+
+    if (target.jobId) {
+        program.status = job ? job.status : 'failed';
+        program.error = job ? (FAILED_STATUSES.includes(job.status) ? job.error_message : null) : 'Job not found';
+        if (job && job.status === 'pending') {
+            program.percent = 0;
+        } else if (job && job.status === 'processing') {
+            program.percent = job.progress ? job.progress.percent : 0;
+        }
+    }
+
+    return program;
+}
+
+/**
+ * Overall status of a set of programs
+ */
+function aggregateStatus(programs) {
+    if (programs.some(program => ACTIVE_STATUSES.includes(program.status))) return 'running';
+
+    const failed = programs.filter(program => FAILED_STATUSES.includes(program.status)).length;
+    if (failed === 0) return 'completed';
+    return programs.some(program => program.status === 'completed') ? 'partial' : 'failed';
+}
+
+/**
+ * Average percentage of the programs that have a job (100 when there are none)
+ */
+function aggregatePercent(programs) {
+    const withJobs = programs.filter(program => program.jobId);
+    if (withJobs.length === 0) return 100;
+    return Math.round(withJobs.reduce((sum, program) => sum + program.percent, 0) / withJobs.length);
+}
+
+/**
+ * Job rows of a batch, plus the jobs that superseded them (followed up to MAX_SUPERSEDED_HOPS)
+ * @param {Object} supabase - Supabase client
+ * @param {Array<string>} jobIds - Job ids of the batch targets
+ * @returns {Promise<Map>} Job rows by id
+ */
+async function loadBatchJobs(supabase, jobIds) {
+    const jobs = new Map();
+    let pendingIds = [...new Set(jobIds)];
+
+    for (let hop = 0; hop <= MAX_SUPERSEDED_HOPS && pendingIds.length > 0; hop++) {
+        const { data, error } = await supabase
+            .from('audio_generation_jobs')
+            .select('id, status, progress, error_message, superseded_by')
+            .in('id', pendingIds);
+        if (error) {
+            throw new Error(`Failed to read batch jobs: ${error.message}`);
+        }
+
+        data.forEach(job => jobs.set(job.id, job));
+        pendingIds = [...new Set(data
+            .filter(job => job.status === 'superseded' && job.superseded_by && !jobs.has(job.superseded_by))
+            .map(job => job.superseded_by))];
+    }
+
+    return jobs;
+}
+
+/**
+ * Job a target's job was superseded by (the newest one loaded), or the job itself
+ * @param {Map} jobs - loadBatchJobs() result
+ * @param {string|null} jobId - Target job id
+ * @returns {Object|undefined} Job row
+ */
+function resolveSupersededJob(jobs, jobId) {
+    let job = jobs.get(jobId);
+    const seen = new Set();
+
+    while (job && job.status === 'superseded' && jobs.has(job.superseded_by) && !seen.has(job.id)) {
+        seen.add(job.id);
+        job = jobs.get(job.superseded_by);
+    }
+    return job;
+}
+
+/**
+ * Batch status from its targets and the current job rows
+ * @param {Object} supabase - Supabase client
+ * @param {Object} batch - generation_batches row
+ * @returns {Promise<Object>} Response body
+ */
+async function summarizeBatch(supabase, batch) {
+    const jobs = await loadBatchJobs(supabase, batch.targets.filter(target => target.jobId).map(target => target.jobId));
+
+    const programs = batch.targets.map(target => {
+        const job = resolveSupersededJob(jobs, target.jobId);
+        return {
+            world: target.world,
+            ...describeTarget(job ? { ...target, jobId: job.id } : target, job)
+        };
+    });
+    const jobIds = programs.filter(program => program.jobId).map(program => program.jobId);
+
+    const worlds = [];
+    programs.forEach(({ world, ...program }) => {
+        let entry = worlds.find(candidate => candidate.world === world);
+        if (!entry) {
+            entry = { world, programs: [] };
+            worlds.push(entry);
+        }
+        entry.programs.push(program);
+    });
+    worlds.forEach(entry => {
+        entry.status = aggregateStatus(entry.programs);
+        entry.percent = aggregatePercent(entry.programs);
+    });
+
+    const countStatus = (statuses) => programs.filter(program => statuses.includes(program.status)).length;
+
+    return {
+        success: true,
+        batchId: batch.id,
+        lmid: Number(batch.lmid),
+        createdAt: batch.created_at,
+        status: aggregateStatus(programs),
+        percent: aggregatePercent(programs),
+        counts: {
+            pending: countStatus(['pending']),
+            processing: countStatus(['processing']),
+            completed: countStatus(['completed']),
+            failed: countStatus(FAILED_STATUSES),
+            cancelled: countStatus(STOPPED_STATUSES),
+            skipped: countStatus(['skipped'])
+        },
+        jobIds,
+        worlds
+    };
+}
+
+/**
+ * Plan and enqueue every out-of-date program of an LMID
+ * @returns {Promise<Array>} Batch targets
+ */
+async function enqueueLmidPrograms(supabase, lmid, lang) {
+    const plan = await planLmidPrograms(supabase, lmid, { lang });
+    const targets = [];
+
+    for (const program of plan) {
+        const target = { world: program.world, lang: program.lang, type: program.type, recordingCount: program.recordingCount };
+
+        if (program.recordingCount === 0) {
+            targets.push({ ...target, mode: 'no-recordings' });
+            continue;
+        }
+        if (!program.needed) {
+            targets.push({ ...target, mode: 'up-to-date' });
+            continue;
+        }
+
+        // One failing program does not stop the others
+        try {
+            // Same edition and question order as the program's last version
+            const settings = await getProgramSettings(supabase, { lmid, ...program });
+            const audioSegments = await buildProgramSegments({ ...program, ...settings });
+            const { job, mode } = await enqueueProgramJob(supabase, { lmid, ...program, ...settings, audioSegments });
+            targets.push({ ...target, mode, jobId: job.id });
+        } catch (error) {
+            console.error(`❌ Bulk: Failed to enqueue ${program.lang}/${program.world}/${lmid} (${program.type}):`, error.message);
+            targets.push({ ...target, mode: 'failed', error: error.message });
+        }
+    }
+
+    return targets;
+}
+
+export default async function handler(req, res) {
+    // Secure CORS headers
+    const { setCorsHeaders } = await import('../utils/api-utils.js');
+    const corsHandler = setCorsHeaders(res, ['GET', 'POST', 'OPTIONS']);
+    corsHandler(req);
+
+    // Rate limiting - 5 requests per minute (a POST can queue a dozen jobs)
+    const { checkRateLimit } = await import('../utils/simple-rate-limiter.js');
+    if (!checkRateLimit(req, res, 'bulk-generate', 5)) {
+        return; // Rate limit exceeded
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!['GET', 'POST'].includes(req.method)) {
+        return res.status(405).json({ success: false, error: 'Method not allowed. Use GET or POST.' });
+    }
+
+    try {
+        const supabase = getSupabaseClient();
+        const params = req.method === 'POST' ? (req.body || {}) : req.query;
+
+        const memberValidation = validateMemberId(params.memberId);
+        if (!memberValidation.valid) {
+            return res.status(400).json({ success: false, error: 'Missing or invalid parameter: memberId' });
+        }
+        const memberId = memberValidation.sanitized;
+
+        // Status of an earlier batch
+        if (req.method === 'GET') {
+            if (!params.batchId || !BATCH_ID_PATTERN.test(String(params.batchId))) {
+                return res.status(400).json({ success: false, error: 'Missing or invalid parameter: batchId' });
+            }
+
+            const { data: batch, error } = await supabase
+                .from('generation_batches')
+                .select('*')
+                .eq('id', params.batchId)
+                .maybeSingle();
+            if (error) {
+                throw new Error(`Failed to read batch: ${error.message}`);
+            }
+            if (!batch) {
+                return res.status(404).json({ success: false, error: 'Batch not found' });
+            }
+            if (batch.member_id !== memberId) {
+                return res.status(403).json({ success: false, error: 'Only the teacher who started this batch can read it' });
+            }
+
+            return res.status(200).json(await summarizeBatch(supabase, batch));
+        }
+
+        // New batch
+        const lmidValidation = validateLMID(params.lmid);
+        if (!lmidValidation.valid || isNaN(parseInt(lmidValidation.sanitized, 10))) {
+            return res.status(400).json({ success: false, error: 'Missing or invalid parameter: lmid' });
+        }
+        if (params.lang && !validateLanguage(params.lang).valid) {
+            return res.status(400).json({ success: false, error: 'Invalid language parameter' });
+        }
+        const lmid = String(parseInt(lmidValidation.sanitized, 10));
+
+        const lmidRecord = await getLmidDetails(lmid);
+        if (!lmidRecord || lmidRecord.status === 'deleted') {
+            return res.status(404).json({ success: false, error: 'LMID not found' });
+        }
+        if (lmidRecord.assigned_to_member_id !== memberId) {
+            return res.status(403).json({ success: false, error: 'Only the teacher of this LMID can generate its programs' });
+        }
+
+        console.log(`📻 Bulk generation for LMID ${lmid}${params.lang ? ` (${params.lang})` : ''}`);
+        const targets = await enqueueLmidPrograms(supabase, lmid, params.lang);
+
+        if (!targets.some(target => target.jobId)) {
+            console.log(`✅ Bulk: Nothing to generate for LMID ${lmid}`);
+            return res.status(200).json({
+                ...(await summarizeBatch(supabase, { id: null, lmid, created_at: new Date().toISOString(), targets })),
+                message: 'All programs are up to date'
+            });
+        }
+
+        const { data: batch, error: batchError } = await supabase
+            .from('generation_batches')
+            .insert({ lmid, member_id: memberId, targets })
+            .select()
+            .single();
+        if (batchError) {
+            throw new Error(`Failed to save batch: ${batchError.message}`);
+        }
+
+        // Follow-up jobs are started by process-queue when the running job of their program finishes
+        const protocol = req.headers['x-forwarded-proto'] || 'https';
+        const baseUrl = `${protocol}://${req.headers['host']}`;
+        await Promise.all(targets
+            .filter(target => target.mode === 'created')
+            .map(target => triggerJobProcessing(baseUrl, target.jobId, 'bulk-generate')));
+
+        console.log(`✅ Bulk: Batch ${batch.id} queued ${targets.filter(target => target.jobId).length} programs for LMID ${lmid}`);
+        return res.status(200).json(await summarizeBatch(supabase, batch));
+
+    } catch (error) {
+        console.error('❌ Bulk generation error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Bulk generation failed',
+            details: error.message
+        });
+    }
+}
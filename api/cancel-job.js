@@ -0,0 +1,111 @@
+/**
+ * api/cancel-job.js - Cancel an Audio Generation Job
+ *
+ * PURPOSE: Let the teacher of an LMID stop a generation job that is no longer wanted
+ * DEPENDENCIES: utils/job-cancellation.js, Supabase audio_generation_jobs + lmids tables
+ *
+ * REQUEST FORMAT:
+ * POST /api/cancel-job   Body: { jobId: "uuid", memberId: "mem_123" }
+ * Only the teacher the job's LMID is assigned to may cancel it (403 otherwise)
+ *
+ * RESPONSE FORMAT:
+ * { success: true, jobId, status: "cancelled", previousStatus: "pending" | "processing", message }
+ * - A pending job is never picked up; a processing job stops at its next check (process-queue kills
+ *   its FFmpeg command, removes its temp directory and releases its lease) - follow it on job-stream
+ * - 409 with the job's status when it already finished (completed, dead, cancelled, superseded)
+ */
+
+import { validateMemberId } from '../utils/input-validator.js';
+import { getLmidDetails, getSupabaseClient } from '../utils/database-utils.js';
+import { cancelJob } from '../utils/job-cancellation.js';
+
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export default async function handler(req, res) {
+    // Secure CORS headers
+    const { setCorsHeaders } = await import('../utils/api-utils.js');
+    const corsHandler = setCorsHeaders(res, ['POST', 'OPTIONS']);
+    corsHandler(req);
+
+    // Rate limiting - 10 cancellations per minute
+    const { checkRateLimit } = await import('../utils/simple-rate-limiter.js');
+    if (!checkRateLimit(req, res, 'cancel-job', 10)) {
+        return; // Rate limit exceeded
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, error: 'Method not allowed. Use POST.' });
+    }
+
+    try {
+        const { jobId, memberId } = req.body || {};
+
+        if (!jobId || !JOB_ID_PATTERN.test(String(jobId))) {
+            return res.status(400).json({ success: false, error: 'Missing or invalid parameter: jobId' });
+        }
+        const memberValidation = validateMemberId(memberId);
+        if (!memberValidation.valid) {
+            return res.status(400).json({ success: false, error: 'Missing or invalid parameter: memberId' });
+        }
+
+        const supabase = getSupabaseClient();
+        const { data: job, error: fetchError } = await supabase
+            .from('audio_generation_jobs')
+            .select('id, status, lmid, world, type, lang')
+            .eq('id', jobId)
+            .maybeSingle();
+
+        if (fetchError) {
+            throw new Error(`Failed to read job: ${fetchError.message}`);
+        }
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+
+        const lmidRecord = await getLmidDetails(job.lmid);
+        if (!lmidRecord || lmidRecord.assigned_to_member_id !== memberValidation.sanitized) {
+            return res.status(403).json({ success: false, error: 'Only the teacher of this LMID can cancel its jobs' });
+        }
+
+        // Guarded on the status - a job that finished meanwhile is left alone
+        const cancelledJob = await cancelJob(supabase, job.id, memberValidation.sanitized);
+        if (!cancelledJob) {
+            const { data: current } = await supabase
+                .from('audio_generation_jobs')
+                .select('status')
+                .eq('id', job.id)
+                .maybeSingle();
+
+            return res.status(409).json({
+                success: false,
+                error: 'Job already finished',
+                jobId: job.id,
+                status: current ? current.status : job.status
+            });
+        }
+
+        console.log(`🛑 Job ${job.id} (${job.lang}/${job.world}/${job.lmid}, ${job.type}) cancelled while ${job.status}`);
+
+        return res.status(200).json({
+            success: true,
+            jobId: job.id,
+            status: 'cancelled',
+            previousStatus: job.status,
+            message: job.status === 'processing'
+                ? 'Job cancelled - the running generation stops within a few seconds'
+                : 'Job cancelled'
+        });
+
+    } catch (error) {
+        console.error('❌ Cancel job error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to cancel job',
+            details: error.message
+        });
+    }
+}
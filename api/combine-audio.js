@@ -8,14 +8,21 @@
  * 
  * REQUEST FORMAT:
  * POST /api/combine-audio
- * Body: { world: "spookyland", lmid: "32", audioSegments: [segments...] }
+ * Body: { world: "spookyland", lmid: "32", lang: "en", programType: "kids",
+ *         recordings: [{ url, filename, questionId, duration }], edition: "short" }
+ * - edition is optional (PROGRAM_EDITION env, then "default") - see utils/program-templates.js
+ * - questionOrder (optional) overrides the numeric question order
+ * - Legacy: audioSegments: [segments...] instead of recordings is still accepted as-is
+ * - Recording URLs arrive signed (list-recordings) and are stored unsigned: process-queue signs
+ *   them again right before downloading, so jobs and answer cache keys never carry expiring tokens
  * 
  * RESPONSE FORMAT:
  * { success: true, jobId: "uuid", status: "pending" }
  * 
  * QUEUE WORKFLOW:
- * 1. Validate input parameters
- * 2. Create job record in Supabase (status: pending)
+ * 1. Validate input parameters and expand the program template into audioSegments
+ * 2. Coalesce with an active job for the same lmid/world/type/lang, or
+ *    create job record in Supabase (status: pending) - utils/generation-queue.js
  * 3. Return job ID immediately (no processing)
  * 4. Frontend polls get-job-status.js for completion
  * 5. process-queue.js handles actual FFmpeg processing
@@ -90,12 +97,12 @@ export default async function handler(req, res) {
     }
 
     try {
-        const { world, lmid, audioSegments, programType, lang } = req.body;
+        const { world, lmid, recordings, edition, questionOrder, programType, lang } = req.body;
 
         // Validation
-        if (!world || !lmid || !audioSegments || !lang) {
+        if (!world || !lmid || !(recordings || req.body.audioSegments) || !lang) {
             return res.status(400).json({ 
-                error: 'Missing required parameters: world, lmid, audioSegments, and lang' 
+                error: 'Missing required parameters: world, lmid, recordings (or audioSegments), and lang' 
             });
         }
         
@@ -108,6 +115,28 @@ export default async function handler(req, res) {
             });
         }
 
+        // Expand the program template (clients without recordings still send their own segments)
+        const { buildProgramSegments, enqueueProgramJob, triggerJobProcessing } = await import('../utils/generation-queue.js');
+        let audioSegments = req.body.audioSegments;
+
+        if (recordings) {
+            if (!Array.isArray(recordings) || recordings.length === 0 ||
+                recordings.some(recording => !recording || typeof recording.url !== 'string')) {
+                return res.status(400).json({ 
+                    error: 'Invalid recordings format. Expected array of recordings with url.' 
+                });
+            }
+
+            try {
+                audioSegments = await buildProgramSegments({ world, lang, type, recordings, edition, questionOrder });
+            } catch (templateError) {
+                if (templateError.statusCode === 400) {
+                    return res.status(400).json({ error: templateError.message });
+                }
+                throw templateError;
+            }
+        }
+
         // Validate audioSegments structure
         if (!Array.isArray(audioSegments) || audioSegments.length === 0) {
             return res.status(400).json({ 
@@ -122,133 +151,48 @@ export default async function handler(req, res) {
         const { getSupabaseClient } = await import('../utils/database-utils.js');
         const supabase = getSupabaseClient();
 
-        // Count ONLY files matching the strict -tm_ pattern (same as process-queue.js)
-        let fileCount = 0;
-        const uniqueRecordings = new Set();
-        
-        audioSegments.forEach(segment => {
-            if (segment.answerUrls && Array.isArray(segment.answerUrls)) {
-                segment.answerUrls.forEach(url => {
-                    const filename = url.split('/').pop().split('?')[0]; // Extract filename without query params
-                    const pattern = type === 'kids'
-                        ? new RegExp(`^kids-world_${world}-lmid_${lmid}-question_\\d+-tm_\\d+\\.(webm|mp3)$`)
-                        : new RegExp(`^parent_[^-]+-world_${world}-lmid_${lmid}-question_\\d+-tm_\\d+\\.(webm|mp3)$`);
-                    
-                    if (pattern.test(filename)) {
-                        uniqueRecordings.add(filename);
-                    }
+        // COALESCING: at most one pending job per lmid/world/type/lang (see utils/generation-queue.js)
+        let enqueued;
+        try {
+            enqueued = await enqueueProgramJob(supabase, { lmid, world, lang, type, audioSegments, edition, questionOrder });
+        } catch (enqueueError) {
+            if (enqueueError.statusCode === 503) {
+                return res.status(503).json({
+                    error: 'Failed to create generation job',
+                    details: enqueueError.message
                 });
             }
-        });
-        
-        fileCount = uniqueRecordings.size;
-        console.log(`📊 Counted ${fileCount} unique recordings matching -tm_ pattern for ${type} program`);
-
-        // ANTI-DUPLICATE: Check if identical job already exists or is processing
-        const { data: existingJobs } = await supabase
-            .from('audio_generation_jobs')
-            .select('id, status, file_count, created_at')
-            .eq('lmid', lmid.toString())
-            .eq('world', world)
-            .eq('lang', lang)
-            .eq('type', type)
-            .eq('file_count', fileCount)
-            .in('status', ['pending', 'processing'])
-            .order('created_at', { ascending: false })
-            .limit(1);
+            throw enqueueError;
+        }
+        const { job, mode, fileCount } = enqueued;
 
-        if (existingJobs && existingJobs.length > 0) {
-            const existingJob = existingJobs[0];
-            console.log(`🔄 Found identical job already ${existingJob.status}: ${existingJob.id} (same file_count: ${fileCount})`);
-            console.log(`⏳ Returning existing job ID instead of creating duplicate`);
-            
+        if (mode === 'merged' || mode === 'identical') {
             return res.status(200).json({
                 success: true,
-                jobId: existingJob.id,
-                status: existingJob.status,
-                message: `Identical job already ${existingJob.status}. Use SSE job-stream API for real-time updates.`,
-                isDuplicate: true
+                jobId: job.id,
+                status: job.status,
+                message: `Request merged into existing ${job.status} job. Use SSE job-stream API for real-time updates.`,
+                isDuplicate: true,
+                coalesced: mode
             });
         }
 
-        // Create job in Supabase with audio_segments for reliable processing
-        const { data: job, error } = await supabase
-            .from('audio_generation_jobs')
-            .insert({
-                lmid: lmid.toString(),
-                world,
-                lang,
-                type,
-                file_count: fileCount,
-                audio_segments: audioSegments
-            })
-            .select()
-            .single();
+        console.log(`📋 Job status: ${job.status} | Files: ${fileCount} | Created: ${job.created_at}`);
 
-        if (error) {
-            console.error('❌ Failed to create job:', error);
-            return res.status(500).json({ 
-                error: 'Failed to create generation job',
-                details: error.message
+        // Follow-up jobs wait for the running job - process-queue starts them when it finishes
+        if (mode === 'follow-up') {
+            return res.status(200).json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                message: 'Follow-up job queued behind the running job. Use SSE job-stream API for real-time updates.',
+                isFollowUp: true
             });
         }
 
-        console.log(`✅ Job created successfully: ${job.id}`);
-        console.log(`📋 Job status: ${job.status} | Files: ${fileCount} | Created: ${job.created_at}`);
-
         // 🚀 IMMEDIATE TRIGGER: Start processing right away (no cron waiting!)
-        console.log(`⚡ Triggering immediate processing for job ${job.id}`);
-        
-        try {
-            // Get the current domain for the webhook call
-            const protocol = req.headers['x-forwarded-proto'] || 'https';
-            const host = req.headers['host'];
-            const baseUrl = `${protocol}://${host}`;
-            
-            console.log(`🌐 Webhook URL: ${baseUrl}/api/process-queue`);
-            console.log(`📤 Payload: ${JSON.stringify({ specificJobId: job.id, triggeredBy: 'immediate' })}`);
-            
-            // Trigger processing with timeout protection (max 5 seconds wait)
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-            
-            await fetch(`${baseUrl}/api/process-queue`, {
-                method: 'POST',
-                headers: { 
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'Little-Microphones-Internal'
-                },
-                body: JSON.stringify({ 
-                    specificJobId: job.id,
-                    triggeredBy: 'immediate'
-                }),
-                signal: controller.signal
-            })
-            .then(response => {
-                clearTimeout(timeoutId);
-                console.log(`📊 Webhook response status: ${response.status} ${response.statusText}`);
-                if (response.status === 409) {
-                    console.log(`⏳ Another job is processing - job ${job.id} queued`);
-                } else if (!response.ok) {
-                    console.warn(`⚠️ Webhook returned ${response.status}`);
-                } else {
-                    console.log(`✅ Processing started for job ${job.id}`);
-                }
-            })
-            .catch(err => {
-                clearTimeout(timeoutId);
-                if (err.name === 'AbortError') {
-                    console.warn(`⏱️ Webhook timeout after 5s - job ${job.id} remains in queue`);
-                } else {
-                    console.warn(`⚠️ Webhook error: ${err.message}`);
-                }
-            });
-            
-        } catch (triggerError) {
-            console.error(`❌ Could not trigger immediate processing:`, triggerError.message);
-            console.error(`❌ Trigger error details:`, triggerError);
-            console.log(`💡 Job ${job.id} will remain in queue for manual processing`);
-        }
+        const protocol = req.headers['x-forwarded-proto'] || 'https';
+        await triggerJobProcessing(`${protocol}://${req.headers['host']}`, job.id, 'immediate');
 
         // Return job ID immediately
         return res.status(200).json({
@@ -2,7 +2,7 @@
  * api/delete-audio.js - Comprehensive Audio File Deletion Service
  * 
  * PURPOSE: Serverless function for deleting individual files or entire LMID folders from Bunny.net storage with comprehensive cleanup
- * DEPENDENCIES: Bunny.net Storage API, HTTPS module for API requests, Recursive deletion algorithms
+ * DEPENDENCIES: Storage adapter (utils/storage.js - Bunny.net or local directory), Recursive deletion algorithms
  * DOCUMENTATION: See /documentation/api-documentation.md for complete API overview
  * 
  * REQUEST FORMATS:
@@ -13,6 +13,10 @@
  * 1. Single File Deletion → Direct file removal with path validation
  * 2. LMID Folder Deletion → Recursive folder listing → Batch delete all files → Folder cleanup
  * 
+ * RECORDINGS INDEX:
+ * - Rows in the recordings table (utils/recordings-index.js) are marked deleted before the files go,
+ *   so a partly failed deletion leaves orphaned files rather than listed recordings without audio
+ * 
  * DELETION STRATEGY:
  * - Comprehensive cleanup with error resilience and progress tracking
  * - Hierarchical deletion: Files → World folders → LMID folder
@@ -76,6 +80,10 @@
  * STATUS: Production Ready ✅
  */
 
+import { getAnalysisSidecarName, getWaveformSidecarName, getRecordingBaseName, RECORDING_FORMATS } from '../utils/audio-utils.js';
+import { getStorage } from '../utils/storage.js';
+import { markRecordingDeleted, markLmidRecordingsDeleted } from '../utils/recordings-index.js';
+
 export default async function handler(req, res) {
     // Secure CORS headers
     const { setCorsHeaders } = await import('../utils/api-utils.js');
@@ -102,9 +110,10 @@ export default async function handler(req, res) {
     try {
         const { filename, world, lmid, questionId, deleteLmidFolder, lang } = req.body;
 
-        // Check environment variables
-        if (!process.env.BUNNY_API_KEY || !process.env.BUNNY_STORAGE_ZONE) {
-            console.error('Missing Bunny.net configuration');
+        // Check storage configuration
+        const storage = getStorage();
+        if (!storage.isConfigured()) {
+            console.error(`Missing ${storage.backend} storage configuration`);
             return res.status(500).json({ error: 'Server configuration error' });
         }
 
@@ -113,7 +122,11 @@ export default async function handler(req, res) {
             console.log(`Deleting entire LMID folder: ${lmid}/`);
             
             try {
-                await deleteLmidFolderRecursively(lmid);
+                // Index first: a failed folder deletion leaves orphaned files, never listed recordings without files
+                const marked = await markLmidRecordingsDeleted(lmid);
+                console.log(`Marked ${marked} indexed recordings of LMID ${lmid} deleted`);
+
+                await deleteLmidFolderRecursively(storage, lmid);
                 console.log(`Successfully completed LMID folder deletion for: ${lmid}/`);
                 
                 res.json({ 
@@ -150,40 +163,42 @@ export default async function handler(req, res) {
             return res.status(400).json({ error: 'Invalid filename format - must be either teacher (kids-world_...) or parent (parent_memberid-world_...) format' });
         }
 
-        // Delete from Bunny.net with folder structure: lang/lmid/world/filename
+        // Hide the recording first (recordings table), then remove its files
+        await markRecordingDeleted(`${lang}/${lmid}/${world}/`, filename);
+
+        // Delete from storage with folder structure: lang/lmid/world/filename
         const filePath = `${lang}/${lmid}/${world}/${filename}`;
-        const deleteUrl = `https://storage.bunnycdn.com/${process.env.BUNNY_STORAGE_ZONE}/${filePath}`;
         
-        console.log(`Deleting ${filename} from Bunny.net`);
+        console.log(`Deleting ${filename} from ${storage.backend} storage`);
         console.log(`Delete path: ${filePath}`);
         
-        const response = await fetch(deleteUrl, {
-            method: 'DELETE',
-            headers: {
-                'AccessKey': process.env.BUNNY_API_KEY
-            }
-        });
+        const deleted = await storage.delete(filePath);
 
-        if (response.ok || response.status === 404) {
-            if (response.ok) {
-                console.log(`Successfully deleted: ${filename}`);
-            } else {
-                console.log(`File not found (already deleted): ${filename}`);
+        if (deleted) {
+            console.log(`Successfully deleted: ${filename}`);
+        } else {
+            console.log(`File not found (already deleted): ${filename}`);
+        }
+
+        // Remove the other format (canonical .webm / .mp3 fallback) and the sidecars with the recording
+        const baseName = getRecordingBaseName(filename);
+        for (const format of [RECORDING_FORMATS.canonical, RECORDING_FORMATS.fallback]) {
+            const siblingName = `${baseName}.${format.extension}`;
+            if (siblingName !== filename) {
+                await deleteFile(storage, `${lang}/${lmid}/${world}/${siblingName}`);
             }
+        }
+        await deleteFile(storage, `${lang}/${lmid}/${world}/${getAnalysisSidecarName(filename)}`);
+        await deleteFile(storage, `${lang}/${lmid}/${world}/${getWaveformSidecarName(filename)}`);
 
-            // After successful file deletion, check and clean up empty folders
-            await cleanupEmptyFolders(lang, lmid, world);
+        // After successful file deletion, check and clean up empty folders
+        await cleanupEmptyFolders(storage, lang, lmid, world);
 
-            res.json({ 
-                success: true, 
-                message: response.ok ? 'File deleted successfully' : 'File not found (already deleted)',
-                filename: filename
-            });
-        } else {
-            const errorText = await response.text();
-            console.error(`Bunny.net delete failed: ${response.status} - ${errorText}`);
-            throw new Error(`Delete failed: ${response.status}`);
-        }
+        res.json({ 
+            success: true, 
+            message: deleted ? 'File deleted successfully' : 'File not found (already deleted)',
+            filename: filename
+        });
 
     } catch (error) {
         console.error('Delete error:', error);
@@ -196,13 +211,11 @@ export default async function handler(req, res) {
 
 /**
  * Delete entire LMID folder and all its contents recursively across all language folders
+ * @param {Object} storage - Storage adapter
  * @param {string} lmid - The LMID folder to delete
  */
-async function deleteLmidFolderRecursively(lmid) {
+async function deleteLmidFolderRecursively(storage, lmid) {
     try {
-        const baseUrl = `https://storage.bunnycdn.com/${process.env.BUNNY_STORAGE_ZONE}`;
-        const headers = { 'AccessKey': process.env.BUNNY_API_KEY };
-        
         // We need to check all possible language parent folders for the LMID
         // For now, let's assume we know them ('en', 'pl'), but this could be dynamic in the future.
         // A better approach would be to list the root and find folders containing the LMID,
@@ -210,56 +223,39 @@ async function deleteLmidFolderRecursively(lmid) {
         const knownLanguages = ['en', 'pl']; // This should ideally come from config
 
         for (const lang of knownLanguages) {
-            const lmidFolderUrl = `${baseUrl}/${lang}/${lmid}/`;
-            console.log(`Checking for LMID folder in language '${lang}': ${lmidFolderUrl}`);
+            console.log(`Checking for LMID folder in language '${lang}': ${lang}/${lmid}/`);
 
             // Step 1: List all contents in the lang/{lmid} folder
-            const listResponse = await fetch(lmidFolderUrl, {
-                method: 'GET',
-                headers: headers
-            });
+            const contents = await storage.list(`${lang}/${lmid}/`);
 
-            if (listResponse.ok) {
-                const contents = await listResponse.json();
-                
-                if (Array.isArray(contents)) {
-                    console.log(`Found ${contents.length} items in LMID folder ${lang}/${lmid}/`);
-                    
-                    // Step 2: Delete all world subfolders and their contents
-                    for (const item of contents) {
-                        if (item.IsDirectory) {
-                            const worldFolder = item.ObjectName;
-                            console.log(`Deleting world folder: ${lang}/${lmid}/${worldFolder}/`);
-                            await deleteWorldFolderRecursively(lang, lmid, worldFolder);
-                        } else {
-                            // Delete any files directly in the LMID folder
-                            const fileName = item.ObjectName;
-                            console.log(`Deleting file: ${lang}/${lmid}/${fileName}`);
-                            await deleteFile(`${lang}/${lmid}/${fileName}`);
-                        }
-                    }
-                }
-            } else if (listResponse.status === 404) {
+            if (contents.length === 0) {
                 console.log(`LMID folder ${lang}/${lmid}/ not found, skipping.`);
                 continue; // Move to the next language
-            } else {
-                const errorText = await listResponse.text();
-                console.warn(`Failed to list LMID folder contents: ${listResponse.status} - ${errorText}`);
+            }
+
+            console.log(`Found ${contents.length} items in LMID folder ${lang}/${lmid}/`);
+            
+            // Step 2: Delete all world subfolders and their contents
+            for (const item of contents) {
+                if (item.isDirectory) {
+                    console.log(`Deleting world folder: ${lang}/${lmid}/${item.name}/`);
+                    await deleteWorldFolderRecursively(storage, lang, lmid, item.name);
+                } else {
+                    // Delete any files directly in the LMID folder
+                    console.log(`Deleting file: ${lang}/${lmid}/${item.name}`);
+                    await deleteFile(storage, `${lang}/${lmid}/${item.name}`);
+                }
             }
 
             // Step 3: Delete the LMID folder itself for the current language
             console.log(`Deleting LMID folder: ${lang}/${lmid}/`);
-            const deleteFolderResponse = await fetch(lmidFolderUrl, {
-                method: 'DELETE',
-                headers: headers
-            });
-
-            if (deleteFolderResponse.ok) {
-                console.log(`Successfully deleted LMID folder: ${lang}/${lmid}/`);
-            } else if (deleteFolderResponse.status === 404) {
-                // This is fine, it might have been deleted after its contents were removed
-            } else {
-                console.warn(`Failed to delete LMID folder ${lang}/${lmid}/: ${deleteFolderResponse.status}`);
+            try {
+                // Not found is fine, it might have been deleted after its contents were removed
+                if (await storage.delete(`${lang}/${lmid}/`)) {
+                    console.log(`Successfully deleted LMID folder: ${lang}/${lmid}/`);
+                }
+            } catch (error) {
+                console.warn(`Failed to delete LMID folder ${lang}/${lmid}/: ${error.message}`);
             }
         }
 
@@ -271,49 +267,29 @@ async function deleteLmidFolderRecursively(lmid) {
 
 /**
  * Delete a world folder and all its contents
+ * @param {Object} storage - Storage adapter
  * @param {string} lang - The language folder
  * @param {string} lmid - The LMID folder
  * @param {string} world - The world folder to delete
  */
-async function deleteWorldFolderRecursively(lang, lmid, world) {
+async function deleteWorldFolderRecursively(storage, lang, lmid, world) {
     try {
-        const baseUrl = `https://storage.bunnycdn.com/${process.env.BUNNY_STORAGE_ZONE}`;
-        const headers = { 'AccessKey': process.env.BUNNY_API_KEY };
-        const worldFolderUrl = `${baseUrl}/${lang}/${lmid}/${world}/`;
-
-        // List all files in the world folder
-        const listResponse = await fetch(worldFolderUrl, {
-            method: 'GET',
-            headers: headers
-        });
-
-        if (listResponse.ok) {
-            const files = await listResponse.json();
-            
-            if (Array.isArray(files)) {
-                // Delete all files in the world folder
-                for (const file of files) {
-                    if (!file.IsDirectory) {
-                        const fileName = file.ObjectName;
-                        console.log(`Deleting file: ${lang}/${lmid}/${world}/${fileName}`);
-                        await deleteFile(`${lang}/${lmid}/${world}/${fileName}`);
-                    }
-                }
+        const worldFolder = `${lang}/${lmid}/${world}/`;
+
+        // Delete all files in the world folder
+        const files = await storage.list(worldFolder);
+        for (const file of files) {
+            if (!file.isDirectory) {
+                console.log(`Deleting file: ${worldFolder}${file.name}`);
+                await deleteFile(storage, `${worldFolder}${file.name}`);
             }
         }
 
         // Delete the world folder itself
-        const deleteFolderResponse = await fetch(worldFolderUrl, {
-            method: 'DELETE',
-            headers: headers
-        });
-
-        if (deleteFolderResponse.ok) {
-            console.log(`Successfully deleted world folder: ${lang}/${lmid}/${world}/`);
-        } else if (deleteFolderResponse.status === 404) {
-            console.log(`World folder ${lang}/${lmid}/${world}/ not found (already deleted)`);
+        if (await storage.delete(worldFolder)) {
+            console.log(`Successfully deleted world folder: ${worldFolder}`);
         } else {
-            console.warn(`Failed to delete world folder ${lang}/${lmid}/${world}/: ${deleteFolderResponse.status}`);
+            console.log(`World folder ${worldFolder} not found (already deleted)`);
         }
 
     } catch (error) {
@@ -324,25 +300,15 @@ async function deleteWorldFolderRecursively(lang, lmid, world) {
 
 /**
  * Delete a single file
+ * @param {Object} storage - Storage adapter
  * @param {string} filePath - The path to the file to delete
  */
-async function deleteFile(filePath) {
+async function deleteFile(storage, filePath) {
     try {
-        const baseUrl = `https://storage.bunnycdn.com/${process.env.BUNNY_STORAGE_ZONE}`;
-        const headers = { 'AccessKey': process.env.BUNNY_API_KEY };
-        const deleteUrl = `${baseUrl}/${filePath}`;
-
-        const response = await fetch(deleteUrl, {
-            method: 'DELETE',
-            headers: headers
-        });
-
-        if (response.ok) {
+        if (await storage.delete(filePath)) {
             console.log(`Successfully deleted file: ${filePath}`);
-        } else if (response.status === 404) {
-            console.log(`File not found (already deleted): ${filePath}`);
         } else {
-            console.warn(`Failed to delete file ${filePath}: ${response.status}`);
+            console.log(`File not found (already deleted): ${filePath}`);
         }
 
     } catch (error) {
@@ -353,82 +319,40 @@ async function deleteFile(filePath) {
 
 /**
  * Clean up empty folders after file deletion
+ * @param {Object} storage - Storage adapter
  * @param {string} lang - The language folder
  * @param {string} lmid - The lmid folder
  * @param {string} world - The world folder
  */
-async function cleanupEmptyFolders(lang, lmid, world) {
+async function cleanupEmptyFolders(storage, lang, lmid, world) {
     try {
-        const baseUrl = `https://storage.bunnycdn.com/${process.env.BUNNY_STORAGE_ZONE}`;
-        const headers = { 'AccessKey': process.env.BUNNY_API_KEY };
-
         // Step 1: Check if world folder (lang/lmid/world/) is empty
-        const worldFolderUrl = `${baseUrl}/${lang}/${lmid}/${world}/`;
         console.log(`Checking if world folder is empty: ${lang}/${lmid}/${world}/`);
-        
-        const worldListResponse = await fetch(worldFolderUrl, {
-            method: 'GET',
-            headers: headers
-        });
+        const worldContents = await storage.list(`${lang}/${lmid}/${world}/`);
 
-        if (worldListResponse.ok) {
-            const worldContents = await worldListResponse.json();
-            
-            // If world folder is empty (no files), delete it
-            if (Array.isArray(worldContents) && worldContents.length === 0) {
-                console.log(`World folder ${lang}/${lmid}/${world}/ is empty, deleting...`);
-                
-                const deleteWorldResponse = await fetch(worldFolderUrl, {
-                    method: 'DELETE',
-                    headers: headers
-                });
+        if (worldContents.length > 0) {
+            console.log(`World folder ${lang}/${lmid}/${world}/ is not empty, keeping it`);
+            return;
+        }
 
-                if (deleteWorldResponse.ok) {
-                    console.log(`Successfully deleted empty world folder: ${lang}/${lmid}/${world}/`);
-                    
-                    // Step 2: Check if lmid folder is now empty
-                    const lmidFolderUrl = `${baseUrl}/${lang}/${lmid}/`;
-                    console.log(`Checking if lmid folder is empty: ${lang}/${lmid}/`);
-                    
-                    const lmidListResponse = await fetch(lmidFolderUrl, {
-                        method: 'GET',
-                        headers: headers
-                    });
-
-                    if (lmidListResponse.ok) {
-                        const lmidContents = await lmidListResponse.json();
-                        
-                        // If lmid folder is empty (no subfolders), delete it
-                        if (Array.isArray(lmidContents) && lmidContents.length === 0) {
-                            console.log(`LMID folder ${lang}/${lmid}/ is empty, deleting...`);
-                            
-                            const deleteLmidResponse = await fetch(lmidFolderUrl, {
-                                method: 'DELETE',
-                                headers: headers
-                            });
-
-                            if (deleteLmidResponse.ok) {
-                                console.log(`Successfully deleted empty lmid folder: ${lang}/${lmid}/`);
-                            } else {
-                                console.warn(`Failed to delete lmid folder ${lang}/${lmid}/: ${deleteLmidResponse.status}`);
-                            }
-                        } else {
-                            console.log(`LMID folder ${lang}/${lmid}/ is not empty, keeping it`);
-                        }
-                    } else {
-                        console.warn(`Failed to list lmid folder contents: ${lmidListResponse.status}`);
-                    }
-                } else {
-                    console.warn(`Failed to delete world folder ${lang}/${lmid}/${world}/: ${deleteWorldResponse.status}`);
-                }
-            } else {
-                console.log(`World folder ${lang}/${lmid}/${world}/ is not empty, keeping it`);
-            }
-        } else {
-            console.warn(`Failed to list world folder contents: ${worldListResponse.status}`);
+        console.log(`World folder ${lang}/${lmid}/${world}/ is empty, deleting...`);
+        await storage.delete(`${lang}/${lmid}/${world}/`);
+        console.log(`Successfully deleted empty world folder: ${lang}/${lmid}/${world}/`);
+
+        // Step 2: Check if lmid folder is now empty
+        console.log(`Checking if lmid folder is empty: ${lang}/${lmid}/`);
+        const lmidContents = await storage.list(`${lang}/${lmid}/`);
+
+        if (lmidContents.length > 0) {
+            console.log(`LMID folder ${lang}/${lmid}/ is not empty, keeping it`);
+            return;
         }
+
+        console.log(`LMID folder ${lang}/${lmid}/ is empty, deleting...`);
+        await storage.delete(`${lang}/${lmid}/`);
+        console.log(`Successfully deleted empty lmid folder: ${lang}/${lmid}/`);
     } catch (error) {
         console.error('Error during folder cleanup:', error);
         // Don't throw error - folder cleanup is optional
     }
-} 
\ No newline at end of file
+}
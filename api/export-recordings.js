@@ -0,0 +1,299 @@
+/**
+ * api/export-recordings.js - Bulk ZIP Export of an LMID
+ *
+ * PURPOSE: Stream a ZIP with every recording of an LMID (optionally one world or question) plus the
+ *          kept versions of its generated programs, with a CSV manifest - teachers archive a school year
+ * DEPENDENCIES: utils/recordings-index.js, utils/program-versions.js, utils/zip-stream.js, storage adapter
+ *
+ * REQUEST FORMAT:
+ * GET /api/export-recordings?lmid=32&memberId=mem_123[&world=spookyland][&questionId=9][&lang=en]
+ * → application/zip download (Content-Disposition: attachment)
+ *   Only the teacher the LMID is assigned to may export (403 otherwise)
+ *
+ * ARCHIVE LAYOUT:
+ * Spookyland (EN)/Question 9/Kids - 2026-03-14 09-30-12.webm
+ * Spookyland (EN)/Question 9/Parent - 2026-03-14 18-02-45.webm
+ * Spookyland (EN)/Programs/Kids program - 2026-03-15 08-00-03.mp3
+ * manifest.csv: file, type, world, language, question, uploader_role, recorded_at, duration_seconds, size_bytes
+ *
+ * NOTES:
+ * - Programs are included unless the export is filtered to one question
+ * - Files are read one at a time and streamed, so memory stays at one file
+ * - Files missing from storage are skipped (listed in the manifest with type "missing")
+ * - The size limit (ZIP_LIMITS.maxArchiveBytes) is checked before streaming: recordings by their indexed
+ *   size, programs by their stored size (folder listing) - an oversize export gets 413, never a cut-off ZIP
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+import { getLmidDetails, getSupabaseClient } from '../utils/database-utils.js';
+import { validateLMID, validateMemberId, validateWorldName, validateLanguage } from '../utils/input-validator.js';
+import { listIndexedRecordings } from '../utils/recordings-index.js';
+import { listProgramVersions } from '../utils/program-versions.js';
+import { createZipStream, ZIP_LIMITS } from '../utils/zip-stream.js';
+import { getStorage } from '../utils/storage.js';
+
+const CSV_COLUMNS = ['file', 'type', 'world', 'language', 'question', 'uploader_role', 'recorded_at', 'duration_seconds', 'size_bytes'];
+
+/**
+ * "shopping-spree" → "Shopping Spree"
+ */
+function formatWorldName(world) {
+    return world.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * File-name-safe UTC timestamp: 2026-03-14 09-30-12
+ */
+function formatStamp(isoDate) {
+    return new Date(isoDate).toISOString().slice(0, 19).replace('T', ' ').replace(/:/g, '-');
+}
+
+/**
+ * Quote a CSV value when needed
+ */
+function csvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Unique archive names - a second file with the same name gets " (2)" before the extension
+ */
+function createNameRegistry() {
+    const used = new Set();
+    return (name) => {
+        let candidate = name;
+        for (let counter = 2; used.has(candidate); counter++) {
+            candidate = name.replace(/(\.[^./]+)?$/, ` (${counter})$1`);
+        }
+        used.add(candidate);
+        return candidate;
+    };
+}
+
+/**
+ * Stored size of a file from its folder listing (listings are cached per folder)
+ * @param {Object} storage - Storage adapter
+ * @param {string} storagePath - File path
+ * @param {Map} listings - Folder → listing cache
+ * @returns {Promise<number>} Bytes, 0 when the file is missing
+ */
+async function getStoredSize(storage, storagePath, listings) {
+    const separator = storagePath.lastIndexOf('/');
+    const folder = storagePath.slice(0, separator + 1);
+    if (!listings.has(folder)) {
+        listings.set(folder, await storage.list(folder));
+    }
+    const file = listings.get(folder).find(entry => !entry.isDirectory && entry.name === storagePath.slice(separator + 1));
+    return file ? Number(file.size) || 0 : 0;
+}
+
+/**
+ * Export entries for recordings and program versions, in archive order
+ * @returns {Promise<Array>} [{ storagePath, name, csv: {...} }]
+ */
+async function collectExportEntries({ lmid, world, questionId, lang }) {
+    const recordings = await listIndexedRecordings({ lmid, world, questionId, lang });
+    const uniqueName = createNameRegistry();
+    const entries = [];
+
+    // Oldest first reads like the school year
+    const sorted = [...recordings].sort((a, b) =>
+        a.world.localeCompare(b.world) || a.lang.localeCompare(b.lang) ||
+        a.question_id - b.question_id || new Date(a.recorded_at || a.created_at) - new Date(b.recorded_at || b.created_at)
+    );
+
+    for (const recording of sorted) {
+        const recordedAt = recording.recorded_at || recording.created_at;
+        const extension = recording.storage_key.split('.').pop();
+        const folder = `${formatWorldName(recording.world)} (${recording.lang.toUpperCase()})/Question ${recording.question_id}`;
+        const role = recording.role === 'kids' ? 'Kids' : 'Parent';
+
+        entries.push({
+            storagePath: recording.storage_key,
+            name: uniqueName(`${folder}/${role} - ${formatStamp(recordedAt)}.${extension}`),
+            date: new Date(recordedAt),
+            sizeBytes: Number(recording.size_bytes) || 0,
+            csv: {
+                type: 'recording',
+                world: recording.world,
+                language: recording.lang,
+                question: recording.question_id,
+                uploader_role: recording.role,
+                recorded_at: recordedAt,
+                duration_seconds: recording.duration_seconds,
+                size_bytes: recording.size_bytes
+            }
+        });
+    }
+
+    // Programs are whole shows - not part of a single-question export
+    if (questionId) {
+        return entries;
+    }
+
+    const storage = getStorage();
+    const supabase = getSupabaseClient();
+    const programScopes = [...new Set(sorted.map(recording => `${recording.lang}|${recording.world}`))];
+    const listings = new Map();
+
+    for (const scope of programScopes) {
+        const [programLang, programWorld] = scope.split('|');
+
+        for (const type of ['kids', 'parent']) {
+            const versions = await listProgramVersions(supabase, { lmid, world: programWorld, type, lang: programLang });
+
+            for (const version of [...versions].reverse()) {
+                const storagePath = storage.pathFromUrl(version.program_url);
+                if (!storagePath) continue;
+
+                const label = type === 'kids' ? 'Kids program' : 'Parents program';
+                const sizeBytes = await getStoredSize(storage, storagePath, listings);
+                entries.push({
+                    storagePath,
+                    name: uniqueName(`${formatWorldName(programWorld)} (${programLang.toUpperCase()})/Programs/${label} - ${formatStamp(version.completed_at)}.mp3`),
+                    date: new Date(version.completed_at),
+                    sizeBytes,
+                    csv: {
+                        type: 'program',
+                        world: programWorld,
+                        language: programLang,
+                        question: '',
+                        uploader_role: type,
+                        recorded_at: version.completed_at,
+                        duration_seconds: version.manifest_data?.duration ?? '',
+                        size_bytes: sizeBytes || ''
+                    }
+                });
+            }
+        }
+    }
+
+    return entries;
+}
+
+export default async function handler(req, res) {
+    // Secure CORS headers
+    const { setCorsHeaders } = await import('../utils/api-utils.js');
+    const corsHandler = setCorsHeaders(res, ['GET', 'OPTIONS']);
+    corsHandler(req);
+
+    // Rate limiting - 5 exports per minute (each one reads the whole LMID)
+    const { checkRateLimit } = await import('../utils/simple-rate-limiter.js');
+    if (!checkRateLimit(req, res, 'export-recordings', 5)) {
+        return; // Rate limit exceeded
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ success: false, error: 'Method not allowed. Use GET.' });
+    }
+
+    let streaming = false;
+
+    try {
+        const { world, questionId, lang } = req.query;
+
+        const lmidValidation = validateLMID(req.query.lmid);
+        const memberValidation = validateMemberId(req.query.memberId);
+        if (!lmidValidation.valid || !memberValidation.valid) {
+            return res.status(400).json({ success: false, error: 'Missing or invalid parameters: lmid and memberId' });
+        }
+        if (world && !validateWorldName(world).valid) {
+            return res.status(400).json({ success: false, error: 'Invalid world parameter' });
+        }
+        if (questionId && !/^\d+$/.test(String(questionId))) {
+            return res.status(400).json({ success: false, error: 'questionId must be a number' });
+        }
+        if (lang && !validateLanguage(lang).valid) {
+            return res.status(400).json({ success: false, error: 'Invalid language parameter' });
+        }
+
+        const lmid = parseInt(lmidValidation.sanitized, 10);
+        if (isNaN(lmid)) {
+            return res.status(400).json({ success: false, error: 'lmid must be a number' });
+        }
+
+        const lmidRecord = await getLmidDetails(lmid);
+        if (!lmidRecord || lmidRecord.status === 'deleted') {
+            return res.status(404).json({ success: false, error: 'LMID not found' });
+        }
+        if (lmidRecord.assigned_to_member_id !== memberValidation.sanitized) {
+            return res.status(403).json({ success: false, error: 'Only the teacher of this LMID can export it' });
+        }
+
+        const entries = await collectExportEntries({ lmid, world, questionId, lang });
+        if (entries.length === 0) {
+            return res.status(404).json({ success: false, error: 'No recordings to export' });
+        }
+
+        // Recordings and programs - zip.addFile would throw past the limit once the ZIP is streaming
+        const exportBytes = entries.reduce((total, entry) => total + entry.sizeBytes, 0);
+        if (exportBytes > ZIP_LIMITS.maxArchiveBytes || entries.length + 1 > ZIP_LIMITS.maxEntries) {
+            return res.status(413).json({ success: false, error: 'Export too large - filter by world or question' });
+        }
+
+        const scopeLabel = [world, questionId && `question-${questionId}`].filter(Boolean).join('-');
+        const fileName = `little-microphones-lmid-${lmid}${scopeLabel ? `-${scopeLabel}` : ''}-${new Date().toISOString().slice(0, 10)}.zip`;
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(200);
+        streaming = true;
+
+        console.log(`📦 Exporting ${entries.length} files for LMID ${lmid}${scopeLabel ? ` (${scopeLabel})` : ''}`);
+
+        const storage = getStorage();
+        const zip = createZipStream(res);
+        const csvRows = [CSV_COLUMNS.join(',')];
+
+        for (const entry of entries) {
+            // Cancelled download - stop reading storage for a client that has gone away
+            if (zip.isClosed()) {
+                console.log(`🛑 Export of LMID ${lmid} cancelled by the client after ${Math.round(zip.bytesWritten() / 1024 / 1024)}MB`);
+                return;
+            }
+
+            const data = await storage.get(entry.storagePath);
+            if (!data) {
+                console.warn(`⚠️ Export: ${entry.storagePath} missing from storage - skipped`);
+                csvRows.push(CSV_COLUMNS.map(column => csvValue(column === 'file' ? entry.name : column === 'type' ? 'missing' : entry.csv[column])).join(','));
+                continue;
+            }
+
+            await zip.addFile(entry.name, data, { date: entry.date });
+            csvRows.push(CSV_COLUMNS.map(column => csvValue(column === 'file' ? entry.name : entry.csv[column])).join(','));
+        }
+
+        await zip.addFile('manifest.csv', csvRows.join('\n') + '\n');
+        await zip.finish();
+        res.end();
+
+        console.log(`✅ Export of LMID ${lmid} complete: ${Math.round(zip.bytesWritten() / 1024 / 1024)}MB`);
+
+    } catch (error) {
+        if (error.code === 'OUTPUT_CLOSED') {
+            console.log(`🛑 Export cancelled by the client: ${error.message}`);
+            return;
+        }
+        console.error('❌ Export error:', error);
+
+        // Headers are gone once the ZIP started - the client gets a truncated download
+        if (streaming) {
+            res.end();
+            return;
+        }
+        return res.status(500).json({
+            success: false,
+            error: 'Export failed',
+            details: error.message
+        });
+    }
+}
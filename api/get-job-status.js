@@ -10,16 +10,26 @@
  * RESPONSE FORMATS:
  * 
  * PENDING:
- * { success: true, status: "pending", jobId: "uuid", message: "Job is waiting in queue" }
+ * { success: true, status: "pending", jobId: "uuid", message: "Job is waiting in queue", attempts: 0, nextAttemptAt: null }
+ * (attempts > 0 means a previous attempt failed and a retry is scheduled at nextAttemptAt)
  * 
  * PROCESSING:
- * { success: true, status: "processing", jobId: "uuid", message: "Job is being processed", startedAt: "ISO date" }
+ * { success: true, status: "processing", jobId: "uuid", message: "Job is being processed", startedAt: "ISO date",
+ *   progress: { stage, segmentIndex, segmentTotal, stagePercent, percent, etaSeconds, updatedAt } }
+ * (progress is written by process-queue.js while it renders - null until the first update, see utils/job-progress.js)
  * 
  * COMPLETED:
  * { success: true, status: "completed", jobId: "uuid", programUrl: "https://...", manifest: {...}, completedAt: "ISO date" }
  * 
  * FAILED:
  * { success: false, status: "failed", jobId: "uuid", error: "Error message", completedAt: "ISO date" }
+ * 
+ * DEAD (retries exhausted):
+ * { success: false, status: "dead", jobId: "uuid", error: "Last error message", attempts: 4, completedAt: "ISO date" }
+ * 
+ * CANCELLED / SUPERSEDED (stopped before publishing, see utils/job-cancellation.js):
+ * { success: false, status: "cancelled", jobId: "uuid", error: "Cancelled by the teacher", cancelledAt: "ISO date" }
+ * { success: false, status: "superseded", jobId: "uuid", error: "Superseded by newer job uuid", supersededBy: "uuid" }
  */
 
 export default async function handler(req, res) {
@@ -84,9 +94,12 @@ export default async function handler(req, res) {
                     success: true,
                     status: 'pending',
                     jobId: job.id,
-                    message: 'Job is waiting in queue',
+                    message: job.attempts > 0 ? 'Job is waiting to be retried' : 'Job is waiting in queue',
                     createdAt: job.created_at,
-                    fileCount: job.file_count
+                    fileCount: job.file_count,
+                    attempts: job.attempts || 0,
+                    nextAttemptAt: job.next_attempt_at,
+                    lastError: job.error_message
                 });
 
             case 'processing':
@@ -97,16 +110,21 @@ export default async function handler(req, res) {
                     message: 'Job is being processed',
                     createdAt: job.created_at,
                     startedAt: job.started_at,
-                    fileCount: job.file_count
+                    fileCount: job.file_count,
+                    progress: job.progress || null
                 });
 
-            case 'completed':
+            case 'completed': {
+                // Stored URLs are unsigned - hand out expiring ones
+                const { getStorage, signProgramUrls } = await import('../utils/storage.js');
+                const { programUrl, manifest } = signProgramUrls(getStorage(), job.program_url, job.manifest_data);
+
                 return res.status(200).json({
                     success: true,
                     status: 'completed',
                     jobId: job.id,
-                    programUrl: job.program_url,
-                    manifest: job.manifest_data,
+                    programUrl,
+                    manifest,
                     message: 'Job completed successfully',
                     createdAt: job.created_at,
                     startedAt: job.started_at,
@@ -114,6 +132,7 @@ export default async function handler(req, res) {
                     processingDuration: job.processing_duration_ms,
                     fileCount: job.file_count
                 });
+            }
 
             case 'failed':
                 return res.status(200).json({
@@ -128,6 +147,46 @@ export default async function handler(req, res) {
                     fileCount: job.file_count
                 });
 
+            case 'dead':
+                return res.status(200).json({
+                    success: false,
+                    status: 'dead',
+                    jobId: job.id,
+                    error: job.error_message || 'Job processing failed',
+                    message: `Job failed after ${job.attempts} attempts`,
+                    createdAt: job.created_at,
+                    startedAt: job.started_at,
+                    completedAt: job.completed_at,
+                    fileCount: job.file_count,
+                    attempts: job.attempts
+                });
+
+            case 'cancelled':
+                return res.status(200).json({
+                    success: false,
+                    status: 'cancelled',
+                    jobId: job.id,
+                    error: job.error_message || 'Job was cancelled',
+                    message: 'Job was cancelled',
+                    createdAt: job.created_at,
+                    startedAt: job.started_at,
+                    cancelledAt: job.cancelled_at,
+                    fileCount: job.file_count
+                });
+
+            case 'superseded':
+                return res.status(200).json({
+                    success: false,
+                    status: 'superseded',
+                    jobId: job.id,
+                    error: job.error_message || 'Job was superseded by a newer job',
+                    message: 'Job was replaced by a newer job for the same program',
+                    createdAt: job.created_at,
+                    completedAt: job.completed_at,
+                    supersededBy: job.superseded_by,
+                    fileCount: job.file_count
+                });
+
             default:
                 return res.status(500).json({
                     error: 'Unknown job status',
@@ -2,7 +2,7 @@
  * api/get-radio-data.js - Radio Program Data Retrieval Service
  * 
  * PURPOSE: Fetches all data needed for radio program page based on ShareID
- * DEPENDENCIES: Supabase client, Bunny.net API, existing list-recordings API, LMID utilities
+ * DEPENDENCIES: Supabase client, storage adapter (utils/storage.js), existing list-recordings API, LMID utilities
  * 
  * REQUEST FORMAT:
  * GET /api/get-radio-data?shareId=kz7xp4v9
@@ -14,25 +14,35 @@
  *   world: "spookyland", 
  *   currentRecordings: [...],
  *   lastManifest: {...} | null,
- *   needsNewProgram: true/false
+ *   needsNewProgram: true/false,
+ *   publishedVersions: { kids: { jobId, completedAt, pinned, versionCount } | null, parent: ... },
+ *   generationStatus: { kids: { isGenerating, jobId, ... }, parent: ... } - jobId: the rendering job,
+ *     followed on /api/job-stream while someone else's generation runs
  * }
  * 
  * LOGIC:
  * 1. Validate ShareID parameter
  * 2. Look up LMID and world from ShareID in Supabase
- * 3. Fetch current recordings from cloud storage
- * 4. Try to fetch last program manifest
- * 5. Compare recordings vs manifest to determine if new program needed
+ * 3. Fetch current recordings (recordings table via list-recordings)
+ * 4. Fetch the published program of each type (pinned version, else the latest - utils/program-versions.js)
+ * 5. Compare kids/parent recording counts with the last completed jobs of this world to determine
+ *    if new program needed (utils/program-planner.js)
  * 6. Return all data for frontend decision making
+ *
+ * SIGNED URLS:
+ * Recording, program, rendition and waveform URLs are signed and expire (utils/storage.js) -
+ * the radio page calls this endpoint again for fresh ones when playback fails
  */
 
 import { getSupabaseClient } from '../utils/lmid-utils.js';
 import { getGenerationStatus } from '../utils/generation-lock.js';
 import { validateShareId, validateWorldName } from '../utils/input-validator.js';
-import https from 'https';
+import { getStorage, signProgramUrls } from '../utils/storage.js';
+import { listProgramVersions, getPublishedVersion } from '../utils/program-versions.js';
+import { needsNewProgram } from '../utils/program-planner.js';
 
 /**
- * Fetch recordings from cloud storage for given world/lmid
+ * Fetch indexed recordings for given world/lmid
  * @param {string} world - World identifier
  * @param {string} lmid - LMID number
  * @param {string} lang - Language code
@@ -90,119 +100,85 @@ async function fetchAllRecordingsFromCloud(world, lmid, lang) {
  * @returns {Promise<Object|null>} Manifest object or null if doesn't exist
  */
 async function fetchLastProgramManifest(world, lmid, type = '', lang) {
-    return new Promise((resolve) => {
-        // Use separate manifest files for kids and parent programs
-        const manifestName = type ? `last-program-manifest-${type}.json` : 'last-program-manifest.json';
-        // CRITICAL: Strong cache-busting with timestamp AND random string to prevent CDN caching
-        const cacheBuster = `v=${Date.now()}&cb=${Math.random().toString(36).substring(2)}`;
-        const manifestUrl = `https://little-microphones.b-cdn.net/${lang}/${lmid}/${world}/${manifestName}?${cacheBuster}`;
+    // Use separate manifest files for kids and parent programs
+    const manifestName = type ? `last-program-manifest-${type}.json` : 'last-program-manifest.json';
+    
+    console.log(`📄 Fetching manifest: ${manifestName}`);
+    
+    try {
+        // Read from storage directly - no CDN copy that could be stale
+        const manifest = await getStorage().getJson(`${lang}/${lmid}/${world}/${manifestName}`);
         
-        console.log(`📄 Fetching manifest: ${manifestName} with cache-buster: ${cacheBuster}`);
+        if (!manifest) {
+            // Missing means no manifest exists yet - this is normal for first-time generation
+            console.log(`📭 No manifest exists yet for ${type}`);
+            return null;
+        }
         
-        https.get(manifestUrl, {
-            headers: {
-                'Cache-Control': 'no-cache, no-store, must-revalidate',
-                'Pragma': 'no-cache'
-            }
-        }, (response) => {
-            if (response.statusCode === 200) {
-                let data = '';
-                response.on('data', chunk => data += chunk);
-                response.on('end', () => {
-                    try {
-                        const manifest = JSON.parse(data);
-                        console.log(`✅ Manifest fetched for ${type}:`, {
-                            recordingCount: manifest.recordingCount,
-                            generatedAt: manifest.generatedAt,
-                            version: manifest.version
-                        });
-                        resolve(manifest);
-                    } catch (parseError) {
-                        console.warn(`Failed to parse ${manifestName} JSON:`, parseError);
-                        resolve(null);
-                    }
-                });
-            } else {
-                // 404 means no manifest exists yet - this is normal for first-time generation
-                console.log(`📭 No manifest exists yet for ${type} (${response.statusCode})`);
-                resolve(null);
-            }
-        }).on('error', (error) => {
-            console.warn(`Error fetching ${manifestName}:`, error);
-            resolve(null);
+        console.log(`✅ Manifest fetched for ${type}:`, {
+            recordingCount: manifest.recordingCount,
+            generatedAt: manifest.generatedAt,
+            version: manifest.version
         });
-    });
+        return manifest;
+    } catch (error) {
+        console.warn(`Error fetching ${manifestName}:`, error);
+        return null;
+    }
 }
 
 /**
- * SIMPLIFIED: Check if new program generation is needed by comparing file counts
- * @param {Array} currentRecordings - Current recordings from cloud
- * @param {Object} supabase - Supabase client for job queries
- * @param {string} world - World identifier  
- * @param {string} lmid - LMID number
- * @param {string} lang - Language code (en/pl)
- * @returns {Promise<Object>} Object with needsKids and needsParent flags
+ * Signed copy of a completed job row (program_url and manifest_data)
+ * @param {Object} storage - Storage adapter
+ * @param {Object} program - Job row { program_url, manifest_data, ... }
+ * @returns {Object} Job row with signed URLs
  */
-async function needsNewProgram(currentRecordings, supabase, world, lmid, lang) {
-    // STRICT: Only count files that include timestamp marker -tm_{number}
-    const kidsPattern = new RegExp(`^kids-world_${world}-lmid_${lmid}-question_\\d+-tm_\\d+\\.(webm|mp3)$`);
-    const parentPattern = new RegExp(`^parent_[^-]+-world_${world}-lmid_${lmid}-question_\\d+-tm_\\d+\\.(webm|mp3)$`);
-    
-    // Count current recordings by type
-    const kidsRecordings = currentRecordings.filter(file => 
-        file.filename && kidsPattern.test(file.filename)
-    );
-    const parentRecordings = currentRecordings.filter(file => 
-        file.filename && parentPattern.test(file.filename)
-    );
-    
-    const currentKidsCount = kidsRecordings.length;
-    const currentParentCount = parentRecordings.length;
-    
-    console.log(`📊 Total files from list-recordings: ${currentRecordings.length}`);
-    console.log(`📊 Found ${currentKidsCount} kids recordings, ${currentParentCount} parent recordings`);
-    
-    // Get last completed job file_count for each type FOR THIS LANGUAGE
-    const { data: lastKidsJob } = await supabase
-        .from('audio_generation_jobs')
-        .select('file_count')
-        .eq('lmid', lmid.toString())
-        .eq('type', 'kids')
-        .eq('lang', lang)  // CRITICAL: Filter by language!
-        .eq('status', 'completed')
-        .order('completed_at', { ascending: false })
-        .limit(1);
-    
-    const { data: lastParentJob } = await supabase
-        .from('audio_generation_jobs')
-        .select('file_count')
-        .eq('lmid', lmid.toString())
-        .eq('type', 'parent')
-        .eq('lang', lang)  // CRITICAL: Filter by language!
-        .eq('status', 'completed')
-        .order('completed_at', { ascending: false })
-        .limit(1);
-    
-    const previousKidsCount = lastKidsJob?.[0]?.file_count || 0;
-    const previousParentCount = lastParentJob?.[0]?.file_count || 0;
-    
-    // Simple comparison: generate if current count > previous count
-    const needsKids = currentKidsCount > previousKidsCount;
-    const needsParent = currentParentCount > previousParentCount;
-    
-    console.log(`🔍 KIDS ANALYSIS: Current=${currentKidsCount}, Previous=${previousKidsCount}, Needs=${needsKids}`);
-    console.log(`🔍 PARENT ANALYSIS: Current=${currentParentCount}, Previous=${previousParentCount}, Needs=${needsParent}`);
-    
+function signStoredProgram(storage, program) {
+    const { programUrl, manifest } = signProgramUrls(storage, program.program_url, program.manifest_data);
+    return { ...program, program_url: programUrl, manifest_data: manifest };
+}
+
+/**
+ * Which version is published and how many versions can be played
+ * @param {Object|null} version - Published job row
+ * @param {Array} versions - All playable versions
+ * @returns {Object|null} { jobId, completedAt, pinned, versionCount }
+ */
+function describePublished(version, versions) {
+    if (!version) return null;
     return {
-        needsKids,
-        needsParent,
-        kidsCount: currentKidsCount,
-        parentCount: currentParentCount,
-        hasKidsRecordings: currentKidsCount > 0,
-        hasParentRecordings: currentParentCount > 0
+        jobId: version.id,
+        completedAt: version.completed_at,
+        pinned: Boolean(version.pinned_at),
+        versionCount: versions.length
     };
 }
 
+/**
+ * Generation status of a program with the job that holds its lease
+ * @param {Object} supabase - Supabase client
+ * @param {Object} program - { world, lmid, type, lang }
+ * @returns {Promise<Object>} getGenerationStatus() result, plus jobId (null when no job is rendering)
+ */
+async function getProgramGenerationStatus(supabase, { world, lmid, type, lang }) {
+    const status = await getGenerationStatus(world, lmid, type, lang);
+    if (!status.isGenerating) {
+        return status;
+    }
+
+    const { data, error } = await supabase
+        .from('audio_generation_jobs')
+        .select('id')
+        .match({ lmid, world, type, lang, status: 'processing' })
+        .order('started_at', { ascending: false })
+        .limit(1);
+    if (error) {
+        console.warn(`Failed to read the rendering ${type} job: ${error.message}`);
+    }
+
+    return { ...status, jobId: data?.[0]?.id || null };
+}
+
 export default async function handler(req, res) {
     // Secure CORS headers
     const { setCorsHeaders } = await import('../utils/api-utils.js');
@@ -348,43 +324,27 @@ export default async function handler(req, res) {
 
         const lmid = lmidRecord.lmid.toString();
         
-        // Fetch current recordings from cloud storage
+        // Fetch current recordings from the recordings index
         const currentRecordings = await fetchAllRecordingsFromCloud(world, lmid, lang);
 
         // Determine if new program generation is needed using lmid counts
         const generationNeeds = await needsNewProgram(currentRecordings, supabase, world, lmid, lang);
 
         // Check generation status for both types
-        const kidsGenerationStatus = await getGenerationStatus(world, lmid, 'kids', lang);
-        const parentGenerationStatus = await getGenerationStatus(world, lmid, 'parent', lang);
+        const kidsGenerationStatus = await getProgramGenerationStatus(supabase, { world, lmid, type: 'kids', lang });
+        const parentGenerationStatus = await getProgramGenerationStatus(supabase, { world, lmid, type: 'parent', lang });
 
-        // Fetch latest completed programs from jobs table - get latest of each type separately
+        // Published program of each type FOR THIS LANGUAGE: the pinned version, else the latest
         const supabaseClient = getSupabaseClient();
-        
-        // Get latest Kids program FOR THIS LANGUAGE
-        const { data: kidsPrograms } = await supabaseClient
-            .from('audio_generation_jobs')
-            .select('program_url, completed_at, type')
-            .eq('lmid', lmid)
-            .eq('status', 'completed')
-            .eq('type', 'kids')
-            .eq('lang', lang)  // CRITICAL: Filter by language!
-            .order('completed_at', { ascending: false })
-            .limit(1);
-
-        // Get latest Parent program FOR THIS LANGUAGE
-        const { data: parentPrograms } = await supabaseClient
-            .from('audio_generation_jobs')
-            .select('program_url, completed_at, type')
-            .eq('lmid', lmid)
-            .eq('status', 'completed')
-            .eq('type', 'parent')
-            .eq('lang', lang)  // CRITICAL: Filter by language!
-            .order('completed_at', { ascending: false })
-            .limit(1);
-
-        const kidsProgram = kidsPrograms?.[0];
-        const parentProgram = parentPrograms?.[0];
+        const kidsVersions = await listProgramVersions(supabaseClient, { lmid, world, type: 'kids', lang });
+        const parentVersions = await listProgramVersions(supabaseClient, { lmid, world, type: 'parent', lang });
+        const publishedKids = getPublishedVersion(kidsVersions);
+        const publishedParent = getPublishedVersion(parentVersions);
+
+        // Jobs store unsigned URLs - hand out expiring ones
+        const storage = getStorage();
+        const kidsProgram = publishedKids && signStoredProgram(storage, publishedKids);
+        const parentProgram = publishedParent && signStoredProgram(storage, publishedParent);
 
         // Build combined manifest structure for radio.js compatibility  
         const combinedManifest = {
@@ -416,6 +376,11 @@ export default async function handler(req, res) {
             parentRecordingCount: generationNeeds.parentCount,
             hasKidsRecordings: generationNeeds.hasKidsRecordings,
             hasParentRecordings: generationNeeds.hasParentRecordings,
+            // Published versions (episode list: /api/program-versions)
+            publishedVersions: {
+                kids: describePublished(publishedKids, kidsVersions),
+                parent: describePublished(publishedParent, parentVersions)
+            },
             recordingCount: currentRecordings.length,
             shareId: sanitizedShareId,
             // NEW: Generation status information
@@ -1,30 +1,174 @@
 /**
  * Server-Sent Events endpoint for real-time job status updates
- * Replaces polling mechanism with push-based updates
+ * Pushes audio_generation_jobs changes as the database reports them (utils/job-events.js adapter)
+ * Kicks process-queue when a job waiting for a retry becomes due
+ *
+ * REQUEST FORMAT:
+ * GET /api/job-stream?jobIds=uuid1,uuid2      Several jobs on one stream (jobId=uuid still works)
+ * GET /api/job-stream?lmid=32&memberId=mem_1  Every job of an LMID (its teacher only)
+ *
+ * EVENTS (data: JSON):
+ * { type: 'connected' }, then one { type: 'status', jobId, status, ... } per job in scope (snapshot),
+ * then a 'status' event for every change. { type: 'done' } once every requested job finished.
+ * Finished: completed, dead, cancelled (by the teacher) or superseded (supersededBy: the newer job).
+ * Processing jobs carry progress ({ stage, segmentIndex, segmentTotal, percent, etaSeconds, ... },
+ * see utils/job-progress.js) - every progress write arrives as a 'status' event.
+ * The stream closes before the function limit; EventSource reconnects and gets a fresh snapshot.
  */
 
+import { validateMemberId } from '../utils/input-validator.js';
+import { getJobEvents, fetchJobs, MAX_SUBSCRIBED_JOBS } from '../utils/job-events.js';
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'dead', 'cancelled', 'superseded'];
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const STREAM_LIFETIME_MS = 280 * 1000; // Below maxDuration (300s in vercel.json)
+const HEARTBEAT_INTERVAL_MS = 25 * 1000; // Keeps proxies from closing an idle stream
+const RECONNECT_DELAY_MS = 1000;
+
+/**
+ * Fire-and-forget trigger of process-queue for a due retry (same pattern as combine-audio.js)
+ */
+function triggerRetry(req, jobId) {
+    const protocol = req.headers['x-forwarded-proto'] || 'https';
+    const baseUrl = `${protocol}://${req.headers['host']}`;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+    fetch(`${baseUrl}/api/process-queue`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Little-Microphones-Internal'
+        },
+        body: JSON.stringify({ specificJobId: jobId, triggeredBy: 'job-stream-retry' }),
+        signal: controller.signal
+    })
+    .then(response => {
+        clearTimeout(timeoutId);
+        console.log(`🔁 SSE: Retry trigger for job ${jobId} returned ${response.status}`);
+    })
+    .catch(err => {
+        clearTimeout(timeoutId);
+        if (err.name !== 'AbortError') {
+            console.warn(`⚠️ SSE: Retry trigger failed for job ${jobId}: ${err.message}`);
+        }
+    });
+}
+
+/**
+ * Status event for a job row
+ */
+async function toStatusEvent(job) {
+    const statusData = {
+        type: 'status',
+        jobId: job.id,
+        status: job.status,
+        created_at: job.created_at,
+        started_at: job.started_at,
+        completed_at: job.completed_at,
+        lmid: job.lmid,
+        world: job.world,
+        lang: job.lang,
+        programType: job.type,
+        fileCount: job.file_count,
+        attempts: job.attempts || 0
+    };
+
+    // Rendering: real progress written by process-queue
+    if (job.status === 'processing') {
+        statusData.progress = job.progress || null;
+    }
+
+    // Pending after a failed attempt: report the scheduled retry
+    if (job.status === 'pending' && job.next_attempt_at) {
+        statusData.nextAttemptAt = job.next_attempt_at;
+        statusData.lastError = job.error_message;
+    }
+
+    // Add result data if completed
+    if (job.status === 'completed' && job.program_url) {
+        const { getStorage, signProgramUrls } = await import('../utils/storage.js');
+        const { programUrl, manifest } = signProgramUrls(getStorage(), job.program_url, job.manifest_data);
+        statusData.programUrl = programUrl;
+        statusData.manifestData = manifest;
+    }
+
+    // Add error if failed
+    if ((job.status === 'failed' || job.status === 'dead') && job.error_message) {
+        statusData.error = job.error_message;
+    }
+
+    // Stopped before publishing (utils/job-cancellation.js)
+    if (job.status === 'cancelled' || job.status === 'superseded') {
+        statusData.error = job.error_message;
+        statusData.supersededBy = job.superseded_by || null;
+    }
+
+    return statusData;
+}
+
+/**
+ * Scope of the stream from the query, or { error }
+ */
+async function resolveScope(query) {
+    const rawJobIds = query.jobIds || query.jobId;
+
+    if (rawJobIds) {
+        const jobIds = [...new Set(String(rawJobIds).split(',').map(id => id.trim()).filter(Boolean))];
+        if (jobIds.length === 0 || jobIds.length > MAX_SUBSCRIBED_JOBS || !jobIds.every(id => JOB_ID_PATTERN.test(id))) {
+            return { error: `jobIds must be 1-${MAX_SUBSCRIBED_JOBS} job ids`, statusCode: 400 };
+        }
+        return { scope: { jobIds } };
+    }
+
+    if (query.lmid) {
+        const lmid = parseInt(query.lmid, 10);
+        const memberValidation = validateMemberId(query.memberId);
+        if (isNaN(lmid) || !memberValidation.valid) {
+            return { error: 'lmid and memberId are required to follow every job of an LMID', statusCode: 400 };
+        }
+
+        const { getLmidDetails } = await import('../utils/database-utils.js');
+        const lmidRecord = await getLmidDetails(lmid);
+        if (!lmidRecord || lmidRecord.assigned_to_member_id !== memberValidation.sanitized) {
+            return { error: 'Only the teacher of this LMID can follow its jobs', statusCode: 403 };
+        }
+        return { scope: { lmid } };
+    }
+
+    return { error: 'jobIds or lmid parameter is required', statusCode: 400 };
+}
+
 export default async function handler(req, res) {
     console.log('🔄 SSE: New connection established');
-    
+
     // CORS headers for SSE
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
+
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
     }
-    
+
     if (req.method !== 'GET') {
         return res.status(405).json({ error: 'Method not allowed' });
     }
-    
-    const { jobId } = req.query;
-    
-    if (!jobId) {
-        return res.status(400).json({ error: 'jobId parameter is required' });
+
+    let resolved;
+    try {
+        resolved = await resolveScope(req.query);
+    } catch (error) {
+        console.error('❌ SSE: Failed to resolve stream scope:', error);
+        return res.status(500).json({ error: 'Failed to start monitoring', details: error.message });
     }
-    
+    const { scope, error: scopeError, statusCode } = resolved;
+    if (scopeError) {
+        return res.status(statusCode).json({ error: scopeError });
+    }
+    const scopeLabel = scope.jobIds ? `jobs ${scope.jobIds.join(', ')}` : `LMID ${scope.lmid}`;
+
     // Set SSE headers
     res.writeHead(200, {
         'Content-Type': 'text/event-stream',
@@ -33,129 +177,133 @@ export default async function handler(req, res) {
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Headers': 'Cache-Control'
     });
-    
-    console.log(`📡 SSE: Monitoring job ${jobId}`);
-    
-    let checkCount = 0;
-    const maxChecks = 300; // 5 minutes max (300 * 1000ms)
-    
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    console.log(`📡 SSE: Monitoring ${scopeLabel}`);
+
+    const remaining = new Set(scope.jobIds || []);
+    const retryTimers = new Map(); // jobId → timer for a scheduled retry
+    const lastMarkers = new Map(); // jobId → state of the last event sent (snapshot/event overlap)
+    let closed = false;
+    let unsubscribe = null;
+    let heartbeat = null;
+    let lifetime = null;
+
     const sendEvent = (data) => {
-        res.write(`data: ${JSON.stringify(data)}\n\n`);
+        if (!closed) {
+            res.write(`data: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    const close = async () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        clearTimeout(lifetime);
+        retryTimers.forEach(timer => clearTimeout(timer));
+        if (unsubscribe) {
+            await unsubscribe().catch(err => console.warn(`⚠️ SSE: Unsubscribe failed: ${err.message}`));
+        }
+        res.end();
+    };
+
+    // Kick process-queue once a scheduled retry is due (no database change happens at that moment)
+    const scheduleRetry = (job) => {
+        clearTimeout(retryTimers.get(job.id));
+        retryTimers.delete(job.id);
+        if (job.status !== 'pending' || !job.next_attempt_at) return;
+
+        const delay = Math.max(0, new Date(job.next_attempt_at).getTime() - Date.now());
+        retryTimers.set(job.id, setTimeout(() => triggerRetry(req, job.id), delay));
     };
-    
-    const checkJobStatus = async () => {
+
+    const handleJob = async (job) => {
         try {
-            checkCount++;
-            
-            // Import Supabase client
-            const { getSupabaseClient } = await import('../utils/database-utils.js');
-            const supabase = getSupabaseClient();
-            
-            // Get job status
-            const { data: job, error } = await supabase
-                .from('audio_generation_jobs')
-                .select('*')
-                .eq('id', jobId)
-                .single();
-            
-            if (error) {
-                console.error('❌ SSE: Database error:', error);
-                sendEvent({
-                    type: 'error',
-                    message: 'Failed to fetch job status',
-                    error: error.message
-                });
-                res.end();
-                return;
-            }
-            
-            if (!job) {
-                console.error('❌ SSE: Job not found:', jobId);
-                sendEvent({
-                    type: 'error',
-                    message: 'Job not found'
-                });
-                res.end();
-                return;
-            }
-            
-            // Send status update
-            const statusData = {
-                type: 'status',
-                jobId: job.id,
-                status: job.status,
-                created_at: job.created_at,
-                started_at: job.started_at,
-                completed_at: job.completed_at,
-                lmid: job.lmid,
-                world: job.world,
-                lang: job.lang,
-                programType: job.type,
-                fileCount: job.file_count
-            };
-            
-            // Add result data if completed
-            if (job.status === 'completed' && job.program_url) {
-                statusData.programUrl = job.program_url;
-                statusData.manifestData = job.manifest_data;
-            }
-            
-            // Add error if failed
-            if (job.status === 'failed' && job.error_message) {
-                statusData.error = job.error_message;
-            }
-            
-            console.log(`📊 SSE: Job ${jobId} status: ${job.status} (check ${checkCount})`);
-            sendEvent(statusData);
-            
-            // End connection if job is completed or failed
-            if (job.status === 'completed' || job.status === 'failed') {
-                console.log(`✅ SSE: Job ${jobId} finished with status: ${job.status}`);
-                res.end();
-                return;
-            }
-            
-            // End connection if max checks reached
-            if (checkCount >= maxChecks) {
-                console.log(`⏰ SSE: Max checks reached for job ${jobId}`);
-                sendEvent({
-                    type: 'timeout',
-                    message: 'Maximum monitoring time reached'
-                });
-                res.end();
-                return;
+            // The snapshot and the subscription can report the same state twice
+            const marker = `${job.status}|${job.attempts}|${job.started_at}|${job.completed_at}|${job.next_attempt_at}|${job.progress ? job.progress.updatedAt : ''}`;
+            if (lastMarkers.get(job.id) === marker) return;
+            lastMarkers.set(job.id, marker);
+
+            console.log(`📊 SSE: Job ${job.id} status: ${job.status}`);
+            sendEvent(await toStatusEvent(job));
+            scheduleRetry(job);
+
+            if (TERMINAL_STATUSES.includes(job.status) && remaining.delete(job.id) && remaining.size === 0) {
+                console.log(`✅ SSE: All jobs finished (${scopeLabel})`);
+                sendEvent({ type: 'done' });
+                await close();
             }
-            
-            // Schedule next check
-            setTimeout(checkJobStatus, 1000); // Check every second
-            
         } catch (error) {
-            console.error('❌ SSE: Unexpected error:', error);
-            sendEvent({
-                type: 'error',
-                message: 'Unexpected error occurred',
-                error: error.message
-            });
-            res.end();
+            console.error('❌ SSE: Failed to send job update:', error);
         }
     };
-    
+
     // Handle client disconnect
     req.on('close', () => {
-        console.log(`🔌 SSE: Client disconnected from job ${jobId}`);
+        console.log(`🔌 SSE: Client disconnected from ${scopeLabel}`);
+        close();
     });
-    
+
     req.on('error', (err) => {
         console.error('❌ SSE: Connection error:', err);
     });
-    
-    // Send initial connection confirmation
-    sendEvent({
-        type: 'connected',
-        message: `Monitoring job ${jobId}`,
-        timestamp: new Date().toISOString()
-    });
-    
-    // Start monitoring
-    checkJobStatus();
+
+    try {
+        // Subscribe before reading the snapshot, so no change falls in between
+        unsubscribe = await getJobEvents().subscribe(scope, handleJob, (error) => {
+            console.error('❌ SSE: Job events subscription lost:', error.message);
+            // Closing makes EventSource reconnect with a fresh subscription and snapshot
+            close();
+        });
+        if (closed) {
+            await unsubscribe();
+            return;
+        }
+
+        // Send initial connection confirmation
+        sendEvent({
+            type: 'connected',
+            message: `Monitoring ${scopeLabel}`,
+            timestamp: new Date().toISOString()
+        });
+
+        const jobs = await fetchJobs(scope);
+        for (const job of jobs) {
+            await handleJob(job);
+        }
+
+        // Unknown job ids end with an error event of their own
+        const missingJobIds = [...remaining].filter(jobId => !jobs.some(job => job.id === jobId));
+        if (missingJobIds.length > 0) {
+            console.error(`❌ SSE: Jobs not found: ${missingJobIds.join(', ')}`);
+            missingJobIds.forEach(jobId => {
+                remaining.delete(jobId);
+                sendEvent({ type: 'error', jobId, message: 'Job not found' });
+            });
+            if (remaining.size === 0) {
+                sendEvent({ type: 'done' });
+                await close();
+            }
+        }
+        if (closed) return;
+
+        heartbeat = setInterval(() => {
+            if (!closed) res.write(': keep-alive\n\n');
+        }, HEARTBEAT_INTERVAL_MS);
+
+        // End before the platform does - the client reconnects
+        lifetime = setTimeout(() => {
+            console.log(`⏰ SSE: Stream lifetime reached for ${scopeLabel}, client will reconnect`);
+            close();
+        }, STREAM_LIFETIME_MS);
+
+    } catch (error) {
+        console.error('❌ SSE: Failed to start monitoring:', error);
+        sendEvent({
+            type: 'error',
+            message: 'Failed to monitor job status',
+            error: error.message
+        });
+        await close();
+    }
 }
@@ -1,8 +1,8 @@
 /**
  * api/list-recordings.js - Cloud Recording Discovery & Synchronization Service
  * 
- * PURPOSE: Serverless function for listing and synchronizing audio recordings from Bunny.net cloud storage
- * DEPENDENCIES: Bunny.net Storage API, JSON processing, Regular expression pattern matching
+ * PURPOSE: Serverless function for listing and synchronizing uploaded audio recordings
+ * DEPENDENCIES: Recordings index (utils/recordings-index.js - Supabase), storage adapter (utils/storage.js) for signed URLs
  * DOCUMENTATION: See /documentation/api-documentation.md for complete API overview
  * 
  * REQUEST FORMAT:
@@ -18,64 +18,84 @@
  * - Facilitate recording count validation for radio program generation
  * 
  * RECORDING DISCOVERY:
- * - Pattern-based filename matching with world/lmid/questionId filtering
- * - Comprehensive folder scanning with organized results
- * - Timestamp-based sorting for chronological recording order
- * - Metadata extraction from filename patterns and cloud storage
+ * - Rows of the Supabase recordings table (utils/recordings-index.js), written on upload and delete
+ * - No folder listings or filename regexes: world, lmid, lang, question and role are columns
+ * - Recordings stored before the table existed are added by scripts/reconcile-recordings.js
  * 
  * CLOUD INTEGRATION:
- * - Direct Bunny.net Storage API communication for real-time data
- * - Efficient folder listing with minimal bandwidth usage
- * - CDN URL generation for immediate audio playback
- * - File metadata extraction including size and modification dates
+ * - Signed, expiring CDN URLs for playback (storage.signedUrl, SIGNED_URL_TTL_SECONDS) -
+ *   clients call this endpoint again for fresh URLs once they expire
  * 
  * FILTERING & ORGANIZATION:
- * - Question-specific filtering using regex pattern matching
- * - Filename format validation: kids-world_{world}-lmid_{lmid}-question_{questionId}-.*\.mp3
- * - Directory-based isolation preventing cross-user data access
- * - Sort by modification date with newest recordings first
+ * - Optional questionId filter on the question_id column
+ * - Only recordings with status 'uploaded' (deleted and missing ones are hidden)
+ * - Sort by upload time with newest recordings first
  * 
  * SECURITY FEATURES:
- * - Parameter validation for world, lmid, and questionId requirements
- * - Pattern matching to prevent unauthorized file access
+ * - Parameter validation for world, lmid, and lang requirements
  * - API key protection with secure environment variable storage
  * - CORS configuration for authorized cross-origin requests
  * 
  * ERROR HANDLING:
  * - Missing parameter detection with clear error messages
- * - Network failure recovery with appropriate status codes
+ * - Database failures reported as 500 with details
  * - Empty result handling with graceful response formatting
- * - Invalid folder access protection with filtered responses
- * 
- * PERFORMANCE OPTIMIZATIONS:
- * - Single API call for complete folder listing
- * - Client-side filtering to reduce server processing
- * - Efficient JSON serialization for large recording lists
- * - Minimal data transfer with essential metadata only
  * 
  * INTEGRATION POINTS:
  * - recording.js: Cross-device recording synchronization and display
- * - rp.js: Recording count validation for radio program generation
- * - Bunny.net CDN: Cloud storage and global content delivery
+ * - get-radio-data.js: Current recordings and kids/parent counts for program change detection
  * - Client Storage: IndexedDB synchronization and local cache management
  * 
  * DATA TRANSFORMATION:
- * - Cloud file objects to recording objects with standardized format
- * - Filename parsing for metadata extraction (timestamp, questionId)
- * - CDN URL construction for immediate audio access
- * - Size and date formatting for user-friendly display
+ * - One recording object per row: url (canonical Opus) + fallbackUrl (MP3, null for legacy uploads)
+ * - role: 'kids' (educator upload) or 'parent' (parent upload)
+ * - Upload-time analysis from the row: duration (seconds) and
+ *   analysis { integratedLufs, truePeakDbtp, peakDb, leadingSilence, trailingSilence, clippingRatio }
+ *   (both null for recordings uploaded before analysis existed)
+ * - waveformUrl: Signed CDN URL of the {recording}.waveform.json peaks, or null
  * 
  * MONITORING & LOGGING:
  * - Request tracking with parameter logging for debugging
  * - Success/failure rate monitoring for reliability metrics
- * - Performance tracking for folder listing operations
- * - Error analysis for storage connectivity issues
  * 
- * LAST UPDATED: January 2025
- * VERSION: 2.4.0
+ * LAST UPDATED: October 2026
+ * VERSION: 3.0.0
  * STATUS: Production Ready ✅
  */
 
+import { getStorage } from '../utils/storage.js';
+import { listIndexedRecordings } from '../utils/recordings-index.js';
+
+/**
+ * Response object for a recordings table row
+ * @param {Object} storage - Storage adapter
+ * @param {Object} row - recordings row
+ * @returns {Object} Recording as returned to clients
+ */
+function toRecording(storage, row) {
+    const analysis = row.analysis;
+
+    return {
+        filename: row.filename,
+        url: storage.signedUrl(row.storage_key),
+        fallbackUrl: row.fallback_storage_key ? storage.signedUrl(row.fallback_storage_key) : null,
+        size: row.size_bytes,
+        lastModified: new Date(row.created_at).getTime(),
+        questionId: String(row.question_id),
+        role: row.role,
+        duration: row.duration_seconds !== null ? Number(row.duration_seconds) : null,
+        waveformUrl: row.waveform_storage_key ? storage.signedUrl(row.waveform_storage_key) : null,
+        analysis: analysis ? {
+            integratedLufs: analysis.integratedLufs,
+            truePeakDbtp: analysis.truePeakDbtp,
+            peakDb: analysis.peakDb,
+            leadingSilence: analysis.leadingSilence,
+            trailingSilence: analysis.trailingSilence,
+            clippingRatio: analysis.clippingRatio
+        } : null
+    };
+}
+
 export default async function handler(req, res) {
     // Secure CORS headers
     const { setCorsHeaders } = await import('../utils/api-utils.js');
@@ -107,102 +127,30 @@ export default async function handler(req, res) {
             });
         }
 
-        // Construct the folder path where recordings are stored (matching upload API structure)
-        const folderPath = `${lang}/${lmid}/${world}/`;
-        
-        console.log(`Listing recordings for ${lang}/${world}/${lmid}/Q${questionId} in folder: ${folderPath}`);
+        if (!/^\d+$/.test(String(lmid)) || (questionId && !/^\d+$/.test(String(questionId)))) {
+            return res.status(400).json({
+                success: false,
+                error: 'lmid and questionId must be numbers'
+            });
+        }
 
-        // List files from Bunny.net
-        const listUrl = `https://storage.bunnycdn.com/${process.env.BUNNY_STORAGE_ZONE}/${folderPath}`;
-        
-        const response = await fetch(listUrl, {
-            method: 'GET',
-            headers: {
-                'AccessKey': process.env.BUNNY_API_KEY,
-                'Accept': 'application/json'
-            }
-        });
+        console.log(`Listing recordings for ${lang}/${world}/${lmid}/Q${questionId || 'all'}`);
 
-        if (!response.ok) {
-            // Handle 404 specifically - folder doesn't exist yet (new LMID)
-            if (response.status === 404) {
-                console.log(`Folder ${folderPath} does not exist yet (new LMID)`);
-                return res.status(200).json({
-                    success: true,
-                    world: world,
-                    lmid: lmid,
-                    questionId: questionId || 'all',
-                    count: 0,
-                    recordings: []
-                });
-            }
-            
-            console.error(`Bunny.net list failed: ${response.status} ${response.statusText}`);
+        let rows;
+        try {
+            rows = await listIndexedRecordings({ lang, lmid, world, questionId });
+        } catch (listError) {
+            console.error(`Recordings index query failed: ${listError.message}`);
             return res.status(500).json({ 
                 success: false,
-                error: 'Failed to list recordings from cloud storage',
-                details: `HTTP ${response.status}`
+                error: 'Failed to list recordings',
+                details: listError.message
             });
         }
 
-        let fileList = await response.json();
-        
-        // CRITICAL FIX: Filter out non-audio files (like .json manifests) at the source
-        // This ensures the count is only based on actual recordings
-        const audioExtensions = ['.webm', '.mp3'];
-        fileList = fileList.filter(file => {
-            const fileName = file.ObjectName || '';
-            return audioExtensions.some(ext => fileName.endsWith(ext));
-        });
-        
-        // Filter files for the specific question ID or all questions if questionId not provided
-        // Support both teacher (kids-world_) and parent (parent_memberid-world_) formats
-        let matchingFiles;
-        if (questionId) {
-            // Filter for specific question - STRICT: only files with timestamp marker -tm_1234567890
-            const teacherPattern = new RegExp(`kids-world_${world}-lmid_${lmid}-question_${questionId}-tm_\\d+\\.(webm|mp3)$`);
-            const parentPattern = new RegExp(`parent_[^-]+-world_${world}-lmid_${lmid}-question_${questionId}-tm_\\d+\\.(webm|mp3)$`);
-            
-            matchingFiles = fileList.filter(file => 
-                file.IsDirectory === false && 
-                (teacherPattern.test(file.ObjectName) || parentPattern.test(file.ObjectName))
-            );
-            console.log(`Found ${matchingFiles.length} recordings for question ${questionId} (teacher + parent)`);
-        } else {
-            // Get all recordings for this world/lmid - STRICT: only files with timestamp marker
-            const teacherPattern = new RegExp(`kids-world_${world}-lmid_${lmid}-question_\\d+-tm_\\d+\\.(webm|mp3)$`);
-            const parentPattern = new RegExp(`parent_[^-]+-world_${world}-lmid_${lmid}-question_\\d+-tm_\\d+\\.(webm|mp3)$`);
-            
-            matchingFiles = fileList.filter(file => 
-                file.IsDirectory === false && 
-                (teacherPattern.test(file.ObjectName) || parentPattern.test(file.ObjectName))
-            );
-            console.log(`Found ${matchingFiles.length} total recordings for ${world}/${lmid} (teacher + parent)`);
-        }
-
-        // Transform file list to recording objects
-        const recordings = matchingFiles.map(file => {
-            // Extract questionId from filename if not provided
-            let extractedQuestionId = questionId;
-            if (!questionId) {
-                // Support both teacher and parent filename formats
-                const teacherMatch = file.ObjectName.match(/kids-world_.*-question_(\d+)-/);
-                const parentMatch = file.ObjectName.match(/parent_.*-question_(\d+)-/);
-                const match = teacherMatch || parentMatch;
-                extractedQuestionId = match ? match[1] : 'unknown';
-            }
-            
-            return {
-                filename: file.ObjectName,
-                url: `https://${process.env.BUNNY_CDN_URL}/${folderPath}${file.ObjectName}`,
-                size: file.Length,
-                lastModified: new Date(file.LastChanged).getTime(),
-                questionId: extractedQuestionId
-            };
-        });
-
-        // Sort by last modified (newest first)
-        recordings.sort((a, b) => b.lastModified - a.lastModified);
+        const storage = getStorage();
+        const recordings = rows.map(row => toRecording(storage, row));
+        console.log(`Found ${recordings.length} recordings for ${world}/${lmid} (${questionId ? `question ${questionId}` : 'all questions'})`);
 
         return res.status(200).json({
             success: true,
@@ -0,0 +1,109 @@
+/**
+ * api/local-storage.js - File Server for the Local Storage Backend
+ *
+ * PURPOSE: Stand-in for the CDN when STORAGE_BACKEND=local (see utils/storage.js),
+ *          so players and process-queue can download stored recordings and programs
+ *
+ * REQUEST FORMAT:
+ * GET /local-storage/en/32/spookyland/radio-program-kids-spookyland-32.mp3
+ * (vercel.json rewrites it to /api/local-storage?path=...)
+ * Supports single byte ranges (Range: bytes=start-end) for seeking in audio players
+ *
+ * SIGNED URLS:
+ * With LOCAL_STORAGE_TOKEN_KEY set only /local-storage/_signed/{token}/{expires}/{scope}/... paths
+ * (storage.signUrl) are served - the same guarantee Bunny token authentication gives the CDN
+ *
+ * RESPONSES:
+ * 200/206 with the file, 403 for a missing, invalid or expired signature,
+ * 404 when missing or when the local backend is not enabled
+ */
+
+import path from 'path';
+
+const CONTENT_TYPES = {
+    '.webm': 'audio/webm',
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4',
+    '.flac': 'audio/flac',
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t',
+    '.json': 'application/json',
+    '.zip': 'application/zip'
+};
+
+export default async function handler(req, res) {
+    // Secure CORS headers
+    const { setCorsHeaders } = await import('../utils/api-utils.js');
+    const corsHandler = setCorsHeaders(res, ['GET', 'OPTIONS']);
+    corsHandler(req);
+
+    // Handle preflight OPTIONS request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { getStorage } = await import('../utils/storage.js');
+    const storage = getStorage();
+
+    // Never expose the filesystem when the CDN backend is in use
+    if (storage.backend !== 'local') {
+        return res.status(404).json({ error: 'Not found' });
+    }
+
+    try {
+        if (!req.query.path) {
+            return res.status(400).json({ error: 'Missing required parameter: path' });
+        }
+
+        let storagePath;
+        try {
+            storagePath = storage.verifyRequestPath(req.query.path);
+        } catch (signatureError) {
+            if (signatureError.statusCode === 403) {
+                return res.status(403).json({ error: signatureError.message });
+            }
+            throw signatureError;
+        }
+
+        const body = await storage.get(storagePath);
+        if (!body) {
+            return res.status(404).json({ error: 'Not found' });
+        }
+
+        const contentType = CONTENT_TYPES[path.extname(storagePath).toLowerCase()] || 'application/octet-stream';
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Accept-Ranges', 'bytes');
+        res.setHeader('Cache-Control', 'no-cache');
+
+        const rangeMatch = (req.headers.range || '').match(/^bytes=(\d*)-(\d*)$/);
+        if (rangeMatch && (rangeMatch[1] || rangeMatch[2])) {
+            // "bytes=-500" is the last 500 bytes
+            const start = rangeMatch[1] ? parseInt(rangeMatch[1], 10) : Math.max(0, body.length - parseInt(rangeMatch[2], 10));
+            const end = rangeMatch[1] && rangeMatch[2] ? Math.min(parseInt(rangeMatch[2], 10), body.length - 1) : body.length - 1;
+
+            if (start >= body.length || start > end) {
+                res.setHeader('Content-Range', `bytes */${body.length}`);
+                return res.status(416).end();
+            }
+
+            res.setHeader('Content-Range', `bytes ${start}-${end}/${body.length}`);
+            res.setHeader('Content-Length', end - start + 1);
+            return res.status(206).end(body.subarray(start, end + 1));
+        }
+
+        res.setHeader('Content-Length', body.length);
+        return res.status(200).end(body);
+
+    } catch (error) {
+        console.error('❌ Local storage read failed:', error);
+        return res.status(500).json({
+            error: 'Failed to read file',
+            details: error.message
+        });
+    }
+}
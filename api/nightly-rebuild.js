@@ -0,0 +1,91 @@
+/**
+ * api/nightly-rebuild.js - Scheduled Program Rebuild Route
+ *
+ * PURPOSE: Run utils/nightly-rebuild.js - enqueue programs with new recordings during the quiet
+ *          window, so parents land on a ready program instead of waiting for the generation
+ * DEPENDENCIES: utils/nightly-rebuild.js
+ *
+ * AUTHENTICATION:
+ * Authorization: Bearer <CRON_SECRET> (isCronAuthorized in utils/api-utils.js)
+ * Without CRON_SECRET configured the route refuses every request
+ *
+ * REQUEST FORMAT:
+ * GET /api/nightly-rebuild                       Enqueue within the quiet window (no-op outside it)
+ * GET /api/nightly-rebuild?dryRun=true           Report what would be enqueued
+ * GET /api/nightly-rebuild?force=true            Run outside the quiet window
+ * GET /api/nightly-rebuild?lang=en&lmid=32       Narrow the scan
+ *
+ * SCHEDULE:
+ * vercel.json cron, every 15 minutes from 01:00 to 04:45 UTC (NIGHTLY_REBUILD_WINDOW should cover it)
+ * Locally: npm run nightly-rebuild (scripts/nightly-rebuild.js)
+ *
+ * RESPONSE FORMAT:
+ * { success: true, report: { dryRun, window, inWindow, concurrency, activeJobs, stale, enqueued, deferred, skipped, errors } }
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+import { validateLMID, validateLanguage } from '../utils/input-validator.js';
+import { runNightlyRebuild } from '../utils/nightly-rebuild.js';
+
+export default async function handler(req, res) {
+    // Secure CORS headers
+    const { setCorsHeaders, isCronAuthorized } = await import('../utils/api-utils.js');
+    const corsHandler = setCorsHeaders(res, ['GET', 'OPTIONS']);
+    corsHandler(req);
+
+    // Rate limiting - 5 runs per minute
+    const { checkRateLimit } = await import('../utils/simple-rate-limiter.js');
+    if (!checkRateLimit(req, res, 'nightly-rebuild', 5)) {
+        return; // Rate limit exceeded
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ success: false, error: 'Method not allowed. Use GET.' });
+    }
+
+    if (!process.env.CRON_SECRET) {
+        console.error('❌ CRON_SECRET is not configured - nightly rebuild disabled');
+        return res.status(500).json({ success: false, error: 'Server configuration error' });
+    }
+
+    if (!isCronAuthorized(req)) {
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    try {
+        const { lang, lmid, force, dryRun } = req.query;
+
+        if (lang && !validateLanguage(lang).valid) {
+            return res.status(400).json({ success: false, error: 'Invalid language parameter' });
+        }
+        if (lmid && (!validateLMID(lmid).valid || !/^\d+$/.test(lmid))) {
+            return res.status(400).json({ success: false, error: 'lmid must be a number' });
+        }
+
+        const protocol = req.headers['x-forwarded-proto'] || 'https';
+        const report = await runNightlyRebuild({
+            force: force === 'true',
+            dryRun: dryRun === 'true',
+            lang,
+            lmid,
+            baseUrl: `${protocol}://${req.headers['host']}`
+        });
+
+        return res.status(200).json({ success: true, report });
+
+    } catch (error) {
+        console.error('❌ Nightly rebuild error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Nightly rebuild failed',
+            details: error.message
+        });
+    }
+}
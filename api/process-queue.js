@@ -9,12 +9,82 @@
  * GET /api/process-queue (manual trigger)
  * 
  * QUEUE WORKFLOW:
- * 1. Find oldest pending job (FIFO)
- * 2. Update status to 'processing'
- * 3. Execute FFmpeg audio processing
- * 4. Upload result to Bunny.net
- * 5. Update status to 'completed' with results
- * 6. Handle errors by updating status to 'failed'
+ * 1. Reclaim stale 'processing' jobs (reaper)
+ * 2. Find oldest pending job that is due (FIFO, respecting next_attempt_at)
+ * 3. Update status to 'processing' and count the attempt
+ * 4. Execute FFmpeg audio processing
+ * 5. Upload result to storage (utils/storage.js - Bunny.net or local directory)
+ * 6. Update status to 'completed' with results (chapter index in manifest_data)
+ * 7. Handle errors by scheduling a retry, or 'dead' when attempts are exhausted
+ * 
+ * FOLLOW-UP JOBS:
+ * - combine-audio.js keeps at most one pending job per lmid/world/type/lang
+ * - A pending job is not claimed while another job for the same program is processing
+ * - When a job finishes, its queued follow-up is triggered
+ * 
+ * GENERATION LOCK:
+ * - A claimed job renders only while it holds the program's lease (utils/generation-lock.js,
+ *   generation_locks table) - acquired atomically, renewed while rendering, released when done
+ * - A worker that loses the race returns its job to the queue without counting the attempt
+ *   (superseded instead when a follow-up job is already pending - only one pending job per program)
+ * - A lease lost mid-render aborts the render like a cancellation (checked between segments,
+ *   FFmpeg killed) and is confirmed once more before completion - the job is never completed
+ *   without its lease and goes back to the queue without counting the attempt
+ * - Only a renewal that finds another owner loses the lease - a failed renewal (database error)
+ *   is retried while the lease is still within its known expiry
+ * 
+ * PROGRESS:
+ * - The running attempt writes its stage, segment and FFmpeg progress to audio_generation_jobs.progress
+ *   (utils/job-progress.js) - FFmpeg progress events are measured against the expected duration
+ * - Segments and answers are weighted by the answer durations analyzed at upload (answerDurations of
+ *   the segment), which also time untrimmed answers for ducking and chapters without decoding them again
+ * - Cleared when an attempt starts and when it ends
+ * 
+ * CANCELLATION & SUPERSESSION (utils/job-cancellation.js):
+ * - A job cancelled by its teacher (api/cancel-job.js) or superseded while it renders is noticed
+ *   between segments and while FFmpeg runs: the FFmpeg command is killed, the temp directory removed,
+ *   files already uploaded deleted, the lease released - no retry is scheduled
+ * - A job whose program already has a newer completed job is marked superseded instead of completed,
+ *   so it never replaces the newer program; completing a job supersedes older pending jobs of its program
+ * 
+ * RETRIES:
+ * - Exponential backoff (30s, 60s, 120s... capped at 10 min) stored in next_attempt_at
+ * - JOB_MAX_ATTEMPTS attempts (default 4), then terminal 'dead' with the last error in error_message
+ * - Jobs 'processing' longer than the lease timeout are counted as a failed attempt
+ * - A render whose completion is not recorded (update error, or the attempt was reclaimed) ends
+ *   unsuccessfully without superseding or pruning anything - the reaper or the newer attempt owns the job
+ * 
+ * CHAPTER INDEX:
+ * - Start/end offset of every jingle, question prompt and individual answer
+ * - Stored in audio_generation_jobs.manifest_data.chapters
+ * - Embedded in the MP3 as ID3v2 CHAP/CTOC frames
+ * 
+ * SILENCE TRIMMING:
+ * - Leading/trailing silence of each answer removed with silenceremove (PROGRAM_TRIM_* settings)
+ * - Only the downloaded copies are trimmed - recordings in storage stay untouched
+ * 
+ * INCREMENTAL RENDERING:
+ * - Per-question answer blocks cached in {lang}/{lmid}/{world}/cache/
+ * - Cache key: hash of the ordered answer URLs and trim settings; only changed questions are re-rendered
+ * - Blocks no longer referenced by the latest job are pruned
+ * 
+ * MASTERING:
+ * - Background bed ducked with sidechain compression while voices play
+ * - Program bed from the template's leading { type: 'background' } segment (legacy: first answers backgroundUrl)
+ * - Section beds (segment bedUrl) play under their own segment only, ducked together with the program bed
+ * - Two-pass EBU R128 loudnorm (PROGRAM_TARGET_LUFS, PROGRAM_TRUE_PEAK_DBTP, PROGRAM_LOUDNESS_RANGE)
+ * - Measured loudness stored in audio_generation_jobs.loudness_data
+ * 
+ * RENDITIONS:
+ * - Mastered once to a lossless FLAC master, every rendition is encoded from it
+ * - MP3 (always), plus Opus/WebM, AAC/M4A and HLS per PROGRAM_RENDITIONS
+ * - Published list stored in audio_generation_jobs.manifest_data.renditions
+ * - Waveform peaks JSON next to the MP3 (manifest_data.waveformUrl)
+ * 
+ * PROGRAM VERSIONS:
+ * - Every job writes to its own folder {lang}/{lmid}/{world}/programs/{type}/{jobId}/ (HLS under hls/)
+ * - Files are never overwritten, so they are cached as immutable
+ * - After completion old versions are pruned to PROGRAM_VERSION_RETENTION (utils/program-versions.js)
  * 
  * MEMORY OPTIMIZATION:
  * - Processes only ONE job at a time
@@ -30,7 +100,60 @@ import os from 'os';
 import https from 'https';
 import http from 'http';
 import { createWriteStream } from 'fs';
+import { createHash } from 'crypto';
 import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import { generateWaveformPeaks } from '../utils/audio-analysis.js';
+import { getWaveformSidecarName, getStoredAnswerDuration, estimateSegmentDuration } from '../utils/audio-utils.js';
+import { getStorage } from '../utils/storage.js';
+import { countProgramRecordings } from '../utils/recordings-index.js';
+import { getProgramVersionFolder, pruneProgramVersions } from '../utils/program-versions.js';
+import { acquireGenerationLock, startLockRenewal, releaseLock } from '../utils/generation-lock.js';
+import { createProgressReporter } from '../utils/job-progress.js';
+import { createCancellationWatch, supersedeJob, supersedeOlderJobs, STOPPED_STATUSES } from '../utils/job-cancellation.js';
+
+// Rendered per-question answer blocks are cached here (inside the world folder)
+const ANSWER_CACHE_FOLDER = 'cache';
+
+// Lifetime of the signed URLs process-queue downloads recordings and assets with
+const DOWNLOAD_URL_TTL_SECONDS = 15 * 60;
+
+// Published program renditions (PROGRAM_RENDITIONS selects which ones, e.g. "mp3,opus,aac,hls")
+const RENDITIONS = {
+    mp3: { extension: 'mp3', format: 'mp3', codec: 'libmp3lame', bitrate: '128k', mimeType: 'audio/mpeg', codecs: 'mp3', chapters: true, outputOptions: ['-ar', '44100', '-ac', '2', '-id3v2_version', '3'] },
+    opus: { extension: 'webm', format: 'webm', codec: 'libopus', bitrate: '48k', mimeType: 'audio/webm', codecs: 'opus', chapters: false, outputOptions: ['-ar', '48000', '-ac', '2'] },
+    aac: { extension: 'm4a', format: 'ipod', codec: 'aac', bitrate: '96k', mimeType: 'audio/mp4', codecs: 'mp4a.40.2', chapters: true, outputOptions: ['-ar', '44100', '-ac', '2', '-movflags', '+faststart'] },
+    hls: { extension: 'm3u8', mimeType: 'application/vnd.apple.mpegurl', codecs: 'mp4a.40.2', variants: ['48k', '128k'], segmentSeconds: 6 }
+};
+const DEFAULT_RENDITIONS = 'mp3,opus,aac';
+
+// Retry policy: failed jobs return to 'pending' with exponential backoff until they become 'dead'
+const RETRY_POLICY = {
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 4,
+    baseDelayMs: 30 * 1000,
+    maxDelayMs: 10 * 60 * 1000,
+    leaseMs: 6 * 60 * 1000  // Longer than the function maxDuration (300s in vercel.json)
+};
+
+// Silence trimming of answers before assembly (originals in storage are never modified)
+const SILENCE_TRIM = {
+    enabled: process.env.PROGRAM_TRIM_SILENCE !== 'false',
+    thresholdDb: parseFloat(process.env.PROGRAM_TRIM_THRESHOLD_DB) || -45,
+    keepLeadingSeconds: parseFloat(process.env.PROGRAM_TRIM_KEEP_LEADING) || 0.15,
+    keepTrailingSeconds: parseFloat(process.env.PROGRAM_TRIM_KEEP_TRAILING) || 0.3,
+    minDurationSeconds: 0.5  // Keep the untrimmed answer if less than this would remain
+};
+
+// Program mastering: background ducking and EBU R128 loudness targets
+const MASTERING = {
+    targetLufs: parseFloat(process.env.PROGRAM_TARGET_LUFS) || -16,
+    truePeak: parseFloat(process.env.PROGRAM_TRUE_PEAK_DBTP) || -1.5,
+    loudnessRange: parseFloat(process.env.PROGRAM_LOUDNESS_RANGE) || 11,
+    backgroundVolume: parseFloat(process.env.PROGRAM_BACKGROUND_VOLUME) || 0.2,
+    duckThreshold: 0.02,  // Voice level that starts ducking
+    duckRatio: 8,
+    duckAttackMs: 20,
+    duckReleaseMs: 400
+};
 
 export default async function handler(req, res) {
     // Secure CORS headers
@@ -68,22 +191,48 @@ export default async function handler(req, res) {
         const { getSupabaseClient } = await import('../utils/database-utils.js');
         const supabase = getSupabaseClient();
 
+        // Reclaim jobs left in 'processing' by crashed or timed-out workers
+        await reapStaleJobs(supabase);
+
         let job = null;
         
         if (specificJobId) {
-            // Try to atomically claim the specific job
-            const { data: claimedJob, error: claimError } = await supabase
+            const { data: candidate, error: fetchError } = await supabase
                 .from('audio_generation_jobs')
-                .update({ 
-                    status: 'processing',
-                    started_at: new Date().toISOString()
-                })
+                .select('id, status, attempts, next_attempt_at, lmid, world, type, lang')
                 .eq('id', specificJobId)
-                .eq('status', 'pending') // Only if still pending
-                .select()
                 .single();
+
+            if (fetchError || !candidate || candidate.status !== 'pending') {
+                console.log(`⏳ Job ${specificJobId} already being processed or not found`);
+                return res.status(409).json({
+                    success: false,
+                    message: `Job ${specificJobId} already being processed or completed`
+                });
+            }
+
+            if (candidate.next_attempt_at && new Date(candidate.next_attempt_at) > new Date()) {
+                console.log(`⏳ Job ${specificJobId} is backing off until ${candidate.next_attempt_at}`);
+                return res.status(409).json({
+                    success: false,
+                    message: `Job ${specificJobId} is waiting to be retried`,
+                    nextAttemptAt: candidate.next_attempt_at
+                });
+            }
+
+            // Follow-up jobs wait until the running job for the same program finishes
+            if (await hasProcessingSibling(supabase, candidate)) {
+                console.log(`⏳ Job ${specificJobId} is a follow-up - waiting for the running job`);
+                return res.status(409).json({
+                    success: false,
+                    message: `Job ${specificJobId} is queued behind a running job for the same program`
+                });
+            }
+
+            // Try to atomically claim the specific job
+            job = await claimJob(supabase, candidate);
                 
-            if (claimError || !claimedJob) {
+            if (!job) {
                 console.log(`⏳ Job ${specificJobId} already being processed or not found`);
                 return res.status(409).json({
                     success: false,
@@ -91,17 +240,17 @@ export default async function handler(req, res) {
                 });
             }
             
-            job = claimedJob;
-            console.log(`🔒 Successfully claimed job ${specificJobId} for processing`);
+            console.log(`🔒 Successfully claimed job ${specificJobId} for processing (attempt ${job.attempts})`);
             
         } else {
-            // Find and atomically claim oldest pending job
-            const { data: pendingJobs, error: fetchError } = await supabase
+            // Find oldest pending jobs that are not backing off
+            const { data: dueJobs, error: fetchError } = await supabase
                 .from('audio_generation_jobs')
-                .select('id')
+                .select('id, status, attempts, lmid, world, type, lang')
                 .eq('status', 'pending')
+                .or(`next_attempt_at.is.null,next_attempt_at.lte.${new Date().toISOString()}`)
                 .order('created_at', { ascending: true })
-                .limit(1);
+                .limit(10);
 
             if (fetchError) {
                 console.error('❌ Failed to fetch pending jobs:', fetchError);
@@ -111,7 +260,16 @@ export default async function handler(req, res) {
                 });
             }
 
-            if (!pendingJobs || pendingJobs.length === 0) {
+            // Skip follow-up jobs whose program is still being processed
+            const pendingJobs = [];
+            for (const dueJob of dueJobs || []) {
+                if (!(await hasProcessingSibling(supabase, dueJob))) {
+                    pendingJobs.push(dueJob);
+                    break;
+                }
+            }
+
+            if (pendingJobs.length === 0) {
                 console.log('📭 No pending jobs found');
                 return res.status(200).json({
                     success: true,
@@ -121,92 +279,245 @@ export default async function handler(req, res) {
             }
 
             // Try to atomically claim the job
-            const jobId = pendingJobs[0].id;
-            const { data: claimedJob, error: claimError } = await supabase
-                .from('audio_generation_jobs')
-                .update({ 
-                    status: 'processing',
-                    started_at: new Date().toISOString()
-                })
-                .eq('id', jobId)
-                .eq('status', 'pending') // Only if still pending
-                .select()
-                .single();
+            job = await claimJob(supabase, pendingJobs[0]);
                 
-            if (claimError || !claimedJob) {
-                console.log(`⏳ Job ${jobId} was claimed by another process`);
+            if (!job) {
+                console.log(`⏳ Job ${pendingJobs[0].id} was claimed by another process`);
                 return res.status(409).json({
                     success: false,
                     message: 'Job was claimed by another process'
                 });
             }
             
-            job = claimedJob;
-            console.log(`🔒 Successfully claimed job ${jobId} for processing`);
+            console.log(`🔒 Successfully claimed job ${job.id} for processing (attempt ${job.attempts})`);
         }
         console.log(`🎯 Processing job: ${job.id} | LMID: ${job.lmid} | World: ${job.world} | Type: ${job.type}`);
         
         // Job already marked as 'processing' atomically above - no need to update again
 
+        // The sibling check above is not atomic - the lease is what keeps two renders of one program apart
+        let lock;
+        try {
+            lock = await acquireGenerationLock(job.world, job.lmid, job.type, getRecordingSnapshot(job), job.lang, {
+                ownerId: `job_${job.id}_${job.attempts}`
+            });
+        } catch (lockError) {
+            // The lease could not be read (database down, migration missing): a failed attempt with
+            // backoff, so the job ends up dead instead of cycling through claim and requeue
+            console.error(`❌ Job ${job.id} could not take its generation lease:`, lockError.message);
+            const outcome = await recordJobFailure(supabase, job, lockError.message, null, {
+                status: 'processing',
+                started_at: job.started_at
+            });
+
+            return res.status(500).json({
+                success: false,
+                message: {
+                    dead: 'Job processing failed permanently',
+                    superseded: 'Generation lease unavailable, superseded by the queued follow-up job'
+                }[outcome.status] || 'Generation lease unavailable, retry scheduled',
+                jobId: job.id,
+                status: outcome.status,
+                attempts: job.attempts,
+                nextAttemptAt: outcome.nextAttemptAt,
+                error: lockError.message,
+                processed: 0
+            });
+        }
+        if (!lock) {
+            await returnJobToQueue(supabase, job);
+            return res.status(409).json({
+                success: false,
+                message: `Job ${job.id} is queued behind a running generation for the same program`
+            });
+        }
+        const cancellation = createCancellationWatch(supabase, job);
+        const lockRenewal = startLockRenewal(lock, {
+            // Another worker may render this program now - stop before anything is published
+            onLost: () => cancellation.abort(new Error(`Generation lease ${lock.lockKey} was lost`))
+        });
+        // Segments weigh by duration (analyzed answer durations) in the progress and its ETA
+        const progress = createProgressReporter(supabase, job, {
+            segmentWeights: (job.audio_segments || []).map(estimateSegmentDuration)
+        });
+
         const startTime = Date.now();
 
+        // Cancelled or superseded: nothing is published and nothing retried
+        const finishStoppedJob = async (stoppedStatus) => {
+            console.log(`🛑 Job ${job.id} stopped (${stoppedStatus}) after ${Date.now() - startTime}ms`);
+            await discardProgramVersion(job);
+            await supabase
+                .from('audio_generation_jobs')
+                .update({ progress: null, processing_duration_ms: Date.now() - startTime })
+                .eq('id', job.id)
+                .in('status', STOPPED_STATUSES);
+
+            await releaseJobLock(lock, lockRenewal);
+            await triggerFollowUpJob(req, supabase, job);
+
+            return res.status(200).json({
+                success: false,
+                message: `Job was ${stoppedStatus} - nothing published`,
+                jobId: job.id,
+                status: stoppedStatus,
+                processingDuration: Date.now() - startTime,
+                processed: 0
+            });
+        };
+
+        // Lease lost (taken over, or expired unrenewed): the render is not completed - it was not this
+        // job's fault, so the job goes back to the queue without counting the attempt
+        const finishLostLease = async () => {
+            const processingDuration = Date.now() - startTime;
+            console.warn(`⚠️ Job ${job.id} lost its lease ${lock.lockKey} after ${processingDuration}ms - returning it to the queue`);
+            const status = await returnJobToQueue(supabase, job);
+            await releaseJobLock(lock, lockRenewal);
+
+            return res.status(409).json({
+                success: false,
+                message: status === 'superseded'
+                    ? 'Job lost its generation lease - nothing published, superseded by the queued follow-up job'
+                    : 'Job lost its generation lease - nothing published, returned to the queue',
+                jobId: job.id,
+                status: status,
+                processingDuration: processingDuration,
+                processed: 0
+            });
+        };
+
         try {
             // Process the audio job using FFmpeg (audioSegments from database)
-            const result = await processAudioJob(job);
+            const result = await processAudioJob(job, progress, cancellation);
+            cancellation.stop();
+            await progress.finish();
+
+            // Renewals run on a timer - confirm the lease is still ours before completing
+            if (!(await lockRenewal.confirm())) {
+                return await finishLostLease();
+            }
             
             const processingDuration = Date.now() - startTime;
             console.log(`✅ Job processed successfully in ${processingDuration}ms: ${result.programUrl}`);
 
+            // A newer job of this program finished first - publishing this one would replace it
+            const newerJob = await findNewerCompletedJob(supabase, job);
+            if (newerJob && await supersedeJob(supabase, job, newerJob.id, { status: 'processing', attempts: job.attempts })) {
+                return await finishStoppedJob('superseded');
+            }
+
             // Update job status to completed with results (SIMPLIFIED)
-            const { error: completeError } = await supabase
+            const { data: completedRows, error: completeError } = await supabase
                 .from('audio_generation_jobs')
                 .update({
                     status: 'completed',
                     completed_at: new Date().toISOString(),
                     program_url: result.programUrl,
                     file_count: result.fileCount,
-                    processing_duration_ms: processingDuration
+                    manifest_data: result.manifest,
+                    loudness_data: result.loudness,
+                    processing_duration_ms: processingDuration,
+                    next_attempt_at: null,
+                    error_message: null,
+                    progress: null
                 })
-                .eq('id', job.id);
+                .eq('id', job.id)
+                .eq('status', 'processing') // Not cancelled or reclaimed in the meantime
+                .eq('attempts', job.attempts)
+                .select('id');
+
+            if (!completeError && completedRows.length === 0) {
+                // Stopped while its files were uploaded
+                const stoppedStatus = await readStoppedStatus(supabase, job);
+                if (stoppedStatus) {
+                    return await finishStoppedJob(stoppedStatus);
+                }
+            }
+
+            // Completion not recorded (update failed, or the job was reclaimed or reaped meanwhile):
+            // this render is not the program - nothing is superseded or pruned on its behalf
+            if (completeError || completedRows.length === 0) {
+                const reason = completeError
+                    ? `completion update failed: ${completeError.message}`
+                    : 'job changed while processing (reclaimed or reaped)';
+                console.error(`❌ Job ${job.id} rendered but its completion was not recorded - ${reason}`);
+
+                await releaseJobLock(lock, lockRenewal);
+
+                return res.status(500).json({
+                    success: false,
+                    message: 'Job rendered but its completion was not recorded',
+                    jobId: job.id,
+                    error: reason,
+                    processingDuration: processingDuration,
+                    processed: 0
+                });
+            }
 
-            if (completeError) {
-                console.error('❌ Failed to update job completion:', completeError);
-                // Job was processed but status update failed - log for manual recovery
+            // Older pending jobs of this program would only publish older recordings
+            try {
+                await supersedeOlderJobs(supabase, job);
+            } catch (supersedeError) {
+                console.warn(`⚠️ ${supersedeError.message}`);
             }
 
+            // Retention is best effort - the new version is already published
+            try {
+                await pruneProgramVersions(supabase, job);
+            } catch (pruneError) {
+                console.warn(`⚠️ Failed to prune old program versions: ${pruneError.message}`);
+            }
+
+            // Only the published program decides which answer blocks the next rebuild reuses
+            await pruneAnswerBlockCache(job.lang, job.lmid, job.world, job.type, result.answerCacheFiles);
+
+            await releaseJobLock(lock, lockRenewal);
+            await triggerFollowUpJob(req, supabase, job);
+
             return res.status(200).json({
                 success: true,
                 message: 'Job processed successfully',
                 jobId: job.id,
                 programUrl: result.programUrl,
+                renditions: result.manifest.renditions,
                 processingDuration: processingDuration,
                 processed: 1
             });
 
         } catch (processingError) {
+            cancellation.stop();
+            await progress.finish();
+
+            const stoppedStatus = processingError.stoppedStatus || cancellation.stoppedStatus();
+            if (stoppedStatus) {
+                return await finishStoppedJob(stoppedStatus);
+            }
+            if (lockRenewal.isLost()) {
+                return await finishLostLease();
+            }
             console.error('❌ Job processing failed:', processingError);
             
             const processingDuration = Date.now() - startTime;
 
-            // Update job status to failed
-            const { error: failError } = await supabase
-                .from('audio_generation_jobs')
-                .update({
-                    status: 'failed',
-                    completed_at: new Date().toISOString(),
-                    error_message: processingError.message,
-                    processing_duration_ms: processingDuration
-                })
-                .eq('id', job.id);
+            // Schedule a retry with backoff, or move the job to 'dead' when attempts are exhausted
+            const outcome = await recordJobFailure(supabase, job, processingError.message, processingDuration, {
+                status: 'processing',
+                started_at: job.started_at
+            });
 
-            if (failError) {
-                console.error('❌ Failed to update job failure status:', failError);
-            }
+            await releaseJobLock(lock, lockRenewal);
+            await triggerFollowUpJob(req, supabase, job);
 
             return res.status(500).json({
                 success: false,
-                message: 'Job processing failed',
+                message: {
+                    dead: 'Job processing failed permanently',
+                    superseded: 'Job processing failed, superseded by the queued follow-up job'
+                }[outcome.status] || 'Job processing failed, retry scheduled',
                 jobId: job.id,
+                status: outcome.status,
+                attempts: job.attempts,
+                nextAttemptAt: outcome.nextAttemptAt,
                 error: processingError.message,
                 processingDuration: processingDuration,
                 processed: 0
@@ -223,10 +534,365 @@ export default async function handler(req, res) {
     }
 }
 
+/**
+ * Atomically claim a pending job and count the attempt
+ * The attempts value acts as an optimistic lock: if another worker claimed
+ * (or the reaper rescheduled) the job in between, the update matches nothing
+ * @param {Object} supabase - Supabase client
+ * @param {Object} candidate - Job row with id and attempts
+ * @returns {Promise<Object|null>} Claimed job row or null
+ */
+async function claimJob(supabase, candidate) {
+    const attempts = candidate.attempts || 0;
+
+    const { data: claimedJob, error: claimError } = await supabase
+        .from('audio_generation_jobs')
+        .update({ 
+            status: 'processing',
+            started_at: new Date().toISOString(),
+            attempts: attempts + 1,
+            progress: null
+        })
+        .eq('id', candidate.id)
+        .eq('status', 'pending') // Only if still pending
+        .eq('attempts', attempts)
+        .select()
+        .single();
+
+    if (claimError || !claimedJob) {
+        return null;
+    }
+
+    return claimedJob;
+}
+
+/**
+ * Put a claimed job back to 'pending' without counting the attempt (another worker holds the lease)
+ * Guarded like claimJob, so a job the reaper touched meanwhile is left alone
+ * When a follow-up job is already pending (one-pending index, 23505) the job is superseded by it instead
+ * @param {Object} supabase - Supabase client
+ * @param {Object} job - Claimed job row
+ * @returns {Promise<string>} Status the job was left in ('pending' or 'superseded')
+ */
+async function returnJobToQueue(supabase, job) {
+    const { error } = await supabase
+        .from('audio_generation_jobs')
+        .update({
+            status: 'pending',
+            started_at: null,
+            attempts: job.attempts - 1,
+            progress: null
+        })
+        .eq('id', job.id)
+        .eq('status', 'processing')
+        .eq('attempts', job.attempts);
+
+    if (error && error.code === '23505') {
+        // The queued follow-up job renders newer recordings of this program
+        const followUpId = await findPendingFollowUpId(supabase, job);
+        try {
+            await supersedeJob(supabase, job, followUpId, { status: 'processing', attempts: job.attempts });
+            console.log(`⏭️ Job ${job.id} not returned to the queue - superseded by the queued follow-up job`);
+        } catch (supersedeError) {
+            console.warn(`⚠️ Failed to supersede job ${job.id} (the reaper will retry it): ${supersedeError.message}`);
+        }
+        return 'superseded';
+    }
+
+    if (error) {
+        console.warn(`⚠️ Failed to return job ${job.id} to the queue (the reaper will): ${error.message}`);
+    } else {
+        console.log(`↩️ Job ${job.id} returned to the queue - its program is being generated by another worker`);
+    }
+    return 'pending';
+}
+
+/**
+ * Pending job of the same program (the follow-up queued behind a processing job)
+ * @param {Object} supabase - Supabase client
+ * @param {Object} job - Job row with lmid, world, type, lang
+ * @returns {Promise<string|null>} Job id or null
+ */
+async function findPendingFollowUpId(supabase, job) {
+    const { data: followUps } = await supabase
+        .from('audio_generation_jobs')
+        .select('id')
+        .match({ lmid: job.lmid, world: job.world, type: job.type, lang: job.lang })
+        .eq('status', 'pending')
+        .neq('id', job.id)
+        .limit(1);
+
+    return followUps?.[0]?.id || null;
+}
+
+/**
+ * Stop renewing and release the job's generation lease
+ * @param {Object} lock - Lock data from acquireGenerationLock
+ * @param {Object} lockRenewal - Renewal from startLockRenewal
+ */
+async function releaseJobLock(lock, lockRenewal) {
+    lockRenewal.stop();
+    await releaseLock(lock.world, lock.lmid, lock.type, lock.lang, lock.ownerId);
+}
+
+/**
+ * Recording filenames a job was planned from (the lease snapshot, see hasRecordingsChanged)
+ * Answers left out by a template limit count too, like the job file_count
+ * @param {Object} job - Job row with audio_segments
+ * @returns {Array<string>} Filenames
+ */
+function getRecordingSnapshot(job) {
+    const storage = getStorage();
+    const filenames = new Set();
+
+    (job.audio_segments || []).forEach(segment => {
+        (segment.plannedUrls || segment.answerUrls || []).forEach(url => {
+            const storagePath = storage.pathFromUrl(url);
+            if (storagePath) filenames.add(storagePath.split('/').pop());
+        });
+    });
+
+    return [...filenames];
+}
+
+/**
+ * Record a failed attempt: back to 'pending' with exponential backoff,
+ * or 'dead' (terminal, last error kept in error_message) when attempts are exhausted
+ * @param {Object} supabase - Supabase client
+ * @param {Object} job - Claimed job row (attempts already counts this attempt)
+ * @param {string} errorMessage - Error of this attempt
+ * @param {number|null} processingDuration - Duration of this attempt in ms
+ * @param {Object} guard - Extra column filters for the update (used by the reaper)
+ * @returns {Promise<Object>} { status, nextAttemptAt }
+ */
+async function recordJobFailure(supabase, job, errorMessage, processingDuration = null, guard = {}) {
+    const attempts = job.attempts || 0;
+    const isDead = attempts >= RETRY_POLICY.maxAttempts;
+    const nextAttemptAt = isDead ? null : new Date(Date.now() + getRetryDelay(attempts)).toISOString();
+
+    const update = isDead
+        ? {
+            status: 'dead',
+            completed_at: new Date().toISOString(),
+            next_attempt_at: null,
+            error_message: errorMessage,
+            progress: null
+        }
+        : {
+            status: 'pending',
+            next_attempt_at: nextAttemptAt,
+            error_message: errorMessage,
+            progress: null
+        };
+
+    if (processingDuration !== null) {
+        update.processing_duration_ms = processingDuration;
+    }
+
+    let query = supabase
+        .from('audio_generation_jobs')
+        .update(update)
+        .eq('id', job.id);
+
+    Object.entries(guard).forEach(([column, value]) => {
+        query = query.eq(column, value);
+    });
+
+    let { error: failError } = await query;
+
+    if (failError && failError.code === '23505') {
+        // A follow-up job is already pending for this program and will produce a newer program.
+        // Same guard as the failure update - a job reclaimed or reaped meanwhile is not superseded
+        try {
+            if (await supersedeJob(supabase, job, await findPendingFollowUpId(supabase, job), guard)) {
+                console.warn(`⏭️ Job ${job.id} not retried (${errorMessage}) - superseded by the queued follow-up job`);
+            } else {
+                console.warn(`⚠️ Job ${job.id} changed before it could be superseded - left as it is`);
+            }
+        } catch (supersedeError) {
+            console.error('❌ Failed to update job failure status:', supersedeError);
+        }
+        return { status: 'superseded', nextAttemptAt: null };
+    }
+
+    if (failError) {
+        console.error('❌ Failed to update job failure status:', failError);
+    } else if (isDead) {
+        console.error(`💀 Job ${job.id} is dead after ${attempts} attempts: ${errorMessage}`);
+    } else {
+        console.warn(`🔁 Job ${job.id} failed (attempt ${attempts}/${RETRY_POLICY.maxAttempts}), retry at ${nextAttemptAt}`);
+    }
+
+    return { status: update.status, nextAttemptAt };
+}
+
+/**
+ * Check whether another job for the same program is currently processing
+ * @param {Object} supabase - Supabase client
+ * @param {Object} job - Job row with id, lmid, world, type, lang
+ * @returns {Promise<boolean>}
+ */
+async function hasProcessingSibling(supabase, job) {
+    const { data: siblings } = await supabase
+        .from('audio_generation_jobs')
+        .select('id')
+        .match({ lmid: job.lmid, world: job.world, type: job.type, lang: job.lang })
+        .eq('status', 'processing')
+        .neq('id', job.id)
+        .limit(1);
+
+    return Boolean(siblings && siblings.length > 0);
+}
+
+/**
+ * Newest completed job of the same program created after a job (it holds newer recordings)
+ * @param {Object} supabase - Supabase client
+ * @param {Object} job - Job row with id, lmid, world, type, lang, created_at
+ * @returns {Promise<Object|null>} Job row { id } or null
+ */
+async function findNewerCompletedJob(supabase, job) {
+    const { data: newerJobs, error } = await supabase
+        .from('audio_generation_jobs')
+        .select('id')
+        .match({ lmid: job.lmid, world: job.world, type: job.type, lang: job.lang })
+        .eq('status', 'completed')
+        .gt('created_at', job.created_at)
+        .limit(1);
+
+    if (error) {
+        console.warn(`⚠️ Failed to look up newer jobs for ${job.id}: ${error.message}`);
+        return null;
+    }
+    return newerJobs?.[0] || null;
+}
+
+/**
+ * Status of a job if it was cancelled or superseded, otherwise null
+ */
+async function readStoppedStatus(supabase, job) {
+    const { data } = await supabase
+        .from('audio_generation_jobs')
+        .select('status')
+        .eq('id', job.id)
+        .maybeSingle();
+
+    return data && STOPPED_STATUSES.includes(data.status) ? data.status : null;
+}
+
+/**
+ * Delete the files a stopped job already uploaded to its version folder (best effort)
+ * @param {Object} job - Job row { id, lmid, world, type, lang }
+ */
+async function discardProgramVersion(job) {
+    try {
+        await getStorage().delete(getProgramVersionFolder(job));
+    } catch (error) {
+        console.warn(`⚠️ Failed to delete program files of stopped job ${job.id}: ${error.message}`);
+    }
+}
+
+/**
+ * Start the follow-up job queued behind a finished job (same trigger as combine-audio.js)
+ * When no host is known (direct call) the cron picks the follow-up up instead
+ * @param {Object} req - Incoming request (for the deployment URL)
+ * @param {Object} supabase - Supabase client
+ * @param {Object} job - Finished job row
+ */
+async function triggerFollowUpJob(req, supabase, job) {
+    const host = req.headers?.['host'];
+    if (!host) {
+        return;
+    }
+
+    const { data: followUps } = await supabase
+        .from('audio_generation_jobs')
+        .select('id')
+        .match({ lmid: job.lmid, world: job.world, type: job.type, lang: job.lang })
+        .eq('status', 'pending')
+        .limit(1);
+
+    if (!followUps || followUps.length === 0) {
+        return;
+    }
+
+    const followUpId = followUps[0].id;
+    const protocol = req.headers['x-forwarded-proto'] || 'https';
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+    console.log(`⚡ Triggering follow-up job ${followUpId}`);
+
+    await fetch(`${protocol}://${host}/api/process-queue`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Little-Microphones-Internal'
+        },
+        body: JSON.stringify({ specificJobId: followUpId, triggeredBy: 'follow-up' }),
+        signal: controller.signal
+    })
+    .then(response => {
+        clearTimeout(timeoutId);
+        console.log(`📊 Follow-up trigger response: ${response.status}`);
+    })
+    .catch(err => {
+        clearTimeout(timeoutId);
+        if (err.name !== 'AbortError') {
+            console.warn(`⚠️ Follow-up trigger failed: ${err.message}`);
+        }
+    });
+}
+
+/**
+ * Exponential backoff with jitter
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(attempts) {
+    const delay = Math.min(RETRY_POLICY.maxDelayMs, RETRY_POLICY.baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)));
+    const jitter = delay * 0.2 * (Math.random() * 2 - 1);
+    return Math.round(delay + jitter);
+}
+
+/**
+ * Reaper: jobs still 'processing' after the lease timeout belonged to a worker
+ * that crashed or hit the function time limit - count them as a failed attempt
+ * @param {Object} supabase - Supabase client
+ */
+async function reapStaleJobs(supabase) {
+    const leaseCutoff = new Date(Date.now() - RETRY_POLICY.leaseMs).toISOString();
+
+    const { data: staleJobs, error } = await supabase
+        .from('audio_generation_jobs')
+        .select('id, attempts, started_at, lmid, world, type, lang')
+        .eq('status', 'processing')
+        .lt('started_at', leaseCutoff);
+
+    if (error) {
+        console.warn('⚠️ Failed to look up stale jobs:', error.message);
+        return;
+    }
+
+    for (const staleJob of staleJobs || []) {
+        console.warn(`🧹 Reclaiming stale job ${staleJob.id} (processing since ${staleJob.started_at})`);
+        // Guard on started_at so a job re-claimed meanwhile is left alone
+        await recordJobFailure(
+            supabase,
+            staleJob,
+            'Processing lease expired (worker crashed or timed out)',
+            null,
+            { status: 'processing', started_at: staleJob.started_at }
+        );
+    }
+}
+
 /**
  * Process audio job using FFmpeg (original combine-audio logic)
+ * @param {Object} job - Claimed job row
+ * @param {Object} progress - Progress reporter (utils/job-progress.js)
+ * @param {Object} cancellation - Cancellation watch (utils/job-cancellation.js)
  */
-async function processAudioJob(job) {
+async function processAudioJob(job, progress, cancellation) {
     const { lmid, world, lang, type, audio_segments: audioSegments } = job;
     
     console.log(`🎵 Starting FFmpeg processing for ${lang}/${world}/${lmid} (${type} program)`);
@@ -244,24 +910,36 @@ async function processAudioJob(job) {
     try {
         // Process each segment IN ORDER (critical for maintaining DOM sequence)
         const processedSegments = [];
+        const usedCacheFiles = new Set();
+        const cacheStats = { reused: 0, rendered: 0 };
         
         for (let i = 0; i < audioSegments.length; i++) {
             const segment = audioSegments[i];
+            const segmentProgress = { segmentIndex: i + 1, segmentTotal: audioSegments.length };
+            await cancellation.check();
             console.log(`🎵 Processing segment ${i + 1}/${audioSegments.length}:`, segment.type);
+            progress.report({ ...segmentProgress, stagePercent: 0 });
             
-            if (segment.type === 'single' || segment.type === 'recording') {
+            if (segment.type === 'background') {
+                // Program bed declared by the template - mixed under everything at assembly
+                continue;
+            } else if (segment.type === 'single' || segment.type === 'recording') {
                 // Single audio file (intro, outro, questions, recordings)
                 const fileName = `segment-${String(i).padStart(3, '0')}-single.mp3`;
                 const filePath = path.join(tempDir, fileName);
                 
                 console.log(`📥 Downloading: ${segment.url}`);
+                progress.report({ ...segmentProgress, stage: 'downloading' });
                 await downloadFile(segment.url, filePath);
                 
                 processedSegments.push({
                     path: filePath,
                     type: 'single',
                     url: segment.url,
-                    originalIndex: i
+                    originalIndex: i,
+                    duration: await getAudioDuration(filePath),
+                    chapter: classifySegmentUrl(segment.url),
+                    bedUrl: segment.bedUrl || null
                 });
                 
                 console.log(`✅ Processed single segment ${i + 1}: ${fileName}`);
@@ -278,77 +956,112 @@ async function processAudioJob(job) {
                 processedSegments.push({
                     path: filePath,
                     type: 'single',
-                    originalIndex: i
+                    originalIndex: i,
+                    duration: duration,
+                    chapter: null, // Silence is not listed in the chapter index
+                    bedUrl: segment.bedUrl || null
                 });
                 
                 console.log(`✅ Processed ${segment.type} segment ${i + 1}: ${fileName}`);
                 
             } else if (segment.type === 'combine_with_background') {
                 // Just concatenate answers without background (background will be added globally)
-                console.log(`🎵 Processing ${segment.answerUrls.length} answers for ${segment.questionId} (background will be added globally)`);
-                
-                // Download all answer files
-                const answerPaths = [];
-                for (let j = 0; j < segment.answerUrls.length; j++) {
-                    const answerPath = path.join(tempDir, `answers-${String(i).padStart(3, '0')}-${j}.mp3`);
-                    console.log(`📥 Downloading answer ${j + 1}/${segment.answerUrls.length}: ${segment.answerUrls[j]}`);
-                    await downloadFile(segment.answerUrls[j], answerPath);
-                    answerPaths.push(answerPath);
-                }
-                
-                // Just concatenate answers without background
                 const combinedPath = path.join(tempDir, `segment-${String(i).padStart(3, '0')}-answers.mp3`);
-                await concatenateAnswers(answerPaths, combinedPath);
-                
+                const cachePath = getAnswerBlockCachePath(lang, lmid, world, type, segment);
+                usedCacheFiles.add(path.posix.basename(cachePath));
+
+                // Reuse the rendered block when this question's answer set is unchanged
+                let answerDurations = await loadCachedAnswerBlock(cachePath, combinedPath);
+
+                if (answerDurations) {
+                    cacheStats.reused++;
+                    console.log(`♻️ Reusing cached answer block for ${segment.questionId} (${segment.answerUrls.length} answers)`);
+                } else {
+                    cacheStats.rendered++;
+                    console.log(`🎵 Processing ${segment.answerUrls.length} answers for ${segment.questionId} (background will be added globally)`);
+
+                    // Download all answer files (durations are kept for the chapter index)
+                    // Untrimmed answers take their analyzed duration - the upload analysis decoded the same file
+                    const answerPaths = [];
+                    answerDurations = [];
+                    const answerWeights = segment.answerUrls.map((url, j) => getStoredAnswerDuration(segment, j) ?? 30);
+                    const totalAnswerWeight = answerWeights.reduce((sum, value) => sum + value, 0);
+                    let doneAnswerWeight = 0;
+                    for (let j = 0; j < segment.answerUrls.length; j++) {
+                        // Downloads take the first 70% of an answers segment (by answer duration), the concatenation the rest
+                        progress.report({ ...segmentProgress, stage: 'downloading', stagePercent: 70 * doneAnswerWeight / totalAnswerWeight });
+                        const answerPath = path.join(tempDir, `answers-${String(i).padStart(3, '0')}-${j}.mp3`);
+                        console.log(`📥 Downloading answer ${j + 1}/${segment.answerUrls.length}: ${segment.answerUrls[j]}`);
+                        await downloadFile(segment.answerUrls[j], answerPath);
+
+                        // Cut dead air before and after the answer (local copy only)
+                        const storedDuration = getStoredAnswerDuration(segment, j);
+                        const playable = SILENCE_TRIM.enabled
+                            ? await trimAnswerSilence(answerPath, path.join(tempDir, `answers-${String(i).padStart(3, '0')}-${j}-trimmed.wav`), storedDuration)
+                            : { path: answerPath, duration: storedDuration ?? await getAudioDuration(answerPath) };
+                        answerPaths.push(playable.path);
+                        answerDurations.push(playable.duration);
+                        doneAnswerWeight += answerWeights[j];
+                    }
+
+                    // Just concatenate answers without background
+                    progress.report({ ...segmentProgress, stage: 'concatenating', stagePercent: 70 });
+                    await concatenateAnswers(answerPaths, combinedPath, answerDurations.reduce((sum, value) => sum + value, 0), (percent) => {
+                        progress.report({ ...segmentProgress, stage: 'concatenating', stagePercent: 70 + 0.3 * percent });
+                    }, cancellation);
+                    await saveAnswerBlockToCache(cachePath, combinedPath, {
+                        questionId: segment.questionId,
+                        answerUrls: segment.answerUrls.map(stripQuery),
+                        answerDurations
+                    });
+                }
+
                 processedSegments.push({
                     path: combinedPath,
                     type: 'answers',
                     questionId: segment.questionId,
-                    originalIndex: i
+                    originalIndex: i,
+                    duration: answerDurations.reduce((sum, value) => sum + value, 0),
+                    answerDurations: answerDurations,
+                    bedUrl: segment.bedUrl || null
                 });
                 
                 console.log(`✅ Processed answers segment ${i + 1}: ${segment.questionId}`);
             }
         }
 
-        // Extract background URL from segments (use first background found)
-        let backgroundUrl = null;
-        for (const segment of audioSegments) {
-            if (segment.type === 'combine_with_background' && segment.backgroundUrl) {
-                backgroundUrl = segment.backgroundUrl;
-                break;
-            }
-        }
+        console.log(`♻️ Answer blocks: ${cacheStats.reused} reused, ${cacheStats.rendered} rendered`);
+
+        // Program bed: declared by the template, or (legacy segments) the first answers background
+        const programBed = audioSegments.find(segment => segment.type === 'background');
+        const legacyBed = audioSegments.find(segment => segment.type === 'combine_with_background' && segment.backgroundUrl);
+        const backgroundUrl = programBed ? programBed.url : (legacyBed ? legacyBed.backgroundUrl : null);
 
         // Final assembly of all segments IN ORDER
         console.log('🎼 Final assembly: Assembling radio program with background...');
         const outputPath = path.join(tempDir, `radio-program-${type}-${world}-${lmid}.mp3`);
-        await assembleFinalProgram(processedSegments, outputPath, backgroundUrl, tempDir);
+        await cancellation.check();
+        progress.report({ stage: 'mixing', stagePercent: 0 });
+        const assembly = await assembleFinalProgram(processedSegments, outputPath, backgroundUrl, tempDir, (percent) => {
+            progress.report({ stage: 'mixing', stagePercent: percent });
+        }, cancellation);
 
-        // Upload to Bunny.net
-        const uploadUrl = await uploadToBunny(outputPath, world, lmid, type, lang);
+        // Upload to storage (MP3 0-20%, extra renditions 20-90%, waveform 90-100% of the stage)
+        await cancellation.check();
+        progress.report({ stage: 'uploading', stagePercent: 0 });
+        const uploadUrl = await uploadToStorage(outputPath, job);
+        progress.report({ stage: 'uploading', stagePercent: 20 });
+        const renditions = await publishRenditions(assembly, uploadUrl, job, tempDir, (percent) => {
+            progress.report({ stage: 'uploading', stagePercent: 20 + 0.7 * percent });
+        }, cancellation);
+        await cancellation.check();
+        progress.report({ stage: 'uploading', stagePercent: 90 });
+        const waveformUrl = await publishProgramWaveform(assembly.masterPath, job, tempDir);
+        progress.report({ stage: 'uploading', stagePercent: 100 });
 
-        // Count unique recording files for manifest
-        let recordingCount = 0;
-        const uniqueRecordings = new Set();
-        
-        for (const segment of audioSegments) {
-            if (segment.type === 'combine_with_background' && segment.answerUrls) {
-                for (const url of segment.answerUrls) {
-                    const filename = url.split('/').pop().split('?')[0]; // Extract filename
-                    const pattern = type === 'kids'
-                        ? new RegExp(`^kids-world_${world}-lmid_${lmid}-question_\\d+-tm_\\d+\\.(webm|mp3)$`)
-                        : new RegExp(`^parent_[^-]+-world_${world}-lmid_${lmid}-question_\\d+-tm_\\d+\\.(webm|mp3)$`);
-                    
-                    if (pattern.test(filename)) {
-                        uniqueRecordings.add(filename);
-                    }
-                }
-            }
-        }
-        
-        recordingCount = uniqueRecordings.size;
-        console.log(`🔍 MANIFEST: Unique recording files matching pattern: ${recordingCount}`);
+        // Count the program's recordings from the recordings table (same count as combine-audio.js)
+        const recordingCount = await countProgramRecordings(audioSegments, type);
+        console.log(`🔍 MANIFEST: Indexed recordings in program: ${recordingCount}`);
 
         // SIMPLIFIED: No manifest files, no lmids updates - just save program URL and file_count in job record
 
@@ -359,7 +1072,19 @@ async function processAudioJob(job) {
         
         return {
             programUrl: uploadUrl,
-            fileCount: recordingCount
+            fileCount: recordingCount,
+            manifest: {
+                version: '1.0.0',
+                generatedAt: new Date().toISOString(),
+                programUrl: uploadUrl,
+                duration: assembly.duration,
+                chapters: assembly.chapters,
+                renditions: renditions,
+                waveformUrl: waveformUrl,
+                answerBlocks: cacheStats
+            },
+            loudness: assembly.loudness,
+            answerCacheFiles: usedCacheFiles // Pruned against once the completion is recorded
         };
 
     } catch (error) {
@@ -369,12 +1094,154 @@ async function processAudioJob(job) {
     }
 }
 
+/**
+ * Strip query string (cache busters) from a URL
+ */
+function stripQuery(url) {
+    return url.split('?')[0];
+}
+
+/**
+ * Storage path of a cached answer block
+ * Keyed by a hash of the ordered answer URLs and the trim settings, so any added, removed
+ * or reordered answer (or a threshold change) renders a new block
+ * @returns {string} Path without extension, e.g. en/32/spookyland/cache/answers-kids-q2-<hash>
+ */
+function getAnswerBlockCachePath(lang, lmid, world, type, segment) {
+    const trimKey = SILENCE_TRIM.enabled
+        ? `trim:${SILENCE_TRIM.thresholdDb}:${SILENCE_TRIM.keepLeadingSeconds}:${SILENCE_TRIM.keepTrailingSeconds}`
+        : 'trim:off';
+    const hash = createHash('sha256')
+        .update([...segment.answerUrls.map(stripQuery), trimKey].join('\n'))
+        .digest('hex')
+        .substring(0, 32);
+    return `${lang}/${lmid}/${world}/${ANSWER_CACHE_FOLDER}/answers-${type}-q${segment.questionId}-${hash}`;
+}
+
+/**
+ * Download a cached answer block and its metadata
+ * @param {string} cachePath - Cache path without extension
+ * @param {string} targetPath - Local path for the block audio
+ * @returns {Promise<Array|null>} Answer durations on hit, null on miss
+ */
+async function loadCachedAnswerBlock(cachePath, targetPath) {
+    try {
+        const metadata = await getStorage().getJson(`${cachePath}.json`);
+        if (!metadata || !Array.isArray(metadata.answerDurations)) return null;
+
+        const audioBuffer = await getStorage().get(`${cachePath}.mp3`);
+        if (!audioBuffer) return null;
+
+        await fs.writeFile(targetPath, audioBuffer);
+        return metadata.answerDurations;
+    } catch (error) {
+        console.warn(`⚠️ Answer block cache read failed, rendering instead: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Store a rendered answer block for later jobs (failures are not fatal)
+ */
+async function saveAnswerBlockToCache(cachePath, blockPath, metadata) {
+    try {
+        const storage = getStorage();
+        await storage.putFile(`${cachePath}.mp3`, blockPath, { contentType: 'audio/mpeg' });
+        await storage.put(`${cachePath}.json`, JSON.stringify({
+            ...metadata,
+            createdAt: new Date().toISOString()
+        }), { contentType: 'application/json' });
+    } catch (error) {
+        console.warn(`⚠️ Failed to cache answer block: ${error.message}`);
+    }
+}
+
+/**
+ * Remove cached blocks of this program type that the current job no longer uses
+ * @param {Set<string>} usedCacheFiles - Cache basenames (without extension) used by this job
+ */
+async function pruneAnswerBlockCache(lang, lmid, world, type, usedCacheFiles) {
+    try {
+        const folder = `${lang}/${lmid}/${world}/${ANSWER_CACHE_FOLDER}/`;
+        const storage = getStorage();
+        const files = await storage.list(folder);
+
+        const stale = files.filter(file =>
+            !file.isDirectory &&
+            file.name.startsWith(`answers-${type}-`) &&
+            !usedCacheFiles.has(file.name.replace(/\.(mp3|json)$/, ''))
+        );
+
+        for (const file of stale) {
+            await storage.delete(`${folder}${file.name}`);
+        }
+
+        if (stale.length > 0) {
+            console.log(`🧹 Pruned ${stale.length} stale answer block files`);
+        }
+    } catch (error) {
+        console.warn(`⚠️ Failed to prune answer block cache: ${error.message}`);
+    }
+}
+
+/**
+ * Remove leading and trailing silence from an answer
+ * silenceremove only trims the start, so the audio is reversed to trim the end the same way
+ * @param {string} inputPath - Downloaded answer
+ * @param {string} outputPath - Trimmed WAV output
+ * @param {number|null} originalDuration - Analyzed duration of the answer (decoded when null)
+ * @returns {Promise<Object>} { path, duration } of the answer to use (the original when trimming fails or would leave too little)
+ */
+async function trimAnswerSilence(inputPath, outputPath, originalDuration = null) {
+    const { thresholdDb, keepLeadingSeconds, keepTrailingSeconds, minDurationSeconds } = SILENCE_TRIM;
+    const trimStart = (keepSeconds) =>
+        `silenceremove=start_periods=1:start_threshold=${thresholdDb}dB:start_silence=${keepSeconds}:detection=peak`;
+    const untrimmed = async () => ({ path: inputPath, duration: originalDuration ?? await getAudioDuration(inputPath) });
+
+    try {
+        await new Promise((resolve, reject) => {
+            ffmpeg(inputPath)
+                .audioFilters([
+                    trimStart(keepLeadingSeconds),
+                    'areverse',
+                    trimStart(keepTrailingSeconds),
+                    'areverse'
+                ])
+                .audioCodec('pcm_s16le')
+                .format('wav')
+                .on('end', resolve)
+                .on('error', reject)
+                .save(outputPath);
+        });
+
+        const trimmedDuration = await getAudioDuration(outputPath);
+
+        if (trimmedDuration < minDurationSeconds) {
+            console.warn(`⚠️ Trimming left ${trimmedDuration.toFixed(2)}s - keeping untrimmed answer`);
+            return await untrimmed();
+        }
+
+        originalDuration = originalDuration ?? await getAudioDuration(inputPath);
+        console.log(`✂️ Trimmed ${(originalDuration - trimmedDuration).toFixed(2)}s of silence (${originalDuration.toFixed(2)}s → ${trimmedDuration.toFixed(2)}s)`);
+        return { path: outputPath, duration: trimmedDuration };
+
+    } catch (error) {
+        console.warn(`⚠️ Silence trim failed, using untrimmed answer: ${error.message}`);
+        return await untrimmed();
+    }
+}
+
 /**
  * Concatenate multiple answer recordings without background
+ * @param {Array<string>} answerPaths - Answer files in order
+ * @param {string} outputPath - Concatenated MP3
+ * @param {number} expectedDuration - Sum of the answer durations in seconds
+ * @param {Function} onProgress - Called with the percentage done
+ * @param {Object} cancellation - Cancellation watch (kills the command when the job stops)
  */
-async function concatenateAnswers(answerPaths, outputPath) {
+async function concatenateAnswers(answerPaths, outputPath, expectedDuration, onProgress, cancellation) {
     return new Promise((resolve, reject) => {
-        const command = ffmpeg();
+        const command = cancellation.track(ffmpeg());
         
         // Add all answer inputs
         answerPaths.forEach(path => command.input(path));
@@ -391,6 +1258,7 @@ async function concatenateAnswers(answerPaths, outputPath) {
             .on('start', (commandLine) => {
                 console.log(`🎵 Concatenating ${answerPaths.length} answers`);
             })
+            .on('progress', trackProgress(expectedDuration, onProgress))
             .on('end', () => {
                 console.log('✅ Answers concatenated');
                 resolve();
@@ -401,70 +1269,575 @@ async function concatenateAnswers(answerPaths, outputPath) {
 }
 
 /**
- * Assemble final program with background music under everything except jingles
+ * Assemble final program with background music ducked under the voice track
+ * Masters to the loudness target (two-pass EBU R128) into a lossless master,
+ * then encodes the MP3 with the chapter index as ID3 CHAP/CTOC frames
+ * Progress: analysis pass 0-45%, mastering pass 45-90%, MP3 encode 90-100%
+ * @param {Function} onProgress - Called with the percentage done
+ * @param {Object} cancellation - Cancellation watch (kills the running pass when the job stops)
+ * @returns {Promise<Object>} { duration, chapters, loudness, masterPath, metadataPath }
  */
-async function assembleFinalProgram(processedSegments, outputPath, backgroundUrl, tempDir) {
-    return new Promise(async (resolve, reject) => {
-        try {
-            const command = ffmpeg();
-            
-            console.log(`🎵 Assembling program: ${processedSegments.length} segments`);
-            
-            // Add all processed segments as inputs
-            processedSegments.forEach(segment => command.input(segment.path));
-            
-            // Download background music if available
-            let backgroundPath = null;
-            if (backgroundUrl) {
-                backgroundPath = path.join(tempDir, 'main-background.mp3');
-                console.log(`📥 Downloading main background: ${backgroundUrl}`);
-                await downloadFile(backgroundUrl, backgroundPath);
-                command.input(backgroundPath);
-            }
-            
-            const filters = [];
-            
-            // Simple concatenation of all segments
-            const allSegments = processedSegments.map((_, index) => `[${index}:a]`).join('');
-            filters.push(`${allSegments}concat=n=${processedSegments.length}:v=0:a=1[main_audio]`);
-            
-            if (backgroundPath) {
-                const backgroundInputIndex = processedSegments.length;
-                // Mix with background at 20% volume
-                filters.push(`[${backgroundInputIndex}:a]aloop=loop=-1:size=2e+09,volume=0.2[background_loop]`);
-                filters.push(`[main_audio][background_loop]amix=inputs=2:duration=first:dropout_transition=0[final]`);
-                filters.push(`[final]acopy[outa]`);
+async function assembleFinalProgram(processedSegments, outputPath, backgroundUrl, tempDir, onProgress, cancellation) {
+    console.log(`🎵 Assembling program: ${processedSegments.length} segments`);
+
+    // Download background music if available
+    let backgroundPath = null;
+    if (backgroundUrl) {
+        backgroundPath = path.join(tempDir, 'main-background.mp3');
+        console.log(`📥 Downloading main background: ${backgroundUrl}`);
+        await downloadFile(backgroundUrl, backgroundPath);
+    }
+
+    // Section beds from the template (each file downloaded once)
+    const bedPaths = new Map();
+    for (const segment of processedSegments) {
+        if (segment.bedUrl && !bedPaths.has(segment.bedUrl)) {
+            const bedPath = path.join(tempDir, `section-bed-${bedPaths.size}.mp3`);
+            console.log(`📥 Downloading section background: ${segment.bedUrl}`);
+            await downloadFile(segment.bedUrl, bedPath);
+            bedPaths.set(segment.bedUrl, bedPath);
+        }
+        segment.bedPath = segment.bedUrl ? bedPaths.get(segment.bedUrl) : null;
+    }
+
+    // Every pass renders the whole program - FFmpeg progress is measured against its duration
+    const expectedDuration = processedSegments.reduce((sum, segment) => sum + (segment.duration || 0), 0);
+
+    // Pass 1: measure the loudness of the mix
+    const measured = await runMixCommand(processedSegments, backgroundPath, null, null, expectedDuration, (percent) => onProgress(0.45 * percent), cancellation);
+    console.log(`📏 Measured mix: ${measured.input_i} LUFS, ${measured.input_tp} dBTP, LRA ${measured.input_lra}`);
+
+    // Pass 2: render the mastered program using the measured values (lossless, all renditions encode from it)
+    const masterPath = path.join(tempDir, 'radio-program-master.flac');
+    const mastered = await runMixCommand(processedSegments, backgroundPath, measured, masterPath, expectedDuration, (percent) => onProgress(45 + 0.45 * percent), cancellation);
+
+    const chapterIndex = buildChapterIndex(processedSegments);
+    const metadataPath = await writeChapterMetadata(chapterIndex.chapters, tempDir);
+    await encodeRendition(masterPath, outputPath, 'mp3', metadataPath, chapterIndex.duration, (percent) => onProgress(90 + 0.1 * percent), cancellation);
+    onProgress(100);
+
+    console.log(`📑 Chapter index: ${chapterIndex.chapters.length} chapters, ${chapterIndex.duration.toFixed(1)}s`);
+
+    return {
+        ...chapterIndex,
+        masterPath,
+        metadataPath,
+        loudness: {
+            targetI: MASTERING.targetLufs,
+            targetTp: MASTERING.truePeak,
+            targetLra: MASTERING.loudnessRange,
+            inputI: parseFloat(measured.input_i),
+            inputTp: parseFloat(measured.input_tp),
+            inputLra: parseFloat(measured.input_lra),
+            outputI: parseFloat(mastered.output_i),
+            outputTp: parseFloat(mastered.output_tp),
+            outputLra: parseFloat(mastered.output_lra),
+            normalizationType: mastered.normalization_type || null
+        }
+    };
+}
+
+/**
+ * Build the mix filter graph: concatenated segments with the looped background
+ * compressed by a sidechain of the voice track, so it ducks whenever someone speaks
+ * Section beds (template "background" on a section) are looped and cut to their
+ * segment, padded with silence elsewhere, and ducked together with the program bed
+ * @param {Array} processedSegments - Segment inputs in order (bedPath set for section beds)
+ * @param {boolean} hasBackground - Whether the program bed follows the segment inputs
+ * @returns {Array<string>} Filters ending in the [mix] label
+ */
+function buildMixFilters(processedSegments, hasBackground) {
+    const filters = [];
+    const segmentCount = processedSegments.length;
+    const bedLayout = 'aformat=sample_rates=44100:channel_layouts=stereo';
+
+    // Simple concatenation of all segments
+    const allSegments = Array.from({ length: segmentCount }, (_, index) => `[${index}:a]`).join('');
+    filters.push(`${allSegments}concat=n=${segmentCount}:v=0:a=1[main_audio]`);
+
+    // Section bed inputs follow the segments and the program bed, one per bedded segment
+    const beds = [];
+    if (processedSegments.some(segment => segment.bedPath)) {
+        let nextInput = segmentCount + (hasBackground ? 1 : 0);
+
+        processedSegments.forEach((segment, index) => {
+            const duration = segment.duration.toFixed(3);
+            if (segment.bedPath) {
+                filters.push(`[${nextInput++}:a]aloop=loop=-1:size=2e+09,atrim=0:${duration},asetpts=PTS-STARTPTS,${bedLayout}[section_bed_${index}]`);
             } else {
-                // No background - just use main audio
-                filters.push(`[main_audio]acopy[outa]`);
+                filters.push(`anullsrc=r=44100:cl=stereo,atrim=0:${duration},${bedLayout}[section_bed_${index}]`);
             }
-            
+        });
+
+        const sectionInputs = processedSegments.map((_, index) => `[section_bed_${index}]`).join('');
+        filters.push(`${sectionInputs}concat=n=${segmentCount}:v=0:a=1,volume=${MASTERING.backgroundVolume}[section_beds]`);
+        beds.push('[section_beds]');
+    }
+
+    if (hasBackground) {
+        filters.push(`[${segmentCount}:a]aloop=loop=-1:size=2e+09,volume=${MASTERING.backgroundVolume},${bedLayout}[background_loop]`);
+        beds.unshift('[background_loop]');
+    }
+
+    if (beds.length > 0) {
+        if (beds.length === 2) {
+            // The looped program bed is endless - the section track ends with the program
+            filters.push(`[background_loop][section_beds]amix=inputs=2:duration=shortest:dropout_transition=0,volume=2[beds]`);
+        } else {
+            filters.push(`${beds[0]}acopy[beds]`);
+        }
+
+        filters.push(`[main_audio]asplit=2[voice][voice_sidechain]`);
+        filters.push(`[beds][voice_sidechain]sidechaincompress=threshold=${MASTERING.duckThreshold}:ratio=${MASTERING.duckRatio}:attack=${MASTERING.duckAttackMs}:release=${MASTERING.duckReleaseMs}[background_ducked]`);
+        // amix halves both inputs; restore the voice level (the master pass sets the final loudness)
+        filters.push(`[voice][background_ducked]amix=inputs=2:duration=first:dropout_transition=0,volume=2[mix]`);
+    } else {
+        // No background - just use main audio
+        filters.push(`[main_audio]acopy[mix]`);
+    }
+
+    return filters;
+}
+
+/**
+ * Run the mix graph followed by loudnorm
+ * Without measured values this is the analysis pass (null output);
+ * with them it is the linear mastering pass writing the FLAC master
+ * @param {Array} processedSegments - Segment inputs in order
+ * @param {string|null} backgroundPath - Background bed
+ * @param {Object|null} measured - loudnorm JSON from the analysis pass
+ * @param {string|null} outputPath - Output file for the mastering pass
+ * @param {number} expectedDuration - Program duration in seconds
+ * @param {Function} onProgress - Called with the percentage done
+ * @param {Object} cancellation - Cancellation watch (kills the command when the job stops)
+ * @returns {Promise<Object>} loudnorm JSON stats
+ */
+async function runMixCommand(processedSegments, backgroundPath, measured, outputPath, expectedDuration, onProgress, cancellation) {
+    return new Promise((resolve, reject) => {
+        const command = cancellation.track(ffmpeg());
+
+        // Add all processed segments as inputs
+        processedSegments.forEach(segment => command.input(segment.path));
+        if (backgroundPath) {
+            command.input(backgroundPath);
+        }
+        processedSegments
+            .filter(segment => segment.bedPath)
+            .forEach(segment => command.input(segment.bedPath));
+
+        const target = `I=${MASTERING.targetLufs}:TP=${MASTERING.truePeak}:LRA=${MASTERING.loudnessRange}`;
+        const loudnorm = measured
+            ? `loudnorm=${target}:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}:offset=${measured.target_offset}:linear=true:print_format=json`
+            : `loudnorm=${target}:print_format=json`;
+
+        const filters = buildMixFilters(processedSegments, !!backgroundPath);
+        filters.push(`[mix]${loudnorm}[outa]`);
+
+        command
+            .complexFilter(filters)
+            .outputOptions(['-map', '[outa]']);
+
+        if (measured) {
             command
-                .complexFilter(filters)
                 .outputOptions([
-                    '-map', '[outa]',
                     '-ar', '44100',
-                    '-ac', '2',
-                    '-b:a', '128k'
+                    '-ac', '2'
                 ])
-                .format('mp3')
-                .audioCodec('libmp3lame')
-                .on('start', () => {
-                    console.log('🎵 Final assembly with background');
-                })
-                .on('end', () => {
+                .format('flac')
+                .audioCodec('flac');
+        } else {
+            command.format('null');
+        }
+
+        command
+            .on('start', () => {
+                console.log(measured ? '🎵 Mastering pass (mix + loudnorm)' : '📏 Loudness analysis pass');
+            })
+            .on('progress', trackProgress(expectedDuration, onProgress))
+            .on('end', (stdout, stderr) => {
+                const stats = parseLoudnormStats(stderr);
+                if (!stats) {
+                    reject(new Error('Could not read loudnorm measurements from FFmpeg output'));
+                    return;
+                }
+                if (measured) {
                     console.log('✅ Radio program assembly complete');
-                    resolve();
-                })
-                .on('error', reject)
-                .save(outputPath);
-                
+                }
+                resolve(stats);
+            })
+            .on('error', reject)
+            .save(outputPath || '-');
+    });
+}
+
+/**
+ * Extract the loudnorm JSON block from FFmpeg stderr
+ * @param {string} stderr - FFmpeg stderr output
+ * @returns {Object|null} Parsed stats or null
+ */
+function parseLoudnormStats(stderr) {
+    const blocks = (stderr || '').match(/\{[^{}]*"input_i"[^{}]*\}/g);
+    if (!blocks) return null;
+
+    try {
+        return JSON.parse(blocks[blocks.length - 1]);
+    } catch (error) {
+        console.warn('⚠️ Failed to parse loudnorm stats:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Build the chapter index from processed segments in playback order
+ * Offsets are cumulative decoded durations, matching the concat filter output
+ * @param {Array} processedSegments - Segments with measured durations
+ * @returns {Object} { duration, chapters: [{ id, kind, questionId, answerIndex, title, start, end }] }
+ */
+function buildChapterIndex(processedSegments) {
+    const chapters = [];
+    let offset = 0;
+
+    const addChapter = (chapter, start, duration) => {
+        chapters.push({
+            id: `ch${chapters.length}`,
+            kind: chapter.kind,
+            questionId: chapter.questionId || null,
+            answerIndex: chapter.answerIndex || null,
+            title: chapter.title,
+            start: roundSeconds(start),
+            end: roundSeconds(start + duration)
+        });
+    };
+
+    for (const segment of processedSegments) {
+        if (segment.type === 'answers') {
+            let answerOffset = offset;
+            segment.answerDurations.forEach((duration, index) => {
+                addChapter({
+                    kind: 'answer',
+                    questionId: segment.questionId,
+                    answerIndex: index + 1,
+                    title: `Question ${segment.questionId} - Answer ${index + 1}`
+                }, answerOffset, duration);
+                answerOffset += duration;
+            });
+        } else if (segment.chapter) {
+            addChapter(segment.chapter, offset, segment.duration);
+        }
+
+        offset += segment.duration;
+    }
+
+    return {
+        duration: roundSeconds(offset),
+        chapters
+    };
+}
+
+/**
+ * Classify a single segment URL for the chapter index
+ * @param {string} url - Segment URL (jingle, world intro/outro or question prompt)
+ * @returns {Object} Chapter descriptor { kind, questionId, title }
+ */
+function classifySegmentUrl(url) {
+    const fileName = url.split('/').pop().split('?')[0];
+    const questionMatch = fileName.match(/-QID(\d+)\./);
+
+    if (questionMatch) {
+        return { kind: 'prompt', questionId: questionMatch[1], title: `Question ${questionMatch[1]}` };
+    }
+    if (url.includes('/jingles/')) {
+        const jingleName = fileName.replace(/-jingle\.\w+$/, '');
+        return { kind: 'jingle', title: `${jingleName.charAt(0).toUpperCase()}${jingleName.slice(1)} jingle` };
+    }
+    if (fileName.includes('-intro')) {
+        return { kind: 'intro', title: 'Intro' };
+    }
+    if (fileName.includes('-outro')) {
+        return { kind: 'outro', title: 'Outro' };
+    }
+    return { kind: 'audio', title: fileName };
+}
+
+/**
+ * Write the chapter index as an FFMETADATA file
+ * Mapped into the MP3 (ID3v2 CHAP/CTOC frames) and M4A (chapter atoms) renditions
+ * @param {Array} chapters - Chapter index entries
+ * @param {string} tempDir - Temp directory for the metadata file
+ * @returns {Promise<string>} Metadata file path
+ */
+async function writeChapterMetadata(chapters, tempDir) {
+    const metadataPath = path.join(tempDir, 'chapters.ffmetadata');
+    const escapeValue = (value) => String(value).replace(/([=;#\\\n])/g, '\\$1');
+
+    const lines = [';FFMETADATA1'];
+    chapters.forEach(chapter => {
+        lines.push(
+            '[CHAPTER]',
+            'TIMEBASE=1/1000',
+            `START=${Math.round(chapter.start * 1000)}`,
+            `END=${Math.round(chapter.end * 1000)}`,
+            `title=${escapeValue(chapter.title)}`
+        );
+    });
+    await fs.writeFile(metadataPath, lines.join('\n') + '\n');
+
+    return metadataPath;
+}
+
+/**
+ * Encode a single-file rendition from the lossless master
+ * @param {string} masterPath - FLAC master
+ * @param {string} outputPath - Rendition output file
+ * @param {string} renditionKey - Key in RENDITIONS ('mp3', 'opus', 'aac')
+ * @param {string|null} metadataPath - Chapter metadata (used by mp3 and aac)
+ * @param {number} expectedDuration - Program duration in seconds (for onProgress)
+ * @param {Function|null} onProgress - Called with the percentage done
+ * @param {Object|null} cancellation - Cancellation watch (kills the command when the job stops)
+ */
+async function encodeRendition(masterPath, outputPath, renditionKey, metadataPath = null, expectedDuration = 0, onProgress = null, cancellation = null) {
+    const rendition = RENDITIONS[renditionKey];
+
+    return new Promise((resolve, reject) => {
+        const command = ffmpeg().input(masterPath);
+        cancellation?.track(command);
+        const outputOptions = ['-map', '0:a'];
+
+        if (metadataPath && rendition.chapters) {
+            command.input(metadataPath);
+            outputOptions.push('-map_metadata', '1', '-map_chapters', '1');
+        }
+
+        command
+            .outputOptions([...outputOptions, ...rendition.outputOptions])
+            .audioCodec(rendition.codec)
+            .audioBitrate(rendition.bitrate)
+            .format(rendition.format)
+            .on('progress', trackProgress(expectedDuration, onProgress))
+            .on('end', () => {
+                console.log(`✅ Encoded ${renditionKey} rendition (${rendition.bitrate})`);
+                resolve();
+            })
+            .on('error', reject)
+            .save(outputPath);
+    });
+}
+
+/**
+ * Encode one HLS variant playlist with its segments
+ * @param {string} masterPath - FLAC master
+ * @param {string} outputDir - Directory for the playlist and segments
+ * @param {number} variantIndex - Variant number (used in file names)
+ * @param {string} bitrate - AAC bitrate, e.g. '64k'
+ * @param {Object} cancellation - Cancellation watch (kills the command when the job stops)
+ * @returns {Promise<string>} Variant playlist file name
+ */
+async function encodeHlsVariant(masterPath, outputDir, variantIndex, bitrate, cancellation) {
+    const playlistName = `v${variantIndex}.m3u8`;
+
+    return new Promise((resolve, reject) => {
+        cancellation.track(ffmpeg())
+            .input(masterPath)
+            .audioCodec('aac')
+            .audioBitrate(bitrate)
+            .outputOptions([
+                '-map', '0:a',
+                '-ac', '2',
+                '-hls_time', String(RENDITIONS.hls.segmentSeconds),
+                '-hls_playlist_type', 'vod',
+                '-hls_segment_filename', path.join(outputDir, `v${variantIndex}_%03d.ts`)
+            ])
+            .format('hls')
+            .on('end', () => {
+                console.log(`✅ Encoded HLS variant ${variantIndex} (${bitrate})`);
+                resolve(playlistName);
+            })
+            .on('error', reject)
+            .save(path.join(outputDir, playlistName));
+    });
+}
+
+/**
+ * Encode and upload all configured renditions besides the main MP3
+ * @param {Object} assembly - Result of assembleFinalProgram (masterPath, metadataPath)
+ * @param {string} mp3Url - Already uploaded MP3 URL
+ * @param {Object} job - Job row (id, lmid, world, type, lang)
+ * @param {string} tempDir - Temp directory
+ * @param {Function} onProgress - Called with the percentage of extra renditions done
+ * @param {Object} cancellation - Cancellation watch (a stopped job ends the publishing)
+ * @returns {Promise<Array>} Renditions [{ format, mimeType, codecs, bitrate, url }]
+ */
+async function publishRenditions(assembly, mp3Url, job, tempDir, onProgress, cancellation) {
+    const { lmid, world, type } = job;
+    const renditions = [describeRendition('mp3', mp3Url)];
+    const extraRenditions = getEnabledRenditions().filter(renditionKey => renditionKey !== 'mp3');
+
+    for (let i = 0; i < extraRenditions.length; i++) {
+        const renditionKey = extraRenditions[i];
+        // Each extra rendition takes an equal share, its encode is 90% of that share
+        const reportShare = (percent) => onProgress(100 * (i + percent / 100) / extraRenditions.length);
+
+        // Extra renditions are best effort - the MP3 is always published
+        try {
+            if (renditionKey === 'hls') {
+                renditions.push(await publishHlsRendition(assembly.masterPath, job, tempDir, cancellation));
+                continue;
+            }
+
+            const rendition = RENDITIONS[renditionKey];
+            const fileName = `radio-program-${type}-${world}-${lmid}.${rendition.extension}`;
+            const renditionPath = path.join(tempDir, fileName);
+
+            await encodeRendition(assembly.masterPath, renditionPath, renditionKey, assembly.metadataPath, assembly.duration, (percent) => reportShare(0.9 * percent), cancellation);
+            const url = await uploadToStorage(renditionPath, job, fileName, rendition.mimeType);
+            renditions.push(describeRendition(renditionKey, url));
         } catch (error) {
-            reject(error);
+            await cancellation.check(); // A stopped or aborted job is not best effort
+            console.warn(`⚠️ Failed to publish ${renditionKey} rendition: ${error.message}`);
+        } finally {
+            reportShare(100);
+        }
+    }
+
+    console.log(`📦 Published renditions: ${renditions.map(r => r.format).join(', ')}`);
+    return renditions;
+}
+
+/**
+ * Encode HLS variants, write the master playlist and upload everything to the version's hls/ folder
+ * @returns {Promise<Object>} HLS rendition descriptor
+ */
+async function publishHlsRendition(masterPath, job, tempDir, cancellation) {
+    const hlsFolder = 'hls';
+    const hlsDir = path.join(tempDir, hlsFolder);
+    await fs.mkdir(hlsDir, { recursive: true });
+
+    const masterLines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+    for (let i = 0; i < RENDITIONS.hls.variants.length; i++) {
+        const bitrate = RENDITIONS.hls.variants[i];
+        const playlistName = await encodeHlsVariant(masterPath, hlsDir, i, bitrate, cancellation);
+        const bandwidth = Math.round(parseInt(bitrate, 10) * 1000 * 1.1); // AAC bitrate + TS overhead
+        masterLines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},CODECS="${RENDITIONS.hls.codecs}"`, playlistName);
+    }
+    await fs.writeFile(path.join(hlsDir, 'master.m3u8'), masterLines.join('\n') + '\n');
+
+    let masterUrl = null;
+    for (const fileName of await fs.readdir(hlsDir)) {
+        const contentType = fileName.endsWith('.m3u8') ? RENDITIONS.hls.mimeType : 'video/mp2t';
+        const url = await uploadToStorage(path.join(hlsDir, fileName), job, `${hlsFolder}/${fileName}`, contentType);
+        if (fileName === 'master.m3u8') {
+            masterUrl = url;
         }
+    }
+
+    return describeRendition('hls', masterUrl);
+}
+
+/**
+ * Generate and upload the program waveform peaks (best effort)
+ * @param {string} masterPath - FLAC master
+ * @param {Object} job - Job row (lmid, world, lang, type)
+ * @param {string} tempDir - Temp directory
+ * @returns {Promise<string|null>} Waveform JSON URL
+ */
+async function publishProgramWaveform(masterPath, job, tempDir) {
+    const { lmid, world, type } = job;
+
+    try {
+        const waveform = await generateWaveformPeaks(masterPath);
+        const fileName = getWaveformSidecarName(`radio-program-${type}-${world}-${lmid}.mp3`);
+        const waveformPath = path.join(tempDir, fileName);
+
+        await fs.writeFile(waveformPath, JSON.stringify(waveform));
+        const url = await uploadToStorage(waveformPath, job, fileName, 'application/json');
+        console.log(`🌊 Program waveform published (${waveform.buckets} peaks)`);
+        return url;
+    } catch (error) {
+        console.warn(`⚠️ Failed to publish program waveform: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Public description of a rendition for the job manifest
+ */
+function describeRendition(renditionKey, url) {
+    const rendition = RENDITIONS[renditionKey];
+    return {
+        format: renditionKey,
+        mimeType: rendition.mimeType,
+        codecs: rendition.codecs,
+        bitrate: rendition.bitrate || rendition.variants.join(','),
+        url
+    };
+}
+
+/**
+ * Renditions enabled via PROGRAM_RENDITIONS (MP3 is always included)
+ * @returns {Array<string>} Rendition keys
+ */
+function getEnabledRenditions() {
+    const configured = (process.env.PROGRAM_RENDITIONS || DEFAULT_RENDITIONS)
+        .split(',')
+        .map(value => value.trim().toLowerCase())
+        .filter(value => RENDITIONS[value]);
+
+    return Array.from(new Set(['mp3', ...configured]));
+}
+
+/**
+ * Measure the decoded duration of an audio file in seconds
+ * Decodes to the null muxer so the result matches what the concat filter sees
+ */
+async function getAudioDuration(filePath) {
+    return new Promise((resolve, reject) => {
+        let headerDuration = 0;
+
+        ffmpeg(filePath)
+            .outputOptions(['-vn'])
+            .format('null')
+            .on('codecData', (data) => {
+                headerDuration = parseTimemark(data.duration);
+            })
+            .on('end', (stdout, stderr) => {
+                const timemarks = (stderr || '').match(/time=\s*(\d+:\d+:\d+(?:\.\d+)?)/g) || [];
+                const lastTimemark = timemarks.length > 0 ? timemarks[timemarks.length - 1].replace(/time=\s*/, '') : null;
+                resolve(lastTimemark ? parseTimemark(lastTimemark) : headerDuration);
+            })
+            .on('error', reject)
+            .save('-');
     });
 }
 
+/**
+ * Convert an FFmpeg timemark (HH:MM:SS.ms) to seconds
+ */
+function parseTimemark(timemark) {
+    if (!timemark || typeof timemark !== 'string') return 0;
+    return timemark.split(':').reduce((total, part) => total * 60 + (parseFloat(part) || 0), 0);
+}
+
+/**
+ * FFmpeg 'progress' listener reporting the percentage of the expected output duration
+ * (fluent-ffmpeg's own percent needs a single input with a known duration)
+ * @param {number} expectedDuration - Output duration in seconds
+ * @param {Function|null} onProgress - Called with the percentage done (0-100)
+ * @returns {Function} Listener
+ */
+function trackProgress(expectedDuration, onProgress) {
+    return (event) => {
+        if (!onProgress || !(expectedDuration > 0)) return;
+        onProgress(Math.min(100, 100 * parseTimemark(event.timemark) / expectedDuration));
+    };
+}
+
+/**
+ * Round seconds to millisecond precision for the manifest
+ */
+function roundSeconds(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+}
+
 /**
  * Generate a silent MP3 placeholder for missing system files
  */
@@ -495,12 +1868,14 @@ async function generateSilentPlaceholder(filePath, duration = 3) {
 
 /**
  * Download a file from URL with fallback to silent placeholder for missing system files
+ * Jobs store unsigned storage URLs - they are signed here, just before the request
  */
 function downloadFile(url, filePath) {
     return new Promise((resolve, reject) => {
         const protocol = url.startsWith('https:') ? https : http;
+        const requestUrl = getStorage().signUrl(url, { expiresIn: DOWNLOAD_URL_TTL_SECONDS });
         
-        protocol.get(url, (response) => {
+        protocol.get(requestUrl, (response) => {
             if (response.statusCode !== 200) {
                 // Check if this is a system file that we can replace with a placeholder
                 const isSystemFile = url.includes('/audio/other/') || url.includes('-QID');
@@ -549,53 +1924,32 @@ function downloadFile(url, filePath) {
 }
 
 /**
- * Upload combined audio to Bunny.net
+ * Upload combined audio (or another program rendition) to the job's version folder
+ * @param {string} filePath - Local file
+ * @param {Object} job - Job row (id, lmid, world, type, lang)
+ * @param {string} fileName - Optional file name relative to the version folder (defaults to the MP3 program)
+ * @param {string} contentType - MIME type of the file
+ * @returns {Promise<string>} Public URL (unique per job - no cache busting needed)
  */
-async function uploadToBunny(filePath, world, lmid, programType = 'kids', lang = 'en') {
+async function uploadToStorage(filePath, job, fileName = null, contentType = 'audio/mpeg') {
+    const { lmid, world, type } = job;
     // Include program type in filename to distinguish kids vs parent programs
-    const fileName = `radio-program-${programType}-${world}-${lmid}.mp3`;
-    const uploadPath = `/${lang}/${lmid}/${world}/${fileName}`;
-    
-    console.log(`📤 Uploading to Bunny.net: ${uploadPath}`);
+    fileName = fileName || `radio-program-${type}-${world}-${lmid}.mp3`;
+    const uploadPath = `${getProgramVersionFolder(job)}${fileName}`;
+    const storage = getStorage();
     
-    const fileBuffer = await fs.readFile(filePath);
+    console.log(`📤 Uploading to ${storage.backend} storage: ${uploadPath}`);
     
-    return new Promise((resolve, reject) => {
-        const options = {
-            hostname: 'storage.bunnycdn.com',
-            port: 443,
-            path: `/${process.env.BUNNY_STORAGE_ZONE}${uploadPath}`,
-            method: 'PUT',
-            headers: {
-                'AccessKey': process.env.BUNNY_API_KEY,
-                'Content-Type': 'audio/mpeg',
-                'Content-Length': fileBuffer.length,
-                'Cache-Control': 'no-cache, no-store, must-revalidate, max-age=0',
-                'Pragma': 'no-cache',
-                'Expires': '0',
-                'Last-Modified': new Date().toUTCString()
-            }
-        };
-        
-        const req = https.request(options, (res) => {
-            if (res.statusCode === 200 || res.statusCode === 201) {
-                const downloadUrl = `${process.env.BUNNY_CDN_URL}${uploadPath}`;
-                console.log(`✅ Upload successful: ${downloadUrl}`);
-                
-                // Ensure URL has proper protocol and add cache-busting parameter
-                const finalUrl = downloadUrl.startsWith('http') ? downloadUrl : `https://${downloadUrl}`;
-                const timestamp = Date.now();
-                const cacheBustUrl = `${finalUrl}?v=${timestamp}&cb=${Math.random().toString(36).substring(2)}`;
-                resolve(cacheBustUrl);
-            } else {
-                reject(new Error(`Upload failed with status: ${res.statusCode}`));
-            }
-        });
-        
-        req.on('error', reject);
-        req.write(fileBuffer);
-        req.end();
+    // Version files are never overwritten
+    await storage.putFile(uploadPath, filePath, {
+        contentType,
+        cacheControl: 'public, max-age=31536000, immutable'
     });
+
+    const downloadUrl = storage.publicUrl(uploadPath);
+    console.log(`✅ Upload successful: ${downloadUrl}`);
+    
+    return downloadUrl;
 }
 
 /**
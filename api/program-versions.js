@@ -0,0 +1,152 @@
+/**
+ * api/program-versions.js - Program Version History (Episodes) & Pinning
+ *
+ * PURPOSE: List the kept versions of a ShareID's radio programs and let the teacher pin
+ *          one version as the published program
+ * DEPENDENCIES: utils/program-versions.js, utils/database-utils.js (ShareID lookup), storage adapter
+ *
+ * REQUEST FORMAT:
+ * GET /api/program-versions?shareId=kz7xp4v9&lang=en[&type=kids|parent]
+ * → {
+ *     success: true, lmid, world, lang,
+ *     versions: {
+ *       kids: [{ jobId, completedAt, fileCount, duration, programUrl, manifest, pinned, published, latest }],
+ *       parent: [...]
+ *     }
+ *   }
+ *   Newest first; URLs are signed and expire like the ones from get-radio-data.js
+ *
+ * POST /api/program-versions
+ * Body: { action: 'pin' | 'unpin', shareId, lang, type, jobId (pin only), memberId }
+ * → { success: true, type, published: { ...version } | null }
+ *   Only the teacher the LMID is assigned to may pin (403 otherwise)
+ *
+ * PUBLISHED PROGRAM:
+ * The pinned version, else the latest - get-radio-data.js serves the same one
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+import { findLmidByShareId, getSupabaseClient } from '../utils/database-utils.js';
+import { validateLanguage, validateMemberId } from '../utils/input-validator.js';
+import { getStorage } from '../utils/storage.js';
+import {
+    listProgramVersions,
+    getPublishedVersion,
+    describeProgramVersion,
+    pinProgramVersion,
+    unpinProgramVersion
+} from '../utils/program-versions.js';
+
+const PROGRAM_TYPES = ['kids', 'parent'];
+
+/**
+ * Client view of all versions of one program type
+ */
+async function describeVersions(supabase, storage, program) {
+    const versions = await listProgramVersions(supabase, program);
+    const published = getPublishedVersion(versions);
+
+    return versions.map((version, index) => ({
+        ...describeProgramVersion(storage, version, version === published),
+        latest: index === 0
+    }));
+}
+
+export default async function handler(req, res) {
+    // Secure CORS headers
+    const { setCorsHeaders } = await import('../utils/api-utils.js');
+    const corsHandler = setCorsHeaders(res, ['GET', 'POST', 'OPTIONS']);
+    corsHandler(req);
+
+    // Rate limiting - 30 requests per minute
+    const { checkRateLimit } = await import('../utils/simple-rate-limiter.js');
+    if (!checkRateLimit(req, res, 'program-versions', 30)) {
+        return; // Rate limit exceeded
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    try {
+        const params = req.method === 'GET' ? req.query : (req.body || {});
+        const { shareId, type } = params;
+
+        const langValidation = validateLanguage(params.lang);
+        if (!shareId || !langValidation.valid) {
+            return res.status(400).json({ success: false, error: 'Missing or invalid parameters: shareId and lang' });
+        }
+        if (type && !PROGRAM_TYPES.includes(type)) {
+            return res.status(400).json({ success: false, error: 'type must be kids or parent' });
+        }
+
+        const lmidRecord = await findLmidByShareId(shareId);
+        if (!lmidRecord || !lmidRecord.world) {
+            return res.status(404).json({ success: false, error: 'ShareID not found' });
+        }
+        if (lmidRecord.status === 'deleted') {
+            return res.status(410).json({ success: false, error: 'Radio Program has been deleted by teacher' });
+        }
+
+        const supabase = getSupabaseClient();
+        const storage = getStorage();
+        const lang = langValidation.sanitized;
+        const lmid = lmidRecord.lmid.toString();
+        const world = lmidRecord.world;
+
+        if (req.method === 'GET') {
+            const versions = {};
+            for (const programType of type ? [type] : PROGRAM_TYPES) {
+                versions[programType] = await describeVersions(supabase, storage, { lmid, world, type: programType, lang });
+            }
+
+            return res.status(200).json({ success: true, lmid: parseInt(lmid, 10), world, lang, versions });
+        }
+
+        // Pin / unpin - teacher of this LMID only
+        const { action, jobId } = params;
+        if (action !== 'pin' && action !== 'unpin') {
+            return res.status(400).json({ success: false, error: 'action must be pin or unpin' });
+        }
+        if (!type || (action === 'pin' && !jobId)) {
+            return res.status(400).json({ success: false, error: 'Missing required parameters: type and jobId' });
+        }
+
+        const memberValidation = validateMemberId(params.memberId);
+        if (!memberValidation.valid) {
+            return res.status(400).json({ success: false, error: memberValidation.error });
+        }
+        if (lmidRecord.assigned_to_member_id !== memberValidation.sanitized) {
+            return res.status(403).json({ success: false, error: 'Only the teacher of this program can pin versions' });
+        }
+
+        const program = { lmid, world, type, lang };
+        if (action === 'pin') {
+            await pinProgramVersion(supabase, program, jobId, memberValidation.sanitized);
+        } else {
+            await unpinProgramVersion(supabase, program);
+            console.log(`📌 Unpinned ${type} program for ${lang}/${world}/${lmid} - latest version published`);
+        }
+
+        const published = (await describeVersions(supabase, storage, program)).find(version => version.published) || null;
+        return res.status(200).json({ success: true, type, published });
+
+    } catch (error) {
+        if (error.statusCode && error.statusCode < 500) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+        console.error('❌ Program versions error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Program versions request failed',
+            details: error.message
+        });
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * api/reconcile-storage.js - Storage / Database Reconciliation Route
+ *
+ * PURPOSE: Run utils/storage-reconciler.js - report (and optionally fix) orphan LMID folders,
+ *          orphan recording rows, recordings out of line with their files and stale generation locks
+ * DEPENDENCIES: utils/storage-reconciler.js
+ *
+ * AUTHENTICATION:
+ * Authorization: Bearer <CRON_SECRET> (isCronAuthorized in utils/api-utils.js)
+ * Without CRON_SECRET configured the route refuses every request
+ *
+ * REQUEST FORMAT:
+ * GET /api/reconcile-storage                     Dry run - report only
+ * GET /api/reconcile-storage?fix=true            Fix what is safe to fix (deleted LMIDs' folders are
+ *                                                marked first, deleted after STORAGE_ORPHAN_GRACE_DAYS)
+ * GET /api/reconcile-storage?lang=en&lmid=32     Narrow the scan
+ * GET /api/reconcile-storage?cursor=en/120&limit=50   Explicit slice (after folder en/120, 50 folders)
+ *
+ * SLICES:
+ * A run checks one slice of LMID folders (STORAGE_RECONCILE_BATCH_SIZE, stopping early before maxDuration)
+ * and reports it. Without cursor, lang or lmid the run continues the pass where the previous run stopped
+ * (cursor kept in storage) - the daily cron walks the bucket over several days instead of timing out
+ *
+ * SCHEDULE:
+ * vercel.json cron, daily at 03:30 as a dry run - fixing is a manual call
+ *
+ * RESPONSE FORMAT:
+ * { success: true, report: { dryRun, graceDays, cursor, nextCursor, complete, totalFolders, scannedFolders,
+ *   orphanFolders, orphanRecordings, staleLocks, recordings, errors } }
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+import { validateLMID, validateLanguage } from '../utils/input-validator.js';
+import { reconcileStorage, loadReconcileCursor, saveReconcileCursor } from '../utils/storage-reconciler.js';
+
+export default async function handler(req, res) {
+    // Secure CORS headers
+    const { setCorsHeaders, isCronAuthorized } = await import('../utils/api-utils.js');
+    const corsHandler = setCorsHeaders(res, ['GET', 'OPTIONS']);
+    corsHandler(req);
+
+    // Rate limiting - 5 runs per minute
+    const { checkRateLimit } = await import('../utils/simple-rate-limiter.js');
+    if (!checkRateLimit(req, res, 'reconcile-storage', 5)) {
+        return; // Rate limit exceeded
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ success: false, error: 'Method not allowed. Use GET.' });
+    }
+
+    if (!process.env.CRON_SECRET) {
+        console.error('❌ CRON_SECRET is not configured - storage reconcile disabled');
+        return res.status(500).json({ success: false, error: 'Server configuration error' });
+    }
+
+    if (!isCronAuthorized(req)) {
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    try {
+        const { lang, lmid, fix, cursor, limit } = req.query;
+
+        if (lang && !validateLanguage(lang).valid) {
+            return res.status(400).json({ success: false, error: 'Invalid language parameter' });
+        }
+        if (lmid && (!validateLMID(lmid).valid || !/^\d+$/.test(lmid))) {
+            return res.status(400).json({ success: false, error: 'lmid must be a number' });
+        }
+        if (cursor && !/^[a-z]{2}\/\d+$/.test(cursor)) {
+            return res.status(400).json({ success: false, error: 'cursor must be lang/lmid, e.g. en/120' });
+        }
+        if (limit && !/^[1-9]\d*$/.test(limit)) {
+            return res.status(400).json({ success: false, error: 'limit must be a positive number' });
+        }
+
+        // A plain run (the cron) continues the pass of the previous run
+        const resume = !cursor && !lang && !lmid;
+        const sliceCursor = resume ? await loadReconcileCursor() : (cursor || null);
+
+        const dryRun = fix !== 'true';
+        console.log(`🧹 Storage reconcile started${dryRun ? ' (dry run)' : ''}${lang ? ` lang=${lang}` : ''}${lmid ? ` lmid=${lmid}` : ''}${sliceCursor ? ` after ${sliceCursor}` : ''}`);
+
+        const report = await reconcileStorage({
+            lang,
+            lmid,
+            dryRun,
+            cursor: sliceCursor,
+            ...(limit ? { limit: parseInt(limit, 10) } : {})
+        });
+
+        if (resume) {
+            await saveReconcileCursor(report.nextCursor);
+        }
+
+        return res.status(200).json({ success: true, report });
+
+    } catch (error) {
+        console.error('❌ Storage reconcile error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Storage reconcile failed',
+            details: error.message
+        });
+    }
+}
@@ -0,0 +1,77 @@
+/**
+ * api/storage-usage.js - Storage Usage & Quota Report
+ *
+ * PURPOSE: Recording minutes and bytes used by a teacher account and each of its LMIDs,
+ *          with the quota of the account's plan - shown as a meter on the dashboard
+ * DEPENDENCIES: utils/storage-quotas.js (recording_usage_by_lmid view, Memberstack plan)
+ *
+ * REQUEST FORMAT:
+ * GET /api/storage-usage?memberId=mem_123
+ *
+ * RESPONSE FORMAT:
+ * {
+ *   success: true,
+ *   plan: "free" | "paid" | null,
+ *   account: { recordings, bytes, minutes, limits: { bytes, minutes } | null },
+ *   lmids: [{ lmid, recordings, bytes, minutes, limits: { bytes, minutes } | null }]
+ * }
+ * limits are null when the plan cannot be looked up (uploads are not blocked then either)
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+import { validateMemberId } from '../utils/input-validator.js';
+import { getPlanTier, getStorageUsage, PLAN_QUOTAS } from '../utils/storage-quotas.js';
+
+export default async function handler(req, res) {
+    // Secure CORS headers
+    const { setCorsHeaders } = await import('../utils/api-utils.js');
+    const corsHandler = setCorsHeaders(res, ['GET', 'OPTIONS']);
+    corsHandler(req);
+
+    // Rate limiting - 30 requests per minute
+    const { checkRateLimit } = await import('../utils/simple-rate-limiter.js');
+    if (!checkRateLimit(req, res, 'storage-usage', 30)) {
+        return; // Rate limit exceeded
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ success: false, error: 'Method not allowed. Use GET.' });
+    }
+
+    try {
+        const memberValidation = validateMemberId(req.query.memberId);
+        if (!memberValidation.valid) {
+            return res.status(400).json({ success: false, error: memberValidation.error });
+        }
+        const memberId = memberValidation.sanitized;
+
+        const [plan, usage] = await Promise.all([getPlanTier(memberId), getStorageUsage(memberId)]);
+        const quotas = plan ? PLAN_QUOTAS[plan] : null;
+
+        return res.status(200).json({
+            success: true,
+            plan,
+            account: { ...usage.account, limits: quotas ? quotas.account : null },
+            lmids: Object.entries(usage.lmids).map(([lmid, lmidUsage]) => ({
+                lmid: parseInt(lmid, 10),
+                ...lmidUsage,
+                limits: quotas ? quotas.lmid : null
+            }))
+        });
+
+    } catch (error) {
+        console.error('❌ Storage usage error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to load storage usage',
+            details: error.message
+        });
+    }
+}
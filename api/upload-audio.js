@@ -2,18 +2,47 @@
  * api/upload-audio.js - Secure Audio File Upload Service
  * 
  * PURPOSE: Serverless function for uploading recorded audio files to Bunny.net CDN with validation and organization
- * DEPENDENCIES: Bunny.net Storage API, Node.js Buffer handling, Base64 processing
+ * DEPENDENCIES: Storage adapter (utils/storage.js - Bunny.net or local directory), Node.js Buffer handling, Base64 processing
  * DOCUMENTATION: See /documentation/api-documentation.md for complete API overview
  * 
  * REQUEST FORMAT:
  * POST /api/upload-audio
  * Body: { audioData: "base64_mp3", filename: "kids-world_...", world: "spookyland", lmid: "32", questionId: "9" }
  * 
+ * RESUMABLE UPLOADS:
+ * - Recorders upload in binary chunks through api/upload-session.js + api/upload-chunk.js
+ * - Both paths share validateUploadFields() and ingestRecording() - the pipeline below
+ * - This base64 route stays for older clients
+ * 
  * PROCESSING PIPELINE:
- * Base64 Audio → Buffer Conversion → Filename Validation → Bunny.net Upload → CDN URL Response
+ * Base64 Audio → Buffer Conversion → Filename Validation → ffprobe Validation → Canonical Transcode
+ * → Audio Analysis → Bunny.net Upload (+ MP3 fallback and sidecars) → recordings table row → CDN URL Response
+ * 
+ * CANONICAL FORMAT:
+ * - Answers are recorded for at most 10 minutes (MAX_ANSWER_MINUTES), uploads probing over 15 minutes are rejected
+ * - Every upload (Chrome WebM/Opus, Safari MP4/AAC, MP3...) is transcoded server-side
+ * - {base}.webm: Opus 48 kHz mono 48 kbps (canonical, used for program assembly)
+ * - {base}.mp3: MP3 44.1 kHz mono 96 kbps fallback for players without Opus support
+ * - The uploaded blob itself is never stored
+ * 
+ * AUDIO ANALYSIS:
+ * - Duration, integrated loudness, peak, leading/trailing silence, clipping ratio (utils/audio-analysis.js)
+ * - Stored as {recording}.analysis.json next to the recording and returned in the response
+ * - Waveform peaks (800 buckets) stored as {recording}.waveform.json for the players
+ * - Analysis failures never block the upload
+ * - Transcode, analysis and waveform timeouts scale with the probed duration (getPassTimeoutMs) -
+ *   a ten-minute answer needs well over a minute in total (maxDuration 300s in vercel.json)
+ * 
+ * STORAGE QUOTAS:
+ * - Minutes and bytes per LMID and per teacher account, limits by the teacher's plan (utils/storage-quotas.js)
+ * - Checked on the transcoded recording before storing; exceeded → 403 { code: 'QUOTA_EXCEEDED' }
+ * 
+ * RECORDINGS INDEX:
+ * - Every stored recording gets a row in the Supabase recordings table (utils/recordings-index.js)
+ * - Lists and program counts read the table; re-uploading the same filename refreshes the row
  * 
  * FILE ORGANIZATION:
- * - Naming Convention: kids-world_{world}-lmid_{lmid}-question_{number}-tm_{timestamp}.mp3
+ * - Naming Convention: kids-world_{world}-lmid_{lmid}-question_{number}-tm_{timestamp}.webm (+ .mp3 fallback)
  * - Storage Path: /{lmid}/{world}/{filename}
  * - CDN Access: https://little-microphones.b-cdn.net/{lmid}/{world}/{filename}
  * 
@@ -28,7 +57,7 @@
  * - Base64 to binary buffer conversion with error recovery
  * - Data URL prefix removal for clean audio data extraction
  * - File size tracking and reporting for monitoring
- * - MIME type enforcement for audio/mpeg consistency
+ * - Canonical Opus/WebM + MP3 output regardless of the recording browser
  * 
  * BUNNY.NET INTEGRATION:
  * - Secure API key authentication with protected storage
@@ -87,88 +116,491 @@
 
 import ffmpeg from 'fluent-ffmpeg';
 import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import ffprobeInstaller from '@ffprobe-installer/ffprobe';
 import { promises as fs } from 'fs';
 import path from 'path';
 import os from 'os';
+import { analyzeAudioFile, generateWaveformPeaks, WAVEFORM_DEFAULTS } from '../utils/audio-analysis.js';
+import { getAnalysisSidecarName, getWaveformSidecarName, getRecordingBaseName, RECORDING_FORMATS } from '../utils/audio-utils.js';
+import { getStorage } from '../utils/storage.js';
+import { indexRecording } from '../utils/recordings-index.js';
+import { assertWithinQuota } from '../utils/storage-quotas.js';
 
-// Set FFmpeg path
+// Set FFmpeg and ffprobe paths
 ffmpeg.setFfmpegPath(ffmpegInstaller.path);
+ffmpeg.setFfprobePath(ffprobeInstaller.path);
+
+// Product limit: answers are recorded for at most 10 minutes (the recorder stops there)
+const MAX_ANSWER_MINUTES = 10;
+
+// Canonical storage format for every recording
+const CANONICAL_TRANSCODE = {
+    opusBitrate: '48k',
+    mp3Bitrate: '96k',
+    // Margin over the product limit - a 10-minute MediaRecorder file probes at 600.x seconds
+    maxDurationSeconds: (MAX_ANSWER_MINUTES + 5) * 60,
+    probeTimeoutMs: 10000,
+    // FFmpeg passes get a base time plus time per minute of probed audio
+    transcodeTimeout: { baseMs: 30000, perMinuteMs: 6000 },
+    analysisTimeout: { baseMs: 20000, perMinuteMs: 4000 },
+    waveformTimeout: { baseMs: 20000, perMinuteMs: 4000 }
+};
 
 /**
- * Process audio for upload with intelligent normalization
- * RESTORED: Pre-upload normalization is crucial for consistent loudness levels
+ * Timeout of an FFmpeg pass over a recording of the given length
+ * @param {Object} timeout - { baseMs, perMinuteMs } from CANONICAL_TRANSCODE
+ * @param {number|null} durationSeconds - Probed duration (null: budget for the longest accepted recording)
+ * @returns {number} Milliseconds
+ */
+function getPassTimeoutMs({ baseMs, perMinuteMs }, durationSeconds) {
+    const minutes = (durationSeconds ?? CANONICAL_TRANSCODE.maxDurationSeconds) / 60;
+    return Math.round(baseMs + perMinuteMs * minutes);
+}
+
+/**
+ * Probe an upload with ffprobe and reject anything that is not decodable audio
+ * @param {string} inputPath - Uploaded file on disk
+ * @returns {Promise<Object>} { codec, duration }
+ */
+async function probeUpload(inputPath) {
+    const metadata = await new Promise((resolve, reject) => {
+        const timeoutId = setTimeout(() => reject(new Error('Audio probe timed out')), CANONICAL_TRANSCODE.probeTimeoutMs);
+        ffmpeg.ffprobe(inputPath, (error, data) => {
+            clearTimeout(timeoutId);
+            if (error) reject(error);
+            else resolve(data);
+        });
+    });
+
+    const audioStream = (metadata.streams || []).find(stream => stream.codec_type === 'audio');
+    if (!audioStream) {
+        throw new Error('No audio stream found');
+    }
+
+    const duration = parseFloat(metadata.format?.duration);
+    if (Number.isFinite(duration) && duration > CANONICAL_TRANSCODE.maxDurationSeconds) {
+        throw new Error(`Recording too long (${Math.round(duration)}s, max ${CANONICAL_TRANSCODE.maxDurationSeconds}s)`);
+    }
+
+    return { codec: audioStream.codec_name, duration: Number.isFinite(duration) ? duration : null };
+}
+
+/**
+ * Transcode any browser upload (WebM/Opus from Chrome, MP4/AAC from Safari, MP3...) to the
+ * canonical pair: Opus in WebM (48 kHz mono) plus an MP3 fallback for players without Opus
+ * @param {string} inputPath - Uploaded file on disk
+ * @param {string} tempDir - Temp directory for the outputs
+ * @param {number|null} durationSeconds - Probed duration (sets the timeout)
+ * @returns {Promise<Object>} { canonicalPath, fallbackPath }
+ */
+async function transcodeToCanonical(inputPath, tempDir, durationSeconds) {
+    const timeoutMs = getPassTimeoutMs(CANONICAL_TRANSCODE.transcodeTimeout, durationSeconds);
+    const canonicalPath = path.join(tempDir, `canonical.${RECORDING_FORMATS.canonical.extension}`);
+    const fallbackPath = path.join(tempDir, `fallback.${RECORDING_FORMATS.fallback.extension}`);
+
+    await new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath)
+            .output(canonicalPath)
+            .audioCodec('libopus')
+            .audioBitrate(CANONICAL_TRANSCODE.opusBitrate)
+            .audioFrequency(48000)
+            .audioChannels(1)
+            .format('webm')
+            .output(fallbackPath)
+            .audioCodec('libmp3lame')
+            .audioBitrate(CANONICAL_TRANSCODE.mp3Bitrate)
+            .audioFrequency(44100)
+            .audioChannels(1)
+            .format('mp3');
+
+        // Timeout protection
+        const timeoutId = setTimeout(() => {
+            try {
+                command.kill('SIGKILL');
+            } catch (error) {
+                console.warn('Error killing FFmpeg process:', error.message);
+            }
+            reject(new Error(`Transcoding timed out after ${Math.round(timeoutMs / 1000)} seconds`));
+        }, timeoutMs);
+
+        command
+            .on('start', () => {
+                console.log('🎵 Transcoding upload to canonical Opus/WebM + MP3');
+            })
+            .on('end', () => {
+                clearTimeout(timeoutId);
+                resolve();
+            })
+            .on('error', (error) => {
+                clearTimeout(timeoutId);
+                reject(error);
+            })
+            .run();
+    });
+
+    return { canonicalPath, fallbackPath };
+}
+
+/**
+ * Validate, transcode and measure an upload
+ * Probe or transcode failures reject the upload; analysis and waveform are best effort
  * @param {Buffer} audioBuffer - Raw audio buffer
- * @param {string} format - Audio format (webm, mp3, wav, ogg)
- * @returns {Promise<Buffer>} Processed audio buffer
+ * @param {string} format - Detected container (webm, mp4, mp3, wav, ogg)
+ * @returns {Promise<Object>} { canonicalBuffer, fallbackBuffer, analysis, waveform, duration }
  */
-async function processAudioForUpload(audioBuffer, format) {
+async function prepareUpload(audioBuffer, format) {
     const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio-upload-'));
     const inputPath = path.join(tempDir, `input.${format}`);
-    const outputPath = path.join(tempDir, `output.${format}`);
     
     try {
-        // Write input buffer to temp file
         await fs.writeFile(inputPath, audioBuffer);
-        
-        // Apply intelligent normalization - keep same format to avoid filter issues
-        await new Promise((resolve, reject) => {
-            const command = ffmpeg(inputPath)
-                .audioFilters([
-                    // EBU R128 loudness normalization for broadcast standards
-                    'loudnorm=I=-16.0:LRA=7.0:TP=-1.0:print_format=json',
-                    // Light enhancement for speech clarity
-                    'highpass=f=80',           // Remove low-frequency noise
-                    'lowpass=f=8000',          // Remove high-frequency noise
-                    'compand=0.02,0.20:-60/-60,-30/-15,-20/-10,-5/-5,0/-3:6:0:-3' // Speech compressor
-                ])
-                .output(outputPath);
-            
-            // Timeout protection (20 seconds)
-            const timeoutId = setTimeout(() => {
-                try {
-                    command.kill('SIGKILL');
-                    console.warn(`⏰ Upload normalization timeout after 20s`);
-                } catch (error) {
-                    console.warn('Error killing FFmpeg process:', error.message);
-                }
-                reject(new Error('Upload normalization timed out after 20 seconds'));
-            }, 20000);
-            
-            command
-                .on('start', () => {
-                    console.log(`🎵 Pre-upload normalization (${format})`);
-                })
-                .on('end', () => {
-                    clearTimeout(timeoutId);
-                    resolve();
-                })
-                .on('error', (error) => {
-                    clearTimeout(timeoutId);
-                    reject(error);
-                })
-                .run();
+
+        let probe;
+        try {
+            probe = await probeUpload(inputPath);
+        } catch (error) {
+            const invalid = new Error(`Audio could not be read: ${error.message}`);
+            invalid.statusCode = 400;
+            throw invalid;
+        }
+        console.log(`🔎 Probed upload: ${format}/${probe.codec}, ${probe.duration ?? 'unknown'}s`);
+
+        const { canonicalPath, fallbackPath } = await transcodeToCanonical(inputPath, tempDir, probe.duration);
+
+        // Measure the canonical file so stored values match what is served
+        let analysis = null;
+        let waveform = null;
+        try {
+            analysis = await analyzeAudioFile(canonicalPath, {
+                timeoutMs: getPassTimeoutMs(CANONICAL_TRANSCODE.analysisTimeout, probe.duration)
+            });
+            console.log(`🔬 Analyzed upload: ${analysis.duration}s, ${analysis.integratedLufs} LUFS, peak ${analysis.peakDb} dB`);
+        } catch (error) {
+            console.warn(`⚠️ Upload analysis failed, storing recording without it: ${error.message}`);
+        }
+
+        try {
+            waveform = await generateWaveformPeaks(canonicalPath, WAVEFORM_DEFAULTS.buckets, {
+                timeoutMs: getPassTimeoutMs(CANONICAL_TRANSCODE.waveformTimeout, analysis?.duration ?? probe.duration)
+            });
+        } catch (error) {
+            console.warn(`⚠️ Waveform generation failed: ${error.message}`);
+        }
+
+        return {
+            canonicalBuffer: await fs.readFile(canonicalPath),
+            fallbackBuffer: await fs.readFile(fallbackPath),
+            analysis,
+            waveform,
+            duration: analysis?.duration ?? probe.duration
+        };
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+    }
+}
+
+/**
+ * Store a JSON sidecar (analysis, waveform) next to the recording
+ * @param {Object} storage - Storage adapter
+ * @param {string} folderPath - Storage folder (lang/lmid/world)
+ * @param {string} sidecarName - Sidecar filename
+ * @param {Object} data - JSON content
+ */
+async function uploadJsonSidecar(storage, folderPath, sidecarName, data) {
+    try {
+        await storage.put(`${folderPath}/${sidecarName}`, JSON.stringify(data), { contentType: 'application/json' });
+    } catch (error) {
+        console.warn(`⚠️ Sidecar upload failed for ${sidecarName}: ${error.message}`);
+    }
+}
+
+// Accepted upload sizes (base64 uploads and upload sessions alike)
+export const UPLOAD_LIMITS = {
+    maxFileSize: 50 * 1024 * 1024, // 50MB
+    minFileSize: 100 // 100 bytes (allow very short recordings, prevent empty/corrupted files)
+};
+
+/**
+ * Client error (400) with optional extra response fields
+ */
+function uploadError(message, extra = {}) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    error.responseBody = { error: message, ...extra };
+    return error;
+}
+
+/**
+ * SECURITY: Input sanitization
+ */
+function sanitizeInput(data) {
+    if (typeof data !== 'string') return data;
+    
+    // Remove potentially dangerous characters and normalize
+    return data.replace(/[<>]/g, '').trim();
+}
+
+/**
+ * SECURITY: Audio file validation using magic numbers
+ * @param {Buffer} buffer - Audio buffer
+ * @returns {Object} { valid, format }
+ */
+function isValidAudioFile(buffer) {
+    const header = buffer.slice(0, 16);
+    
+    // WebM - EBML header
+    if (header[0] === 0x1A && header[1] === 0x45 && header[2] === 0xDF && header[3] === 0xA3) {
+        return { valid: true, format: 'webm' };
+    }
+    
+    // MP3 - ID3 tag or MPEG frame
+    if (header.toString('ascii', 0, 3) === 'ID3' || 
+        (header[0] === 0xFF && (header[1] & 0xE0) === 0xE0)) {
+        return { valid: true, format: 'mp3' };
+    }
+    
+    // WAV - RIFF header
+    if (header.toString('ascii', 0, 4) === 'RIFF' && 
+        header.toString('ascii', 8, 12) === 'WAVE') {
+        return { valid: true, format: 'wav' };
+    }
+    
+    // OGG - OggS header
+    if (header.toString('ascii', 0, 4) === 'OggS') {
+        return { valid: true, format: 'ogg' };
+    }
+    
+    // MP4/M4A (Safari MediaRecorder) - ftyp box
+    if (header.toString('ascii', 4, 8) === 'ftyp') {
+        return { valid: true, format: 'mp4' };
+    }
+    
+    return { valid: false, format: 'unknown' };
+}
+
+/**
+ * SECURITY: Filename validation with dangerous characters check
+ * @returns {Object} { valid, error }
+ */
+function validateAudioFilename(filename, world, lmid, questionId) {
+    // Check for dangerous characters
+    const dangerousChars = /[<>:"/\\|?*\x00-\x1F]/;
+    if (dangerousChars.test(filename)) {
+        return { valid: false, error: 'Filename contains invalid characters' };
+    }
+    
+    // Check filename length
+    if (filename.length > 255) {
+        return { valid: false, error: 'Filename too long (max 255 characters)' };
+    }
+    
+    // Check file extension (any browser recording container - stored in the canonical format)
+    if (!/\.(webm|mp3|m4a|mp4)$/.test(filename)) {
+        return { valid: false, error: 'Only WebM, MP4/M4A and MP3 files are allowed' };
+    }
+    
+    // Validate filename format patterns
+    const teacherFormat = filename.includes(`kids-world_${world}-lmid_${lmid}-question_${questionId}`);
+    const parentFormat = filename.match(new RegExp(`^parent_[^-]+-world_${world}-lmid_${lmid}-question_${questionId}-tm_\\d+\\.(webm|mp3|m4a|mp4)$`));
+    
+    if (!teacherFormat && !parentFormat) {
+        return { valid: false, error: 'Invalid filename format - must be either teacher or parent format' };
+    }
+    
+    return { valid: true };
+}
+
+/**
+ * Sanitize and validate the recording fields of an upload (before any audio arrives)
+ * Shared with the chunked upload sessions (api/upload-session.js)
+ * @param {Object} fields - { filename, world, lmid, questionId, lang }
+ * @returns {Object} Sanitized fields
+ * @throws {Error} statusCode 400 when a field is missing or the filename is invalid
+ */
+export function validateUploadFields(fields) {
+    const filename = sanitizeInput(fields.filename);
+    const world = sanitizeInput(fields.world);
+    const lmid = sanitizeInput(fields.lmid);
+    const questionId = sanitizeInput(fields.questionId);
+    const lang = sanitizeInput(fields.lang);
+
+    if (!filename) {
+        throw uploadError('Missing required field: filename');
+    }
+
+    if (!world || !lmid || !questionId) {
+        throw uploadError('Missing required fields: world, lmid, and questionId');
+    }
+
+    if (!lang) {
+        throw uploadError('Missing required field: lang');
+    }
+
+    const filenameValidation = validateAudioFilename(filename, world, lmid, questionId);
+    if (!filenameValidation.valid) {
+        throw uploadError(filenameValidation.error);
+    }
+
+    return { filename, world, lmid, questionId, lang };
+}
+
+/**
+ * Validate, transcode and store a complete recording, then notify by email
+ * Used by the base64 upload below and by the finalize step of api/upload-session.js
+ * @param {Buffer} audioBuffer - Complete recording as uploaded by the browser
+ * @param {Object} fields - Fields already checked by validateUploadFields()
+ * @returns {Promise<Object>} Response body ({ success, url, fallbackUrl, filename, ... })
+ * @throws {Error} statusCode 400 (with responseBody) for invalid audio, 403 QUOTA_EXCEEDED over the plan quota
+ */
+export async function ingestRecording(audioBuffer, fields) {
+    let { filename } = fields;
+    const { world, lmid, questionId, lang } = fields;
+
+    // Check storage configuration
+    const storage = getStorage();
+    if (!storage.isConfigured()) {
+        console.error(`Missing ${storage.backend} storage configuration`);
+        throw new Error('Server configuration error');
+    }
+
+    // SECURITY: File size validation
+    if (audioBuffer.length > UPLOAD_LIMITS.maxFileSize) {
+        throw uploadError('File too large. Maximum size is 50MB.', {
+            size: audioBuffer.length,
+            maxSize: UPLOAD_LIMITS.maxFileSize
         });
+    }
+
+    if (audioBuffer.length < UPLOAD_LIMITS.minFileSize) {
+        throw uploadError('File too small. Minimum size is 100 bytes.', {
+            size: audioBuffer.length,
+            minSize: UPLOAD_LIMITS.minFileSize
+        });
+    }
+
+    // Validate audio file format
+    const audioValidation = isValidAudioFile(audioBuffer);
+    if (!audioValidation.valid) {
+        throw uploadError('Invalid file type. Only audio files are allowed.', {
+            detectedFormat: audioValidation.format
+        });
+    }
+
+    // Transcode to the canonical format (Opus/WebM + MP3 fallback) whatever the browser recorded
+    let prepared;
+    try {
+        prepared = await prepareUpload(audioBuffer, audioValidation.format);
+    } catch (error) {
+        if (error.statusCode === 400) {
+            throw uploadError('Invalid audio file', { details: error.message });
+        }
+        throw error;
+    }
+    const { canonicalBuffer, fallbackBuffer, analysis, waveform, duration } = prepared;
+
+    // Plan quota: the class is charged for what is stored (both files), so check after transcoding
+    await assertWithinQuota(lmid, { bytes: canonicalBuffer.length + fallbackBuffer.length, minutes: (duration || 0) / 60 });
+
+    // Stored names always use the canonical extensions
+    const baseName = getRecordingBaseName(filename);
+    filename = `${baseName}.${RECORDING_FORMATS.canonical.extension}`;
+    const fallbackFilename = `${baseName}.${RECORDING_FORMATS.fallback.extension}`;
+    const folderPath = `${lang}/${lmid}/${world}`;
+
+    // Files first: the recordings table row written below is what makes the recording visible
+    await storage.put(`${folderPath}/${fallbackFilename}`, fallbackBuffer, { contentType: RECORDING_FORMATS.fallback.mimeType });
+
+    // Store with folder structure: lang/lmid/world/filename
+    const filePath = `${folderPath}/${filename}`;
+    
+    console.log(`📤 Uploading ${filename} (${canonicalBuffer.length} bytes, original ${audioBuffer.length} bytes ${audioValidation.format})`);
+    
+    await storage.put(filePath, canonicalBuffer, { contentType: RECORDING_FORMATS.canonical.mimeType });
+
+    const cdnUrl = storage.signedUrl(filePath);
+    console.log(`✅ Upload successful: ${canonicalBuffer.length} bytes`);
+
+    if (analysis) {
+        await uploadJsonSidecar(storage, folderPath, getAnalysisSidecarName(filename), { filename, ...analysis });
+    }
+    if (waveform) {
+        await uploadJsonSidecar(storage, folderPath, getWaveformSidecarName(filename), waveform);
+    }
+
+    // Index the recording - a failure fails the upload, so the client retries instead of
+    // leaving a recording that no list or program would ever see
+    await indexRecording({
+        storageKey: filePath,
+        fallbackStorageKey: `${folderPath}/${fallbackFilename}`,
+        waveformStorageKey: waveform ? `${folderPath}/${getWaveformSidecarName(filename)}` : null,
+        sizeBytes: canonicalBuffer.length,
+        fallbackSizeBytes: fallbackBuffer.length,
+        durationSeconds: duration,
+        analysis
+    });
+    
+    // Send email notifications after successful upload
+    let emailNotificationStatus = 'not_applicable';
+    let emailNotificationMessage = '';
+    
+    try {
+        // Get LMID data first (contains all emails)
+        const lmidData = await getLmidData(lmid);
         
-        // Read processed file back to buffer
-        const processedBuffer = await fs.readFile(outputPath);
-        
-        // Cleanup temp files
-        await fs.unlink(inputPath).catch(() => {});
-        await fs.unlink(outputPath).catch(() => {});
-        await fs.rmdir(tempDir).catch(() => {});
-        
-        console.log(`✨ Pre-upload normalized: ${audioBuffer.length} → ${processedBuffer.length} bytes`);
-        return processedBuffer;
+        if (!lmidData) {
+            throw new Error(`LMID data not found for LMID ${lmid}`);
+        }
         
-    } catch (error) {
-        // Cleanup on error
-        await fs.unlink(inputPath).catch(() => {});
-        await fs.unlink(outputPath).catch(() => {});
-        await fs.rmdir(tempDir).catch(() => {});
+        // Determine upload type and set notification logic
+        const isParentUpload = filename.startsWith('parent_');
+        let uploaderEmail = null;
         
-        console.warn(`⚠️ Pre-upload normalization failed (WebM filter issue), using original: ${error.message}`);
-        return audioBuffer; // Return original on failure - this is expected with WebM format
+        if (isParentUpload) {
+            // Extract parent member ID from filename
+            const memberIdMatch = filename.match(/^parent_([^-]+)-/);
+            
+            if (memberIdMatch) {
+                const parentMemberId = memberIdMatch[1];
+                // Find uploader email from the cached mapping
+                uploaderEmail = findParentEmailByMemberId(parentMemberId, lmidData.parentMemberIdToEmail, lmidData.parentEmails);
+            } else {
+                console.warn(`⚠️ Could not extract Member ID from filename`);
+            }
+            
+            console.log(`👨‍👩‍👧‍👦 Parent upload - notifying ONLY educator`);
+            await sendNewRecordingNotifications(lmid, world, questionId, lang, uploaderEmail, lmidData, 'parent_upload');
+            
+            emailNotificationStatus = 'sent';
+            emailNotificationMessage = 'Email notifications sent to educator only';
+        } else {
+            console.log(`👨‍🏫 Educator upload - notifying ALL parents`);
+            // For educator uploads, uploaderEmail is the teacher's email
+            uploaderEmail = lmidData.teacherEmail;
+            
+            await sendNewRecordingNotifications(lmid, world, questionId, lang, uploaderEmail, lmidData, 'educator_upload');
+            
+            emailNotificationStatus = 'sent';
+            emailNotificationMessage = 'Email notifications sent to all parents';
+        }
+    } catch (emailError) {
+        console.error('❌ Email notification failed:', emailError.message);
+        emailNotificationStatus = 'failed';
+        emailNotificationMessage = 'Upload successful, email notification failed';
     }
+    
+    return {
+        success: true, 
+        url: cdnUrl,
+        fallbackUrl: storage.signedUrl(`${folderPath}/${fallbackFilename}`),
+        filename: filename,
+        size: canonicalBuffer.length,
+        analysis: analysis,
+        waveformUrl: waveform ? storage.signedUrl(`${folderPath}/${getWaveformSidecarName(filename)}`) : null,
+        emailNotification: {
+            status: emailNotificationStatus,
+            message: emailNotificationMessage
+        }
+    };
 }
 
 export default async function handler(req, res) {
@@ -195,44 +627,15 @@ export default async function handler(req, res) {
     }
 
     try {
-        let { audioData, filename, world, lmid, questionId, lang } = req.body;
-
-        // SECURITY: Input sanitization
-        function sanitizeInput(data) {
-            if (typeof data !== 'string') return data;
-            
-            // Remove potentially dangerous characters and normalize
-            return data.replace(/[<>]/g, '').trim();
-        }
-
-        // Apply sanitization to all string inputs
-        filename = sanitizeInput(filename);
-        world = sanitizeInput(world);
-        lmid = sanitizeInput(lmid);
-        questionId = sanitizeInput(questionId);
-        lang = sanitizeInput(lang);
+        const { audioData } = req.body;
         // Note: audioData is not sanitized as it's base64 encoded binary data
 
         // Validation
-        if (!audioData || !filename) {
+        if (!audioData || !req.body.filename) {
             return res.status(400).json({ error: 'Missing required fields: audioData and filename' });
         }
 
-        if (!world || !lmid || !questionId) {
-            return res.status(400).json({ error: 'Missing required fields: world, lmid, and questionId' });
-        }
-
-        if (!lang) {
-            return res.status(400).json({ error: 'Missing required field: lang' });
-        }
-        
-        // Filename validation moved to enhanced security validation above
-
-        // Check environment variables
-        if (!process.env.BUNNY_API_KEY || !process.env.BUNNY_STORAGE_ZONE) {
-            console.error('Missing Bunny.net configuration');
-            return res.status(500).json({ error: 'Server configuration error' });
-        }
+        const fields = validateUploadFields(req.body);
 
         // Convert base64 to buffer
         let audioBuffer;
@@ -244,192 +647,12 @@ export default async function handler(req, res) {
             return res.status(400).json({ error: 'Invalid audio data format' });
         }
 
-        // SECURITY: File size validation
-        const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
-        const MIN_FILE_SIZE = 100; // 100 bytes (allow very short recordings, prevent empty/corrupted files)
-        
-        if (audioBuffer.length > MAX_FILE_SIZE) {
-            return res.status(400).json({ 
-                error: 'File too large. Maximum size is 50MB.',
-                size: audioBuffer.length,
-                maxSize: MAX_FILE_SIZE
-            });
-        }
-
-        if (audioBuffer.length < MIN_FILE_SIZE) {
-            return res.status(400).json({ 
-                error: 'File too small. Minimum size is 100 bytes.',
-                size: audioBuffer.length,
-                minSize: MIN_FILE_SIZE
-            });
-        }
-
-        // SECURITY: Audio file validation using magic numbers
-        function isValidAudioFile(buffer) {
-            const header = buffer.slice(0, 16);
-            
-            // WebM - EBML header
-            if (header[0] === 0x1A && header[1] === 0x45 && header[2] === 0xDF && header[3] === 0xA3) {
-                return { valid: true, format: 'webm' };
-            }
-            
-            // MP3 - ID3 tag or MPEG frame
-            if (header.toString('ascii', 0, 3) === 'ID3' || 
-                (header[0] === 0xFF && (header[1] & 0xE0) === 0xE0)) {
-                return { valid: true, format: 'mp3' };
-            }
-            
-            // WAV - RIFF header
-            if (header.toString('ascii', 0, 4) === 'RIFF' && 
-                header.toString('ascii', 8, 12) === 'WAVE') {
-                return { valid: true, format: 'wav' };
-            }
-            
-            // OGG - OggS header
-            if (header.toString('ascii', 0, 4) === 'OggS') {
-                return { valid: true, format: 'ogg' };
-            }
-            
-            return { valid: false, format: 'unknown' };
-        }
-
-        // Validate audio file format
-        const audioValidation = isValidAudioFile(audioBuffer);
-        if (!audioValidation.valid) {
-            return res.status(400).json({ 
-                error: 'Invalid file type. Only audio files are allowed.',
-                detectedFormat: audioValidation.format
-            });
-        }
-
-        // SECURITY: Filename validation with dangerous characters check
-        function validateAudioFilename(filename, world, lmid, questionId) {
-            // Check for dangerous characters
-            const dangerousChars = /[<>:"/\\|?*\x00-\x1F]/;
-            if (dangerousChars.test(filename)) {
-                return { valid: false, error: 'Filename contains invalid characters' };
-            }
-            
-            // Check filename length
-            if (filename.length > 255) {
-                return { valid: false, error: 'Filename too long (max 255 characters)' };
-            }
-            
-            // Check file extension (support WebM and MP3)
-            if (!filename.endsWith('.webm') && !filename.endsWith('.mp3')) {
-                return { valid: false, error: 'Only WebM and MP3 files are allowed' };
-            }
-            
-            // Validate filename format patterns
-            const teacherFormat = filename.includes(`kids-world_${world}-lmid_${lmid}-question_${questionId}`);
-            const parentFormat = filename.match(new RegExp(`^parent_[^-]+-world_${world}-lmid_${lmid}-question_${questionId}-tm_\\d+\\.(webm|mp3)$`));
-            
-            if (!teacherFormat && !parentFormat) {
-                return { valid: false, error: 'Invalid filename format - must be either teacher or parent format' };
-            }
-            
-            return { valid: true };
-        }
-
-        // Enhanced filename validation
-        const filenameValidation = validateAudioFilename(filename, world, lmid, questionId);
-        if (!filenameValidation.valid) {
-            return res.status(400).json({ error: filenameValidation.error });
-        }
-
-        // DISABLED: Skip normalization due to WebM + loudnorm compatibility issues
-        // WebM format with loudnorm filter causes FFmpeg "Error reinitializing filters"
-        let processedAudioBuffer = audioBuffer;
-        console.log(`📤 Uploading original WebM (normalization disabled): ${filename}`);
-
-        // Upload to Bunny.net with folder structure: lang/lmid/world/filename
-        const filePath = `${lang}/${lmid}/${world}/${filename}`;
-        const uploadUrl = `https://storage.bunnycdn.com/${process.env.BUNNY_STORAGE_ZONE}/${filePath}`;
-        
-        console.log(`📤 Uploading ${filename} (${processedAudioBuffer.length} bytes)`);
-        
-        // Determine Content-Type based on filename extension
-        const contentType = filename.endsWith('.webm') ? 'audio/webm' : 'audio/mpeg';
-        
-        const response = await fetch(uploadUrl, {
-            method: 'PUT',
-            headers: {
-                'AccessKey': process.env.BUNNY_API_KEY,
-                'Content-Type': contentType
-            },
-            body: processedAudioBuffer
-        });
-
-        if (response.ok) {
-            const cdnUrl = `https://${process.env.BUNNY_CDN_URL}/${filePath}`;
-            console.log(`✅ Upload successful: ${audioBuffer.length} bytes`);
-            
-            // Send email notifications after successful upload
-            let emailNotificationStatus = 'not_applicable';
-            let emailNotificationMessage = '';
-            
-            try {
-                // Get LMID data first (contains all emails)
-                const lmidData = await getLmidData(lmid);
-                
-                if (!lmidData) {
-                    throw new Error(`LMID data not found for LMID ${lmid}`);
-                }
-                
-                // Determine upload type and set notification logic
-                const isParentUpload = filename.startsWith('parent_');
-                let uploaderEmail = null;
-                
-                if (isParentUpload) {
-                    // Extract parent member ID from filename
-                    const memberIdMatch = filename.match(/^parent_([^-]+)-/);
-                    
-                    if (memberIdMatch) {
-                        const parentMemberId = memberIdMatch[1];
-                        // Find uploader email from the cached mapping
-                        uploaderEmail = findParentEmailByMemberId(parentMemberId, lmidData.parentMemberIdToEmail, lmidData.parentEmails);
-                    } else {
-                        console.warn(`⚠️ Could not extract Member ID from filename`);
-                    }
-                    
-                    console.log(`👨‍👩‍👧‍👦 Parent upload - notifying ONLY educator`);
-                    await sendNewRecordingNotifications(lmid, world, questionId, lang, uploaderEmail, lmidData, 'parent_upload');
-                    
-                    emailNotificationStatus = 'sent';
-                    emailNotificationMessage = 'Email notifications sent to educator only';
-                } else {
-                    console.log(`👨‍🏫 Educator upload - notifying ALL parents`);
-                    // For educator uploads, uploaderEmail is the teacher's email
-                    uploaderEmail = lmidData.teacherEmail;
-                    
-                    await sendNewRecordingNotifications(lmid, world, questionId, lang, uploaderEmail, lmidData, 'educator_upload');
-                    
-                    emailNotificationStatus = 'sent';
-                    emailNotificationMessage = 'Email notifications sent to all parents';
-                }
-            } catch (emailError) {
-                console.error('❌ Email notification failed:', emailError.message);
-                emailNotificationStatus = 'failed';
-                emailNotificationMessage = 'Upload successful, email notification failed';
-            }
-            
-            res.json({ 
-                success: true, 
-                url: cdnUrl,
-                filename: filename,
-                size: audioBuffer.length,
-                emailNotification: {
-                    status: emailNotificationStatus,
-                    message: emailNotificationMessage
-                }
-            });
-        } else {
-            const errorText = await response.text();
-            console.error(`❌ Upload failed: ${response.status} - ${errorText}`);
-            throw new Error(`Upload failed: ${response.status}`);
-        }
+        res.json(await ingestRecording(audioBuffer, fields));
 
     } catch (error) {
+        if (error.statusCode && error.statusCode < 500) {
+            return res.status(error.statusCode).json(error.responseBody || { error: error.message });
+        }
         console.error('Upload error:', error);
         res.status(500).json({ 
             error: 'Upload failed', 
@@ -0,0 +1,191 @@
+/**
+ * api/upload-session.js - Resumable Recording Upload Sessions
+ *
+ * PURPOSE: Start, inspect and finalize chunked recording uploads (chunks go to api/upload-chunk.js)
+ * DEPENDENCIES: utils/upload-sessions.js, upload pipeline of api/upload-audio.js
+ *
+ * REQUEST FORMAT:
+ * POST /api/upload-session
+ * Body: { filename, world, lmid, questionId, lang, totalSize, mimeType }
+ * → { success: true, sessionId, chunkSize, offset: 0, expiresAt }
+ *
+ * GET /api/upload-session?sessionId=...
+ * → { success: true, sessionId, offset, totalSize, chunkSize, finalized }
+ *   offset is the acknowledged byte count - a reloaded page continues from there
+ *
+ * POST /api/upload-session?sessionId=...&action=finalize
+ * → same response as api/upload-audio.js (validation, canonical transcode, analysis, emails)
+ *   Finalizing twice returns the stored result; 409 { offset } while chunks are missing
+ *   A finalize claims the session first - a concurrent second call (retry after a timeout, second tab)
+ *   waits for the first one's result instead of ingesting again, 409 { code: 'FINALIZING' } if it takes too long
+ *
+ * STORAGE QUOTAS:
+ * Starting and finalizing return 403 { code: 'QUOTA_EXCEEDED' } over the plan quota (utils/storage-quotas.js)
+ *
+ * WHY: Base64 JSON uploads inflate recordings by a third and restart from zero on every
+ *      network hiccup - ten-minute answers over classroom Wi-Fi failed far too often
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+import {
+    createUploadSession,
+    getUploadSession,
+    getAcknowledgedOffset,
+    readUploadedFile,
+    completeUploadSession,
+    claimUploadFinalize,
+    releaseUploadFinalize,
+    waitForUploadResult,
+    pruneExpiredSessions
+} from '../utils/upload-sessions.js';
+import { validateUploadFields, ingestRecording, UPLOAD_LIMITS } from './upload-audio.js';
+import { getStorage } from '../utils/storage.js';
+import { assertWithinQuota } from '../utils/storage-quotas.js';
+
+// How long a second finalize waits for the running one (below the function maxDuration of 300s -
+// a ten-minute answer takes minutes to transcode, analyze and store)
+const FINALIZE_WAIT_MS = 240 * 1000;
+
+/**
+ * Stored finalize result with fresh signed URLs (the stored ones may have expired)
+ */
+function withFreshUrls(result) {
+    const storage = getStorage();
+    return {
+        ...result,
+        url: storage.signUrl(result.url),
+        fallbackUrl: result.fallbackUrl ? storage.signUrl(result.fallbackUrl) : null,
+        waveformUrl: result.waveformUrl ? storage.signUrl(result.waveformUrl) : null
+    };
+}
+
+export default async function handler(req, res) {
+    // Secure CORS headers
+    const { setCorsHeaders } = await import('../utils/api-utils.js');
+    const corsHandler = setCorsHeaders(res, ['GET', 'POST', 'OPTIONS']);
+    corsHandler(req);
+
+    // Rate limiting - 30 requests per minute (status checks after reloads included)
+    const { checkRateLimit } = await import('../utils/simple-rate-limiter.js');
+    if (!checkRateLimit(req, res, 'upload-session', 30)) {
+        return; // Rate limit exceeded
+    }
+
+    // Handle preflight OPTIONS request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const { sessionId, action } = req.query;
+
+        // Status of an existing session
+        if (req.method === 'GET') {
+            const session = await getUploadSession(sessionId);
+            return res.status(200).json({
+                success: true,
+                sessionId: session.sessionId,
+                offset: session.result ? session.totalSize : await getAcknowledgedOffset(session.sessionId),
+                totalSize: session.totalSize,
+                chunkSize: session.chunkSize,
+                finalized: Boolean(session.result)
+            });
+        }
+
+        // Finalize: assemble, validate, transcode and store like a base64 upload
+        if (sessionId && action === 'finalize') {
+            let session = await getUploadSession(sessionId);
+            if (session.result) {
+                console.log(`♻️ Upload session ${sessionId} already finalized`);
+                return res.status(200).json(withFreshUrls(session.result));
+            }
+
+            const claim = await claimUploadFinalize(sessionId);
+            if (!claim) {
+                console.log(`⏳ Upload session ${sessionId} is being finalized - waiting for its result`);
+                const finalized = await waitForUploadResult(sessionId, FINALIZE_WAIT_MS);
+                if (finalized) {
+                    return res.status(200).json(withFreshUrls(finalized.result));
+                }
+                return res.status(409).json({ error: 'Upload is still being finalized, please try again', code: 'FINALIZING' });
+            }
+
+            try {
+                // A finalize that completed between the first read and the claim
+                session = await getUploadSession(sessionId);
+                if (session.result) {
+                    console.log(`♻️ Upload session ${sessionId} already finalized`);
+                    return res.status(200).json(withFreshUrls(session.result));
+                }
+
+                const audioBuffer = await readUploadedFile(session);
+                console.log(`🧩 Finalizing upload session ${sessionId}: ${audioBuffer.length} bytes`);
+
+                const result = await ingestRecording(audioBuffer, session);
+                await completeUploadSession(session, result);
+                return res.status(200).json(result);
+            } finally {
+                await releaseUploadFinalize(claim);
+            }
+        }
+
+        if (sessionId || action) {
+            return res.status(400).json({ error: 'Unknown upload session action' });
+        }
+
+        // Start a new session
+        const fields = validateUploadFields(req.body || {});
+        const totalSize = Number(req.body.totalSize);
+        if (!Number.isInteger(totalSize) || totalSize < UPLOAD_LIMITS.minFileSize || totalSize > UPLOAD_LIMITS.maxFileSize) {
+            return res.status(400).json({
+                error: `totalSize must be between ${UPLOAD_LIMITS.minFileSize} and ${UPLOAD_LIMITS.maxFileSize} bytes`
+            });
+        }
+
+        const storage = getStorage();
+        if (!storage.isConfigured()) {
+            console.error(`Missing ${storage.backend} storage configuration`);
+            return res.status(500).json({ error: 'Server configuration error' });
+        }
+
+        // Fail before any chunk is sent when the class or teacher account has no quota left
+        // (the size of the transcoded recording is checked again on finalize)
+        await assertWithinQuota(fields.lmid, {});
+
+        // Abandoned sessions are cleaned up here - best effort
+        await pruneExpiredSessions().catch(error => {
+            console.warn(`⚠️ Upload session cleanup failed: ${error.message}`);
+        });
+
+        const session = await createUploadSession(fields, totalSize, req.body.mimeType);
+        console.log(`🧩 Upload session ${session.sessionId} started for ${fields.filename} (${totalSize} bytes)`);
+
+        return res.status(200).json({
+            success: true,
+            sessionId: session.sessionId,
+            chunkSize: session.chunkSize,
+            offset: 0,
+            expiresAt: session.expiresAt
+        });
+
+    } catch (error) {
+        if (error.statusCode && error.statusCode < 500) {
+            return res.status(error.statusCode).json(error.responseBody || {
+                error: error.message,
+                ...(error.offset !== undefined && { offset: error.offset })
+            });
+        }
+        console.error('❌ Upload session error:', error);
+        return res.status(500).json({
+            error: 'Upload session failed',
+            details: error.message
+        });
+    }
+}
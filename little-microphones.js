@@ -16,6 +16,7 @@
  * - Delete operations with file cleanup
  * - Add new LMID with limit enforcement
  * - World navigation routing to /members/record
+ * - "Refresh all programs" bulk generation with per-world progress and cancel (teachers)
  * 
  * PERFORMANCE IMPROVEMENTS:
  * - Centralized authentication reduces redundant API calls
@@ -543,6 +544,103 @@
                 background-repeat: no-repeat;
                 background-size: cover !important;
             }
+            
+            /* Export action on program cards */
+            .program-container .lm-export {
+                display: inline-block;
+                margin-top: 8px;
+                padding: 4px 10px;
+                border-radius: 12px;
+                background: rgba(255, 255, 255, 0.9);
+                color: #333;
+                font-size: 13px;
+                text-decoration: none;
+                cursor: pointer;
+            }
+            
+            /* Bulk program refresh (teachers) */
+            .lm-bulk-refresh {
+                display: inline-block;
+                margin: 8px 0;
+                padding: 4px 10px;
+                border-radius: 12px;
+                background: rgba(255, 255, 255, 0.9);
+                color: #333;
+                font-size: 13px;
+                text-decoration: none;
+                cursor: pointer;
+            }
+            
+            .lm-bulk-refresh.is-busy {
+                opacity: 0.6;
+                cursor: default;
+            }
+            
+            .lm-bulk-cancel {
+                margin-left: 8px;
+                color: #E53935;
+                font-size: 13px;
+                cursor: pointer;
+            }
+            
+            .program-container .lm-world-progress {
+                margin-top: 8px;
+                font-size: 12px;
+                color: #fff;
+            }
+            
+            .lm-world-progress-bar {
+                height: 6px;
+                margin-bottom: 4px;
+                border-radius: 3px;
+                background: rgba(255, 255, 255, 0.4);
+                overflow: hidden;
+            }
+            
+            .lm-world-progress-fill {
+                height: 100%;
+                border-radius: 3px;
+                background: #4CAF50;
+                transition: width 0.6s ease;
+            }
+            
+            .lm-world-progress.is-running .lm-world-progress-fill {
+                background: #007AF7;
+            }
+            
+            .lm-world-progress.is-failed .lm-world-progress-fill {
+                background: #E53935;
+            }
+            
+            /* Storage usage meter (plan quota) */
+            .lm-storage-meter {
+                margin: 12px 0;
+                font-size: 13px;
+                color: #333;
+            }
+            
+            .lm-storage-meter-bar {
+                height: 8px;
+                margin-top: 4px;
+                border-radius: 4px;
+                background: rgba(0, 0, 0, 0.1);
+                overflow: hidden;
+            }
+            
+            .lm-storage-meter-fill {
+                height: 100%;
+                border-radius: 4px;
+                background: #007AF7;
+                transition: width 0.6s ease;
+            }
+            
+            .lm-storage-meter.is-warning .lm-storage-meter-fill {
+                background: #F5A623;
+            }
+            
+            .lm-storage-meter.is-full .lm-storage-meter-fill {
+                background: #E53935;
+            }
         `;
         
         document.head.appendChild(style);
@@ -749,6 +847,76 @@
         setTimeout(() => {
             batchLoadAllRecordingData(lmids);
         }, 200);
+        
+        // SECONDARY: Storage usage meters (plan quota)
+        setTimeout(() => {
+            loadStorageUsageMeters(container);
+        }, 300);
+    }
+
+    /**
+     * Show recording minutes used against the plan quota - per class and for the whole account
+     * Quotas are enforced by the upload API (403 QUOTA_EXCEEDED), the meter only shows them
+     * @param {HTMLElement} container - Parent container of the LMID elements
+     */
+    async function loadStorageUsageMeters(container) {
+        try {
+            // Parents upload into their teacher's quota - the meter is for teachers
+            const userRole = await detectUserRole();
+            if (userRole === 'parent') return;
+
+            const memberId = await getCurrentMemberId();
+            if (!memberId) return;
+
+            const response = await fetch(`${window.LM_CONFIG.API_BASE_URL}/api/storage-usage?memberId=${encodeURIComponent(memberId)}`);
+            const usage = await response.json();
+            if (!response.ok || !usage.success) {
+                throw new Error(usage.error || `HTTP ${response.status}`);
+            }
+
+            // Without a known plan there is no quota to show
+            if (!usage.account.limits) return;
+
+            usage.lmids.forEach(lmidUsage => {
+                const lmidElement = container.querySelector(`[data-lmid="${lmidUsage.lmid}"]`);
+                if (lmidElement) {
+                    renderStorageMeter(lmidElement, 'Class recordings', lmidUsage);
+                }
+            });
+
+            // Account total only adds information with more than one class
+            if (usage.lmids.length > 1) {
+                renderStorageMeter(container, 'All classes', usage.account, container.querySelector('[data-lmid]'));
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load storage usage:', error);
+        }
+    }
+
+    /**
+     * Render (or update) a storage meter
+     * @param {HTMLElement} parent - Element to add the meter to
+     * @param {string} label - Meter label
+     * @param {Object} usage - { minutes, bytes, limits: { minutes, bytes } }
+     * @param {HTMLElement} before - Optional element to insert the meter before
+     */
+    function renderStorageMeter(parent, label, usage, before = null) {
+        let meter = parent.querySelector(':scope > .lm-storage-meter');
+        if (!meter) {
+            meter = document.createElement('div');
+            meter.className = 'lm-storage-meter';
+            meter.innerHTML = '<div class="lm-storage-meter-label"></div><div class="lm-storage-meter-bar"><div class="lm-storage-meter-fill"></div></div>';
+            parent.insertBefore(meter, before);
+        }
+
+        // The fuller of the two quotas decides
+        const ratio = Math.min(1, Math.max(usage.minutes / usage.limits.minutes, usage.bytes / usage.limits.bytes));
+
+        meter.querySelector('.lm-storage-meter-label').textContent =
+            `${label}: ${Math.round(usage.minutes)} of ${usage.limits.minutes} minutes used`;
+        meter.querySelector('.lm-storage-meter-fill').style.width = `${Math.round(ratio * 100)}%`;
+        meter.classList.toggle('is-warning', ratio >= 0.8 && ratio < 1);
+        meter.classList.toggle('is-full', ratio >= 1);
     }
 
     /**
@@ -809,11 +977,305 @@
                 button.style.visibility = 'hidden';
                 button.setAttribute('aria-hidden', 'true');
             });
+        } else {
+            setupExportActions(clone, lmid);
+            setupBulkGenerateAction(clone, lmid);
         }
         
         return clone;
     }
 
+    /**
+     * Add an "Export" action to each program card - downloads a ZIP of the world's
+     * recordings and programs with a CSV manifest (teachers only, checked by the API)
+     * @param {HTMLElement} clone - LMID element clone
+     * @param {string} lmid - LMID number
+     */
+    function setupExportActions(clone, lmid) {
+        clone.querySelectorAll('.program-container[data-world]').forEach(worldContainer => {
+            const world = worldContainer.getAttribute('data-world');
+            if (!world) return;
+
+            // Use the Webflow element when the template has one
+            let exportButton = worldContainer.querySelector('.lm-export');
+            if (!exportButton) {
+                exportButton = document.createElement('a');
+                exportButton.className = 'lm-export';
+                exportButton.href = '#';
+                exportButton.textContent = 'Export';
+                worldContainer.appendChild(exportButton);
+            }
+            exportButton.title = 'Download all recordings and programs of this world as a ZIP';
+
+            addTrackedEventListener(exportButton, 'click', async (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+
+                const memberId = await getCurrentMemberId();
+                if (!memberId) {
+                    alert('Please log in again to export recordings.');
+                    return;
+                }
+
+                const params = new URLSearchParams({ lmid, world, memberId });
+                // The browser downloads the attachment and stays on the dashboard
+                window.location.href = `${window.LM_CONFIG.API_BASE_URL}/api/export-recordings?${params}`;
+            });
+        });
+    }
+
+    /**
+     * Add a "Refresh all programs" action to an LMID element - regenerates every out-of-date
+     * program of every world in one batch and shows each world's progress on its card
+     * @param {HTMLElement} clone - LMID element clone
+     * @param {string} lmid - LMID number
+     */
+    function setupBulkGenerateAction(clone, lmid) {
+        // Use the Webflow element when the template has one
+        let refreshButton = clone.querySelector('.lm-bulk-refresh');
+        if (!refreshButton) {
+            refreshButton = document.createElement('a');
+            refreshButton.className = 'lm-bulk-refresh';
+            refreshButton.href = '#';
+            clone.appendChild(refreshButton);
+        }
+        refreshButton.textContent = 'Refresh all programs';
+        refreshButton.title = 'Generate new radio programs for every world with new recordings';
+
+        // Shown while a refresh runs - cancels the batch's unfinished jobs
+        let cancelButton = clone.querySelector('.lm-bulk-cancel');
+        if (!cancelButton) {
+            cancelButton = document.createElement('a');
+            cancelButton.className = 'lm-bulk-cancel';
+            cancelButton.href = '#';
+            cancelButton.textContent = 'Cancel';
+            refreshButton.after(cancelButton);
+        }
+        cancelButton.style.display = 'none';
+        let runningBatch = null;
+
+        addTrackedEventListener(cancelButton, 'click', async (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (!runningBatch) return;
+
+            const memberId = await getCurrentMemberId();
+            cancelButton.style.display = 'none';
+            await cancelBulkJobs(runningBatch, memberId);
+        });
+
+        addTrackedEventListener(refreshButton, 'click', async (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (refreshButton.classList.contains('is-busy')) return;
+
+            const memberId = await getCurrentMemberId();
+            if (!memberId) {
+                alert('Please log in again to refresh programs.');
+                return;
+            }
+
+            refreshButton.classList.add('is-busy');
+            refreshButton.textContent = 'Checking programs...';
+
+            try {
+                const response = await fetch(`${window.LM_CONFIG.API_BASE_URL}/api/bulk-generate`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ lmid, memberId })
+                });
+                const batch = await response.json();
+                if (!response.ok || !batch.success) {
+                    throw new Error(batch.error || `HTTP ${response.status}`);
+                }
+
+                renderBulkProgress(clone, batch.worlds);
+
+                if (!batch.batchId) {
+                    refreshButton.textContent = 'All programs are up to date';
+                    refreshButton.classList.remove('is-busy');
+                    return;
+                }
+
+                console.log(`📻 Bulk generation batch ${batch.batchId}: ${batch.jobIds.length} programs queued`);
+                refreshButton.textContent = 'Refreshing programs...';
+                runningBatch = batch;
+                cancelButton.style.display = '';
+                await followBulkJobs(clone, batch);
+                refreshButton.textContent = 'Refresh all programs';
+            } catch (error) {
+                console.error('❌ Bulk generation failed:', error);
+                refreshButton.textContent = 'Refresh failed - try again';
+            }
+
+            runningBatch = null;
+            cancelButton.style.display = 'none';
+            refreshButton.classList.remove('is-busy');
+        });
+    }
+
+    /**
+     * Cancel the unfinished jobs of a bulk generation batch - the job stream reports them as cancelled
+     * @param {Object} batch - bulk-generate response (program statuses kept up to date by followBulkJobs)
+     * @param {string} memberId - Teacher's member ID
+     */
+    async function cancelBulkJobs(batch, memberId) {
+        const activePrograms = [];
+        batch.worlds.forEach(world => world.programs.forEach(program => {
+            if (program.jobId && (program.status === 'pending' || program.status === 'processing')) {
+                activePrograms.push(program);
+            }
+        }));
+
+        await Promise.all(activePrograms.map(async (program) => {
+            try {
+                const response = await fetch(`${window.LM_CONFIG.API_BASE_URL}/api/cancel-job`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ jobId: program.jobId, memberId })
+                });
+                if (!response.ok && response.status !== 409) {
+                    console.warn(`⚠️ Could not cancel job ${program.jobId}: HTTP ${response.status}`);
+                }
+            } catch (error) {
+                console.warn(`⚠️ Could not cancel job ${program.jobId}:`, error);
+            }
+        }));
+    }
+
+    /**
+     * Follow the jobs of a bulk generation batch on one job stream until all have finished
+     * A superseded job is followed to the job that replaced it (supersededBy): its program is
+     * re-keyed to the newer job and the stream reopened with the jobs still running
+     * @param {HTMLElement} clone - LMID element clone
+     * @param {Object} batch - bulk-generate response
+     * @returns {Promise<void>} Resolves when every job has finished or the stream gave up
+     */
+    function followBulkJobs(clone, batch) {
+        const programsByJobId = {};
+        batch.worlds.forEach(world => world.programs.forEach(program => {
+            if (program.jobId) programsByJobId[program.jobId] = program;
+        }));
+
+        const isActive = (program) => program.status === 'pending' || program.status === 'processing';
+
+        return new Promise(resolve => {
+            const eventSource = new EventSource(`${window.LM_CONFIG.API_BASE_URL}/api/job-stream?jobIds=${batch.jobIds.join(',')}`);
+            let finished = false;
+
+            const finish = (next) => {
+                if (finished) return;
+                finished = true;
+                eventSource.close();
+                resolve(next);
+            };
+
+            // A newer job took over a program - follow it, on a new stream with the jobs still running
+            const redirect = (program, jobId, newerJobId) => {
+                console.log(`⏭️ Bulk job ${jobId} superseded by ${newerJobId} - following the newer job`);
+                program.jobId = newerJobId;
+                program.status = 'pending';
+                program.percent = 0;
+                batch.jobIds = batch.jobIds.map(id => (id === jobId ? newerJobId : id));
+                renderBulkProgress(clone, batch.worlds);
+
+                const running = [];
+                batch.worlds.forEach(world => world.programs.forEach(other => {
+                    if (other.jobId && isActive(other)) running.push(other.jobId);
+                }));
+                finish(followBulkJobs(clone, { ...batch, jobIds: running }));
+            };
+
+            eventSource.onmessage = (event) => {
+                if (finished) return;
+
+                try {
+                    const data = JSON.parse(event.data);
+                    const program = programsByJobId[data.jobId];
+
+                    if (data.type === 'status' && program && data.status === 'superseded' && data.supersededBy) {
+                        redirect(program, data.jobId, data.supersededBy);
+                        return;
+                    }
+
+                    if (data.type === 'status' && program) {
+                        program.status = data.status;
+                        program.percent = data.status === 'processing'
+                            ? (data.progress ? data.progress.percent : 0)
+                            : (data.status === 'pending' ? 0 : 100);
+                        renderBulkProgress(clone, batch.worlds);
+                    } else if (data.type === 'error' && program) {
+                        program.status = 'failed';
+                        program.percent = 100;
+                        renderBulkProgress(clone, batch.worlds);
+                    }
+
+                    if (data.type === 'done' || !Object.values(programsByJobId).some(isActive)) {
+                        finish();
+                    }
+                } catch (parseError) {
+                    console.error('❌ Error parsing bulk generation event:', parseError);
+                }
+            };
+
+            // EventSource reconnects by itself - only a closed stream ends the refresh
+            eventSource.onerror = () => {
+                if (eventSource.readyState === EventSource.CLOSED) {
+                    finish();
+                }
+            };
+        });
+    }
+
+    /**
+     * Show the bulk generation progress of each world on its program card
+     * @param {HTMLElement} clone - LMID element clone
+     * @param {Array} worlds - [{ world, programs: [{ jobId, status, percent }] }]
+     */
+    function renderBulkProgress(clone, worlds) {
+        worlds.forEach(({ world, programs }) => {
+            const worldContainer = clone.querySelector(`.program-container[data-world="${world}"]`);
+            if (!worldContainer) return;
+
+            let progress = worldContainer.querySelector('.lm-world-progress');
+            if (!progress) {
+                progress = document.createElement('div');
+                progress.className = 'lm-world-progress';
+                progress.innerHTML = '<div class="lm-world-progress-bar"><div class="lm-world-progress-fill"></div></div><div class="lm-world-progress-label"></div>';
+                worldContainer.appendChild(progress);
+            }
+
+            const withJobs = programs.filter(program => program.jobId);
+            const failed = withJobs.filter(program => program.status === 'failed' || program.status === 'dead').length;
+            const cancelled = withJobs.filter(program => program.status === 'cancelled').length;
+            const superseded = withJobs.filter(program => program.status === 'superseded').length;
+            const running = withJobs.some(program => program.status === 'pending' || program.status === 'processing');
+            const percent = withJobs.length > 0
+                ? Math.round(withJobs.reduce((sum, program) => sum + program.percent, 0) / withJobs.length)
+                : 100;
+
+            let label;
+            if (withJobs.length === 0) {
+                label = programs.some(program => program.status === 'failed') ? 'Could not start' : 'Up to date';
+            } else if (running) {
+                label = `Generating... ${percent}%`;
+            } else if (failed > 0) {
+                label = failed === withJobs.length ? 'Generation failed' : `${failed} of ${withJobs.length} programs failed`;
+            } else if (cancelled > 0) {
+                label = 'Cancelled';
+            } else if (superseded > 0) {
+                label = superseded === withJobs.length ? 'Replaced by a newer generation' : `${superseded} of ${withJobs.length} programs replaced by a newer generation`;
+            } else {
+                label = 'Programs ready';
+            }
+
+            progress.querySelector('.lm-world-progress-fill').style.width = `${percent}%`;
+            progress.querySelector('.lm-world-progress-label').textContent = label;
+            progress.classList.toggle('is-running', running);
+            progress.classList.toggle('is-failed', !running && (failed > 0 || label === 'Could not start'));
+        });
+    }
+
     /**
      * Setup new recording count indicator for LMID element
      * @param {HTMLElement} clone - LMID element clone
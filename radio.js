@@ -19,33 +19,11 @@
     let audioPlayer = null;
     let currentShareId = null;
     let currentRadioData = null;
-    let generatingInterval = null;
     let currentUserRole = null;
+    let programProgress = {}; // programType → { percent, message, eta } of the jobs being followed
 
 // API Configuration
     const API_BASE_URL = window.LM_CONFIG?.API_BASE_URL || 'https://little-microphones.vercel.app';
-
-    // Fun generating messages
-    const GENERATING_MESSAGES = [
-        "Mixing magical audio potions...",
-        "Boosting kids voice...",
-        "Sprinkling digital fairy dust...",
-        "Warming up the radio transmitters...",
-        "Collecting voice sparkles...",
-        "Tuning the imagination frequencies...",
-        "Assembling story molecules...",
-        "Charging up the fun-o-meter...",
-        "Downloading giggles from the cloud...",
-        "Activating the awesome sauce...",
-        "Brewing a batch of audio magic...",
-        "Gathering rainbow sound waves...",
-        "Polishing the voice crystals...",
-        "Spinning the wheel of wonder...",
-        "Unleashing the creativity dragons..."
-    ];
-    
-    // Current message index
-    let currentMessageIndex = 0;
     
     // --- User Role Detection Functions ---
     
@@ -138,153 +116,38 @@
     }
     
     /**
-     * Convert recordings to audioSegments format for combine-audio API
-     * Now supports separate generation for kids and parent recordings
+     * Split recordings into the kids and parent programs for combine-audio API
+     * The program sequence itself comes from the server-side program templates
      * @param {Array} recordings - Array of recording objects
-     * @param {string} world - World name
      * @param {string} programType - 'kids' or 'parent' or 'both'
-     * @returns {Object} Audio segments object with kids and/or parent programs
+     * @returns {Object} Recordings payload with kids and/or parent programs
      */
-    function convertRecordingsToAudioSegments(recordings, world, programType = 'both') {
-        // Separate recordings by type
-        const kidsRecordings = recordings.filter(rec => 
-            rec.filename && rec.filename.startsWith('kids-world_')
-        );
-        const parentRecordings = recordings.filter(rec => 
-            rec.filename && rec.filename.includes('parent_')
-        );
+    function collectProgramRecordings(recordings, programType = 'both') {
+        // role and questionId come from the recordings index (list-recordings)
+        const kidsRecordings = recordings.filter(rec => rec.role === 'kids');
+        const parentRecordings = recordings.filter(rec => rec.role === 'parent');
+        
+        const toPayload = recording => ({
+            url: recording.url || recording.cloudUrl,
+            filename: recording.filename,
+            questionId: recording.questionId,
+            duration: recording.duration ?? null
+        });
         
         const result = {};
         
-        // Generate kids program if requested and recordings exist
+        // Kids program if requested and recordings exist
         if ((programType === 'kids' || programType === 'both') && kidsRecordings.length > 0) {
-            result.kids = generateAudioSegmentsForType(kidsRecordings, world, 'kids');
+            result.kids = kidsRecordings.map(toPayload);
         }
         
-        // Generate parent program if requested and recordings exist
+        // Parent program if requested and recordings exist
         if ((programType === 'parent' || programType === 'both') && parentRecordings.length > 0) {
-            result.parent = generateAudioSegmentsForType(parentRecordings, world, 'parent');
+            result.parent = parentRecordings.map(toPayload);
         }
         
         return result;
     }
-    
-    /**
-     * Generate audio segments for a specific recording type
-     * @param {Array} recordings - Recordings of specific type
-     * @param {string} world - World name
-     * @param {string} type - 'kids' or 'parent'
-     * @returns {Array} Audio segments array
-     */
-    function generateAudioSegmentsForType(recordings, world, type) {
-        const audioSegments = [];
-        const lang = window.LM_CONFIG.getCurrentLanguage();
-        
-        // Determine user role based on recording type
-        const userRole = type === 'kids' ? 'educators' : 'parents';
-        
-        // Group recordings by questionId
-        const recordingsByQuestion = {};
-        recordings.forEach(recording => {
-            // Extract questionId from filename
-            let questionId = '1'; // default
-            if (recording.filename) {
-                const match = recording.filename.match(/question_(\d+)/);
-                if (match) {
-                    questionId = match[1];
-                }
-            }
-            
-            if (!recordingsByQuestion[questionId]) {
-                recordingsByQuestion[questionId] = [];
-            }
-            recordingsByQuestion[questionId].push(recording);
-        });
-        
-        // Sort question IDs numerically
-        const sortedQuestionIds = Object.keys(recordingsByQuestion).sort((a, b) => parseInt(a) - parseInt(b));
-        
-        // 1. Add intro jingle
-        audioSegments.push({
-            type: 'single',
-            url: window.LM_CONFIG.getLocalizedAudioUrl(`audio/jingles/intro-jingle.mp3?t=${Date.now()}`, lang)
-        });
-        
-        // 2. Add world-specific intro (role-based)
-        const worldIntroTimestamp = Date.now() + 1;
-        audioSegments.push({
-            type: 'single',
-            url: window.LM_CONFIG.getLocalizedAudioUrl(`audio/${world}/other/${world}-intro-${userRole}.mp3?t=${worldIntroTimestamp}`, lang)
-        });
-        
-        // 3. Add 1 second silence before questions
-        audioSegments.push({
-            type: 'silence',
-            duration: 1
-        });
-        
-        // 4. Add questions and answers in order
-        sortedQuestionIds.forEach(questionId => {
-            const questionRecordings = recordingsByQuestion[questionId];
-            
-            // Add middle jingle before each question
-            const middleJingleTimestamp = Date.now() + Math.random();
-            audioSegments.push({
-                type: 'single',
-                url: window.LM_CONFIG.getLocalizedAudioUrl(`audio/jingles/middle-jingle.mp3?t=${middleJingleTimestamp}`, lang)
-            });
-            
-            // Add question prompt from world-specific questions folder
-            const cacheBustTimestamp = Date.now() + Math.random();
-            audioSegments.push({
-                type: 'single',
-                url: window.LM_CONFIG.getLocalizedAudioUrl(`audio/${world}/questions/${world}-QID${questionId}.mp3?t=${cacheBustTimestamp}`, lang)
-            });
-            
-            // Sort answers by timestamp (first recorded = first played)
-            const sortedAnswers = questionRecordings.sort((a, b) => {
-                // Extract timestamp from filename
-                const getTimestamp = (filename) => {
-                    const match = filename?.match(/tm_(\d+)/);
-                    return match ? parseInt(match[1]) : 0;
-                };
-                return getTimestamp(a.filename) - getTimestamp(b.filename);
-            });
-            
-            // Combine answers with world-specific background music
-            const backgroundTimestamp = Date.now() + Math.random();
-            audioSegments.push({
-                type: 'combine_with_background',
-                answerUrls: sortedAnswers.map(recording => recording.url || recording.cloudUrl),
-                backgroundUrl: window.LM_CONFIG.getLocalizedAudioUrl(`audio/${world}/other/${world}-background.mp3?t=${backgroundTimestamp}`, lang),
-                questionId: questionId,
-                recordingType: type // Add type identifier
-            });
-        });
-        
-        // 5. Add middle-jingle before outro
-        const finalMiddleJingleTimestamp = Date.now() + 3;
-        audioSegments.push({
-            type: 'single',
-            url: window.LM_CONFIG.getLocalizedAudioUrl(`audio/jingles/middle-jingle.mp3?t=${finalMiddleJingleTimestamp}`, lang)
-        });
-        
-        // 6. Add outro jingle
-        const outroJingleTimestamp = Date.now() + 4;
-        audioSegments.push({
-            type: 'single',
-            url: window.LM_CONFIG.getLocalizedAudioUrl(`audio/jingles/outro-jingle.mp3?t=${outroJingleTimestamp}`, lang)
-        });
-        
-        // 7. Add world-specific outro (role-based) - LAST
-        const worldOutroTimestamp = Date.now() + 5;
-        audioSegments.push({
-            type: 'single',
-            url: window.LM_CONFIG.getLocalizedAudioUrl(`audio/${world}/other/${world}-outro-${userRole}.mp3?t=${worldOutroTimestamp}`, lang)
-        });
-        
-        return audioSegments;
-    }
 
 
 
@@ -521,43 +384,12 @@
         // Add Intro Story player to generating state
         addIntroStoryToGeneratingState();
         
-        // Start looped generating messages
-        startGeneratingMessages();
+        // The followed jobs report their real progress once the job stream connects
+        updateGeneratingMessage('Preparing your radio program...');
         
         currentState = 'generating';
     }
 
-    /**
-     * Start looped generating messages
-     */
-    function startGeneratingMessages() {
-        let messageIndex = 0;
-        
-        // Clear any existing interval
-        if (generatingInterval) {
-            clearInterval(generatingInterval);
-        }
-        
-        // Show first message immediately
-        updateGeneratingMessage(GENERATING_MESSAGES[messageIndex]);
-        
-        // Loop through messages every 2 seconds
-        generatingInterval = setInterval(() => {
-            messageIndex = (messageIndex + 1) % GENERATING_MESSAGES.length;
-            updateGeneratingMessage(GENERATING_MESSAGES[messageIndex]);
-        }, 2000);
-    }
-
-    /**
-     * Stop generating messages
-     */
-    function stopGeneratingMessages() {
-        if (generatingInterval) {
-            clearInterval(generatingInterval);
-            generatingInterval = null;
-        }
-    }
-
     /**
      * Hide all state elements
      */
@@ -740,8 +572,14 @@
 
     /**
      * Setup audio player using RecordingUI module from recording-ui.js
+     * @param {string} audioUrl - Program URL
+     * @param {Object} radioData - Radio data
+     * @param {HTMLElement} customContainer - Optional container (defaults to #player-state)
+     * @param {boolean} isParentProgram - Label the player as the parents program
+     * @param {Array} chapters - Optional chapter index from the job manifest
+     * @param {string} waveformUrl - Optional waveform peaks JSON from the job manifest
      */
-    function setupAudioPlayer(audioUrl, radioData, customContainer = null, isParentProgram = false) {
+    function setupAudioPlayer(audioUrl, radioData, customContainer = null, isParentProgram = false, chapters = null, waveformUrl = null) {
         // Get the player container
         const playerContainer = customContainer || document.getElementById('player-state');
         if (!playerContainer) {
@@ -757,20 +595,32 @@
 
         // Preserve existing content (like Webflow text labels) and only clear audio players
 
-        const existingAudioPlayers = playerContainer.querySelectorAll('li[data-recording-id], audio, div[style*="background: #ffffff"]');
+        const existingAudioPlayers = playerContainer.querySelectorAll('li[data-recording-id], audio, div[style*="background: #ffffff"], .radio-chapter-list');
 
         existingAudioPlayers.forEach(player => player.remove());
 
+        // Episode list finds the player of each program type by this marker
+        playerContainer.dataset.programType = isParentProgram ? 'parent' : 'kids';
+        const episodeList = playerContainer.querySelector(':scope > .radio-episode-list');
+
 
         // Create fake recording data for the radio program
         const recordingData = { 
             id: 'radio-program', 
             url: audioUrl,
-            uploadStatus: 'uploaded'
+            uploadStatus: 'uploaded',
+            waveformUrl: waveformUrl
         };
 
         // Functions required by createRecordingElement
-        const getAudioSource = async () => audioUrl;
+        // Program URLs are signed and expire - a failing player asks get-radio-data for a fresh one
+        let currentAudioUrl = audioUrl;
+        const getAudioSource = async (recording, { refresh = false } = {}) => {
+            if (refresh) {
+                currentAudioUrl = await fetchFreshProgramUrl(currentAudioUrl) || currentAudioUrl;
+            }
+            return currentAudioUrl;
+        };
         const deleteRecording = () => {}; // No delete on radio page
         const dispatchUploadStatusEvent = () => {}; // No upload status on radio page
 
@@ -805,7 +655,8 @@
                 // to avoid overriding progress bar colors
                 
                 // Ensure progress bar inner has correct blue color and container has proper background
-                if (progressBar && progressBar.children.length > 0) {
+                // (skipped once RecordingUI has drawn the waveform)
+                if (progressBar && progressBar.children.length > 0 && progressBar.dataset.waveform !== 'true') {
                     const progressInner = progressBar.children[0];
                     const progressContainer = progressBar;
                     
@@ -834,8 +685,13 @@
 
                 }
                 
-                playerContainer.appendChild(playerElement);
+                // Player and question list stay above the episode list when switching episodes
+                playerContainer.insertBefore(playerElement, episodeList);
 
+                // Clickable question list when the program has a chapter index
+                if (Array.isArray(chapters) && chapters.length > 0) {
+                    renderChapterList(playerContainer, playerElement, chapters, episodeList);
+                }
                 
                 // Store reference to audio element
                 audioPlayer = playerElement.querySelector('audio');
@@ -856,6 +712,272 @@
 
 
 
+    /**
+     * Pick the program rendition this browser plays best
+     * Preference: native HLS (Safari/iOS), Opus WebM, AAC, then the MP3 which every browser supports
+     * @param {string} mp3Url - MP3 program URL (always published)
+     * @param {Array} renditions - Renditions from the job manifest { format, mimeType, codecs, url }
+     * @returns {string} URL to play
+     */
+    function selectProgramSource(mp3Url, renditions) {
+        if (!Array.isArray(renditions) || renditions.length === 0) {
+            return mp3Url;
+        }
+
+        const probe = document.createElement('audio');
+        const preference = ['hls', 'opus', 'aac'];
+
+        for (const format of preference) {
+            const rendition = renditions.find(item => item.format === format && item.url);
+            if (!rendition) continue;
+
+            const type = format === 'hls'
+                ? rendition.mimeType
+                : `${rendition.mimeType}; codecs="${rendition.codecs}"`;
+
+            if (probe.canPlayType(type) !== '') {
+                console.log(`🎧 Using ${format} rendition`);
+                return rendition.url;
+            }
+        }
+
+        return mp3Url;
+    }
+
+    /**
+     * Render a clickable list of questions below a program player
+     * Clicking a question seeks to its prompt and starts playback
+     * @param {HTMLElement} container - Player container
+     * @param {HTMLElement} playerElement - Player created by RecordingUI
+     * @param {Array} chapters - Chapter index entries { kind, questionId, title, start }
+     * @param {HTMLElement} before - Optional element to insert the list before (episode list)
+     */
+    function renderChapterList(container, playerElement, chapters, before = null) {
+        const audioElement = playerElement.querySelector('audio');
+        const questionChapters = chapters.filter(chapter => chapter.kind === 'prompt');
+        if (!audioElement || questionChapters.length === 0) {
+            return;
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'radio-chapter-list';
+        list.style.cssText = 'list-style: none; margin: 8px 0 0 0; padding: 0 24px; display: flex; flex-wrap: wrap; gap: 8px;';
+
+        questionChapters.forEach(chapter => {
+            const item = document.createElement('li');
+            item.className = 'radio-chapter';
+            item.dataset.start = chapter.start;
+            item.style.cssText = 'cursor: pointer; font-size: 13px; color: #007AF7; background: rgba(0, 122, 247, 0.08); border-radius: 12px; padding: 4px 12px;';
+            item.textContent = `${chapter.title} · ${formatTime(chapter.start)}`;
+
+            item.addEventListener('click', () => {
+                audioElement.currentTime = chapter.start;
+                if (audioElement.paused) {
+                    // Use the player's own button so its play/pause icon stays in sync
+                    const playButton = playerElement.querySelector('div[style*="cursor: pointer"]');
+                    if (playButton) {
+                        playButton.click();
+                    } else {
+                        audioElement.play();
+                    }
+                }
+            });
+
+            list.appendChild(item);
+        });
+
+        // Highlight the question currently playing
+        audioElement.addEventListener('timeupdate', () => {
+            const items = list.querySelectorAll('.radio-chapter');
+            let activeIndex = -1;
+            questionChapters.forEach((chapter, index) => {
+                if (audioElement.currentTime >= chapter.start) {
+                    activeIndex = index;
+                }
+            });
+            items.forEach((item, index) => {
+                item.style.fontWeight = index === activeIndex ? 'bold' : 'normal';
+            });
+        });
+
+        container.insertBefore(list, before);
+    }
+
+    /**
+     * Kept versions ("episodes") of this ShareID's programs, newest first
+     * @returns {Promise<Object>} { kids: [...], parent: [...] } from /api/program-versions
+     */
+    async function fetchProgramVersions() {
+        const lang = window.LM_CONFIG.getCurrentLanguage();
+        const response = await fetch(`${API_BASE_URL}/api/program-versions?shareId=${currentShareId}&lang=${lang}`);
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        return result.versions;
+    }
+
+    /**
+     * Episode lists below the program players: families replay older versions,
+     * teachers pin the version everyone gets by default
+     * @param {HTMLElement} playerContainer - Player state container
+     * @param {Object} radioData - Radio data for the players
+     * @param {string} userRole - Current user role
+     */
+    async function loadProgramEpisodes(playerContainer, radioData, userRole) {
+        let versions;
+        try {
+            versions = await fetchProgramVersions();
+        } catch (error) {
+            console.warn('Could not load program episodes:', error);
+            return;
+        }
+
+        const canPin = userRole !== 'parent';
+        const programTypes = userRole === 'parent' ? ['kids'] : ['kids', 'parent'];
+
+        programTypes.forEach(type => {
+            const container = playerContainer.dataset.programType === type
+                ? playerContainer
+                : playerContainer.querySelector(`[data-program-type="${type}"]`);
+            const typeVersions = versions[type] || [];
+
+            // A single version has nothing to choose from
+            if (container && typeVersions.length > 1) {
+                renderEpisodeList(container, type, typeVersions, radioData, canPin);
+            }
+        });
+    }
+
+    /**
+     * Render the episode list of one program type
+     * @param {HTMLElement} container - Container holding this program's player
+     * @param {string} type - 'kids' or 'parent'
+     * @param {Array} versions - Versions from /api/program-versions
+     * @param {Object} radioData - Radio data for the players
+     * @param {boolean} canPin - Show pin buttons (the API checks the teacher owns the program)
+     */
+    function renderEpisodeList(container, type, versions, radioData, canPin) {
+        const existingList = container.querySelector(':scope > .radio-episode-list');
+        if (existingList) {
+            existingList.remove();
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'radio-episode-list';
+        list.style.cssText = 'list-style: none; margin: 12px 0 0 0; padding: 0 24px; display: flex; flex-direction: column; gap: 6px;';
+
+        let playingJobId = (versions.find(version => version.published) || versions[0]).jobId;
+
+        const highlightPlaying = () => {
+            list.querySelectorAll('.radio-episode').forEach(item => {
+                item.style.fontWeight = item.dataset.jobId === playingJobId ? 'bold' : 'normal';
+            });
+        };
+
+        versions.forEach((version, index) => {
+            const item = document.createElement('li');
+            item.className = 'radio-episode';
+            item.dataset.jobId = version.jobId;
+            item.style.cssText = 'display: flex; align-items: center; gap: 8px; font-size: 13px; color: #333;';
+
+            const label = document.createElement('span');
+            label.style.cssText = 'cursor: pointer; color: #007AF7; flex: 1;';
+            const completedAt = new Date(version.completedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+            const duration = version.duration ? ` · ${formatTime(version.duration)}` : '';
+            label.textContent = `Episode ${versions.length - index} · ${completedAt}${duration}`;
+
+            // Play this version in place of the current one
+            label.addEventListener('click', () => {
+                if (version.jobId === playingJobId) return;
+                playingJobId = version.jobId;
+                highlightPlaying();
+
+                const url = selectProgramSource(version.programUrl, version.manifest?.renditions);
+                setupAudioPlayer(url, radioData, container, type === 'parent', version.manifest?.chapters || null, version.manifest?.waveformUrl || null);
+
+                // Same yellow player as createDualPlayer for the parents program
+                if (type === 'parent') {
+                    setTimeout(() => {
+                        const mainPlayerContainer = container.querySelector('div[style*="width: 100%"][style*="height: 48px"][style*="border-radius: 122px"]');
+                        if (mainPlayerContainer) {
+                            mainPlayerContainer.style.background = '#FFD700';
+                        }
+                    }, 100);
+                }
+            });
+            item.appendChild(label);
+
+            if (version.published) {
+                const badge = document.createElement('span');
+                badge.style.cssText = 'font-size: 11px; color: #fff; background: #007AF7; border-radius: 8px; padding: 2px 8px;';
+                badge.textContent = version.pinned ? 'Pinned' : 'Latest';
+                item.appendChild(badge);
+            }
+
+            if (canPin && (!version.published || version.pinned)) {
+                const pinButton = document.createElement('button');
+                pinButton.type = 'button';
+                pinButton.style.cssText = 'font-size: 11px; border: 1px solid #007AF7; color: #007AF7; background: transparent; border-radius: 8px; padding: 2px 8px; cursor: pointer;';
+                pinButton.textContent = version.pinned ? 'Unpin' : 'Pin';
+                pinButton.addEventListener('click', async () => {
+                    pinButton.disabled = true;
+                    const updatedVersions = await pinProgramVersion(type, version.pinned ? null : version.jobId);
+                    if (updatedVersions) {
+                        renderEpisodeList(container, type, updatedVersions, radioData, canPin);
+                    } else {
+                        pinButton.disabled = false;
+                    }
+                });
+                item.appendChild(pinButton);
+            }
+
+            list.appendChild(item);
+        });
+
+        highlightPlaying();
+        container.appendChild(list);
+    }
+
+    /**
+     * Pin a version as the published program (jobId null unpins - the latest is published again)
+     * @param {string} type - 'kids' or 'parent'
+     * @param {string|null} jobId - Version to pin
+     * @returns {Promise<Array|null>} Updated versions of this type, null on failure
+     */
+    async function pinProgramVersion(type, jobId) {
+        try {
+            const memberId = await getCurrentMemberId();
+            if (!memberId) {
+                throw new Error('Please log in to pin an episode');
+            }
+
+            const response = await fetch(`${API_BASE_URL}/api/program-versions`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    action: jobId ? 'pin' : 'unpin',
+                    shareId: currentShareId,
+                    lang: window.LM_CONFIG.getCurrentLanguage(),
+                    type,
+                    jobId,
+                    memberId
+                })
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            console.log(`📌 ${jobId ? 'Pinned' : 'Unpinned'} ${type} episode`);
+            return (await fetchProgramVersions())[type] || [];
+        } catch (error) {
+            console.error('Error pinning episode:', error);
+            alert(error.message);
+            return null;
+        }
+    }
+
     /**
      * Format time in MM:SS
      */
@@ -960,107 +1082,70 @@
         
         updateGeneratingMessage(`${typeText} is being generated by another user...`);
         
-        // Start polling for completion
-        startGenerationPolling(data);
+        // Follow the rendering jobs on the job stream
+        followGenerationInProgress(data);
     }
 
     /**
-     * Start polling for generation completion
+     * Follow another user's generation on the job stream until it finishes, then show the programs
+     * The rendering jobs come from get-radio-data (generationStatus.kids/parent.jobId)
      * @param {Object} data - Initial radio data
      */
-    function startGenerationPolling(data) {
-        let pollCount = 0;
-        const maxPolls = 150; // 5 minutes at 2-second intervals
+    async function followGenerationInProgress(data) {
+        const programJobs = {};
+        ['kids', 'parent'].forEach(programType => {
+            const jobId = data.generationStatus?.[programType]?.jobId;
+            if (jobId) programJobs[programType] = jobId;
+        });
         
-        const pollInterval = setInterval(async () => {
-            pollCount++;
+        try {
+            if (Object.keys(programJobs).length > 0) {
+                await pollForRadioJobCompletion(programJobs);
+            } else {
+                // Lease without a rendering job - it is being released, the reload below sees the result
+                console.log('⚠️ No rendering job found for the generation in progress');
+            }
             
-            try {
-                console.log(`🔄 Polling for generation completion (${pollCount}/${maxPolls})`);
-                
-                // Reload radio data to check generation status
-                const lang = window.LM_CONFIG.getCurrentLanguage();
-                const response = await fetch(`${API_BASE_URL}/api/get-radio-data?shareId=${currentShareId}&lang=${lang}`);
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}`);
-                }
-                
-                const freshData = await response.json();
-                if (!freshData.success) {
-                    throw new Error(freshData.error || 'Failed to fetch radio data');
-                }
-                
-                // Check if generation is still in progress
-                const kidsGenerating = freshData.generationStatus?.kids?.isGenerating || false;
-                const parentGenerating = freshData.generationStatus?.parent?.isGenerating || false;
-                
-                if (!kidsGenerating && !parentGenerating) {
-                    // Generation completed!
-                    console.log('✅ Generation completed, showing programs');
-                    clearInterval(pollInterval);
-                    stopGeneratingMessages();
-                    
-                    // Show the updated programs
-                    showExistingProgram(freshData);
-                } else if (pollCount >= maxPolls) {
-                    // Timeout - stop polling and try to show what we have
-                    console.log('⏰ Polling timeout, showing current state');
-                    clearInterval(pollInterval);
-                    stopGeneratingMessages();
-                    
-                    // Try to show existing programs or fall back to generation
-                    if (freshData.lastManifest?.kidsProgram || freshData.lastManifest?.parentProgram) {
-                        showExistingProgram(freshData);
-                    } else {
-                        // Force generation attempt
-                        generateNewProgram(freshData, { 
-                            needsKids: freshData.hasKidsRecordings, 
-                            needsParent: freshData.hasParentRecordings,
-                            hasKidsRecordings: freshData.hasKidsRecordings,
-                            hasParentRecordings: freshData.hasParentRecordings 
-                        });
-                    }
-                } else {
-                    // Update waiting message with estimated time
-                    const remainingPolls = maxPolls - pollCount;
-                    const estimatedSeconds = remainingPolls * 2;
-                    updateGeneratingMessage(`Generation in progress... (${Math.round(estimatedSeconds / 60)} minutes remaining)`);
-                }
-                
-            } catch (error) {
-                console.error('Error during generation polling:', error);
-                
-                // On error, stop polling and try to show existing programs
-                clearInterval(pollInterval);
-                stopGeneratingMessages();
-                
-                if (data.lastManifest?.kidsProgram || data.lastManifest?.parentProgram) {
-                    showExistingProgram(data);
-                } else {
-                    showError('Failed to check generation status. Please refresh the page.');
-                }
+            const lang = window.LM_CONFIG.getCurrentLanguage();
+            const response = await fetch(`${API_BASE_URL}/api/get-radio-data?shareId=${currentShareId}&lang=${lang}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const freshData = await response.json();
+            if (!freshData.success) {
+                throw new Error(freshData.error || 'Failed to fetch radio data');
+            }
+            
+            console.log('✅ Generation finished, showing programs');
+            if (freshData.lastManifest?.kidsProgram || freshData.lastManifest?.parentProgram) {
+                showExistingProgram(freshData);
+            } else {
+                generateNewProgram(freshData, {
+                    needsKids: freshData.hasKidsRecordings,
+                    needsParent: freshData.hasParentRecordings,
+                    hasKidsRecordings: freshData.hasKidsRecordings,
+                    hasParentRecordings: freshData.hasParentRecordings
+                });
+            }
+            
+        } catch (error) {
+            console.error('Error while following the generation in progress:', error);
+            
+            if (data.lastManifest?.kidsProgram || data.lastManifest?.parentProgram) {
+                showExistingProgram(data);
+            } else {
+                showError('Failed to check generation status. Please refresh the page.');
             }
-        }, 2000); // Poll every 2 seconds
-        
-        // Store interval for cleanup
-        if (window.generationPollInterval) {
-            clearInterval(window.generationPollInterval);
         }
-        window.generationPollInterval = pollInterval;
     }
 
     /**
-     * Show existing program - now checks for dual programs
+     * Playable programs from get-radio-data (signed URLs, best rendition for this browser)
+     * @param {Object} data - get-radio-data response
+     * @returns {Object} { kids?: { url, chapters, waveformUrl }, parent?: {...} }
      */
-    async function showExistingProgram(data) {
-        console.log('✅ Showing existing program');
-        console.log('📊 Manifest data:', data.lastManifest);
-        console.log('📊 Kids manifest:', data.kidsManifest);
-        console.log('📊 Parent manifest:', data.parentManifest);
-        
-        const userRole = await detectUserRole();
-        
-        // Build programs object from available manifests
+    function getProgramSources(data) {
         const programs = {};
         
         // Check for kids program - try multiple sources
@@ -1080,6 +1165,57 @@
             programs.parent = { url: data.lastManifest.parentProgram };
         }
         
+        // Attach chapter indexes (question list) and pick the best rendition this browser can play
+        if (programs.kids) {
+            programs.kids.url = selectProgramSource(programs.kids.url, data.kidsManifest?.renditions);
+            programs.kids.chapters = data.kidsManifest?.chapters || null;
+            programs.kids.waveformUrl = data.kidsManifest?.waveformUrl || null;
+        }
+        if (programs.parent) {
+            programs.parent.url = selectProgramSource(programs.parent.url, data.parentManifest?.renditions);
+            programs.parent.chapters = data.parentManifest?.chapters || null;
+            programs.parent.waveformUrl = data.parentManifest?.waveformUrl || null;
+        }
+        
+        return programs;
+    }
+
+    /**
+     * Fresh signed URL for a program whose URL stopped working (expired token)
+     * Matched by the end of the path ({jobId}/file - file names repeat between episodes),
+     * so players of other audio (Intro Story) get null
+     * @param {string} staleUrl - URL the player failed on
+     * @returns {Promise<string|null>} Fresh URL or null
+     */
+    async function fetchFreshProgramUrl(staleUrl) {
+        const pathTail = (url) => url.split('?')[0].split('/').slice(-3).join('/');
+
+        try {
+            const versions = await fetchProgramVersions();
+            const match = Object.values(versions).flat()
+                .map(version => selectProgramSource(version.programUrl, version.manifest?.renditions))
+                .find(url => pathTail(url) === pathTail(staleUrl));
+            return match || null;
+        } catch (error) {
+            console.warn('Could not refresh program URL:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Show existing program - now checks for dual programs
+     */
+    async function showExistingProgram(data) {
+        console.log('✅ Showing existing program');
+        console.log('📊 Manifest data:', data.lastManifest);
+        console.log('📊 Kids manifest:', data.kidsManifest);
+        console.log('📊 Parent manifest:', data.parentManifest);
+        
+        const userRole = await detectUserRole();
+        
+        // Build programs object from available manifests
+        const programs = getProgramSources(data);
+        
 
         
         // Check if we have any programs to show
@@ -1147,7 +1283,7 @@
             // Parents see only kids program
             if (programs.kids && programs.kids.url) {
                 console.log('👨‍👩‍👧‍👦 Parent user - showing kids program:', programs.kids.url);
-                createSinglePlayer(playerContainer, programs.kids.url, radioData, null);
+                createSinglePlayer(playerContainer, programs.kids.url, radioData, null, programs.kids.chapters, programs.kids.waveformUrl);
             } else {
                 console.log('👨‍👩‍👧‍👦 Parent user - no kids program available:', programs);
                 playerContainer.innerHTML = '<div style="padding: 20px; text-align: center; color: #666;">No kids recordings available yet.</div>';
@@ -1159,6 +1295,8 @@
             if (programs.kids) {
                 availablePrograms.push({
                     url: programs.kids.url,
+                    chapters: programs.kids.chapters,
+                    waveformUrl: programs.kids.waveformUrl,
                     type: 'kids', // For identification, not displayed
                     description: 'Student recordings'
                 });
@@ -1168,6 +1306,8 @@
             if (programs.parent) {
                 availablePrograms.push({
                     url: programs.parent.url,
+                    chapters: programs.parent.chapters,
+                    waveformUrl: programs.parent.waveformUrl,
                     type: 'parent', // For identification, not displayed
                     description: 'Parent recordings'
                 });
@@ -1179,12 +1319,15 @@
                 playerContainer.innerHTML = '<div style="padding: 20px; text-align: center; color: #666;">No recordings available yet.</div>';
             } else if (availablePrograms.length === 1) {
                 // Single program available
-                createSinglePlayer(playerContainer, availablePrograms[0].url, radioData, availablePrograms[0].title);
+                createSinglePlayer(playerContainer, availablePrograms[0].url, radioData, availablePrograms[0].title, availablePrograms[0].chapters, availablePrograms[0].waveformUrl, availablePrograms[0].type === 'parent');
             } else {
                 // Multiple programs available - create dual player
                 createDualPlayer(playerContainer, availablePrograms, radioData);
             }
         }
+
+        // Older episodes (and pinning for teachers) below the players
+        loadProgramEpisodes(playerContainer, radioData, userRole);
         
         currentState = 'player';
     }
@@ -1195,8 +1338,11 @@
      * @param {string} audioUrl - Audio URL
      * @param {Object} radioData - Radio data
      * @param {string} title - Player title
+     * @param {Array} chapters - Optional chapter index for the question list
+     * @param {string} waveformUrl - Optional waveform peaks JSON
+     * @param {boolean} isParentProgram - Whether this is the parents program
      */
-    function createSinglePlayer(container, audioUrl, radioData, title) {
+    function createSinglePlayer(container, audioUrl, radioData, title, chapters = null, waveformUrl = null, isParentProgram = false) {
         // Create title if provided
         if (title) {
             const titleDiv = document.createElement('div');
@@ -1205,7 +1351,7 @@
             container.appendChild(titleDiv);
         }
         
-        setupAudioPlayer(audioUrl, radioData, container, false);
+        setupAudioPlayer(audioUrl, radioData, container, isParentProgram, chapters, waveformUrl);
     }
     
     /**
@@ -1367,7 +1513,7 @@
             // Text will be integrated into the audio player itself, not as separate label
             
             // Setup audio player for kids (no special background)
-            setupAudioPlayer(kidsProgram.url, radioData, kidsContainer, false);
+            setupAudioPlayer(kidsProgram.url, radioData, kidsContainer, false, kidsProgram.chapters, kidsProgram.waveformUrl);
         } else {
         }
         
@@ -1396,7 +1542,7 @@
             // Text will be integrated into the audio player itself, not as separate label
             
             // Setup audio player for parents DIRECTLY in parentsContainer (same as kids)
-            setupAudioPlayer(parentProgram.url, radioData, parentsContainer, true);
+            setupAudioPlayer(parentProgram.url, radioData, parentsContainer, true, parentProgram.chapters, parentProgram.waveformUrl);
             
             // Apply yellow background ONLY to the main player container - no fallbacks
             setTimeout(() => {
@@ -1503,150 +1649,96 @@
             // If nothing needs generation, show existing programs
             if (!generateKids && !generateParent) {
                 console.log('📻 No generation needed, showing existing programs');
-                stopGeneratingMessages();
                 showExistingProgram(data);
                 return;
             }
             
-            // Convert recordings to audioSegments format based on what we need to generate
-            const audioSegmentsResult = {};
+            // Collect recordings per program based on what we need to generate
+            const programRecordings = {};
             
             if (generateKids) {
-                const kidsSegments = convertRecordingsToAudioSegments(data.currentRecordings, data.world, 'kids');
-                if (kidsSegments.kids) {
-                    audioSegmentsResult.kids = kidsSegments.kids;
+                const kidsRecordings = collectProgramRecordings(data.currentRecordings, 'kids');
+                if (kidsRecordings.kids) {
+                    programRecordings.kids = kidsRecordings.kids;
                 }
             }
             
             if (generateParent) {
-                const parentSegments = convertRecordingsToAudioSegments(data.currentRecordings, data.world, 'parent');
-                if (parentSegments.parent) {
-                    audioSegmentsResult.parent = parentSegments.parent;
+                const parentRecordings = collectProgramRecordings(data.currentRecordings, 'parent');
+                if (parentRecordings.parent) {
+                    programRecordings.parent = parentRecordings.parent;
                 }
             }
             
             // Check if we have any programs to generate
-            if (!audioSegmentsResult.kids && !audioSegmentsResult.parent) {
-                console.log('📻 No audio segments to generate, showing existing programs');
-                stopGeneratingMessages();
+            if (!programRecordings.kids && !programRecordings.parent) {
+                console.log('📻 No recordings to generate, showing existing programs');
                 showExistingProgram(data);
                 return;
             }
             
             const generatedPrograms = {};
+            const programJobs = {};
             
-            // Generate kids program if available
-            if (audioSegmentsResult.kids) {
-                updateGeneratingMessage('Creating kids program job...');
+            // Create the jobs first - one job stream follows both
+            for (const programType of ['kids', 'parent']) {
+                if (!programRecordings[programType]) continue;
+                const programLabel = programType === 'kids' ? 'Kids' : 'Parent';
+                
+                updateGeneratingMessage(`Creating ${programType} program job...`);
                 
-                const kidsResponse = await fetch(`${API_BASE_URL}/api/combine-audio`, {
+                const jobResponse = await fetch(`${API_BASE_URL}/api/combine-audio`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({
                         lmid: data.lmid,
                         world: data.world,
-                        audioSegments: audioSegmentsResult.kids,
-                        programType: 'kids',
+                        recordings: programRecordings[programType],
+                        programType: programType,
                         lang: window.LM_CONFIG.getCurrentLanguage()
                     })
                 });
                 
-                if (kidsResponse.ok) {
-                    const kidsJobResult = await kidsResponse.json();
-                    
-                    if (kidsJobResult.success && kidsJobResult.jobId) {
-                        if (kidsJobResult.isDuplicate) {
-                            console.log(`🔄 Kids job already exists: ${kidsJobResult.jobId} (duplicate detected)`);
-                            updateGeneratingMessage('Kids program already being generated by another user...');
-                        } else {
-                            console.log(`✅ Kids job created: ${kidsJobResult.jobId}`);
-                            updateGeneratingMessage('Kids program job created, waiting for processing...');
-                        }
-                        
-                        // Poll for completion (same for new and duplicate jobs)
-                        const kidsResult = await pollForRadioJobCompletion(kidsJobResult.jobId, 'kids');
-                        
-                        if (kidsResult.success) {
-                            generatedPrograms.kids = {
-                                url: kidsResult.programUrl,
-                                manifest: kidsResult.manifest
-                            };
-                            console.log('✅ Kids program generated successfully');
-                            
-                            // Stop messages immediately when first program is ready
-                            stopGeneratingMessages();
-                            updateGeneratingMessage('Kids program ready!');
-                        } else {
-                            console.error('❌ Kids program generation failed:', kidsResult.error);
-                        }
-                    } else {
-                        console.error('❌ Failed to create kids job:', kidsJobResult.error);
-                    }
-                } else {
-                    console.error('❌ Kids job creation request failed:', kidsResponse.status);
+                if (!jobResponse.ok) {
+                    console.error(`❌ ${programLabel} job creation request failed:`, jobResponse.status);
+                    continue;
                 }
-            }
-            
-            // Generate parent program if available
-            if (audioSegmentsResult.parent) {
-                updateGeneratingMessage('Creating parent program job...');
                 
-                const parentResponse = await fetch(`${API_BASE_URL}/api/combine-audio`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        lmid: data.lmid,
-                        world: data.world,
-                        audioSegments: audioSegmentsResult.parent,
-                        programType: 'parent',
-                        lang: window.LM_CONFIG.getCurrentLanguage()
-                    })
-                });
+                const jobResult = await jobResponse.json();
+                if (!jobResult.success || !jobResult.jobId) {
+                    console.error(`❌ Failed to create ${programType} job:`, jobResult.error);
+                    continue;
+                }
                 
-                if (parentResponse.ok) {
-                    const parentJobResult = await parentResponse.json();
-                    
-                    if (parentJobResult.success && parentJobResult.jobId) {
-                        if (parentJobResult.isDuplicate) {
-                            console.log(`🔄 Parent job already exists: ${parentJobResult.jobId} (duplicate detected)`);
-                            updateGeneratingMessage('Parent program already being generated by another user...');
-                        } else {
-                            console.log(`✅ Parent job created: ${parentJobResult.jobId}`);
-                            updateGeneratingMessage('Parent program job created, waiting for processing...');
-                        }
-                        
-                        // Poll for completion (same for new and duplicate jobs)
-                        const parentResult = await pollForRadioJobCompletion(parentJobResult.jobId, 'parent');
-                        
-                        if (parentResult.success) {
-                            generatedPrograms.parent = {
-                                url: parentResult.programUrl,
-                                manifest: parentResult.manifest
-                            };
-                            console.log('✅ Parent program generated successfully');
-                            
-                            // Stop messages immediately when parent program is ready (if still running)
-                            if (generatingInterval) {
-                                stopGeneratingMessages();
-                                updateGeneratingMessage('Parent program ready!');
-                            }
-                        } else {
-                            console.error('❌ Parent program generation failed:', parentResult.error);
-                        }
-                    } else {
-                        console.error('❌ Failed to create parent job:', parentJobResult.error);
-                    }
+                if (jobResult.isDuplicate) {
+                    console.log(`🔄 ${programLabel} job already exists: ${jobResult.jobId} (duplicate detected)`);
+                    updateGeneratingMessage(`${programLabel} program already being generated by another user...`);
                 } else {
-                    console.log('🔒 Parent generation already in progress, will wait for completion');
-                    // This is handled by the polling system
+                    console.log(`✅ ${programLabel} job created: ${jobResult.jobId}`);
+                    updateGeneratingMessage(`${programLabel} program job created, waiting for processing...`);
                 }
+                
+                programJobs[programType] = jobResult.jobId;
             }
             
-            // Stop generating messages (if still running)
-            if (generatingInterval) {
-            stopGeneratingMessages();
+            // Follow the jobs until they finish (same for new and duplicate jobs)
+            const programResults = await pollForRadioJobCompletion(programJobs);
+            
+            Object.entries(programResults).forEach(([programType, result]) => {
+                if (result.success) {
+                    generatedPrograms[programType] = {
+                        url: selectProgramSource(result.programUrl, result.manifest?.renditions),
+                        manifest: result.manifest,
+                        chapters: result.manifest?.chapters || null,
+                        waveformUrl: result.manifest?.waveformUrl || null
+                    };
+                    console.log(`✅ ${programType} program generated successfully`);
+                } else {
+                    console.error(`❌ ${programType} program generation failed:`, result.error);
+                }
+            });
+            
             updateGeneratingMessage('Programs generated successfully!');
-            }
             
             // Wait a moment for manifests to update, then reload data to get fresh manifest
             setTimeout(async () => {
@@ -1672,51 +1764,88 @@
             
         } catch (error) {
             console.error('Error generating program:', error);
-            stopGeneratingMessages();
             showError(`Failed to generate program: ${error.message}`);
         }
     }
 
     /**
-     * Poll for job completion using the queue system (radio.js version)
-     * @param {string} jobId - Job ID to poll for
-     * @param {string} programType - Program type for logging ('kids' or 'parent')
-     * @returns {Promise<Object>} Final result when job is completed
+     * Follow program jobs on one job stream until every job finishes (radio.js version)
+     * The server pushes database changes; EventSource reconnects by itself when the stream
+     * is recycled (every few minutes) and the server resends the current status
+     * A superseded job is followed through to the newer job that replaced it (supersededBy)
+     * @param {Object} programJobs - { kids: jobId, parent: jobId } (either may be missing)
+     * @returns {Promise<Object>} { kids: result, parent: result } - result: { success, programUrl, manifest, error }
      */
-    async function pollForRadioJobCompletion(jobId, programType) {
-        console.log(`📡 Starting SSE monitoring for ${programType} job: ${jobId}`);
-        
-        return new Promise((resolve, reject) => {
-            const eventSource = new EventSource(`${API_BASE_URL}/api/job-stream?jobId=${jobId}`);
-            let resolved = false;
-            
-            // Timeout after 5 minutes
-            const timeout = setTimeout(() => {
-                if (!resolved) {
-                    resolved = true;
-                    eventSource.close();
-                    console.error(`⏰ SSE timeout reached for ${programType} job:`, jobId);
-                    resolve({
-                        success: false,
-                        error: 'Timeout: Job took too long to complete'
-                    });
-                }
-            }, 5 * 60 * 1000);
+    async function pollForRadioJobCompletion(programJobs) {
+        const typesByJobId = Object.fromEntries(Object.entries(programJobs).map(([programType, jobId]) => [jobId, programType]));
+        const jobIds = Object.keys(typesByJobId);
+        const results = {};
+        
+        if (jobIds.length === 0) {
+            return results;
+        }
+        
+        console.log(`📡 Starting SSE monitoring for ${Object.keys(programJobs).join(' + ')} jobs: ${jobIds.join(', ')}`);
+        
+        programProgress = {};
+        
+        return new Promise((resolve) => {
+            const eventSource = new EventSource(`${API_BASE_URL}/api/job-stream?jobIds=${jobIds.join(',')}`);
+            let finished = false;
+            
+            // Jobs still without a result when the stream gives up count as failed
+            const finish = (error) => {
+                if (finished) return;
+                finished = true;
+                eventSource.close();
+                
+                jobIds.forEach(jobId => {
+                    const programType = typesByJobId[jobId];
+                    if (!results[programType]) {
+                        results[programType] = { success: false, error: error || 'Monitoring ended before the job finished' };
+                    }
+                });
+                resolve(results);
+            };
+            
+            // A newer job took over a program - follow it, on a new stream with the jobs still running
+            const redirect = (jobId, newerJobId) => {
+                if (finished) return;
+                finished = true;
+                eventSource.close();
+                
+                const remainingJobs = {};
+                jobIds.forEach(id => {
+                    const programType = typesByJobId[id];
+                    if (!results[programType]) {
+                        remainingJobs[programType] = id === jobId ? newerJobId : id;
+                    }
+                });
+                resolve(pollForRadioJobCompletion(remainingJobs).then(newerResults => ({ ...results, ...newerResults })));
+            };
             
-            let sseEventCount = 0;
+            const settle = (jobId, result) => {
+                const programType = typesByJobId[jobId];
+                if (!programType || results[programType]) return;
+                
+                results[programType] = result;
+                if (Object.keys(results).length === jobIds.length) {
+                    finish();
+                }
+            };
             
             eventSource.onmessage = (event) => {
                 try {
                     const data = JSON.parse(event.data);
-                    sseEventCount++;
+                    const programType = typesByJobId[data.jobId];
                     
                     // Native console grouping - same string repeats = automatic counter
-                    console.log(`📊 SSE event for ${programType} job ${jobId}: status ${data.status || 'connecting'}`);
+                    console.log(`📊 SSE event for ${programType || 'program'} job: ${data.type} ${data.status || ''}`);
                     
                     switch (data.type) {
                         case 'connected':
-                            console.log(`✅ SSE connection established for ${programType} job`);
-                            updateGeneratingMessage(`Connected to server for ${programType} program...`);
+                            console.log('✅ SSE connection established for program jobs');
+                            updateGeneratingMessage('Connected to server...');
                             break;
                             
                         case 'status':
@@ -1724,24 +1853,21 @@
                             
                             // Check if job is complete
                             if (data.status === 'completed') {
-                                resolved = true;
-                                clearTimeout(timeout);
-                                eventSource.close();
-                                
                                 console.log(`✅ ${programType} job completed successfully`);
-                                resolve({
+                                
+                                settle(data.jobId, {
                                     success: true,
                                     programUrl: data.programUrl,
                                     manifest: data.manifestData
                                 });
                                 
-                            } else if (data.status === 'failed') {
-                                resolved = true;
-                                clearTimeout(timeout);
-                                eventSource.close();
+                            } else if (data.status === 'superseded' && data.supersededBy) {
+                                console.log(`⏭️ ${programType} job superseded by ${data.supersededBy} - following the newer job`);
+                                redirect(data.jobId, data.supersededBy);
                                 
-                                console.error(`❌ ${programType} job failed:`, data.error);
-                                resolve({
+                            } else if (['failed', 'dead', 'cancelled', 'superseded'].includes(data.status)) {
+                                console.error(`❌ ${programType} job ${data.status}:`, data.error);
+                                settle(data.jobId, {
                                     success: false,
                                     error: data.error || 'Job processing failed'
                                 });
@@ -1749,46 +1875,31 @@
                             break;
                             
                         case 'error':
-                            resolved = true;
-                            clearTimeout(timeout);
-                            eventSource.close();
-                            
-                            console.error(`❌ SSE error for ${programType} job:`, data.message);
-                            resolve({
-                                success: false,
-                                error: data.message || 'Server error occurred'
-                            });
+                            console.error(`❌ SSE error${programType ? ` for ${programType} job` : ''}:`, data.message);
+                            if (data.jobId) {
+                                settle(data.jobId, { success: false, error: data.message || 'Server error occurred' });
+                            } else {
+                                finish(data.message || 'Server error occurred');
+                            }
                             break;
                             
-                        case 'timeout':
-                            resolved = true;
-                            clearTimeout(timeout);
-                            eventSource.close();
-                            
-                            console.error(`⏰ Server timeout for ${programType} job:`, data.message);
-                            resolve({
-                                success: false,
-                                error: data.message || 'Server monitoring timeout'
-                            });
+                        case 'done':
+                            finish();
                             break;
                     }
                     
                 } catch (parseError) {
-                    console.error(`❌ Failed to parse SSE data for ${programType} job:`, parseError);
+                    console.error('❌ Failed to parse SSE data for program jobs:', parseError);
                 }
             };
             
             eventSource.onerror = (error) => {
-                if (!resolved) {
-                    resolved = true;
-                    clearTimeout(timeout);
-                    eventSource.close();
-                    
-                    console.error(`❌ SSE connection error for ${programType} job:`, error);
-                    resolve({
-                        success: false,
-                        error: 'Connection error during monitoring'
-                    });
+                // CONNECTING: the stream was recycled or dropped and EventSource is reconnecting
+                if (eventSource.readyState === EventSource.CLOSED) {
+                    console.error('❌ SSE connection closed for program jobs:', error);
+                    finish('Connection error during monitoring');
+                } else {
+                    console.log('🔄 SSE reconnecting for program jobs');
                 }
             };
         });
@@ -1796,60 +1907,84 @@
 
     /**
      * Handle job status updates from SSE for radio programs
+     * Shows the progress the jobs report (stage, percentage, time left) - see api/job-stream.js
      * @param {Object} data - Status data from SSE
      * @param {string} programType - Program type ('kids' or 'parent')
      */
-    // Message throttling to prevent too frequent updates
-    let lastMessageUpdate = 0;
-    const MESSAGE_THROTTLE_MS = 5000; // 5 seconds minimum between message changes
-
     function handleRadioJobStatusUpdate(data, programType) {
         const { status, fileCount } = data;
-        const now = Date.now();
-        
-        // Throttle message updates to minimum 5 seconds
-        if (now - lastMessageUpdate < MESSAGE_THROTTLE_MS) {
-            return;
-        }
+        const programLabel = programType === 'kids' ? 'Kids' : 'Parent';
         
         switch (status) {
             case 'pending':
-                const pendingMessages = [
-                    'Gathering rainbow sound waves...',
-                    'Tuning magical frequencies...',
-                    'Preparing audio enchantments...',
-                    'Warming up the sound laboratory...',
-                    'Collecting musical stardust...',
-                    'Calibrating the audio crystals...',
-                    'Summoning the recording spirits...',
-                    'Charging the melody generators...',
-                    'Awakening the sound wizards...',
-                    'Brewing audio potions...'
-                ];
-                const randomPendingMessage = pendingMessages[Math.floor(Math.random() * pendingMessages.length)];
-                updateGeneratingMessage(randomPendingMessage);
-                lastMessageUpdate = now;
+                programProgress[programType] = {
+                    percent: 0,
+                    message: data.attempts > 0
+                        ? `Hit a small hiccup with the ${programType} program - trying again...`
+                        : `${programLabel} program is waiting in line...`,
+                    eta: null
+                };
                 break;
                 
-            case 'processing':
-                const processingMessages = [
-                    `Processing ${programType} program with ${fileCount || 'audio'} files...`,
-                    `Mixing ${programType} recordings...`,
-                    `Adding music to ${programType} program...`,
-                    `Finalizing ${programType} audio...`,
-                    'Weaving sound tapestries...',
-                    'Painting with audio colors...',
-                    'Sculpting sonic masterpieces...',
-                    'Dancing with sound waves...'
-                ];
-                const randomProcessingMessage = processingMessages[Math.floor(Math.random() * processingMessages.length)];
-                updateGeneratingMessage(randomProcessingMessage);
-                lastMessageUpdate = now;
+            case 'processing': {
+                const { percent, message, eta } = window.RecordingUI.describeJobProgress(data.progress, fileCount);
+                programProgress[programType] = { percent, message: `${programLabel} program: ${message}`, eta };
+                break;
+            }
+                
+            case 'completed':
+                programProgress[programType] = { percent: 100, message: `${programLabel} program ready!`, eta: null };
                 break;
                 
             default:
                 console.log(`📋 ${programType} job status: ${status}`);
+                return;
         }
+        
+        renderGenerationProgress(programType);
+    }
+
+    /**
+     * Show the followed jobs' progress in the generating state
+     * The bar averages the programs, the message is the latest update
+     * @param {string} programType - Program whose update is shown
+     */
+    function renderGenerationProgress(programType) {
+        const entries = Object.values(programProgress);
+        const percent = Math.round(entries.reduce((sum, entry) => sum + entry.percent, 0) / entries.length);
+        const eta = programProgress[programType].eta;
+        
+        updateGeneratingMessage(programProgress[programType].message);
+        
+        const progressElement = getGenerationProgressElement();
+        if (!progressElement) return;
+        
+        progressElement.querySelector('.generation-progress-fill').style.width = `${percent}%`;
+        progressElement.querySelector('.generation-progress-text').textContent = eta ? `${percent}% - ${eta}` : `${percent}%`;
+    }
+
+    /**
+     * Progress bar below the generating message (created on first use)
+     * @returns {HTMLElement|null} Progress element
+     */
+    function getGenerationProgressElement() {
+        const existing = document.getElementById('generation-progress');
+        if (existing) return existing;
+        
+        const generatingText = document.getElementById('generating-text');
+        if (!generatingText || !generatingText.parentNode) return null;
+        
+        const progressElement = document.createElement('div');
+        progressElement.id = 'generation-progress';
+        progressElement.style.cssText = 'width: 100%; max-width: 320px; margin: 12px auto 0 auto; text-align: center;';
+        progressElement.innerHTML = `
+            <div style="background: rgba(0, 0, 0, 0.1); border-radius: 4px; height: 8px; overflow: hidden;">
+                <div class="generation-progress-fill" style="width: 0%; height: 100%; background: #007AF7; border-radius: 4px; transition: width 0.3s ease;"></div>
+            </div>
+            <p class="generation-progress-text" style="margin: 6px 0 0 0; font-size: 13px; opacity: 0.7;"></p>
+        `;
+        generatingText.parentNode.insertBefore(progressElement, generatingText.nextSibling);
+        return progressElement;
     }
 
     /**
@@ -1899,21 +2034,8 @@
     function showError(message) {
         updateLoadingMessage(`Error: ${message}`);
         console.error('💥 Radio error:', message);
-        
-        // Stop generating messages if running
-        stopGeneratingMessages();
     }
 
-    // Cleanup on page unload
-    window.addEventListener('beforeunload', () => {
-        if (window.generationPollInterval) {
-            clearInterval(window.generationPollInterval);
-        }
-        if (generatingInterval) {
-            clearInterval(generatingInterval);
-        }
-    });
-
     /**
      * Mark LMID radio as played (reset new recording counter)
      * Standalone implementation for radio page
@@ -2027,9 +2149,8 @@
         updateLoadingMessage,
         updateGeneratingMessage,
         loadRadioData,
-        stopGeneratingMessages,
         showWaitingForGeneration,
-        startGenerationPolling,
+        followGenerationInProgress,
         setupRadioPlayTracking
     };
 
@@ -51,8 +51,6 @@
             updateRadioProgramProgress,
             showRadioProgramSuccess,
             hideRadioProgramModal,
-            startFunStatusMessages,
-            stopFunStatusMessages,
             log
         } = dependencies;
 
@@ -89,22 +87,17 @@
             updateRadioProgramProgress('Creating audio plan...', 30);
             const audioPlan = createAudioPlan(recordings, world, lmid);
             
-            // Step 4: Start fun status messages
-            startFunStatusMessages();
-            
-            // Step 5: Process audio
+            // Step 4: Process audio
             updateRadioProgramProgress('Mixing your audio masterpiece...', 40);
             const processResult = await processRadioAudioPlan(audioPlan, world, lmid, updateRadioProgramProgress);
             
-            stopFunStatusMessages();
-            
             if (!processResult.success) {
                 hideRadioProgramModal();
                 alert(`Radio program generation failed: ${processResult.error}`);
                 return { success: false, error: processResult.error };
             }
             
-            // Step 6: Success!
+            // Step 5: Success!
             updateRadioProgramProgress('Radio program ready!', 100);
             
             setTimeout(() => {
@@ -127,7 +120,6 @@
             };
             
         } catch (error) {
-            stopFunStatusMessages();
             hideRadioProgramModal();
             log('error', 'Radio program generation failed:', error);
             alert(`Unexpected error during radio program generation: ${error.message}`);
@@ -14,7 +14,7 @@
  * - getAllRecordingsForWorldLmid(): Get all recordings for world/lmid
  * - loadRecordingsFromCloud(): Load recordings from cloud storage
  * - deleteFromBunny(): Delete file from Bunny.net CDN
- * - uploadToBunny(): Upload file to Bunny.net CDN
+ * - uploadToBunny(): Upload file to Bunny.net CDN (resumable chunked upload session)
  * - cleanupOrphanedRecordings(): Clean up orphaned recordings
  * - cleanupAllOrphanedRecordings(): Clean up all orphaned recordings
  * - discoverQuestionIdsFromDB(): Discover question IDs from database
@@ -28,6 +28,7 @@
  * - Local IndexedDB with metadata and blob storage
  * - Cloud backup to Bunny.net CDN
  * - Upload progress tracking and retry mechanisms
+ * - Resumable uploads: the upload session is kept on the record (uploadSession)
  * - Orphaned recording cleanup
  * - Cross-device synchronization
  * - Error recovery and data integrity
@@ -331,48 +332,139 @@
     }
 
     /**
-     * Upload recording to Bunny.net CDN
+     * Call an upload session endpoint and parse its JSON answer
+     * Errors carry retryable (network, 5xx, 429, 409 FINALIZING), offset (409: resume from here) and code (QUOTA_EXCEEDED, FINALIZING)
+     * @param {string} url - Endpoint URL
+     * @param {Object} options - fetch options
+     * @returns {Promise<Object>} Parsed response body
+     */
+    async function requestUploadApi(url, options) {
+        let response;
+        try {
+            response = await fetch(url, options);
+        } catch (networkError) {
+            networkError.retryable = true;
+            throw networkError;
+        }
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(result.error || `Upload API error: ${response.status}`);
+            error.status = response.status;
+            error.retryable = response.status >= 500 || response.status === 429 || result.code === 'FINALIZING';
+            error.offset = result.offset;
+            error.code = result.code;
+            throw error;
+        }
+
+        return result;
+    }
+
+    /**
+     * Upload recording to Bunny.net CDN through a resumable upload session
+     * Raw binary chunks (api/upload-chunk.js) instead of one base64 JSON body; the session is
+     * kept on the IndexedDB record (uploadSession) so a reload continues from the last
+     * acknowledged chunk
      * @param {Object} recordingData - Recording data
      * @param {string} world - World name
      * @param {string} lmid - LMID
      * @returns {Promise<Object>} Upload result
      */
     async function uploadToBunny(recordingData, world, lmid) {
+        const MAX_CHUNK_RETRIES = 5;
+        const RETRY_DELAY_MS = 2000;
+
         try {
-            const base64Audio = await blobToBase64(recordingData.audio);
             const filename = `kids-world_${world}-lmid_${lmid}-question_${recordingData.questionId}-tm_${recordingData.timestamp}.webm`;
-
             const apiBaseUrl = window.LM_CONFIG?.API_BASE_URL || 'https://little-microphones.vercel.app';
-            const response = await fetch(`${apiBaseUrl}/api/upload-audio?_t=${Date.now()}&_r=${Math.random()}`, {
-                method: 'POST',
-                headers: { 
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    world,
-                    lmid,
-                    questionId: recordingData.questionId,
-                    filename,
-                    audioData: base64Audio
-                })
-            });
+            const blob = recordingData.audio;
+            let session = recordingData.uploadSession || null;
+            let offset = 0;
 
-            const result = await response.json();
-            
-            if (result.success) {
-                return {
-                    success: true,
-                    url: result.url,
-                    filename: filename
-                };
-            } else {
-                throw new Error(result.error || 'Upload failed');
+            // Resume from the last acknowledged chunk
+            if (session) {
+                try {
+                    const status = await requestUploadApi(`${apiBaseUrl}/api/upload-session?sessionId=${encodeURIComponent(session.sessionId)}`);
+                    offset = status.offset;
+                } catch (error) {
+                    if (error.retryable) throw error;
+                    session = null; // Expired or unknown - start over
+                }
             }
+
+            if (!session) {
+                const created = await requestUploadApi(`${apiBaseUrl}/api/upload-session`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        world,
+                        lmid,
+                        questionId: recordingData.questionId,
+                        filename,
+                        lang: window.LM_CONFIG?.getCurrentLanguage?.() || 'en',
+                        totalSize: blob.size,
+                        mimeType: blob.type
+                    })
+                });
+                session = { sessionId: created.sessionId, chunkSize: created.chunkSize };
+                recordingData.uploadSession = session;
+                await updateRecordingInDB(recordingData);
+            }
+
+            const sessionQuery = `sessionId=${encodeURIComponent(session.sessionId)}`;
+            let retries = 0;
+
+            while (offset < blob.size) {
+                try {
+                    const chunkResult = await requestUploadApi(`${apiBaseUrl}/api/upload-chunk?${sessionQuery}&offset=${offset}`, {
+                        method: 'PUT',
+                        headers: { 'Content-Type': 'application/octet-stream' },
+                        body: blob.slice(offset, offset + session.chunkSize)
+                    });
+                    offset = chunkResult.offset;
+                    retries = 0;
+                } catch (error) {
+                    if (error.status === 409 && Number.isInteger(error.offset)) {
+                        offset = error.offset;
+                        continue;
+                    }
+                    if (!error.retryable || ++retries > MAX_CHUNK_RETRIES) {
+                        throw error;
+                    }
+                    await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * retries));
+                    continue;
+                }
+
+                recordingData.uploadProgress = Math.round((offset / blob.size) * 100);
+                await updateRecordingInDB(recordingData);
+            }
+
+            // 409 FINALIZING: another finalize of this session is still storing it - the next call returns its result
+            let result;
+            for (let finalizeRetries = 0; !result; finalizeRetries++) {
+                try {
+                    result = await requestUploadApi(`${apiBaseUrl}/api/upload-session?${sessionQuery}&action=finalize`, { method: 'POST' });
+                } catch (error) {
+                    if (error.code !== 'FINALIZING' || finalizeRetries >= MAX_CHUNK_RETRIES) {
+                        throw error;
+                    }
+                    await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * (finalizeRetries + 1)));
+                }
+            }
+            delete recordingData.uploadSession;
+            await updateRecordingInDB(recordingData);
+
+            return {
+                success: true,
+                url: result.url,
+                filename: result.filename
+            };
         } catch (error) {
             console.error('Upload to Bunny failed:', error);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                code: error.code || null
             };
         }
     }
@@ -481,20 +573,6 @@
         }
     }
 
-    /**
-     * Convert blob to base64 string
-     * @param {Blob} blob - Blob to convert
-     * @returns {Promise<string>} Base64 string
-     */
-    function blobToBase64(blob) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result.split(',')[1]);
-            reader.onerror = reject;
-            reader.readAsDataURL(blob);
-        });
-    }
-
     /**
      * Sync local recordings with cloud
      * @param {string} world - World name
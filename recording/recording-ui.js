@@ -7,20 +7,24 @@
  * EXPORTED FUNCTIONS:
  * - injectGlobalStyles(): Inject CSS animations into document head
  * - createRecordingElement(): Create audio recording UI element
+ * - attachWaveform(): Turn a player's progress bar into a seekable waveform
+ * - recoverExpiredSource(): Swap in a fresh signed URL when playback fails
  * - createRecordingPlaceholder(): Create placeholder for new recordings
  * - updateUploadStatusUI(): Update upload status indicators
  * - showRadioProgramModal(): Display radio program generation modal
  * - updateRadioProgramProgress(): Update progress in modal
  * - hideRadioProgramModal(): Hide radio program modal
  * - showRadioProgramSuccess(): Show success modal with audio player
- * - startFunStatusMessages(): Start animated status messages
- * - stopFunStatusMessages(): Stop animated status messages
+ * - describeJobProgress(): Status message, percentage and ETA of a rendering job's progress
  * - formatTime(): Format seconds to MM:SS format
  * - setButtonText(): Safely set button text content
  * 
  * UI COMPONENTS:
  * - Audio player with play/pause controls
  * - Progress bars and time displays
+ * - Waveforms drawn from server-generated peaks (recordingData.waveformUrl)
+ * - Signed cloud URLs expire: a failing player asks getAudioSource(recordingData, { refresh: true })
+ *   for a fresh one and resumes where it was
  * - Upload status indicators with animations
  * - Delete buttons with confirmation
  * - Modal dialogs for radio program generation
@@ -35,7 +39,7 @@
     'use strict';
     
     // Global variables for UI state management
-    let funStatusInterval = null;
+    const waveformCache = new Map(); // waveformUrl → Promise<peaks>
 
     /**
      * Format time from seconds to MM:SS format
@@ -147,7 +151,7 @@
      * Create HTML element for a single audio recording
      * @param {Object} recordingData - Recording data from database
      * @param {string} questionId - Question ID this recording belongs to
-     * @param {Function} getAudioSource - Function to get audio source URL
+     * @param {Function} getAudioSource - Function to get audio source URL ((recordingData, { refresh }) → url)
      * @param {Function} deleteRecording - Function to delete recording
      * @param {Function} dispatchUploadStatusEvent - Function to dispatch status events
      * @param {Object} options - Optional configuration {showDeleteButton: true, showUploadIcon: true}
@@ -179,8 +183,9 @@
         const audio = document.createElement('audio');
         let finalAudioURL = audioURL;
         
-        // Skip cache busting for Bunny CDN URLs (like Intro Story)
-        if (!audioURL.includes('little-microphones.b-cdn.net')) {
+        // Skip cache busting for Bunny CDN URLs (like Intro Story) and signed URLs (unique already,
+        // and extra query parameters would break the token)
+        if (!audioURL.includes('little-microphones.b-cdn.net') && !isSignedUrl(audioURL)) {
             finalAudioURL = audioURL.includes('?') ? 
                 `${audioURL}&_cb=${Date.now()}&_r=${Math.random()}` : 
                 `${audioURL}?_cb=${Date.now()}&_r=${Math.random()}`;
@@ -196,6 +201,9 @@
         audio.style.display = 'none';
         li.appendChild(audio);
 
+        // Signed URLs expire while the page stays open
+        recoverExpiredSource(audio, () => getAudioSource(recordingData, { refresh: true }));
+
         // --- Create all UI parts ---
         const playButtonContainer = createPlayButton();
         const timeDisplay = createTimeDisplay();
@@ -212,7 +220,7 @@
         li.appendChild(playerContainer);
 
         // --- Add Event Listeners ---
-        setupAudioPlayerEvents(audio, playButtonContainer, progressContainer, timeDisplay);
+        setupAudioPlayerEvents(audio, playButtonContainer, progressContainer, timeDisplay, recordingData.duration);
         
         // Delete button event
         if (deleteButton) {
@@ -223,7 +231,18 @@
             });
         }
         
+        // Replace the plain progress bar with the voice shape once peaks arrive
+        if (recordingData.waveformUrl) {
+            loadWaveformPeaks(recordingData.waveformUrl).then(peaks => {
+                if (peaks) attachWaveform(progressContainer, peaks);
+            });
+        }
+
         // --- Load Metadata ---
+        // MediaRecorder WebM often reports an infinite duration - show the analyzed one until playback knows better
+        if (recordingData.duration > 0) {
+            timeDisplay.textContent = `0:00 / ${formatTime(recordingData.duration)}`;
+        }
         audio.addEventListener('loadedmetadata', () => {
             if (audio.duration && isFinite(audio.duration)) {
                 timeDisplay.textContent = `0:00 / ${formatTime(audio.duration)}`;
@@ -239,6 +258,54 @@
         return li;
     }
 
+    /**
+     * Whether a URL carries a storage token (Bunny token authentication or the local backend)
+     * @param {string} url - Audio URL
+     * @returns {boolean} True for signed URLs
+     */
+    function isSignedUrl(url) {
+        return /[?&]expires=\d+|\/bcdn_token=|\/_signed\//.test(url);
+    }
+
+    /**
+     * Swap in a fresh signed URL when playback fails (typically an expired token)
+     * Keeps the position and resumes playback; gives up after one failed refresh per URL
+     * @param {HTMLAudioElement} audio - Player audio element
+     * @param {Function} refreshSource - Async function returning a fresh URL (or null)
+     */
+    function recoverExpiredSource(audio, refreshSource) {
+        let refreshing = false;
+        let failedUrl = null;
+
+        audio.addEventListener('error', async () => {
+            if (refreshing || failedUrl === audio.src) return;
+            refreshing = true;
+            failedUrl = audio.src;
+
+            try {
+                const freshUrl = await refreshSource();
+                if (!freshUrl || freshUrl === failedUrl) return;
+
+                const resumeAt = audio.currentTime || 0;
+                const wasPlaying = !audio.paused;
+                console.log('🔑 Audio URL refreshed after a playback error');
+
+                audio.src = freshUrl;
+                audio.addEventListener('loadedmetadata', () => {
+                    audio.currentTime = resumeAt;
+                    if (wasPlaying) {
+                        audio.play().catch(() => {});
+                    }
+                }, { once: true });
+                audio.load();
+            } catch (error) {
+                console.warn('Could not refresh audio URL:', error);
+            } finally {
+                refreshing = false;
+            }
+        });
+    }
+
     /**
      * Create play/pause button component
      * @returns {HTMLDivElement} Play button container
@@ -287,6 +354,99 @@
         return progressContainer;
     }
 
+    /**
+     * Load waveform peaks JSON (cached per URL)
+     * @param {string} waveformUrl - URL of the .waveform.json file
+     * @returns {Promise<Array|null>} Peaks (0-1) or null when unavailable
+     */
+    function loadWaveformPeaks(waveformUrl) {
+        if (!waveformCache.has(waveformUrl)) {
+            const request = fetch(waveformUrl)
+                .then(response => response.ok ? response.json() : null)
+                .then(data => Array.isArray(data?.peaks) && data.peaks.length > 0 ? data.peaks : null)
+                .catch(error => {
+                    console.warn('Failed to load waveform:', error.message);
+                    return null;
+                });
+            waveformCache.set(waveformUrl, request);
+        }
+        return waveformCache.get(waveformUrl);
+    }
+
+    /**
+     * Turn a progress bar (from createProgressBar) into a seekable waveform
+     * The played part is the same waveform in blue, clipped by the progress bar width,
+     * so the existing seek and timeupdate handlers keep working unchanged
+     * @param {HTMLDivElement} progressContainer - Progress container
+     * @param {Array<number>} peaks - Peaks between 0 and 1
+     */
+    function attachWaveform(progressContainer, peaks) {
+        const progressBar = progressContainer.children[0];
+        if (!progressBar || progressContainer.dataset.waveform === 'true') return;
+
+        progressContainer.dataset.waveform = 'true';
+        progressContainer.style.height = '28px';
+        progressContainer.style.background = 'transparent';
+        progressContainer.style.borderRadius = '0';
+
+        const baseCanvas = document.createElement('canvas');
+        baseCanvas.style.cssText = `position: absolute; top: 0; left: 0; width: 100%; height: 100%; pointer-events: none;`;
+        progressContainer.insertBefore(baseCanvas, progressBar);
+
+        progressBar.style.cssText = `position: absolute; top: 0; left: 0; width: ${progressBar.style.width || '0%'}; height: 100%; overflow: hidden; background: transparent; border-radius: 0; pointer-events: none;`;
+        const playedCanvas = document.createElement('canvas');
+        playedCanvas.style.cssText = `position: absolute; top: 0; left: 0; height: 100%; pointer-events: none;`;
+        progressBar.appendChild(playedCanvas);
+
+        const draw = () => {
+            const width = progressContainer.clientWidth;
+            const height = progressContainer.clientHeight;
+            if (!width || !height) return;
+
+            playedCanvas.style.width = `${width}px`;
+            drawWaveform(baseCanvas, peaks, width, height, 'rgba(0, 0, 0, 0.2)');
+            drawWaveform(playedCanvas, peaks, width, height, '#007AF7');
+        };
+
+        draw();
+        if (window.ResizeObserver) {
+            new ResizeObserver(draw).observe(progressContainer);
+        }
+    }
+
+    /**
+     * Draw peaks as centered bars
+     * @param {HTMLCanvasElement} canvas - Target canvas
+     * @param {Array<number>} peaks - Peaks between 0 and 1
+     * @param {number} width - CSS width in px
+     * @param {number} height - CSS height in px
+     * @param {string} color - Bar color
+     */
+    function drawWaveform(canvas, peaks, width, height, color) {
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+
+        const context = canvas.getContext('2d');
+        context.scale(ratio, ratio);
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = color;
+
+        const barWidth = 2;
+        const barGap = 1;
+        const barCount = Math.floor(width / (barWidth + barGap));
+
+        for (let bar = 0; bar < barCount; bar++) {
+            // Loudest peak of the buckets under this bar
+            const from = Math.floor(bar * peaks.length / barCount);
+            const to = Math.max(from + 1, Math.floor((bar + 1) * peaks.length / barCount));
+            const peak = Math.max(...peaks.slice(from, to));
+            const barHeight = Math.max(2, peak * height);
+
+            context.fillRect(bar * (barWidth + barGap), (height - barHeight) / 2, barWidth, barHeight);
+        }
+    }
+
     /**
      * Create upload status icon
      * @returns {HTMLDivElement} Upload icon element
@@ -316,8 +476,10 @@
      * @param {HTMLDivElement} playButtonContainer - Play button container
      * @param {HTMLDivElement} progressContainer - Progress container
      * @param {HTMLDivElement} timeDisplay - Time display element
+     * @param {number} knownDuration - Analyzed duration in seconds, used while the element reports none
      */
-    function setupAudioPlayerEvents(audio, playButtonContainer, progressContainer, timeDisplay) {
+    function setupAudioPlayerEvents(audio, playButtonContainer, progressContainer, timeDisplay, knownDuration = 0) {
+        const getDuration = () => (audio.duration && isFinite(audio.duration)) ? audio.duration : knownDuration;
         const playIcon = playButtonContainer.children[0];
         const pauseIcon = playButtonContainer.children[1];
         const progressBar = progressContainer.children[0];
@@ -340,11 +502,12 @@
 
         // Progress bar seeking
         progressContainer.addEventListener('click', (e) => {
-            if (audio.duration && isFinite(audio.duration)) {
+            const duration = getDuration();
+            if (duration > 0) {
                 const rect = progressContainer.getBoundingClientRect();
                 const clickX = e.clientX - rect.left;
                 const percentage = clickX / rect.width;
-                audio.currentTime = percentage * audio.duration;
+                audio.currentTime = percentage * duration;
             }
         });
         
@@ -359,12 +522,13 @@
 
         // Time updates
         audio.addEventListener('timeupdate', () => {
-            if (audio.duration && isFinite(audio.duration)) {
-                const percentage = (audio.currentTime / audio.duration) * 100;
+            const duration = getDuration();
+            if (duration > 0) {
+                const percentage = Math.min(100, (audio.currentTime / duration) * 100);
                 progressBar.style.width = percentage + '%';
                 
                 const currentTimeFormatted = formatTime(audio.currentTime);
-                const durationFormatted = formatTime(audio.duration);
+                const durationFormatted = formatTime(duration);
                 timeDisplay.textContent = `${currentTimeFormatted} / ${durationFormatted}`;
             }
         });
@@ -617,7 +781,7 @@
      * Update progress in radio program modal
      * @param {string} message - Status message
      * @param {number} progress - Progress percentage (0-100)
-     * @param {string} details - Additional details
+     * @param {string} details - Additional details (shown after the percentage, e.g. time left)
      */
     function updateRadioProgramProgress(message, progress, details = '') {
         const modal = document.getElementById('radio-program-modal');
@@ -636,7 +800,7 @@
         }
 
         if (progressText) {
-            progressText.textContent = `${progress}% complete`;
+            progressText.textContent = details ? `${progress}% complete - ${details}` : `${progress}% complete`;
         }
 
         // Update spinner animation based on progress
@@ -799,38 +963,36 @@
     }
 
     /**
-     * Start fun status messages animation
+     * Describe the progress a processing job reports (api/job-stream.js, api/get-job-status.js)
+     * @param {Object|null} progress - { stage, segmentIndex, segmentTotal, percent, etaSeconds }
+     * @param {number} fileCount - Files in the program
+     * @returns {Object} { percent, message, eta }
      */
-    function startFunStatusMessages() {
-        const messages = [
-            "Mixing audio tracks...",
-            "Adding background music...",
-            "Balancing sound levels...",
-            "Creating smooth transitions...",
-            "Polishing the final mix...",
-            "Adding professional touches...",
-            "Almost there..."
-        ];
-
-        let currentIndex = 0;
-        
-        funStatusInterval = setInterval(() => {
-            const statusMessage = document.getElementById('status-message');
-            if (statusMessage && currentIndex < messages.length) {
-                statusMessage.textContent = messages[currentIndex];
-                currentIndex = (currentIndex + 1) % messages.length;
-            }
-        }, 3000);
-    }
+    function describeJobProgress(progress, fileCount) {
+        if (!progress) {
+            return { percent: 0, message: `Starting to process ${fileCount || 'the'} files...`, eta: 'Estimating time left' };
+        }
 
-    /**
-     * Stop fun status messages animation
-     */
-    function stopFunStatusMessages() {
-        if (funStatusInterval) {
-            clearInterval(funStatusInterval);
-            funStatusInterval = null;
+        const part = progress.segmentTotal ? ` (part ${progress.segmentIndex} of ${progress.segmentTotal})` : '';
+        const messages = {
+            downloading: `Downloading recordings${part}...`,
+            concatenating: `Joining answers${part}...`,
+            mixing: 'Mixing and mastering the program...',
+            uploading: 'Publishing the program...'
+        };
+
+        let eta = 'Estimating time left';
+        if (typeof progress.etaSeconds === 'number') {
+            eta = progress.etaSeconds < 60
+                ? 'Less than a minute left'
+                : `About ${Math.round(progress.etaSeconds / 60)} min left`;
         }
+
+        return {
+            percent: progress.percent || 0,
+            message: messages[progress.stage] || 'Processing audio...',
+            eta
+        };
     }
 
     /**
@@ -851,14 +1013,15 @@
         formatTime,
         injectGlobalStyles,
         createRecordingElement,
+        attachWaveform,
+        recoverExpiredSource,
         createRecordingPlaceholder,
         updateUploadStatusUI,
         showRadioProgramModal,
         updateRadioProgramProgress,
         hideRadioProgramModal,
         showRadioProgramSuccess,
-        startFunStatusMessages,
-        stopFunStatusMessages,
+        describeJobProgress,
         setButtonText
     };
 
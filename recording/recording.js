@@ -9,6 +9,8 @@
  * - Multi-question independent recording instances with isolated state management
  * - Local IndexedDB storage with automatic cloud backup to Bunny.net CDN
  * - Upload progress tracking with retry mechanisms and error recovery
+ * - Resumable chunked uploads: progress (uploadSession) is kept in IndexedDB and a reload
+ *   continues from the last chunk the server acknowledged
  * - Radio program generation from multiple recordings with professional audio processing
  * - Question ID normalization and organized file structure
  * - Orphaned recording cleanup and maintenance routines
@@ -46,7 +48,7 @@
  * INTEGRATION POINTS:
  * - rp.js: Receives world/lmid parameters and handles page authorization
  * - lm.js: Provides user authentication and LMID management context
- * - API Endpoints: upload-audio.js, delete-audio.js, combine-audio.js, list-recordings.js
+ * - API Endpoints: upload-session.js + upload-chunk.js (resumable uploads), delete-audio.js, combine-audio.js, list-recordings.js
  * - External Services: Bunny.net CDN, Memberstack auth, Make.com webhooks
  * 
  * EVENT-DRIVEN ARCHITECTURE:
@@ -74,6 +76,9 @@ const initializedWorlds = new Set();
 // --- Global recording count cache for instant limit checks ---
 const recordingCountCache = new Map(); // questionId -> count
 
+// --- Resumable uploads: failed chunks are retried with a growing delay ---
+const CHUNK_UPLOAD_RETRY = { maxRetries: 5, baseDelayMs: 2000 };
+
 // --- User Role Detection ---
 let currentUserRole = null;
 
@@ -321,6 +326,20 @@ async function createRecordingElement(recordingData, questionId, allIds) {
     audio.style.display = 'none';
     li.appendChild(audio);
 
+    // Signed URLs expire while the page stays open - fetch a fresh one and resume
+    audio.addEventListener('error', async () => {
+        if (audio.dataset.refreshedFrom === audio.src || recordingData.uploadStatus !== 'uploaded') return;
+        audio.dataset.refreshedFrom = audio.src;
+
+        const resumeAt = audio.currentTime || 0;
+        const freshUrl = await getAudioSource(recordingData, { refresh: true });
+        if (freshUrl && freshUrl !== audio.src) {
+            audio.src = freshUrl;
+            audio.addEventListener('loadedmetadata', () => { audio.currentTime = resumeAt; }, { once: true });
+            audio.load();
+        }
+    });
+
     // --- Create all UI parts ---
     const playButtonContainer = document.createElement('div');
     playButtonContainer.style.cssText = `width: 32px; height: 32px; cursor: pointer; color: #007AF7; flex-shrink: 0; margin-right: 12px; display: flex; align-items: center; justify-content: center; position: relative;`;
@@ -528,15 +547,46 @@ async function verifyCloudUrl(url) {
     }
 }
 
+/**
+ * Replace a recording's signed cloud URLs with fresh ones from list-recordings
+ * (signed URLs expire - see SIGNED_URL_TTL_SECONDS)
+ * @param {Object} recordingData - Uploaded recording (id, questionId)
+ * @returns {Promise<boolean>} True when the recording still exists in the cloud
+ */
+async function refreshCloudUrls(recordingData) {
+    const urlParams = new URLSearchParams(window.location.search);
+    const world = window.currentRecordingParams?.world || urlParams.get('world');
+    const lmid = window.currentRecordingParams?.lmid || urlParams.get('lmid');
+    if (!world || !lmid || !recordingData.questionId) {
+        return false;
+    }
+
+    const cloudRecordings = await loadRecordingsFromCloud(recordingData.questionId, world, lmid);
+    const fresh = cloudRecordings.find(rec => rec.id === recordingData.id);
+    if (!fresh) {
+        return false;
+    }
+
+    recordingData.cloudUrl = fresh.cloudUrl;
+    recordingData.waveformUrl = fresh.waveformUrl;
+    await updateRecordingInDB(recordingData);
+    return true;
+}
+
 /**
  * Get the best audio source (cloud URL if available and accessible, otherwise local blob)
+ * @param {Object} recordingData - Recording data
+ * @param {Object} options - { refresh: true } skips the check and fetches fresh signed URLs
  */
-async function getAudioSource(recordingData) {
+async function getAudioSource(recordingData, { refresh = false } = {}) {
     // If we have a cloud URL, verify it's still accessible
     if (recordingData.uploadStatus === 'uploaded' && recordingData.cloudUrl) {
-        const isAccessible = await verifyCloudUrl(recordingData.cloudUrl);
+        const isAccessible = !refresh && await verifyCloudUrl(recordingData.cloudUrl);
         if (isAccessible) {
             return recordingData.cloudUrl;
+        } else if (await refreshCloudUrls(recordingData)) {
+            // The signed URL had expired - the recording is still there
+            return recordingData.cloudUrl;
         } else {
             console.warn(`Cloud file no longer accessible: ${recordingData.cloudUrl}`);
             // Update the recording status to indicate cloud file is missing
@@ -900,6 +950,9 @@ function initializeAudioRecorder(recorderWrapper) {
                 const recElement = await createRecordingElement(rec, questionId, allIds);
                 recordingsListUI.appendChild(recElement);
             }
+
+            // Uploads interrupted by a reload continue where they stopped
+            await resumeUnfinishedUploads(allIds);
             
             // Cache fresh data for next time (session-only)
             try {
@@ -1225,19 +1278,29 @@ function initializeAudioRecorder(recorderWrapper) {
     // --- Bunny.net Cloud Storage Functions ---
 
     /**
-     * Convert blob to base64 for API upload
+     * Continue uploads a reload (or a lost connection) interrupted
+     * Recordings still holding their local blob and missing from the cloud are shown again and
+     * uploaded - from the last acknowledged chunk when the record has an uploadSession
+     * @param {Array<string>} cloudIds - IDs of the recordings already in the cloud
      */
-    function blobToBase64(blob) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = reject;
-            reader.readAsDataURL(blob);
-        });
+    async function resumeUnfinishedUploads(cloudIds) {
+        const uploadedIds = new Set(cloudIds);
+        const localRecordings = await loadRecordingsFromDB(questionId, world, lmid);
+        const unfinished = localRecordings.filter(rec =>
+            rec.audio && rec.uploadStatus !== 'uploaded' && !uploadedIds.has(rec.id)
+        );
+
+        for (const rec of unfinished) {
+            console.log(`[${questionId}] Resuming unfinished upload: ${rec.id}`);
+            const recElement = await createRecordingElement(rec, questionId);
+            recordingsListUI.prepend(recElement);
+            recordingCountCache.set(questionId, (recordingCountCache.get(questionId) || 0) + 1);
+            uploadToBunny(rec, world, lmid);
+        }
     }
 
     /**
-     * Upload recording to Bunny.net cloud storage
+     * Upload recording to Bunny.net cloud storage (resumable chunks, see uploadRecordingInChunks)
      */
     async function uploadToBunny(recordingData, world, lmid) {
         try {
@@ -1250,57 +1313,42 @@ function initializeAudioRecorder(recorderWrapper) {
 
             // Email notifications handled silently by server
 
-            // Convert blob to base64
-            const base64Audio = await blobToBase64(recordingData.audio);
-           
-            // Upload via API route
-            const response = await fetch('https://little-microphones.vercel.app/api/upload-audio', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    audioData: base64Audio,
-                    filename: `${recordingData.id}.webm`,
-                    world: world,
-                    lmid: lmid,
-                    questionId: questionId,
-                    lang: window.LM_CONFIG.getCurrentLanguage()
-                })
+            const result = await uploadRecordingInChunks(recordingData, {
+                filename: `${recordingData.id}.webm`,
+                world: world,
+                lmid: lmid,
+                questionId: questionId,
+                lang: window.LM_CONFIG.getCurrentLanguage()
             });
 
-            if (response.ok) {
-                const result = await response.json();
-                if (result.success) {
-                    recordingData.cloudUrl = result.url;
-                    recordingData.uploadStatus = 'uploaded';
-                    recordingData.audio = null; // Free up memory
-                    console.log(`[${questionId}] Upload complete: ${result.url}`);
-                    
-                    // Handle email notification status
-                    if (result.emailNotification) {
-                        const { status, message } = result.emailNotification;
-                        
-                        if (status === 'sent') {
-                            console.log('✅ Email notifications sent successfully.');
-                        } else if (status === 'failed') {
-                            console.error(`❌ Email notification failed: ${message}`);
-                        } else if (status === 'skipped_teacher') {
-                            console.log('👨‍🏫 Teacher upload, notifications skipped.');
-                        }
-                    }
-                } else {
-                    throw new Error(result.error || 'Upload failed');
+            recordingData.cloudUrl = choosePlayableCloudUrl(result.url, result.fallbackUrl);
+            recordingData.waveformUrl = result.waveformUrl || null;
+            recordingData.uploadStatus = 'uploaded';
+            recordingData.audio = null; // Free up memory
+            delete recordingData.uploadSession;
+            console.log(`[${questionId}] Upload complete: ${result.url}`);
+            
+            // Handle email notification status
+            if (result.emailNotification) {
+                const { status, message } = result.emailNotification;
+                
+                if (status === 'sent') {
+                    console.log('✅ Email notifications sent successfully.');
+                } else if (status === 'failed') {
+                    console.error(`❌ Email notification failed: ${message}`);
+                } else if (status === 'skipped_teacher') {
+                    console.log('👨‍🏫 Teacher upload, notifications skipped.');
                 }
-            } else {
-                const errorText = await response.text();
-                console.error(`[${questionId}] Upload failed: ${response.status} - ${errorText}`);
-                throw new Error(`Upload API error: ${response.status}`);
             }
 
         } catch (error) {
             recordingData.uploadStatus = 'failed';
             console.error(`[${questionId}] Upload error:`, error);
             
-            // Upload failed - error logged to console
+            // Plan quota used up - retrying will not help, tell the user why
+            if (error.code === 'QUOTA_EXCEEDED') {
+                alert(error.message);
+            }
         }
 
         // Save the final state to the DB and notify the UI
@@ -1731,9 +1779,8 @@ function normalizeQuestionId(questionId) {
  * 
  * 2. AUDIO PLAN CREATION PHASE:
  *    - Sorts questions by numeric order (DOM-based)
- *    - Creates audio sequence: intro → question1 → answers1 + background → transition → question2 → answers2 + background → ... → outro
- *    - Generates cache-busted URLs for all static audio files (intro, outro, monkeys, questions)
- *    - Organizes user recordings with background music integration
+ *    - Sends the recordings in DOM question order; combine-audio expands the
+ *      program template (jingles, prompts, silences, beds) into the audio sequence
  * 
  * 3. PROFESSIONAL AUDIO PROCESSING PHASE:
  *    - Sends audio plan to combine-audio API for FFmpeg processing
@@ -1794,100 +1841,17 @@ async function generateRadioProgram(world, lmid) {
         const sortedQuestionIds = sortQuestionIdsByDOMOrder(questionIds, world);
         console.log('📋 Question order:', sortedQuestionIds.join(', '));
         
-        // Build audio segments in correct order
-        const audioSegments = [];
-        const lang = window.LM_CONFIG.getCurrentLanguage();
-        
-        // 1. Add intro jingle
-        const introJingleTimestamp = Date.now();
-        const introJingleUrl = window.LM_CONFIG.getLocalizedAudioUrl(`audio/jingles/intro-jingle.mp3?t=${introJingleTimestamp}`, lang);
-        audioSegments.push({
-            type: 'single',
-            url: introJingleUrl
-        });
-        
-        // 2. Add world-specific intro (role-based)
-        // Detect user role from recordings structure
-        const allRecordings = Object.values(recordings).flat();
-        const userRole = allRecordings.length > 0 && allRecordings[0].filename.startsWith('kids-') ? 'educators' : 'parents';
-        
-        const worldIntroTimestamp = Date.now() + 1;
-        const worldIntroUrl = window.LM_CONFIG.getLocalizedAudioUrl(`audio/${world}/other/${world}-intro-${userRole}.mp3?t=${worldIntroTimestamp}`, lang);
-        audioSegments.push({
-            type: 'single',
-            url: worldIntroUrl
-        });
-        
-        // 3. Add 1 second silence before questions
-        audioSegments.push({
-            type: 'silence',
-            duration: 1
-        });
-        
-        // 4. Add questions and answers in numeric order
-        for (let i = 0; i < sortedQuestionIds.length; i++) {
-            const questionId = sortedQuestionIds[i];
-            const questionRecordings = recordings[questionId];
-            
-            // Add middle jingle before each question
-            const middleJingleTimestamp = Date.now() + Math.random();
-            const middleJingleUrl = window.LM_CONFIG.getLocalizedAudioUrl(`audio/jingles/middle-jingle.mp3?t=${middleJingleTimestamp}`, lang);
-            audioSegments.push({
-                type: 'single',
-                url: middleJingleUrl
-            });
-            
-            // Add question prompt from world-specific questions folder
-            const cacheBustTimestamp = Date.now() + Math.random();
-            const questionUrl = window.LM_CONFIG.getLocalizedAudioUrl(`audio/${world}/questions/${world}-QID${questionId}.mp3?t=${cacheBustTimestamp}`, lang);
-            audioSegments.push({
-                type: 'single',
-                url: questionUrl
-            });
-            console.log(`📁 Question ${questionId} prompt added from world-specific folder`);
-            
-            // Sort answers by timestamp (first recorded = first played)
-            const sortedAnswers = questionRecordings.sort((a, b) => a.timestamp - b.timestamp);
-            const answerUrls = sortedAnswers.map(recording => recording.cloudUrl);
-            
-            console.log(`🎤 Question ${questionId}: ${answerUrls.length} answers`);
-            
-            // Combine answers with world-specific background music
-            const backgroundTimestamp = Date.now() + Math.random(); // Unique timestamp per question
-            const backgroundUrl = window.LM_CONFIG.getLocalizedAudioUrl(`audio/${world}/other/${world}-background.mp3?t=${backgroundTimestamp}`, lang);
-            audioSegments.push({
-                type: 'combine_with_background',
-                answerUrls: answerUrls,
-                backgroundUrl: backgroundUrl,
-                questionId: questionId
-            });
-        }
-        
-        // 5. Add middle-jingle before outro
-        const finalMiddleJingleTimestamp = Date.now() + 3;
-        const finalMiddleJingleUrl = window.LM_CONFIG.getLocalizedAudioUrl(`audio/jingles/middle-jingle.mp3?t=${finalMiddleJingleTimestamp}`, lang);
-        audioSegments.push({
-            type: 'single',
-            url: finalMiddleJingleUrl
-        });
-        
-        // 6. Add outro jingle
-        const outroJingleTimestamp = Date.now() + 4;
-        const outroJingleUrl = window.LM_CONFIG.getLocalizedAudioUrl(`audio/jingles/outro-jingle.mp3?t=${outroJingleTimestamp}`, lang);
-        audioSegments.push({
-            type: 'single',
-            url: outroJingleUrl
-        });
-        
-        // 7. Add world-specific outro (role-based) - LAST
-        const worldOutroTimestamp = Date.now() + 5;
-        const worldOutroUrl = window.LM_CONFIG.getLocalizedAudioUrl(`audio/${world}/other/${world}-outro-${userRole}.mp3?t=${worldOutroTimestamp}`, lang);
-        audioSegments.push({
-            type: 'single',
-            url: worldOutroUrl
-        });
+        // Recordings for the program template (sequence is expanded server-side)
+        const programRecordings = sortedQuestionIds.flatMap(questionId =>
+            recordings[questionId].map(recording => ({
+                url: recording.cloudUrl,
+                filename: recording.filename,
+                questionId: questionId,
+                duration: recording.duration ?? null
+            }))
+        );
         
-        console.log(`🎼 Audio plan complete: ${audioSegments.length} segments`);
+        console.log(`🎼 Audio plan complete: ${programRecordings.length} recordings`);
         
         // Step 3: Create generation job (queue system)
         updateRadioProgramProgress('Creating generation job...', 15, 'Submitting audio processing job to queue');
@@ -1899,7 +1863,8 @@ async function generateRadioProgram(world, lmid) {
             body: JSON.stringify({
                 world: world,
                 lmid: lmid,
-                audioSegments: audioSegments,
+                recordings: programRecordings,
+                questionOrder: sortedQuestionIds,
                 programType: 'kids',
                 lang: window.LM_CONFIG.getCurrentLanguage()
             })
@@ -1925,15 +1890,9 @@ async function generateRadioProgram(world, lmid) {
         console.log(`✅ Generation job created: ${jobResult.jobId}`);
         updateRadioProgramProgress('Job created, waiting for processing...', 25, 'Job submitted to queue successfully');
         
-        // Start fun status messages during processing
-        startFunStatusMessages();
-        
-        // Poll for job completion
+        // Follow the job - the server reports its real progress while it renders
         const finalResult = await pollForJobCompletion(jobResult.jobId);
         
-        // Stop fun messages when processing is done
-        stopFunStatusMessages();
-        
         if (finalResult.success) {
             updateRadioProgramProgress('Complete!', 100);
             
@@ -1973,39 +1932,33 @@ async function generateRadioProgram(world, lmid) {
 }
 
 /**
- * Poll for job completion using the queue system
- * @param {string} jobId - Job ID to poll for
+ * Follow a job on the job stream until it finishes
+ * The server pushes database changes; EventSource reconnects by itself when the stream
+ * is recycled (every few minutes) and the server resends the current status
+ * A superseded job is followed through to the newer job that replaced it (supersededBy)
+ * @param {string} jobId - Job ID to follow
  * @returns {Promise<Object>} Final result when job is completed
  */
 async function pollForJobCompletion(jobId) {
     console.log(`📡 Starting SSE monitoring for job: ${jobId}`);
     
-    return new Promise((resolve, reject) => {
-        const eventSource = new EventSource(`https://little-microphones.vercel.app/api/job-stream?jobId=${jobId}`);
+    return new Promise((resolve) => {
+        const eventSource = new EventSource(`https://little-microphones.vercel.app/api/job-stream?jobIds=${jobId}`);
         let resolved = false;
         
-        // Timeout after 5 minutes
-        const timeout = setTimeout(() => {
-            if (!resolved) {
-                resolved = true;
-                eventSource.close();
-                console.error('⏰ SSE timeout reached for job:', jobId);
-                resolve({
-                    success: false,
-                    error: 'Timeout: Job took too long to complete'
-                });
-            }
-        }, 5 * 60 * 1000);
-        
-        let sseEventCount = 0;
+        const finish = (result) => {
+            if (resolved) return;
+            resolved = true;
+            eventSource.close();
+            resolve(result);
+        };
         
         eventSource.onmessage = (event) => {
             try {
                 const data = JSON.parse(event.data);
-                sseEventCount++;
                 
                 // Native console grouping - same string repeats = automatic counter
-                console.log(`📊 SSE event for job ${jobId}: status ${data.status || 'connecting'}`);
+                console.log(`📊 SSE event for job ${jobId}: ${data.type} ${data.status || ''}`);
                 
                 switch (data.type) {
                     case 'connected':
@@ -2018,24 +1971,21 @@ async function pollForJobCompletion(jobId) {
                         
                         // Check if job is complete
                         if (data.status === 'completed') {
-                            resolved = true;
-                            clearTimeout(timeout);
-                            eventSource.close();
-                            
                             updateRadioProgramProgress('Processing complete!', 100, 'Audio processing finished successfully');
-                            resolve({
+                            finish({
                                 success: true,
                                 programUrl: data.programUrl,
                                 manifest: data.manifestData
                             });
                             
-                        } else if (data.status === 'failed') {
-                            resolved = true;
-                            clearTimeout(timeout);
-                            eventSource.close();
+                        } else if (data.status === 'superseded' && data.supersededBy) {
+                            // A newer job of the same program took over - follow that one instead
+                            console.log(`⏭️ Job ${jobId} superseded by ${data.supersededBy} - following the newer job`);
+                            finish(pollForJobCompletion(data.supersededBy));
                             
-                            console.error('❌ Job failed:', data.error);
-                            resolve({
+                        } else if (['failed', 'dead', 'cancelled', 'superseded'].includes(data.status)) {
+                            console.error(`❌ Job ${data.status}:`, data.error);
+                            finish({
                                 success: false,
                                 error: data.error || 'Job processing failed'
                             });
@@ -2043,28 +1993,12 @@ async function pollForJobCompletion(jobId) {
                         break;
                         
                     case 'error':
-                        resolved = true;
-                        clearTimeout(timeout);
-                        eventSource.close();
-                        
                         console.error('❌ SSE error:', data.message);
-                        resolve({
+                        finish({
                             success: false,
                             error: data.message || 'Server error occurred'
                         });
                         break;
-                        
-                    case 'timeout':
-                        resolved = true;
-                        clearTimeout(timeout);
-                        eventSource.close();
-                        
-                        console.error('⏰ Server timeout:', data.message);
-                        resolve({
-                            success: false,
-                            error: data.message || 'Server monitoring timeout'
-                        });
-                        break;
                 }
                 
             } catch (parseError) {
@@ -2073,16 +2007,15 @@ async function pollForJobCompletion(jobId) {
         };
         
         eventSource.onerror = (error) => {
-            if (!resolved) {
-                resolved = true;
-                clearTimeout(timeout);
-                eventSource.close();
-                
-                console.error('❌ SSE connection error:', error);
-                resolve({
+            // CONNECTING: the stream was recycled or dropped and EventSource is reconnecting
+            if (eventSource.readyState === EventSource.CLOSED) {
+                console.error('❌ SSE connection closed:', error);
+                finish({
                     success: false,
                     error: 'Connection error during monitoring'
                 });
+            } else {
+                console.log(`🔄 SSE reconnecting for job ${jobId}`);
             }
         };
     });
@@ -2097,29 +2030,58 @@ function handleJobStatusUpdate(data) {
     
     switch (status) {
         case 'pending':
+            if (data.attempts > 0) {
+                updateRadioProgramProgress('Retrying...', 25, `Previous attempt failed, retry ${data.attempts + 1} scheduled`);
+                break;
+            }
             updateRadioProgramProgress('Waiting in queue...', 25, 'Job is waiting for processing');
             break;
             
-        case 'processing':
-            const progressPercent = Math.min(90, 40 + Math.random() * 40); // Dynamic progress 40-90%
-            const funMessages = [
-                `Processing ${fileCount || 'audio'} files...`,
-                'FFmpeg is mixing your recordings...',
-                'Adding background music...',
-                'Applying audio effects...',
-                'Optimizing audio quality...',
-                'Almost done...'
-            ];
-            const randomMessage = funMessages[Math.floor(Math.random() * funMessages.length)];
-            
-            updateRadioProgramProgress(randomMessage, progressPercent, 'Audio processing in progress');
+        case 'processing': {
+            // The bar reaches 25% while the job is queued, rendering fills the rest
+            const { percent, message, eta } = describeJobProgress(data.progress, fileCount);
+            updateRadioProgramProgress(message, Math.round(25 + percent * 0.75), `${percent}% - ${eta}`);
             break;
+        }
             
         default:
             console.log(`📋 Job status: ${status}`);
     }
 }
 
+/**
+ * Describe the progress a processing job reports (see api/job-stream.js)
+ * @param {Object|null} progress - { stage, segmentIndex, segmentTotal, percent, etaSeconds }
+ * @param {number} fileCount - Files in the program
+ * @returns {Object} { percent, message, eta }
+ */
+function describeJobProgress(progress, fileCount) {
+    if (!progress) {
+        return { percent: 0, message: `Starting to process ${fileCount || 'the'} files...`, eta: 'Estimating time left' };
+    }
+
+    const part = progress.segmentTotal ? ` (part ${progress.segmentIndex} of ${progress.segmentTotal})` : '';
+    const messages = {
+        downloading: `Downloading recordings${part}...`,
+        concatenating: `Joining answers${part}...`,
+        mixing: 'Mixing and mastering the program...',
+        uploading: 'Publishing the program...'
+    };
+
+    let eta = 'Estimating time left';
+    if (typeof progress.etaSeconds === 'number') {
+        eta = progress.etaSeconds < 60
+            ? 'Less than a minute left'
+            : `About ${Math.round(progress.etaSeconds / 60)} min left`;
+    }
+
+    return {
+        percent: progress.percent || 0,
+        message: messages[progress.stage] || 'Processing audio...',
+        eta
+    };
+}
+
 /**
  * Sort question IDs by their numeric order (from CMS "Little Microphones Order" field)
  * @param {string[]} questionIds - Array of question IDs (numeric strings)
@@ -2205,6 +2167,12 @@ function updateRadioProgramProgress(message, progress, details = '') {
     if (statusEl) statusEl.textContent = message;
     if (progressEl) progressEl.style.width = `${progress}%`;
     if (detailsEl && details) {
+        // One spinner at a time - progress updates arrive every few seconds
+        if (window.radioProgressIntervals) {
+            window.radioProgressIntervals.forEach(interval => clearInterval(interval));
+        }
+        window.radioProgressIntervals = [];
+
         // Add rotating animation for processing steps
         const spinner = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
         let spinnerIndex = 0;
@@ -2239,9 +2207,6 @@ function hideRadioProgramModal() {
         window.radioProgressIntervals.forEach(interval => clearInterval(interval));
         window.radioProgressIntervals = [];
     }
-    
-    // Clean up fun status messages
-    stopFunStatusMessages();
 }
 
 /**
@@ -2511,53 +2476,129 @@ document.dispatchEvent(new CustomEvent('recording-script-ready'));
 log('info', '✅ recording.js script fully loaded and ready.');
 
 /**
- * Start fun status messages during actual audio processing
+ * Pick the cloud URL this browser can play
+ * Recordings are stored as Opus/WebM with an MP3 fallback (older Safari has no Opus support)
+ * @param {string} url - Canonical Opus/WebM URL
+ * @param {string|null} fallbackUrl - MP3 fallback URL
+ * @returns {string} URL to play
  */
-function startFunStatusMessages() {
-    const funMessages = [
-        'Downloading audio files from CDN',
-        'Applying noise reduction to recordings',
-        'Normalizing volume levels',
-        'Combining audio segments',
-        'Adding background music',
-        'Mixing audio tracks',
-        'Applying audio filters',
-        'Balancing sound levels',
-        'Processing audio effects',
-        'Optimizing audio quality',
-        'Adding magical touches',
-        'Polishing the final mix',
-        'Rendering final audio',
-        'Adding sparkles and unicorns',
-        'Teaching monkeys to sing',
-        'Consulting with audio wizards',
-        'Sprinkling audio fairy dust',
-        'Fine-tuning the awesome',
-        'Making it sound amazing'
-    ];
-    
-    let messageIndex = 0;
-    
-    // Update status every 1.5 seconds during actual processing
-    window.funStatusInterval = setInterval(() => {
-        const detailsEl = document.getElementById('radio-details');
-        if (detailsEl && window.funStatusInterval) {
-            const spinner = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
-            const spinnerChar = spinner[Math.floor(Date.now() / 100) % spinner.length];
-            const message = funMessages[messageIndex % funMessages.length];
-            detailsEl.textContent = `${spinnerChar} ${message}`;
-            messageIndex++;
-        }
-    }, 1500);
+function choosePlayableCloudUrl(url, fallbackUrl) {
+    if (!fallbackUrl) {
+        return url;
+    }
+    const canPlayOpus = document.createElement('audio').canPlayType('audio/webm; codecs="opus"') !== '';
+    return canPlayOpus ? url : fallbackUrl;
+}
+
+/**
+ * Call an upload session endpoint and parse its JSON answer
+ * Errors carry retryable (network, 5xx, 429, 409 FINALIZING), offset (409: resume from here) and code (QUOTA_EXCEEDED, FINALIZING)
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function requestUploadApi(url, options) {
+    let response;
+    try {
+        response = await fetch(url, options);
+    } catch (networkError) {
+        networkError.retryable = true;
+        throw networkError;
+    }
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(result.error || `Upload API error: ${response.status}`);
+        error.status = response.status;
+        error.retryable = response.status >= 500 || response.status === 429 || result.code === 'FINALIZING';
+        error.offset = result.offset;
+        error.code = result.code;
+        throw error;
+    }
+
+    return result;
 }
 
 /**
- * Stop fun status messages
+ * Upload a recording blob through a resumable upload session
+ * (api/upload-session.js + api/upload-chunk.js - raw binary chunks, no base64)
+ *
+ * The session is stored on the IndexedDB record (uploadSession), so after a reload or a
+ * dropped connection the upload continues from the last chunk the server acknowledged.
+ * Failed chunks are retried with a growing delay (CHUNK_UPLOAD_RETRY), and so is a finalize that
+ * found another finalize of the session still running (409 FINALIZING) - the next call returns its result.
+ *
+ * @param {Object} recordingData - IndexedDB record with the audio blob
+ * @param {Object} fields - { filename, world, lmid, questionId, lang }
+ * @returns {Promise<Object>} Upload result (same as api/upload-audio.js)
  */
-function stopFunStatusMessages() {
-    if (window.funStatusInterval) {
-        clearInterval(window.funStatusInterval);
-        window.funStatusInterval = null;
+async function uploadRecordingInChunks(recordingData, fields) {
+    const apiBaseUrl = window.LM_CONFIG?.API_BASE_URL || 'https://little-microphones.vercel.app';
+    const blob = recordingData.audio;
+    let session = recordingData.uploadSession || null;
+    let offset = 0;
+
+    // Resume: ask the server how far the previous attempt got
+    if (session) {
+        try {
+            const status = await requestUploadApi(`${apiBaseUrl}/api/upload-session?sessionId=${encodeURIComponent(session.sessionId)}`);
+            offset = status.offset;
+            console.log(`[${fields.questionId}] Resuming upload at ${offset}/${blob.size} bytes`);
+        } catch (error) {
+            if (error.retryable) throw error;
+            session = null; // Expired or unknown - start a new session
+        }
+    }
+
+    if (!session) {
+        const created = await requestUploadApi(`${apiBaseUrl}/api/upload-session`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...fields, totalSize: blob.size, mimeType: blob.type })
+        });
+        session = { sessionId: created.sessionId, chunkSize: created.chunkSize };
+        recordingData.uploadSession = session;
+        await updateRecordingInDB(recordingData);
+    }
+
+    const sessionQuery = `sessionId=${encodeURIComponent(session.sessionId)}`;
+    let retries = 0;
+
+    while (offset < blob.size) {
+        try {
+            const result = await requestUploadApi(`${apiBaseUrl}/api/upload-chunk?${sessionQuery}&offset=${offset}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: blob.slice(offset, offset + session.chunkSize)
+            });
+            offset = result.offset;
+            retries = 0;
+        } catch (error) {
+            if (error.status === 409 && Number.isInteger(error.offset)) {
+                offset = error.offset; // Server has a different view - continue from its offset
+                continue;
+            }
+            if (!error.retryable || ++retries > CHUNK_UPLOAD_RETRY.maxRetries) {
+                throw error;
+            }
+            console.warn(`[${fields.questionId}] Chunk at ${offset} failed (${error.message}), retry ${retries}`);
+            await new Promise(resolve => setTimeout(resolve, CHUNK_UPLOAD_RETRY.baseDelayMs * retries));
+            continue;
+        }
+
+        recordingData.uploadProgress = Math.round((offset / blob.size) * 100);
+        await updateRecordingInDB(recordingData);
+    }
+
+    // Validation, transcoding and storage happen on finalize
+    for (let finalizeRetries = 0; ; finalizeRetries++) {
+        try {
+            return await requestUploadApi(`${apiBaseUrl}/api/upload-session?${sessionQuery}&action=finalize`, { method: 'POST' });
+        } catch (error) {
+            if (error.code !== 'FINALIZING' || finalizeRetries >= CHUNK_UPLOAD_RETRY.maxRetries) {
+                throw error;
+            }
+            console.warn(`[${fields.questionId}] Upload is still being finalized, asking again`);
+            await new Promise(resolve => setTimeout(resolve, CHUNK_UPLOAD_RETRY.baseDelayMs * (finalizeRetries + 1)));
+        }
     }
 }
 
@@ -2599,9 +2640,11 @@ async function loadRecordingsFromCloud(questionId, world, lmid) {
                             id: cloudRec.filename.replace('.webm', '').replace('.mp3', ''),
             questionId: questionId,
             timestamp: cloudRec.lastModified || Date.now(),
-            cloudUrl: cloudRec.url,
+            cloudUrl: choosePlayableCloudUrl(cloudRec.url, cloudRec.fallbackUrl),
             uploadStatus: 'uploaded',
-            duration: 0, // Will be set when audio loads
+            duration: cloudRec.duration || 0, // Analyzed at upload; 0 = set when audio loads
+            analysis: cloudRec.analysis || null,
+            waveformUrl: cloudRec.waveformUrl || null,
             audio: null // No local blob needed
         }));
         
@@ -0,0 +1,74 @@
+/**
+ * scripts/nightly-rebuild.js - Scheduled Program Rebuilds, Run Locally
+ *
+ * PURPOSE: Run the nightly rebuild (utils/nightly-rebuild.js) from a shell or a local cron -
+ *          the same work /api/nightly-rebuild does on Vercel
+ * DEPENDENCIES: utils/nightly-rebuild.js, environment from .env (Supabase + storage settings)
+ *
+ * USAGE:
+ * npm run nightly-rebuild -- --dry-run                      Report what would be enqueued
+ * npm run nightly-rebuild -- --force --lang en --lmid 32    Enqueue one LMID now
+ * node scripts/nightly-rebuild.js --base-url http://localhost:3000 --verbose
+ *
+ * OPTIONS:
+ * --lang <code>, --lmid <number>: Narrow the scan
+ * --force: Run outside the quiet window (NIGHTLY_REBUILD_WINDOW)
+ * --dry-run: Print what would be enqueued without writing
+ * --base-url <url>: Start new jobs through that deployment's process-queue right away
+ *   (otherwise the process-queue cron picks them up)
+ * --verbose: Print every program, not only the counts
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { runNightlyRebuild } from '../utils/nightly-rebuild.js';
+
+const { values: options } = parseArgs({
+    options: {
+        lang: { type: 'string' },
+        lmid: { type: 'string' },
+        force: { type: 'boolean', default: false },
+        'dry-run': { type: 'boolean', default: false },
+        'base-url': { type: 'string' },
+        verbose: { type: 'boolean', default: false }
+    }
+});
+
+const describe = (program) => `${program.lang}/${program.lmid}/${program.world} (${program.type}, ${program.newRecordings} new)`;
+
+try {
+    const report = await runNightlyRebuild({
+        force: options.force,
+        dryRun: options['dry-run'],
+        lang: options.lang,
+        lmid: options.lmid,
+        baseUrl: options['base-url'] ? options['base-url'].replace(/\/$/, '') : null
+    });
+
+    if (!report.inWindow && !options.force) {
+        console.log(`\n🌙 Outside the quiet window (${report.window} UTC) - use --force to run now`);
+    } else {
+        console.log(`\n📋 ${report.dryRun ? 'Dry run - nothing enqueued' : 'Nightly rebuild finished'}`);
+        console.log(`   Stale programs:         ${report.stale}`);
+        console.log(`   Active jobs before:     ${report.activeJobs} (budget ${report.concurrency})`);
+
+        for (const [label, programs] of [
+            [report.dryRun ? 'Would enqueue' : 'Enqueued', report.enqueued],
+            ['Deferred (over budget)', report.deferred],
+            ['Skipped', report.skipped],
+            ['Errors', report.errors]
+        ]) {
+            console.log(`   ${`${label}:`.padEnd(24)}${programs.length}`);
+            if (options.verbose || label === 'Errors') {
+                programs.forEach(program => console.log(`     - ${describe(program)}${program.reason ? `: ${program.reason}` : ''}${program.error ? `: ${program.error}` : ''}`));
+            }
+        }
+    }
+} catch (error) {
+    console.error('❌ Nightly rebuild failed:', error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,19 @@
+-- Migration: Job cancellation and supersession
+-- Reason: teachers can cancel generation jobs (api/cancel-job.js), and a job replaced by a newer job of the
+--         same program is marked superseded instead of finishing and publishing an older program
+-- Date: October 2026
+
+-- Who cancelled the job, and when
+ALTER TABLE audio_generation_jobs
+ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+
+ALTER TABLE audio_generation_jobs
+ADD COLUMN IF NOT EXISTS cancelled_by TEXT;
+
+-- Job that replaced a superseded job (also added by add_job_coalescing_index.sql)
+ALTER TABLE audio_generation_jobs
+ADD COLUMN IF NOT EXISTS superseded_by UUID REFERENCES audio_generation_jobs (id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN audio_generation_jobs.status IS 'pending | processing | completed | failed (legacy) | dead (retries exhausted, error in error_message) | cancelled (by the teacher) | superseded (replaced by superseded_by)';
+COMMENT ON COLUMN audio_generation_jobs.cancelled_by IS 'Memberstack ID of the teacher who cancelled the job';
+COMMENT ON COLUMN audio_generation_jobs.superseded_by IS 'Newer job of the same lmid/world/type/lang that replaced this one';
@@ -0,0 +1,32 @@
+-- Migration: At most one pending audio generation job per program
+-- Reason: combine-audio.js coalesces duplicate requests (double clicks, several parents opening the radio page);
+--         the unique index makes concurrent inserts fail with 23505 so the loser merges into the winner
+-- Date: October 2026
+
+-- Job that replaced a superseded job (add_job_cancellation.sql documents the statuses)
+ALTER TABLE audio_generation_jobs
+ADD COLUMN IF NOT EXISTS superseded_by UUID REFERENCES audio_generation_jobs (id) ON DELETE SET NULL;
+
+-- Close duplicates that already exist: the newest pending job per program is kept, the older ones are
+-- superseded by it - a closure, not a failure, so retries, the reaper and the UI leave them alone
+UPDATE audio_generation_jobs AS job
+SET status = 'superseded',
+    superseded_by = newest.id,
+    completed_at = NOW(),
+    error_message = 'Superseded by newer job ' || newest.id
+FROM (
+    SELECT DISTINCT ON (lmid, world, type, lang) id, lmid, world, type, lang
+    FROM audio_generation_jobs
+    WHERE status = 'pending'
+    ORDER BY lmid, world, type, lang, created_at DESC
+) AS newest
+WHERE job.status = 'pending'
+  AND job.lmid = newest.lmid
+  AND job.world = newest.world
+  AND job.type = newest.type
+  AND job.lang = newest.lang
+  AND job.id <> newest.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audio_generation_jobs_one_pending
+ON audio_generation_jobs (lmid, world, type, lang)
+WHERE status = 'pending';
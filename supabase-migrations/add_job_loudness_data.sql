@@ -0,0 +1,9 @@
+-- Migration: Store measured program loudness on audio generation jobs
+-- Reason: process-queue.js masters every program with two-pass EBU R128 loudnorm
+-- Date: October 2026
+
+-- Targets plus input/output measurements (integrated LUFS, true peak dBTP, loudness range)
+ALTER TABLE audio_generation_jobs
+ADD COLUMN IF NOT EXISTS loudness_data JSONB;
+
+COMMENT ON COLUMN audio_generation_jobs.loudness_data IS 'Loudness mastering result: { targetI, targetTp, targetLra, inputI, inputTp, inputLra, outputI, outputTp, outputLra, normalizationType }';
@@ -0,0 +1,18 @@
+-- Migration: Remember when a job's segments were last planned
+-- Reason: Nightly rebuilds compared new recordings with the time the last completed job was claimed
+--         (started_at), but a job's segments are fixed when it is created or a request is merged into
+--         it, not when it is claimed. Recordings uploaded while the job sat pending counted as already
+--         in the program and were never rebuilt. utils/generation-queue.js now sets planned_at on
+--         every merge and utils/program-planner.js compares with it
+-- Date: October 2026
+
+ALTER TABLE audio_generation_jobs
+ADD COLUMN IF NOT EXISTS planned_at TIMESTAMPTZ;
+
+-- Existing jobs: creation is the best known planning time
+UPDATE audio_generation_jobs SET planned_at = created_at WHERE planned_at IS NULL;
+
+ALTER TABLE audio_generation_jobs
+ALTER COLUMN planned_at SET DEFAULT NOW();
+
+COMMENT ON COLUMN audio_generation_jobs.planned_at IS 'When audio_segments were last set (creation or a merged request) - recordings newer than this are not in the program';
@@ -0,0 +1,14 @@
+-- Migration: Remember the template edition and question order a job was generated with
+-- Reason: Nightly rebuilds and bulk generation re-rendered every program with the default edition and
+--         numeric question order, so a "short" or "holiday" program a teacher generated was silently
+--         replaced by the default one. utils/generation-queue.js now stores both on every job and
+--         rebuilds reuse those of the program's last completed job
+-- Date: October 2026
+
+-- NULL: the default edition (PROGRAM_EDITION, then "default") / numeric question order
+ALTER TABLE audio_generation_jobs
+ADD COLUMN IF NOT EXISTS edition TEXT,
+ADD COLUMN IF NOT EXISTS question_order JSONB;
+
+COMMENT ON COLUMN audio_generation_jobs.edition IS 'Program template edition requested for this job (utils/program-templates.js), NULL for the default';
+COMMENT ON COLUMN audio_generation_jobs.question_order IS 'Requested question order (array of question ids), NULL for numeric order';
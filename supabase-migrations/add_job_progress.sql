@@ -0,0 +1,11 @@
+-- Migration: Report real generation progress on audio generation jobs
+-- Reason: The recording and radio pages showed rotating messages and made-up percentages while a job rendered.
+--         process-queue.js now writes the current stage and FFmpeg progress (utils/job-progress.js), and
+--         get-job-status.js / job-stream.js hand it to the page
+-- Date: October 2026
+
+-- Written every few seconds while the job is 'processing', cleared when an attempt starts or ends
+ALTER TABLE audio_generation_jobs
+ADD COLUMN IF NOT EXISTS progress JSONB;
+
+COMMENT ON COLUMN audio_generation_jobs.progress IS 'Generation progress of the running attempt: { stage (downloading | concatenating | mixing | uploading), segmentIndex, segmentTotal, stagePercent, percent, etaSeconds, updatedAt }';
@@ -0,0 +1,19 @@
+-- Migration: Retry, backoff and dead-letter support for audio generation jobs
+-- Reason: process-queue.js retries failed jobs with exponential backoff and reclaims stale 'processing' rows
+-- Date: October 2026
+
+-- Number of times the job has been claimed by a worker (incremented on every claim)
+ALTER TABLE audio_generation_jobs
+ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+
+-- Earliest time a pending job may be claimed again (NULL = immediately)
+ALTER TABLE audio_generation_jobs
+ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ;
+
+-- Queue lookup: due pending jobs in FIFO order, and stale processing rows for the reaper
+CREATE INDEX IF NOT EXISTS idx_audio_generation_jobs_queue
+ON audio_generation_jobs (status, next_attempt_at, created_at);
+
+COMMENT ON COLUMN audio_generation_jobs.attempts IS 'Worker claims so far; the job becomes dead after JOB_MAX_ATTEMPTS';
+COMMENT ON COLUMN audio_generation_jobs.next_attempt_at IS 'Backoff: pending job is not claimed before this time';
+COMMENT ON COLUMN audio_generation_jobs.status IS 'pending | processing | completed | failed (legacy) | dead (retries exhausted, error in error_message)';
@@ -0,0 +1,40 @@
+-- Migration: Pin a program version in one transaction
+-- Reason: utils/program-versions.js unpinned the program and then pinned the new version in two requests.
+--         When the second write failed (e.g. a concurrent pin hitting idx_audio_generation_jobs_one_pinned)
+--         the program was left without a pin and the teacher's earlier choice was lost. The function does
+--         both writes in one transaction: a failed pin rolls the unpin back
+-- Date: October 2026
+
+-- Move the program's pin to one completed, unpruned version
+-- Returns the pinned row, or no row when the version is not pinnable; raises 23505 on a concurrent pin
+CREATE OR REPLACE FUNCTION pin_program_version(
+    p_job_id UUID,
+    p_member_id TEXT
+)
+RETURNS SETOF audio_generation_jobs
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_job audio_generation_jobs%ROWTYPE;
+BEGIN
+    SELECT * INTO v_job
+    FROM audio_generation_jobs
+    WHERE id = p_job_id AND status = 'completed' AND pruned_at IS NULL;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    UPDATE audio_generation_jobs
+    SET pinned_at = NULL, pinned_by = NULL
+    WHERE lmid = v_job.lmid AND world = v_job.world AND type = v_job.type AND lang = v_job.lang
+      AND pinned_at IS NOT NULL
+      AND id <> p_job_id;
+
+    RETURN QUERY
+    UPDATE audio_generation_jobs
+    SET pinned_at = NOW(), pinned_by = p_member_id
+    WHERE id = p_job_id
+    RETURNING *;
+END;
+$$;
@@ -0,0 +1,30 @@
+-- Migration: Program version history (episode archive)
+-- Reason: process-queue.js now writes every program to its own folder (programs/{type}/{jobId}/), so each
+--         completed job is an immutable version. Teachers can pin one version as the published program;
+--         versions beyond PROGRAM_VERSION_RETENTION lose their files and get pruned_at
+-- Date: October 2026
+
+-- Pinned version = published program instead of the latest one
+ALTER TABLE audio_generation_jobs
+ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMPTZ;
+
+ALTER TABLE audio_generation_jobs
+ADD COLUMN IF NOT EXISTS pinned_by TEXT;
+
+-- Files deleted by retention - the row stays as history but is no longer playable
+ALTER TABLE audio_generation_jobs
+ADD COLUMN IF NOT EXISTS pruned_at TIMESTAMPTZ;
+
+-- At most one pinned version per program
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audio_generation_jobs_one_pinned
+ON audio_generation_jobs (lmid, world, type, lang)
+WHERE pinned_at IS NOT NULL;
+
+-- Version list: completed jobs of a program, newest first
+CREATE INDEX IF NOT EXISTS idx_audio_generation_jobs_versions
+ON audio_generation_jobs (lmid, world, type, lang, completed_at DESC)
+WHERE status = 'completed';
+
+COMMENT ON COLUMN audio_generation_jobs.pinned_at IS 'Set when a teacher pinned this version as the published program (program-versions.js)';
+COMMENT ON COLUMN audio_generation_jobs.pinned_by IS 'Memberstack ID of the teacher who pinned the version';
+COMMENT ON COLUMN audio_generation_jobs.pruned_at IS 'Version files deleted by retention (PROGRAM_VERSION_RETENTION)';
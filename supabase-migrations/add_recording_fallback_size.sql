@@ -0,0 +1,24 @@
+-- Migration: Count the MP3 fallback of each recording in storage quotas
+-- Reason: recording_usage_by_lmid summed size_bytes only - the canonical Opus file. The MP3 fallback
+--         stored next to it (usually the larger file) was not counted, so classes could store about
+--         twice their plan. upload-audio.js and the reconciler now record the fallback size and the view
+--         charges both files
+-- Date: October 2026
+
+-- size_bytes stays the served file (list-recordings, export manifest)
+ALTER TABLE recordings
+ADD COLUMN IF NOT EXISTS fallback_size_bytes BIGINT;
+
+COMMENT ON COLUMN recordings.fallback_size_bytes IS 'Size of the MP3 fallback at fallback_storage_key, NULL without one';
+
+CREATE OR REPLACE VIEW recording_usage_by_lmid AS
+SELECT
+    lmid,
+    COUNT(*) AS recording_count,
+    COALESCE(SUM(COALESCE(size_bytes, 0) + COALESCE(fallback_size_bytes, 0)), 0) AS total_bytes,
+    COALESCE(SUM(duration_seconds), 0) AS total_seconds
+FROM recordings
+WHERE status = 'uploaded'
+GROUP BY lmid;
+
+COMMENT ON VIEW recording_usage_by_lmid IS 'Storage used by the uploaded recordings of each LMID (served file and MP3 fallback) - quotas in utils/storage-quotas.js';
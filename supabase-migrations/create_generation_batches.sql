@@ -0,0 +1,17 @@
+-- Migration: Bulk generation batches
+-- Reason: api/bulk-generate.js enqueues the out-of-date programs of every world, type and language of an
+--         LMID in one request. A batch remembers which jobs it started, so its status can be aggregated later
+-- Date: October 2026
+
+CREATE TABLE IF NOT EXISTS generation_batches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    lmid TEXT NOT NULL,
+    member_id TEXT NOT NULL,                        -- Teacher who started the batch
+    targets JSONB NOT NULL DEFAULT '[]',            -- [{ world, lang, type, jobId, mode, recordingCount, error }]
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_generation_batches_lmid ON generation_batches (lmid, created_at DESC);
+
+COMMENT ON TABLE generation_batches IS 'Bulk program generation requests - api/bulk-generate.js';
+COMMENT ON COLUMN generation_batches.targets IS 'Every program of the LMID at planning time: mode created | follow-up | merged | identical (jobId set), up-to-date | no-recordings | failed (no job)';
@@ -0,0 +1,66 @@
+-- Migration: Generation locks as database leases
+-- Reason: utils/generation-lock.js used a JSON file in storage as a lock (check, then write), so two workers
+--         could both see no lock and render the same program at once. A lease row is taken atomically
+--         (insert, or take over an expired row, in one statement) and renewed while the job runs
+-- Date: October 2026
+
+CREATE TABLE IF NOT EXISTS generation_locks (
+    lock_key TEXT PRIMARY KEY,                          -- {lang}-{world}-{lmid}-{type}
+    lang TEXT NOT NULL,
+    lmid INTEGER NOT NULL,
+    world TEXT NOT NULL,
+    type TEXT NOT NULL,
+    owner_id TEXT NOT NULL,                             -- Worker holding the lease (job id + attempt)
+    recording_snapshot JSONB NOT NULL DEFAULT '[]',     -- Recording filenames the generation started with
+    acquired_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    renewed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+-- Expired leases (reconciler, status checks)
+CREATE INDEX IF NOT EXISTS idx_generation_locks_expires_at ON generation_locks (expires_at);
+
+COMMENT ON TABLE generation_locks IS 'One lease per program being generated - utils/generation-lock.js';
+COMMENT ON COLUMN generation_locks.expires_at IS 'The lease is free after this time unless renewed by its owner';
+
+-- Take the lease: insert it, or take over a row that expired (or is already ours) - atomic
+-- Returns the lease row, or no row when another owner holds it
+CREATE OR REPLACE FUNCTION acquire_generation_lock(
+    p_lock_key TEXT,
+    p_lang TEXT,
+    p_lmid INTEGER,
+    p_world TEXT,
+    p_type TEXT,
+    p_owner_id TEXT,
+    p_ttl_seconds INTEGER,
+    p_recording_snapshot JSONB DEFAULT '[]'
+)
+RETURNS SETOF generation_locks
+LANGUAGE sql
+AS $$
+    INSERT INTO generation_locks (lock_key, lang, lmid, world, type, owner_id, recording_snapshot, acquired_at, renewed_at, expires_at)
+    VALUES (p_lock_key, p_lang, p_lmid, p_world, p_type, p_owner_id, p_recording_snapshot, NOW(), NOW(), NOW() + make_interval(secs => p_ttl_seconds))
+    ON CONFLICT (lock_key) DO UPDATE SET
+        owner_id = EXCLUDED.owner_id,
+        recording_snapshot = EXCLUDED.recording_snapshot,
+        acquired_at = EXCLUDED.acquired_at,
+        renewed_at = EXCLUDED.renewed_at,
+        expires_at = EXCLUDED.expires_at
+    WHERE generation_locks.expires_at < NOW() OR generation_locks.owner_id = EXCLUDED.owner_id
+    RETURNING *;
+$$;
+
+-- Extend a lease the owner still holds - no row when it was taken over
+CREATE OR REPLACE FUNCTION renew_generation_lock(
+    p_lock_key TEXT,
+    p_owner_id TEXT,
+    p_ttl_seconds INTEGER
+)
+RETURNS SETOF generation_locks
+LANGUAGE sql
+AS $$
+    UPDATE generation_locks
+    SET renewed_at = NOW(), expires_at = NOW() + make_interval(secs => p_ttl_seconds)
+    WHERE lock_key = p_lock_key AND owner_id = p_owner_id
+    RETURNING *;
+$$;
@@ -0,0 +1,18 @@
+-- Migration: Recording usage per LMID (storage quotas)
+-- Reason: Nothing limited storage apart from the 30-recordings-per-question check in the recorder, and
+--         free-plan classes were uploading hours of audio. utils/storage-quotas.js reads this view to enforce
+--         plan quotas in upload-audio.js and to report usage through api/storage-usage.js
+-- Date: October 2026
+
+-- Bytes and seconds of the uploaded recordings of each LMID (teacher account = sum over its LMIDs)
+CREATE OR REPLACE VIEW recording_usage_by_lmid AS
+SELECT
+    lmid,
+    COUNT(*) AS recording_count,
+    COALESCE(SUM(size_bytes), 0) AS total_bytes,
+    COALESCE(SUM(duration_seconds), 0) AS total_seconds
+FROM recordings
+WHERE status = 'uploaded'
+GROUP BY lmid;
+
+COMMENT ON VIEW recording_usage_by_lmid IS 'Storage used by the uploaded recordings of each LMID - quotas in utils/storage-quotas.js';
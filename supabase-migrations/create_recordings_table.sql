@@ -0,0 +1,39 @@
+-- Migration: Recordings index
+-- Reason: list-recordings.js and get-radio-data.js discovered recordings by listing storage folders and
+--         regex-matching filenames, which miscounted programs. upload-audio.js and delete-audio.js now write
+--         this table and the list/count paths read it; scripts/reconcile-recordings.js backfills existing storage
+-- Date: October 2026
+
+CREATE TABLE IF NOT EXISTS recordings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    storage_key TEXT NOT NULL UNIQUE,
+    lmid INTEGER NOT NULL,
+    world TEXT NOT NULL,
+    lang TEXT NOT NULL,
+    question_id INTEGER NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('kids', 'parent')),
+    uploader_member_id TEXT,
+    filename TEXT NOT NULL,
+    fallback_storage_key TEXT,
+    waveform_storage_key TEXT,
+    duration_seconds NUMERIC,
+    size_bytes BIGINT,
+    analysis JSONB,
+    status TEXT NOT NULL DEFAULT 'uploaded' CHECK (status IN ('uploaded', 'deleted', 'missing')),
+    recorded_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    deleted_at TIMESTAMPTZ
+);
+
+-- list-recordings and program change detection: uploaded recordings of one lmid/world/lang
+CREATE INDEX IF NOT EXISTS idx_recordings_program
+ON recordings (lmid, world, lang, role)
+WHERE status = 'uploaded';
+
+COMMENT ON TABLE recordings IS 'One row per recording in storage (canonical .webm, or .mp3 for legacy uploads). Written by upload-audio.js/delete-audio.js, backfilled by scripts/reconcile-recordings.js';
+COMMENT ON COLUMN recordings.storage_key IS 'Storage path of the served file: {lang}/{lmid}/{world}/{filename}';
+COMMENT ON COLUMN recordings.role IS 'Program the recording belongs to: kids (educator upload) or parent (parent upload)';
+COMMENT ON COLUMN recordings.uploader_member_id IS 'Memberstack ID of the uploading parent, or of the educator the LMID is assigned to';
+COMMENT ON COLUMN recordings.status IS 'uploaded | deleted (removed by the user) | missing (row without files, found by reconcile)';
+COMMENT ON COLUMN recordings.recorded_at IS 'Recording time from the client (-tm_ filename marker)';
@@ -0,0 +1,35 @@
+-- Migration: Upload session finalize claims
+-- Reason: api/upload-session.js finalized a session after checking session.json for a result (check, then act),
+--         so a client retry after a timeout or a second tab ingested the same recording twice - two transcodes,
+--         duplicate uploads and index updates, two notification emails. A finalize now claims the session
+--         atomically first; a second caller waits for the result instead of ingesting again
+-- Date: October 2026
+
+CREATE TABLE IF NOT EXISTS upload_finalize_claims (
+    session_id TEXT PRIMARY KEY,                        -- Upload session being finalized
+    owner_id TEXT NOT NULL,                             -- Invocation finalizing it
+    claimed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL                     -- A crashed finalize frees the session after this
+);
+
+COMMENT ON TABLE upload_finalize_claims IS 'One claim per upload session being finalized - utils/upload-sessions.js';
+
+-- Claim a session: insert the claim, or take over one that expired - atomic
+-- Returns the claim row, or no row when another finalize holds it
+CREATE OR REPLACE FUNCTION claim_upload_finalize(
+    p_session_id TEXT,
+    p_owner_id TEXT,
+    p_ttl_seconds INTEGER
+)
+RETURNS SETOF upload_finalize_claims
+LANGUAGE sql
+AS $$
+    INSERT INTO upload_finalize_claims (session_id, owner_id, claimed_at, expires_at)
+    VALUES (p_session_id, p_owner_id, NOW(), NOW() + make_interval(secs => p_ttl_seconds))
+    ON CONFLICT (session_id) DO UPDATE SET
+        owner_id = EXCLUDED.owner_id,
+        claimed_at = EXCLUDED.claimed_at,
+        expires_at = EXCLUDED.expires_at
+    WHERE upload_finalize_claims.expires_at < NOW()
+    RETURNING *;
+$$;
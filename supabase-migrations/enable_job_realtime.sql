@@ -0,0 +1,19 @@
+-- Migration: Realtime change events for audio generation jobs
+-- Reason: api/job-stream.js re-queried audio_generation_jobs every second per open tab. It now subscribes
+--         to row changes through Supabase Realtime (utils/job-events.js), which only sees tables in the
+--         supabase_realtime publication
+-- Date: October 2026
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'audio_generation_jobs'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE audio_generation_jobs;
+    END IF;
+END $$;
+
+-- Stream scope "every job of an LMID" filters change events on lmid
+CREATE INDEX IF NOT EXISTS idx_audio_generation_jobs_lmid_status
+ON audio_generation_jobs (lmid, status);
@@ -2,7 +2,7 @@
  * utils/api-utils.js - Enhanced Shared API Utilities
  * 
  * PURPOSE: Comprehensive utilities for API endpoints to eliminate code duplication
- * DEPENDENCIES: None
+ * DEPENDENCIES: Node crypto
  * 
  * EXPORTED FUNCTIONS:
  * - setCorsHeaders(): Set standard CORS headers
@@ -15,6 +15,7 @@
  * - logApiRequest(): Log API request for debugging
  * - handleApiRequest(): Comprehensive API request handler with error boundaries
  * - validateMemberstackWebhook(): Validate Memberstack webhook signature
+ * - isCronAuthorized(): Check the CRON_SECRET bearer token of cron routes
  * - sanitizeError(): Sanitize error messages for safe client responses
  * - formatApiResponse(): Format consistent API responses
  * - timeoutPromise(): Add timeout to promises
@@ -25,6 +26,8 @@
  * STATUS: Production Ready ✅
  */
 
+import { timingSafeEqual } from 'crypto';
+
 /**
  * Set secure CORS headers for API responses
  * @param {Object} res - Response object
@@ -326,6 +329,21 @@ export function validateMemberstackWebhook(req) {
     return userAgent && userAgent.includes('Memberstack');
 }
 
+/**
+ * Check that a cron route request carries the cron secret
+ * Vercel sends "Authorization: Bearer <CRON_SECRET>" with cron requests when CRON_SECRET is set
+ * @param {Object} req - Request object
+ * @returns {boolean} True if authorized - always false without CRON_SECRET configured
+ */
+export function isCronAuthorized(req) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) return false;
+
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const received = Buffer.from(req.headers.authorization || '');
+    return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
 /**
  * Sanitize error messages for safe client responses
  * @param {Error} error - Error object
@@ -4,8 +4,9 @@
  * PURPOSE: Comprehensive audio processing utilities to eliminate code duplication
  * DEPENDENCIES: None (works with FFmpeg when available)
  * 
+ * PROGRAM SEQUENCE: Built from JSON templates by utils/program-templates.js (expandProgramTemplate)
+ * 
  * EXPORTED FUNCTIONS:
- * - convertRecordingsToAudioSegments(): Convert recordings to audioSegments format
  * - extractTimestampFromFilename(): Extract timestamp from recording filename
  * - extractFilesUsed(): Extract files used from audio segments
  * - validateAudioUrl(): Validate audio URL format and accessibility
@@ -16,10 +17,16 @@
  * - getAudioFileSize(): Estimate audio file size
  * - sortRecordingsByTimestamp(): Sort recordings by timestamp
  * - groupRecordingsByQuestion(): Group recordings by question ID
+ * - getRecordingBaseName(): Recording filename without its audio extension
+ * - getAnalysisSidecarName(): Upload-time analysis sidecar filename for a recording
+ * - getWaveformSidecarName(): Waveform peaks sidecar filename for a recording or program
+ * - getStoredAnswerDuration(): Analyzed duration of one answer of a segment, or null
+ * - estimateSegmentDuration(): Duration of one program segment (analyzed answer durations where stored)
  * 
  * CONSTANTS:
  * - STATIC_FILES: Static audio file URLs
  * - AUDIO_FORMATS: Supported audio formats
+ * - RECORDING_FORMATS: Canonical stored recording format and its fallback
  * - PROCESSING_DEFAULTS: Default processing parameters
  * 
  * LAST UPDATED: January 2025
@@ -27,109 +34,6 @@
  * STATUS: Production Ready ✅
  */
 
-/**
- * Convert raw recordings to audioSegments format expected by combine-audio API
- * @param {Array} recordings - Raw recordings from get-radio-data
- * @param {string} world - World name
- * @param {string} userRole - User role ('parents' or 'educators') 
- * @returns {Array} Formatted audioSegments
- */
-export function convertRecordingsToAudioSegments(recordings, world, userRole = 'parents') {
-    const audioSegments = [];
-    
-    // Group recordings by questionId
-    const recordingsByQuestion = {};
-    recordings.forEach(recording => {
-        const questionId = recording.questionId;
-        if (!recordingsByQuestion[questionId]) {
-            recordingsByQuestion[questionId] = [];
-        }
-        recordingsByQuestion[questionId].push(recording);
-    });
-    
-    // Sort question IDs numerically
-    const sortedQuestionIds = Object.keys(recordingsByQuestion).sort((a, b) => parseInt(a) - parseInt(b));
-    
-    // 1. Add intro jingle
-    const introJingleTimestamp = Date.now();
-    audioSegments.push({
-        type: 'single',
-        url: `https://little-microphones.b-cdn.net/audio/jingles/intro-jingle.mp3?t=${introJingleTimestamp}`
-    });
-    
-    // 2. Add world-specific intro (role-based)
-    const worldIntroTimestamp = Date.now() + 1;
-    audioSegments.push({
-        type: 'single',
-        url: `https://little-microphones.b-cdn.net/audio/${world}/other/${world}-intro-${userRole}.mp3?t=${worldIntroTimestamp}`
-    });
-    
-    // 3. Add 1 second silence before questions
-    audioSegments.push({
-        type: 'silence',
-        duration: 1
-    });
-    
-    // 4. Add questions and answers in order
-    sortedQuestionIds.forEach(questionId => {
-        const questionRecordings = recordingsByQuestion[questionId];
-        
-        // Add middle jingle before each question
-        const middleJingleTimestamp = Date.now() + Math.random();
-        audioSegments.push({
-            type: 'single',
-            url: `https://little-microphones.b-cdn.net/audio/jingles/middle-jingle.mp3?t=${middleJingleTimestamp}`
-        });
-        
-        // Add question prompt from world-specific questions folder
-        const cacheBustTimestamp = Date.now() + Math.random();
-        audioSegments.push({
-            type: 'single',
-            url: `https://little-microphones.b-cdn.net/audio/${world}/questions/${world}-QID${questionId}.mp3?t=${cacheBustTimestamp}`
-        });
-        
-        // Sort answers by filename timestamp (first recorded = first played)
-        const sortedAnswers = questionRecordings.sort((a, b) => {
-            const timestampA = extractTimestampFromFilename(a.filename);
-            const timestampB = extractTimestampFromFilename(b.filename);
-            return timestampA - timestampB;
-        });
-        
-        // Combine answers with world-specific background music
-        const backgroundTimestamp = Date.now() + Math.random();
-        audioSegments.push({
-            type: 'combine_with_background',
-            answerUrls: sortedAnswers.map(recording => recording.url),
-            backgroundUrl: `https://little-microphones.b-cdn.net/audio/${world}/other/${world}-background.mp3?t=${backgroundTimestamp}`,
-            questionId: questionId
-        });
-    });
-    
-    // 5. Add middle-jingle before outro
-    const finalMiddleJingleTimestamp = Date.now() + 3;
-    audioSegments.push({
-        type: 'single',
-        url: `https://little-microphones.b-cdn.net/audio/jingles/middle-jingle.mp3?t=${finalMiddleJingleTimestamp}`
-    });
-    
-    // 6. Add outro jingle
-    const outroJingleTimestamp = Date.now() + 4;
-    audioSegments.push({
-        type: 'single',
-        url: `https://little-microphones.b-cdn.net/audio/jingles/outro-jingle.mp3?t=${outroJingleTimestamp}`
-    });
-    
-    // 7. Add world-specific outro (role-based) - LAST
-    const worldOutroTimestamp = Date.now() + 5;
-    audioSegments.push({
-        type: 'single',
-        url: `https://little-microphones.b-cdn.net/audio/${world}/other/${world}-outro-${userRole}.mp3?t=${worldOutroTimestamp}`
-    });
-    
-    console.log(`🎼 Generated ${audioSegments.length} audio segments for ${world} (${userRole}) with ${sortedQuestionIds.length} questions`);
-    return audioSegments;
-}
-
 /**
  * Detect user role based on recordings structure
  * @param {Array} recordings - Array of recordings
@@ -183,6 +87,12 @@ export const AUDIO_FORMATS = {
     m4a: { extension: '.m4a', mimeType: 'audio/mp4' }
 };
 
+// Every upload is transcoded to these (see api/upload-audio.js)
+export const RECORDING_FORMATS = {
+    canonical: { extension: 'webm', mimeType: 'audio/webm', codecs: 'opus' },
+    fallback: { extension: 'mp3', mimeType: 'audio/mpeg', codecs: 'mp3' }
+};
+
 export const PROCESSING_DEFAULTS = {
     sampleRate: 44100,
     bitRate: '128k',
@@ -192,6 +102,33 @@ export const PROCESSING_DEFAULTS = {
     fadeDuration: 0.5 // 0.5 seconds fade
 };
 
+/**
+ * Recording filename without its audio extension (canonical, fallback or original upload)
+ * @param {string} filename - e.g. kids-world_x-lmid_1-question_2-tm_3.webm
+ * @returns {string} e.g. kids-world_x-lmid_1-question_2-tm_3
+ */
+export function getRecordingBaseName(filename) {
+    return filename.replace(/\.(webm|mp3|m4a|mp4)$/, '');
+}
+
+/**
+ * Sidecar filename for a recording's upload-time analysis (see utils/audio-analysis.js)
+ * @param {string} filename - Recording filename (.webm / .mp3)
+ * @returns {string} e.g. kids-world_x-lmid_1-question_2-tm_3.analysis.json
+ */
+export function getAnalysisSidecarName(filename) {
+    return getRecordingBaseName(filename) + '.analysis.json';
+}
+
+/**
+ * Sidecar filename for the waveform peaks of a recording or program
+ * @param {string} filename - Audio filename (.webm / .mp3)
+ * @returns {string} e.g. radio-program-kids-spookyland-32.waveform.json
+ */
+export function getWaveformSidecarName(filename) {
+    return getRecordingBaseName(filename) + '.waveform.json';
+}
+
 /**
  * Extract files used from audio segments for manifest tracking
  * @param {Array} audioSegments - Array of audio segments
@@ -426,28 +363,43 @@ function getAudioFormat(filename) {
     ) || 'mp3';
 }
 
+/**
+ * Analyzed duration of one answer of a segment (answerDurations from the upload analysis)
+ * @param {Object} segment - combine_with_background segment
+ * @param {number} index - Answer index
+ * @returns {number|null} Seconds, or null when the recording was not analyzed
+ */
+export function getStoredAnswerDuration(segment, index) {
+    const duration = segment.answerDurations?.[index];
+    return Number.isFinite(duration) && duration > 0 ? duration : null;
+}
+
+/**
+ * Duration of one program segment in seconds
+ * Answers use their analyzed durations where stored, 30 seconds per answer otherwise;
+ * prompts and jingles are guessed from their file names
+ * @param {Object} segment - Audio segment
+ * @returns {number} Duration in seconds
+ */
+export function estimateSegmentDuration(segment) {
+    if (segment.type === 'single') {
+        if (segment.url.includes('intro.webm') || segment.url.includes('outro.webm')) return 3;
+        if (segment.url.includes('-QID')) return 5; // Question prompts
+        return 0;
+    }
+    if (segment.type === 'combine_with_background') {
+        return (segment.answerUrls || []).reduce((total, url, index) => total + (getStoredAnswerDuration(segment, index) ?? 30), 0);
+    }
+    return 0;
+}
+
 /**
  * Helper function: Estimate total audio duration
  * @param {Array} audioSegments - Array of audio segments
  * @returns {number} Estimated duration in seconds
  */
 function estimateAudioDuration(audioSegments) {
-    let totalDuration = 0;
-    
-    audioSegments.forEach(segment => {
-        if (segment.type === 'single') {
-            // Estimate based on file type
-            if (segment.url.includes('intro.webm')) totalDuration += 3;
-            else if (segment.url.includes('outro.webm')) totalDuration += 3;
-            else if (segment.url.includes('-QID')) totalDuration += 5; // Question prompts
-        } else if (segment.type === 'combine_with_background') {
-            // Estimate based on number of answers (30 seconds per answer)
-            const answerCount = segment.answerUrls ? segment.answerUrls.length : 0;
-            totalDuration += answerCount * 30;
-        }
-    });
-    
-    return totalDuration;
+    return audioSegments.reduce((total, segment) => total + estimateSegmentDuration(segment), 0);
 }
 
 /**
@@ -1,23 +1,58 @@
 /**
  * utils/generation-lock.js - Generation Lock System
- * 
+ *
  * PURPOSE: Prevents multiple concurrent generations for the same world/lmid/type
- * APPROACH: Uses Bunny.net storage as distributed lock mechanism
- * 
+ * APPROACH: Lease rows in the Supabase generation_locks table (supabase-migrations/create_generation_locks.sql)
+ *
  * LOGIC:
- * 1. Before generation: Create lock file with timestamp and recording snapshot
- * 2. During generation: Check if lock exists and is recent
- * 3. After generation: Remove lock file
- * 4. Timeout handling: Auto-expire locks after 5 minutes
- * 5. Smart queuing: Compare snapshots to detect new recordings during generation
+ * 1. Before generation: Acquire the lease atomically (acquire_generation_lock) with an owner id,
+ *    expires_at and the recording snapshot
+ * 2. During generation: The owner renews the lease (startLockRenewal) - a crashed worker stops renewing
+ *    A failed renewal (database error) is retried - the owner keeps the lease until its known expiry;
+ *    only a renewal that finds another owner (or an expiry passed without renewal) loses it
+ * 3. After generation: The owner releases the lease (only its own)
+ * 4. Expiry: A lease not renewed within GENERATION_LOCK_TTL_SECONDS can be taken over
+ * 5. Smart queuing: Compare snapshots to detect new recordings during generation (hasRecordingsChanged)
+ *
+ * USED BY:
+ * - api/process-queue.js: holds the lease while a job renders (a second worker returns its job to the queue)
+ * - api/get-radio-data.js: getGenerationStatus() for the radio page
+ * - utils/storage-reconciler.js: listExpiredLocks() / removeExpiredLock()
  */
 
-import https from 'https';
+import { getSupabaseClient } from './database-utils.js';
 
-const LOCK_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
+export const GENERATION_LOCKS_TABLE = 'generation_locks';
+
+// Lease lifetime without renewal - a crashed worker blocks its program at most this long
+const LOCK_TTL_SECONDS = parseInt(process.env.GENERATION_LOCK_TTL_SECONDS, 10) || 90;
+const LOCK_RENEW_INTERVAL_MS = (LOCK_TTL_SECONDS * 1000) / 3;
+const LOCK_RENEW_RETRY_MS = 5000; // After a failed renewal
 const LOCK_CHECK_INTERVAL_MS = 2000; // 2 seconds
 const MAX_WAIT_TIME_MS = 8 * 60 * 1000; // 8 minutes max wait
 
+/**
+ * Lock data from a lease row (the shape callers and hasRecordingsChanged use)
+ */
+function toLockData(row, heldUntil = null) {
+    return {
+        world: row.world,
+        lmid: String(row.lmid),
+        type: row.type,
+        lang: row.lang,
+        lockKey: row.lock_key,
+        ownerId: row.owner_id,
+        createdAt: row.acquired_at,
+        renewedAt: row.renewed_at,
+        expiresAt: row.expires_at,
+        heldUntil,
+        status: 'generating',
+        recordingSnapshot: row.recording_snapshot || [],
+        recordingCount: (row.recording_snapshot || []).length,
+        requestId: row.owner_id
+    };
+}
+
 /**
  * Create a generation lock for specific world/lmid/type
  * @param {string} world - World identifier
@@ -25,52 +60,121 @@ const MAX_WAIT_TIME_MS = 8 * 60 * 1000; // 8 minutes max wait
  * @param {string} type - Program type ('kids' or 'parent')
  * @param {Array} recordingSnapshot - Current recordings snapshot
  * @param {string} lang - Language code ('en', 'pl', etc.)
- * @returns {Promise<boolean>} True if lock acquired, false if already locked
+ * @param {Object} options - { ownerId } (default: a new random id)
+ * @returns {Promise<Object|null>} Lock data (with ownerId, and heldUntil - the expiry on this worker's clock)
+ *   if acquired, null if another owner holds it
+ * @throws {Error} When the acquire_generation_lock call fails - not the same as a held lease
  */
-export async function acquireGenerationLock(world, lmid, type, recordingSnapshot = [], lang = 'en') {
-    const lockKey = `${lang}-${world}-${lmid}-${type}`;
-    const lockPath = `/${lang}/${lmid}/${world}/generation-lock-${type}.json`;
-    
+export async function acquireGenerationLock(world, lmid, type, recordingSnapshot = [], lang = 'en', { ownerId = null } = {}) {
+    const lockKey = getLockKey(world, lmid, type, lang);
+    const owner = ownerId || `gen_${Date.now()}_${Math.random().toString(36).substring(2)}`;
+
     console.log(`🔒 Attempting to acquire lock for ${lockKey}`);
-    
-    // Check if lock already exists
-    const existingLock = await checkLockStatus(world, lmid, type, lang);
-    if (existingLock) {
-        console.log(`🔒 Lock already exists for ${lockKey}, created at ${existingLock.createdAt}`);
-        
-        // Check if lock is expired
-        const lockAge = Date.now() - new Date(existingLock.createdAt).getTime();
-        if (lockAge > LOCK_TIMEOUT_MS) {
-            console.log(`🔒 Lock expired for ${lockKey}, removing old lock`);
-            await releaseLock(world, lmid, type, lang);
-        } else {
-            console.log(`🔒 Lock is still active for ${lockKey}, remaining: ${Math.round((LOCK_TIMEOUT_MS - lockAge) / 1000)}s`);
-            return false;
-        }
+
+    const snapshot = recordingSnapshot.map(r => r.filename || r);
+    const requestedAt = Date.now(); // The lease runs at least TTL from here
+    const { data, error } = await getSupabaseClient().rpc('acquire_generation_lock', {
+        p_lock_key: lockKey,
+        p_lang: lang,
+        p_lmid: parseInt(lmid, 10),
+        p_world: world,
+        p_type: type,
+        p_owner_id: owner,
+        p_ttl_seconds: LOCK_TTL_SECONDS,
+        p_recording_snapshot: snapshot
+    });
+
+    if (error) {
+        throw new Error(`Failed to acquire lock for ${lockKey}: ${error.message}`);
     }
-    
-    // Create new lock with recording snapshot
-    const lockData = {
-        world,
-        lmid,
-        type,
-        lang,
-        createdAt: new Date().toISOString(),
-        status: 'generating',
-        lockKey,
-        recordingSnapshot: recordingSnapshot.map(r => r.filename || r),
-        recordingCount: recordingSnapshot.length,
-        requestId: `gen_${Date.now()}_${Math.random().toString(36).substring(2)}`
-    };
-    
-    try {
-        await saveLockFile(lockData, lockPath);
-        console.log(`✅ Lock acquired for ${lockKey} with ${recordingSnapshot.length} recordings`);
-        return true;
-    } catch (error) {
-        console.error(`❌ Failed to acquire lock for ${lockKey}:`, error);
-        return false;
+
+    if (!data || data.length === 0) {
+        const existingLock = await checkLockStatus(world, lmid, type, lang);
+        console.log(`🔒 Lock is held for ${lockKey} by ${existingLock?.ownerId || 'another worker'} until ${existingLock?.expiresAt || 'unknown'}`);
+        return null;
     }
+
+    console.log(`✅ Lock acquired for ${lockKey} by ${owner} with ${snapshot.length} recordings`);
+    return toLockData(data[0], requestedAt + LOCK_TTL_SECONDS * 1000);
+}
+
+/**
+ * Extend a lease the owner still holds
+ * @param {Object} lockData - Lock data returned by acquireGenerationLock (heldUntil is moved on renewal)
+ * @returns {Promise<string>} 'renewed', 'lost' (another owner took the lease over) or 'error' (not known - retry)
+ */
+export async function renewGenerationLock(lockData) {
+    const requestedAt = Date.now();
+    const { data, error } = await getSupabaseClient().rpc('renew_generation_lock', {
+        p_lock_key: lockData.lockKey,
+        p_owner_id: lockData.ownerId,
+        p_ttl_seconds: LOCK_TTL_SECONDS
+    });
+
+    if (error) {
+        console.warn(`⚠️ Failed to renew lock for ${lockData.lockKey}:`, error.message);
+        return 'error';
+    }
+    if (!data || data.length === 0) {
+        return 'lost';
+    }
+
+    lockData.expiresAt = data[0].expires_at;
+    lockData.heldUntil = requestedAt + LOCK_TTL_SECONDS * 1000;
+    return 'renewed';
+}
+
+/**
+ * Renew a lease in the background until stopped
+ * A failed renewal is retried every LOCK_RENEW_RETRY_MS - the lease counts as held until heldUntil
+ * @param {Object} lockData - Lock data returned by acquireGenerationLock
+ * @param {Object} options - { onLost } called once when the lease is lost
+ * @returns {Object} { stop(), isLost(), confirm() } - isLost() is true once a renewal found the lease taken over
+ *                   (or it expired unrenewed), confirm() renews right away and resolves to whether the lease is still held
+ */
+export function startLockRenewal(lockData, { onLost = null } = {}) {
+    let lost = false;
+    let stopped = false;
+    let timer = null;
+    let lastOutcome = 'renewed';
+
+    const markLost = (reason) => {
+        lost = true;
+        console.warn(`⚠️ Lost lock ${lockData.lockKey} (owner ${lockData.ownerId}): ${reason}`);
+        if (onLost) onLost();
+    };
+
+    const renew = async () => {
+        if (lost) return false;
+        const outcome = await renewGenerationLock(lockData);
+        lastOutcome = outcome;
+
+        if (outcome === 'lost') {
+            markLost('taken over by another owner');
+        } else if (outcome === 'error' && Date.now() >= (lockData.heldUntil ?? 0)) {
+            markLost('expired without renewal');
+        }
+        return !lost;
+    };
+
+    const schedule = (delayMs) => {
+        if (stopped || lost) return;
+        timer = setTimeout(async () => {
+            // Still held after a failed renewal: retry soon instead of waiting a full interval
+            if (await renew()) schedule(lastOutcome === 'error' ? LOCK_RENEW_RETRY_MS : LOCK_RENEW_INTERVAL_MS);
+        }, delayMs);
+        timer.unref?.();
+    };
+    schedule(LOCK_RENEW_INTERVAL_MS);
+
+    return {
+        stop: () => {
+            stopped = true;
+            clearTimeout(timer);
+        },
+        isLost: () => lost,
+        confirm: renew
+    };
 }
 
 /**
@@ -79,18 +183,26 @@ export async function acquireGenerationLock(world, lmid, type, recordingSnapshot
  * @param {string} lmid - LMID number
  * @param {string} type - Program type ('kids' or 'parent')
  * @param {string} lang - Language code
+ * @param {string|null} ownerId - Only release the lease of this owner (null: whoever holds it)
  */
-export async function releaseLock(world, lmid, type, lang = 'en') {
-    const lockKey = `${lang}-${world}-${lmid}-${type}`;
-    const lockPath = `/${lang}/${lmid}/${world}/generation-lock-${type}.json`;
-    
+export async function releaseLock(world, lmid, type, lang = 'en', ownerId = null) {
+    const lockKey = getLockKey(world, lmid, type, lang);
+
     console.log(`🔓 Releasing lock for ${lockKey}`);
-    
-    try {
-        await deleteLockFile(lockPath);
+
+    let query = getSupabaseClient()
+        .from(GENERATION_LOCKS_TABLE)
+        .delete()
+        .eq('lock_key', lockKey);
+    if (ownerId) {
+        query = query.eq('owner_id', ownerId);
+    }
+
+    const { error } = await query;
+    if (error) {
+        console.warn(`⚠️ Failed to release lock for ${lockKey}:`, error.message);
+    } else {
         console.log(`✅ Lock released for ${lockKey}`);
-    } catch (error) {
-        console.warn(`⚠️ Failed to release lock for ${lockKey}:`, error);
     }
 }
 
@@ -100,34 +212,30 @@ export async function releaseLock(world, lmid, type, lang = 'en') {
  * @param {string} lmid - LMID number
  * @param {string} type - Program type ('kids' or 'parent')
  * @param {string} lang - Language code
- * @returns {Promise<Object|null>} Lock data if exists, null otherwise
+ * @returns {Promise<Object|null>} Lock data if a lease row exists (it may be expired), null otherwise
  */
 export async function checkLockStatus(world, lmid, type, lang = 'en') {
-    return new Promise((resolve) => {
-        const lockUrl = `https://little-microphones.b-cdn.net/${lang}/${lmid}/${world}/generation-lock-${type}.json?v=${Date.now()}`;
-        
-        https.get(lockUrl, (response) => {
-            if (response.statusCode === 200) {
-                let data = '';
-                response.on('data', chunk => data += chunk);
-                response.on('end', () => {
-                    try {
-                        const lockData = JSON.parse(data);
-                        resolve(lockData);
-                    } catch (parseError) {
-                        console.warn('Failed to parse lock JSON:', parseError);
-                        resolve(null);
-                    }
-                });
-            } else {
-                // 404 means no lock exists
-                resolve(null);
-            }
-        }).on('error', (error) => {
-            console.warn('Error checking lock status:', error);
-            resolve(null);
-        });
-    });
+    const { data, error } = await getSupabaseClient()
+        .from(GENERATION_LOCKS_TABLE)
+        .select('*')
+        .eq('lock_key', getLockKey(world, lmid, type, lang))
+        .maybeSingle();
+
+    if (error) {
+        console.warn('Error checking lock status:', error.message);
+        return null;
+    }
+    return data ? toLockData(data) : null;
+}
+
+/**
+ * Whether a lease is past expires_at (it no longer protects a generation)
+ * @param {Object|null} lockData - Lock data
+ * @returns {boolean} True if expired or unreadable
+ */
+export function isLockExpired(lockData) {
+    const expiresAt = new Date(lockData?.expiresAt).getTime();
+    return isNaN(expiresAt) || Date.now() > expiresAt;
 }
 
 /**
@@ -144,37 +252,37 @@ export function hasRecordingsChanged(currentRecordings, lockData, type, world, l
     if (!lockData || !lockData.recordingSnapshot) {
         return true; // No snapshot means we need to check
     }
-    
+
     // Filter current recordings by type
-    const pattern = type === 'kids' 
+    const pattern = type === 'kids'
         ? new RegExp(`^kids-world_${world}-lmid_${lmid}-question_\\d+-tm_\\d+\\.(webm|mp3)$`)
         : new RegExp(`^parent_[^-]+-world_${world}-lmid_${lmid}-question_\\d+-tm_\\d+\\.(webm|mp3)$`);
-    
+
     const currentFiltered = currentRecordings
         .filter(file => file.filename && (file.filename.endsWith('.webm') || file.filename.endsWith('.mp3')) && !file.filename.includes('.json'))
         .filter(file => pattern.test(file.filename))
         .map(file => file.filename)
         .sort();
-    
-    const snapshotFiltered = lockData.recordingSnapshot.sort();
-    
+
+    const snapshotFiltered = [...lockData.recordingSnapshot].sort();
+
     console.log(`📊 Comparing recordings for ${type}:`);
     console.log(`📊 Current: [${currentFiltered.join(', ')}]`);
     console.log(`📊 Snapshot: [${snapshotFiltered.join(', ')}]`);
-    
+
     // Compare arrays
     if (currentFiltered.length !== snapshotFiltered.length) {
         console.log(`📊 Length differs: ${currentFiltered.length} vs ${snapshotFiltered.length}`);
         return true;
     }
-    
+
     for (let i = 0; i < currentFiltered.length; i++) {
         if (currentFiltered[i] !== snapshotFiltered[i]) {
             console.log(`📊 File differs at index ${i}: ${currentFiltered[i]} vs ${snapshotFiltered[i]}`);
             return true;
         }
     }
-    
+
     console.log(`📊 Recordings unchanged for ${type}`);
     return false;
 }
@@ -189,34 +297,31 @@ export function hasRecordingsChanged(currentRecordings, lockData, type, world, l
  * @returns {Promise<Object>} Result object with status and data
  */
 export async function waitForGenerationComplete(world, lmid, type, maxWaitMs = MAX_WAIT_TIME_MS, lang = 'en') {
-    const lockKey = `${lang}-${world}-${lmid}-${type}`;
+    const lockKey = getLockKey(world, lmid, type, lang);
     const startTime = Date.now();
-    
+
     console.log(`⏳ Waiting for generation to complete for ${lockKey}`);
-    
+
     while (Date.now() - startTime < maxWaitMs) {
         const lockStatus = await checkLockStatus(world, lmid, type, lang);
-        
+
         if (!lockStatus) {
             console.log(`✅ Generation completed for ${lockKey}`);
             return { completed: true, timedOut: false };
         }
-        
-        // Check if lock is expired
-        const lockAge = Date.now() - new Date(lockStatus.createdAt).getTime();
-        if (lockAge > LOCK_TIMEOUT_MS) {
+
+        // An expired lease is free - its owner stopped renewing it
+        if (isLockExpired(lockStatus)) {
             console.log(`🔒 Lock expired for ${lockKey}, assuming generation failed`);
-            await releaseLock(world, lmid, type, lang);
             return { completed: false, timedOut: true, expired: true };
         }
-        
+
         const elapsed = Math.round((Date.now() - startTime) / 1000);
-        const remaining = Math.round((LOCK_TIMEOUT_MS - lockAge) / 1000);
-        console.log(`⏳ Still waiting for ${lockKey}, elapsed: ${elapsed}s, estimated remaining: ${remaining}s`);
-        
+        console.log(`⏳ Still waiting for ${lockKey}, elapsed: ${elapsed}s, lease until ${lockStatus.expiresAt}`);
+
         await sleep(LOCK_CHECK_INTERVAL_MS);
     }
-    
+
     console.log(`⏰ Timeout waiting for generation to complete for ${lockKey}`);
     return { completed: false, timedOut: true, expired: false };
 }
@@ -231,18 +336,18 @@ export async function waitForGenerationComplete(world, lmid, type, maxWaitMs = M
  */
 export async function getGenerationStatus(world, lmid, type, lang = 'en') {
     const lockData = await checkLockStatus(world, lmid, type, lang);
-    
+
     if (!lockData) {
         return { status: 'ready', isGenerating: false };
     }
-    
-    const lockAge = Date.now() - new Date(lockData.createdAt).getTime();
-    if (lockAge > LOCK_TIMEOUT_MS) {
+
+    if (isLockExpired(lockData)) {
         return { status: 'expired', isGenerating: false, expired: true };
     }
-    
-    const estimatedRemaining = Math.max(0, Math.round((LOCK_TIMEOUT_MS - lockAge) / 1000));
-    
+
+    // Seconds until the lease runs out unless renewed
+    const estimatedRemaining = Math.max(0, Math.round((new Date(lockData.expiresAt).getTime() - Date.now()) / 1000));
+
     return {
         status: 'generating',
         isGenerating: true,
@@ -252,71 +357,43 @@ export async function getGenerationStatus(world, lmid, type, lang = 'en') {
 }
 
 /**
- * Save lock file to Bunny.net
- * @param {Object} lockData - Lock data to save
- * @param {string} lockPath - Path to save lock file
+ * Leases past expires_at (their owners crashed or never released them)
+ * @returns {Promise<Array>} Lock data of the expired leases
  */
-async function saveLockFile(lockData, lockPath) {
-    const lockJson = JSON.stringify(lockData, null, 2);
-    
-    return new Promise((resolve, reject) => {
-        const options = {
-            hostname: 'storage.bunnycdn.com',
-            port: 443,
-            path: `/${process.env.BUNNY_STORAGE_ZONE}${lockPath}`,
-            method: 'PUT',
-            headers: {
-                'AccessKey': process.env.BUNNY_API_KEY,
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(lockJson, 'utf8'),
-                'Cache-Control': 'no-cache, no-store, must-revalidate',
-                'Pragma': 'no-cache',
-                'Expires': '0'
-            }
-        };
-        
-        const req = https.request(options, (res) => {
-            if (res.statusCode === 200 || res.statusCode === 201) {
-                resolve();
-            } else {
-                reject(new Error(`Failed to save lock file: ${res.statusCode}`));
-            }
-        });
-        
-        req.on('error', reject);
-        req.write(lockJson);
-        req.end();
-    });
+export async function listExpiredLocks() {
+    const { data, error } = await getSupabaseClient()
+        .from(GENERATION_LOCKS_TABLE)
+        .select('*')
+        .lt('expires_at', new Date().toISOString());
+
+    if (error) {
+        throw new Error(`Failed to read ${GENERATION_LOCKS_TABLE}: ${error.message}`);
+    }
+    return data.map(toLockData);
 }
 
 /**
- * Delete lock file from Bunny.net
- * @param {string} lockPath - Path to lock file
+ * Delete an expired lease - left alone if it was renewed or taken over meanwhile
+ * @param {Object} lockData - Lock data from listExpiredLocks
  */
-async function deleteLockFile(lockPath) {
-    return new Promise((resolve, reject) => {
-        const options = {
-            hostname: 'storage.bunnycdn.com',
-            port: 443,
-            path: `/${process.env.BUNNY_STORAGE_ZONE}${lockPath}`,
-            method: 'DELETE',
-            headers: {
-                'AccessKey': process.env.BUNNY_API_KEY
-            }
-        };
-        
-        const req = https.request(options, (res) => {
-            if (res.statusCode === 200 || res.statusCode === 204 || res.statusCode === 404) {
-                // 404 is OK - file already deleted
-                resolve();
-            } else {
-                reject(new Error(`Failed to delete lock file: ${res.statusCode}`));
-            }
-        });
-        
-        req.on('error', reject);
-        req.end();
-    });
+export async function removeExpiredLock(lockData) {
+    const { error } = await getSupabaseClient()
+        .from(GENERATION_LOCKS_TABLE)
+        .delete()
+        .eq('lock_key', lockData.lockKey)
+        .eq('owner_id', lockData.ownerId)
+        .lt('expires_at', new Date().toISOString());
+
+    if (error) {
+        throw new Error(`Failed to remove lock ${lockData.lockKey}: ${error.message}`);
+    }
+}
+
+/**
+ * Lease key of a program
+ */
+function getLockKey(world, lmid, type, lang) {
+    return `${lang}-${world}-${lmid}-${type}`;
 }
 
 /**
@@ -325,4 +402,4 @@ async function deleteLockFile(lockPath) {
  */
 function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
-} 
\ No newline at end of file
+}
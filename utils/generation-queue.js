@@ -0,0 +1,249 @@
+/**
+ * utils/generation-queue.js - Generation Job Enqueueing
+ *
+ * PURPOSE: Create (or coalesce) the audio_generation_jobs row of one program and start it -
+ *          shared by api/combine-audio.js (one program) and api/bulk-generate.js (every program of an LMID)
+ * DEPENDENCIES: Supabase audio_generation_jobs table, utils/program-templates.js, utils/recordings-index.js
+ *
+ * COALESCING: at most one pending job per lmid/world/type/lang
+ * - pending job exists → merge the request into it (latest request wins, due now with a full
+ *   retry budget - attempts, next_attempt_at and error_message of earlier failures are reset)
+ * - processing job with identical segments → reuse it
+ * - processing job with different segments → queue exactly one follow-up job
+ * The unique index on pending jobs (supabase-migrations/add_job_coalescing_index.sql)
+ * makes concurrent inserts lose with 23505; the loser re-runs coalescing and merges
+ * A created job supersedes older pending jobs of its program (utils/job-cancellation.js)
+ *
+ * PROGRAM SETTINGS: every job stores the edition and question order it was requested with
+ * (supabase-migrations/add_job_program_settings.sql) - rebuilds (nightly, bulk) reuse those of the
+ * program's last completed job, so a teacher's "short" or "holiday" program stays that edition
+ *
+ * EXPORTED FUNCTIONS:
+ * - buildProgramSegments(request): Expand the program template for a set of recordings
+ * - enqueueProgramJob(supabase, request): { job, mode } - mode: created | follow-up | merged | identical
+ * - getProgramSettings(supabase, program): { edition, questionOrder } of the program's last completed job
+ * - triggerJobProcessing(baseUrl, jobId, triggeredBy): Start process-queue for a job (5s timeout, never throws)
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+import { resolveProgramTemplate, expandProgramTemplate, getDefaultEdition } from './program-templates.js';
+import { getAssetBaseUrl, getStorage } from './storage.js';
+import { countProgramRecordings } from './recordings-index.js';
+import { supersedeOlderJobs } from './job-cancellation.js';
+
+// Insert/merge rounds before giving up on a contended program
+const MAX_COALESCE_ATTEMPTS = 3;
+
+const TRIGGER_TIMEOUT_MS = 5000;
+
+/**
+ * Merge a generation request into an active job for the same program
+ * @param {Object} supabase - Supabase client
+ * @param {Object} jobKey - { lmid, world, lang, type }
+ * @param {Array} audioSegments - Segments of this request
+ * @param {number} fileCount - Recordings counted for this request
+ * @param {Object} settings - { edition, question_order } columns of this request
+ * @returns {Promise<Object>} { job, mode } when coalesced, { retry: true } when the
+ *   pending job was claimed meanwhile, otherwise { hasProcessingJob } (caller inserts)
+ */
+async function coalesceIntoActiveJob(supabase, jobKey, audioSegments, fileCount, settings) {
+    const { data: activeJobs, error } = await supabase
+        .from('audio_generation_jobs')
+        .select('id, status, file_count, audio_segments, created_at')
+        .match(jobKey)
+        .in('status', ['pending', 'processing'])
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        throw new Error(`Failed to look up active jobs: ${error.message}`);
+    }
+
+    const pendingJob = (activeJobs || []).find(activeJob => activeJob.status === 'pending');
+    const processingJob = (activeJobs || []).find(activeJob => activeJob.status === 'processing');
+
+    if (pendingJob) {
+        // Latest request wins: it carries the newest recordings. It is a fresh request, so a
+        // backoff and attempts left by earlier failures (of older segments) do not carry over
+        const { data: mergedJob } = await supabase
+            .from('audio_generation_jobs')
+            .update({
+                audio_segments: audioSegments,
+                file_count: fileCount,
+                ...settings,
+                planned_at: new Date().toISOString(), // Segments re-planned - see utils/program-planner.js
+                attempts: 0,
+                next_attempt_at: new Date().toISOString(),
+                error_message: null
+            })
+            .eq('id', pendingJob.id)
+            .eq('status', 'pending') // Not claimed in the meantime
+            .select('id, status')
+            .maybeSingle();
+
+        return mergedJob ? { job: mergedJob, mode: 'merged' } : { retry: true };
+    }
+
+    if (processingJob && processingJob.file_count === fileCount &&
+        JSON.stringify(processingJob.audio_segments) === JSON.stringify(audioSegments)) {
+        return { job: processingJob, mode: 'identical' };
+    }
+
+    return { hasProcessingJob: Boolean(processingJob) };
+}
+
+/**
+ * Expand the program template for a set of recordings
+ * Recording URLs may arrive signed - they are stored unsigned, process-queue signs them again
+ * right before downloading, so jobs and answer cache keys never carry expiring tokens
+ * @param {Object} request - { world, lang, type, recordings, edition, questionOrder }
+ * @returns {Promise<Array>} audioSegments
+ * @throws {Error} statusCode 400 for an unknown edition or unusable recordings
+ */
+export async function buildProgramSegments({ world, lang, type, recordings, edition, questionOrder }) {
+    const storage = getStorage();
+    const storedRecordings = recordings.map(recording => ({ ...recording, url: storage.unsignUrl(recording.url) }));
+    const role = type === 'kids' ? 'educators' : 'parents';
+    const template = await resolveProgramTemplate(edition || getDefaultEdition(), { world, lang, role });
+
+    return expandProgramTemplate(template, {
+        world,
+        lang,
+        role,
+        cdnBaseUrl: getAssetBaseUrl()
+    }, storedRecordings, questionOrder);
+}
+
+/**
+ * Create the job of a program, or coalesce into its active job
+ * @param {Object} supabase - Supabase client
+ * @param {Object} request - { lmid, world, lang, type, audioSegments, edition, questionOrder }
+ *   (edition and questionOrder as the segments were built with - stored for rebuilds)
+ * @returns {Promise<Object>} { job, mode, fileCount } - mode: 'created', 'follow-up' (queued behind
+ *   a running job - process-queue starts it), 'merged' (into the pending job) or 'identical' (running job)
+ * @throws {Error} statusCode 503 when the program stays contended
+ */
+export async function enqueueProgramJob(supabase, { lmid, world, lang, type, audioSegments, edition = null, questionOrder = null }) {
+    // Recordings used by this program, counted from the recordings table like utils/program-planner.js
+    const fileCount = await countProgramRecordings(audioSegments, type);
+    console.log(`📊 Counted ${fileCount} indexed ${type} recordings in this program`);
+
+    const jobKey = { lmid: lmid.toString(), world, lang, type };
+    const settings = {
+        edition: edition || null,
+        question_order: Array.isArray(questionOrder) ? questionOrder.map(String) : null
+    };
+
+    for (let attempt = 0; attempt < MAX_COALESCE_ATTEMPTS; attempt++) {
+        const coalesced = await coalesceIntoActiveJob(supabase, jobKey, audioSegments, fileCount, settings);
+
+        if (coalesced.job) {
+            console.log(`🔄 Coalesced request into ${coalesced.job.status} job ${coalesced.job.id} (${coalesced.mode})`);
+            return { job: coalesced.job, mode: coalesced.mode, fileCount };
+        }
+
+        if (coalesced.retry) {
+            continue; // Pending job was claimed while merging - look again
+        }
+
+        // Create job in Supabase with audio_segments for reliable processing
+        const { data: createdJob, error } = await supabase
+            .from('audio_generation_jobs')
+            .insert({
+                ...jobKey,
+                file_count: fileCount,
+                audio_segments: audioSegments,
+                ...settings
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                console.log('🔄 Concurrent request created the pending job first - coalescing again');
+                continue;
+            }
+            throw new Error(`Failed to create generation job: ${error.message}`);
+        }
+
+        const mode = coalesced.hasProcessingJob ? 'follow-up' : 'created';
+        console.log(`✅ Job created successfully: ${createdJob.id}${mode === 'follow-up' ? ' (follow-up)' : ''}`);
+
+        // Without the one-pending index (a database it was not applied to) older pending jobs would publish after this one
+        await supersedeOlderJobs(supabase, createdJob);
+        return { job: createdJob, mode, fileCount };
+    }
+
+    const error = new Error('Queue is busy for this program, please try again');
+    error.statusCode = 503;
+    throw error;
+}
+
+/**
+ * Edition and question order of a program's last completed job, for rebuilding it the same way
+ * @param {Object} supabase - Supabase client
+ * @param {Object} program - { lmid, world, lang, type }
+ * @returns {Promise<Object>} { edition, questionOrder } - null each for the defaults (or no completed job)
+ */
+export async function getProgramSettings(supabase, { lmid, world, lang, type }) {
+    const { data, error } = await supabase
+        .from('audio_generation_jobs')
+        .select('edition, question_order')
+        .match({ lmid: lmid.toString(), world, lang, type })
+        .eq('status', 'completed')
+        .order('completed_at', { ascending: false })
+        .limit(1);
+
+    if (error) {
+        throw new Error(`Failed to read program settings: ${error.message}`);
+    }
+
+    const lastJob = data?.[0];
+    return {
+        edition: lastJob?.edition || null,
+        questionOrder: Array.isArray(lastJob?.question_order) ? lastJob.question_order : null
+    };
+}
+
+/**
+ * Start process-queue for a job right away (no cron waiting)
+ * Waits at most TRIGGER_TIMEOUT_MS - a job that is not started stays queued for the cron
+ * @param {string} baseUrl - Deployment URL, e.g. https://little-microphones.vercel.app
+ * @param {string} jobId - Job to process
+ * @param {string} triggeredBy - Logged by process-queue
+ */
+export async function triggerJobProcessing(baseUrl, jobId, triggeredBy) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), TRIGGER_TIMEOUT_MS);
+
+    console.log(`⚡ Triggering processing for job ${jobId} (${triggeredBy})`);
+
+    await fetch(`${baseUrl}/api/process-queue`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Little-Microphones-Internal'
+        },
+        body: JSON.stringify({ specificJobId: jobId, triggeredBy }),
+        signal: controller.signal
+    })
+    .then(response => {
+        clearTimeout(timeoutId);
+        console.log(`📊 Processing trigger for job ${jobId} returned ${response.status}`);
+        if (response.status === 409) {
+            console.log(`⏳ Job ${jobId} is queued behind another job`);
+        } else if (!response.ok) {
+            console.warn(`⚠️ Processing trigger for job ${jobId} returned ${response.status}`);
+        }
+    })
+    .catch(err => {
+        clearTimeout(timeoutId);
+        if (err.name === 'AbortError') {
+            console.warn(`⏱️ Processing trigger timeout after ${TRIGGER_TIMEOUT_MS / 1000}s - job ${jobId} remains in queue`);
+        } else {
+            console.warn(`⚠️ Processing trigger failed for job ${jobId}: ${err.message}`);
+        }
+    });
+}
@@ -0,0 +1,222 @@
+/**
+ * utils/job-cancellation.js - Job Cancellation & Supersession
+ *
+ * PURPOSE: Stop generation jobs nobody needs any more - cancelled by their teacher, or superseded
+ *          by a newer job for the same program - so they neither waste a worker nor publish a
+ *          program older than the one already out
+ * DEPENDENCIES: Supabase audio_generation_jobs table (supabase-migrations/add_job_cancellation.sql)
+ *
+ * STATUSES:
+ * - cancelled: stopped by the LMID's teacher (api/cancel-job.js), cancelled_at/cancelled_by set
+ * - superseded: a newer job of the same lmid/world/type/lang replaces it, superseded_by set
+ * Both are terminal, like completed and dead
+ *
+ * STOPPING A RUNNING JOB:
+ * The job row changes status; process-queue notices through its cancellation watch - checked
+ * between segments and polled while FFmpeg runs - kills the running FFmpeg commands and
+ * removes its temp directory. Its lease is released and no retry is scheduled
+ * The worker can also abort the render itself through the watch (abort()) - e.g. when its
+ * generation lease was lost - without changing the job's status
+ *
+ * EXPORTED FUNCTIONS:
+ * - cancelJob(supabase, jobId, memberId): Cancel a pending or processing job
+ * - supersedeOlderJobs(supabase, job): Mark pending jobs of the program created before a job superseded
+ * - supersedeJob(supabase, job, newerJobId, guard): Mark one job superseded
+ * - createCancellationWatch(supabase, job): Notice a stopped job while it renders
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+// Terminal statuses of jobs that were stopped before they published anything
+export const STOPPED_STATUSES = ['cancelled', 'superseded'];
+
+// How often a rendering job re-reads its status while FFmpeg runs
+const WATCH_INTERVAL_MS = 3000;
+
+/**
+ * Cancel a pending or processing job
+ * A processing job stops at its next check - its worker cleans up
+ * @param {Object} supabase - Supabase client
+ * @param {string} jobId - Job to cancel
+ * @param {string} memberId - Teacher who cancelled
+ * @returns {Promise<Object|null>} Updated job row, or null when it was no longer active
+ */
+export async function cancelJob(supabase, jobId, memberId) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+        .from('audio_generation_jobs')
+        .update({
+            status: 'cancelled',
+            cancelled_at: now,
+            cancelled_by: memberId,
+            completed_at: now,
+            next_attempt_at: null,
+            error_message: 'Cancelled by the teacher'
+        })
+        .eq('id', jobId)
+        .in('status', ['pending', 'processing'])
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to cancel job: ${error.message}`);
+    }
+    return data;
+}
+
+/**
+ * Mark one job superseded by a newer job of its program
+ * @param {Object} supabase - Supabase client
+ * @param {Object} job - Job row with id
+ * @param {string|null} newerJobId - Job that replaces it
+ * @param {Object} guard - Extra column filters for the update (e.g. { status: 'processing', attempts })
+ * @returns {Promise<boolean>} Whether the row was updated
+ */
+export async function supersedeJob(supabase, job, newerJobId, guard = {}) {
+    let query = supabase
+        .from('audio_generation_jobs')
+        .update({
+            status: 'superseded',
+            superseded_by: newerJobId,
+            completed_at: new Date().toISOString(),
+            next_attempt_at: null,
+            error_message: newerJobId ? `Superseded by newer job ${newerJobId}` : 'Superseded by a newer job',
+            progress: null
+        })
+        .eq('id', job.id);
+
+    Object.entries(guard).forEach(([column, value]) => {
+        query = query.eq(column, value);
+    });
+
+    const { data, error } = await query.select('id');
+    if (error) {
+        throw new Error(`Failed to supersede job ${job.id}: ${error.message}`);
+    }
+    return data.length > 0;
+}
+
+/**
+ * Mark the pending jobs of a program created before a job superseded - they would render
+ * older recordings and, finishing later, replace the newer program
+ * @param {Object} supabase - Supabase client
+ * @param {Object} job - Newer job row { id, lmid, world, type, lang, created_at }
+ * @returns {Promise<Array<string>>} Superseded job ids
+ */
+export async function supersedeOlderJobs(supabase, job) {
+    const { data, error } = await supabase
+        .from('audio_generation_jobs')
+        .update({
+            status: 'superseded',
+            superseded_by: job.id,
+            completed_at: new Date().toISOString(),
+            next_attempt_at: null,
+            error_message: `Superseded by newer job ${job.id}`
+        })
+        .match({ lmid: job.lmid, world: job.world, type: job.type, lang: job.lang })
+        .eq('status', 'pending')
+        .lt('created_at', job.created_at)
+        .neq('id', job.id)
+        .select('id');
+
+    if (error) {
+        throw new Error(`Failed to supersede older jobs: ${error.message}`);
+    }
+
+    const ids = data.map(row => row.id);
+    if (ids.length > 0) {
+        console.log(`⏭️ Job ${job.id} superseded ${ids.length} older pending jobs: ${ids.join(', ')}`);
+    }
+    return ids;
+}
+
+/**
+ * Notice a stopped job while it renders
+ * check() re-reads the status (between segments); while FFmpeg runs the status is polled and
+ * tracked commands are killed as soon as the job stops
+ * @param {Object} supabase - Supabase client
+ * @param {Object} job - Claimed job row
+ * @returns {Object} { check(), track(command), abort(error), stoppedStatus(), stop() }
+ */
+export function createCancellationWatch(supabase, job) {
+    const commands = new Set();
+    let stoppedStatus = null;
+    let abortError = null;
+
+    const killCommands = () => {
+        commands.forEach(command => command.kill('SIGKILL'));
+        commands.clear();
+    };
+
+    const readStatus = async () => {
+        if (stoppedStatus) return;
+
+        const { data, error } = await supabase
+            .from('audio_generation_jobs')
+            .select('status')
+            .eq('id', job.id)
+            .maybeSingle();
+        if (error || !data) return; // A failed read must not stop the render
+
+        if (STOPPED_STATUSES.includes(data.status)) {
+            stoppedStatus = data.status;
+            console.log(`🛑 Job ${job.id} was ${stoppedStatus} - stopping the render`);
+            killCommands();
+        }
+    };
+
+    const interval = setInterval(() => {
+        readStatus().catch(error => console.warn(`⚠️ Cancellation check failed for job ${job.id}: ${error.message}`));
+    }, WATCH_INTERVAL_MS);
+
+    return {
+        /**
+         * Throw when the job was stopped (error.stoppedStatus set) or the render aborted
+         */
+        async check() {
+            if (abortError) throw abortError;
+            await readStatus();
+            if (stoppedStatus) {
+                const error = new Error(`Job ${job.id} was ${stoppedStatus}`);
+                error.stoppedStatus = stoppedStatus;
+                throw error;
+            }
+        },
+
+        /**
+         * Kill this FFmpeg command when the job stops
+         * @param {Object} command - fluent-ffmpeg command
+         * @returns {Object} The command
+         */
+        track(command) {
+            commands.add(command);
+            command
+                .on('start', () => {
+                    if (stoppedStatus || abortError) command.kill('SIGKILL');
+                })
+                .on('end', () => commands.delete(command))
+                .on('error', () => commands.delete(command));
+            return command;
+        },
+
+        /**
+         * Abort the render without a status change - running commands are killed, check() throws the error
+         * @param {Error} error - Why the render stops
+         */
+        abort(error) {
+            if (abortError) return;
+            abortError = error;
+            console.log(`🛑 Job ${job.id}: ${error.message} - stopping the render`);
+            killCommands();
+        },
+
+        stoppedStatus: () => stoppedStatus,
+
+        stop() {
+            clearInterval(interval);
+        }
+    };
+}
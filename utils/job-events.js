@@ -0,0 +1,126 @@
+/**
+ * utils/job-events.js - Job Change Events (adapter)
+ *
+ * PURPOSE: Push audio_generation_jobs changes to api/job-stream.js as they happen,
+ *          instead of every open stream re-querying the table every second
+ * DEPENDENCIES: Supabase Realtime (postgres_changes), supabase-migrations/enable_job_realtime.sql
+ *
+ * ADAPTER INTERFACE:
+ * - subscribe(scope, onJob, onError): Promise<unsubscribe> - resolves once events flow
+ *   scope: { jobIds: [uuid] } or { lmid }
+ *   onJob(jobRow): Called with the full row after every insert or update in scope
+ *   onError(error): The subscription broke after it was established
+ *
+ * BACKENDS (JOB_EVENTS_BACKEND):
+ * - supabase (default): Supabase Realtime over a websocket, one channel per subscription
+ * A Postgres LISTEN/NOTIFY backend fits the same interface (a trigger NOTIFYing the job id)
+ *
+ * EXPORTED FUNCTIONS:
+ * - getJobEvents(): Adapter for the configured backend (cached per function instance)
+ * - createSupabaseJobEvents(): Supabase Realtime backend
+ * - fetchJobs(scope): Current rows in scope - the snapshot a new subscriber starts from
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+import { getSupabaseClient } from './database-utils.js';
+
+const JOBS_TABLE = 'audio_generation_jobs';
+const ACTIVE_STATUSES = ['pending', 'processing'];
+
+// Realtime filters accept at most 100 values in an in() filter
+export const MAX_SUBSCRIBED_JOBS = 100;
+
+let cachedJobEvents = null;
+
+/**
+ * Realtime filter for a scope
+ */
+function buildFilter({ jobIds, lmid }) {
+    return jobIds ? `id=in.(${jobIds.join(',')})` : `lmid=eq.${lmid}`;
+}
+
+/**
+ * Supabase Realtime backend
+ * One client per function instance - every subscription is a channel on its websocket
+ * @returns {Object} Job events adapter
+ */
+export function createSupabaseJobEvents() {
+    const supabase = getSupabaseClient();
+    let channelCounter = 0;
+
+    async function subscribe(scope, onJob, onError = () => {}) {
+        const channel = supabase.channel(`jobs-${Date.now()}-${++channelCounter}`);
+        let established = false;
+
+        channel.on('postgres_changes', { event: '*', schema: 'public', table: JOBS_TABLE, filter: buildFilter(scope) }, (payload) => {
+            // Deletes carry no row to report
+            if (payload.new && payload.new.id) {
+                onJob(payload.new);
+            }
+        });
+
+        await new Promise((resolve, reject) => {
+            channel.subscribe((status, error) => {
+                if (status === 'SUBSCRIBED') {
+                    established = true;
+                    resolve();
+                } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                    const failure = new Error(`Job events subscription ${status.toLowerCase()}${error ? `: ${error.message}` : ''}`);
+                    if (established) {
+                        onError(failure);
+                    } else {
+                        reject(failure);
+                    }
+                }
+            });
+        }).catch(async (error) => {
+            await supabase.removeChannel(channel);
+            throw error;
+        });
+
+        return async () => {
+            await supabase.removeChannel(channel);
+        };
+    }
+
+    return { backend: 'supabase', subscribe };
+}
+
+/**
+ * Adapter for the configured backend
+ * @returns {Object} Job events adapter
+ */
+export function getJobEvents() {
+    if (cachedJobEvents) {
+        return cachedJobEvents;
+    }
+
+    const backend = (process.env.JOB_EVENTS_BACKEND || 'supabase').toLowerCase();
+    if (backend !== 'supabase') {
+        throw new Error(`Unknown JOB_EVENTS_BACKEND: ${backend}`);
+    }
+
+    cachedJobEvents = createSupabaseJobEvents();
+    return cachedJobEvents;
+}
+
+/**
+ * Current rows in scope - by jobIds every row, by LMID only jobs still pending or processing
+ * @param {Object} scope - { jobIds } or { lmid }
+ * @returns {Promise<Array>} Job rows
+ */
+export async function fetchJobs(scope) {
+    let query = getSupabaseClient().from(JOBS_TABLE).select('*');
+    query = scope.jobIds
+        ? query.in('id', scope.jobIds)
+        : query.eq('lmid', scope.lmid).in('status', ACTIVE_STATUSES);
+
+    const { data, error } = await query.order('created_at', { ascending: true });
+    if (error) {
+        throw new Error(`Failed to fetch jobs: ${error.message}`);
+    }
+    return data;
+}
@@ -0,0 +1,220 @@
+/**
+ * utils/nightly-rebuild.js - Scheduled Program Rebuilds
+ *
+ * PURPOSE: Generate programs with new recordings overnight, so the first parent to open the radio
+ *          page finds a ready program instead of waiting for the generation
+ * DEPENDENCIES: utils/program-planner.js (stale programs), utils/generation-queue.js (jobs)
+ *
+ * QUIET WINDOW:
+ * Runs only inside NIGHTLY_REBUILD_WINDOW (UTC, "HH:MM-HH:MM", may wrap midnight, default 01:00-05:00)
+ * unless forced - the vercel.json cron calls the route every 15 minutes of the window
+ *
+ * CONCURRENCY BUDGET:
+ * Each run tops the queue up to NIGHTLY_REBUILD_CONCURRENCY active jobs (pending + processing, default 2),
+ * counting jobs started by teachers and parents too, so the queue never fills with rebuilds.
+ * Programs over budget are deferred to the next run of the window
+ *
+ * CHANGE DETECTION:
+ * findStalePrograms() - recordings created in the last NIGHTLY_REBUILD_LOOKBACK_DAYS (default 7)
+ * after the last completed job of their program. Programs with an active job are left to that job
+ *
+ * FAILED REBUILDS:
+ * A program whose newest job since its last completion is dead, failed or cancelled is skipped ('failed-rebuild')
+ * for NIGHTLY_REBUILD_FAILURE_BACKOFF_HOURS (default 24) after that job ended - at most one retry a night
+ * instead of one every run - unless recordings arrived after the failed job was planned. A job the
+ * teacher cancelled backs off the same way, so the next run does not queue it again
+ *
+ * USAGE:
+ * - api/nightly-rebuild.js (protected route, cron)
+ * - scripts/nightly-rebuild.js (local runs)
+ *
+ * EXPORTED FUNCTIONS:
+ * - isInQuietWindow(date, window): Whether a time falls inside the quiet window
+ * - runNightlyRebuild(options): Enqueue stale programs within the budget, report what happened
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+import { getSupabaseClient } from './database-utils.js';
+import { findStalePrograms, planLmidPrograms } from './program-planner.js';
+import { buildProgramSegments, enqueueProgramJob, getProgramSettings, triggerJobProcessing } from './generation-queue.js';
+
+const DEFAULT_WINDOW = '01:00-05:00';
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_LOOKBACK_DAYS = 7;
+const DEFAULT_FAILURE_BACKOFF_HOURS = 24;
+
+const WINDOW_PATTERN = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/;
+
+/**
+ * Positive integer from the environment, or the default
+ */
+function readPositiveInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Whether a time falls inside the quiet window
+ * @param {Date} date - Time to check (compared in UTC)
+ * @param {string} window - "HH:MM-HH:MM", e.g. "22:30-04:00" wraps midnight
+ * @returns {boolean} True inside the window
+ * @throws {Error} For a malformed window
+ */
+export function isInQuietWindow(date, window) {
+    const match = WINDOW_PATTERN.exec(window);
+    if (!match) {
+        throw new Error(`Invalid quiet window "${window}" - expected HH:MM-HH:MM`);
+    }
+
+    const start = Number(match[1]) * 60 + Number(match[2]);
+    const end = Number(match[3]) * 60 + Number(match[4]);
+    const minutes = date.getUTCHours() * 60 + date.getUTCMinutes();
+
+    return start <= end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+/**
+ * Program key shared by jobs and stale programs
+ */
+function programKey({ lmid, world, lang, type }) {
+    return `${lang}/${lmid}/${world}/${type}`;
+}
+
+/**
+ * Whether a program's failed rebuild is still backing off
+ * @param {Object|null} failedJob - failedJob of a stale program (findStalePrograms)
+ * @param {Date} now - Current time
+ * @param {number} backoffHours - Hours after the failure before a retry
+ * @returns {boolean} True while the program should be skipped
+ */
+function isBackingOff(failedJob, now, backoffHours) {
+    if (!failedJob || failedJob.newRecordingsSince > 0) return false;
+    const failedAt = new Date(failedJob.completedAt || failedJob.createdAt).getTime();
+    return now.getTime() - failedAt < backoffHours * 60 * 60 * 1000;
+}
+
+/**
+ * Programs with a pending or processing job
+ */
+async function fetchActiveJobs(supabase) {
+    const { data, error } = await supabase
+        .from('audio_generation_jobs')
+        .select('lmid, world, lang, type')
+        .in('status', ['pending', 'processing']);
+    if (error) {
+        throw new Error(`Failed to read active jobs: ${error.message}`);
+    }
+    return data;
+}
+
+/**
+ * Enqueue the programs with new recordings, within the quiet window and the concurrency budget
+ * @param {Object} options
+ * @param {Date} options.now - Current time (default: now)
+ * @param {boolean} options.force - Run outside the quiet window
+ * @param {boolean} options.dryRun - Report what would be enqueued without writing
+ * @param {string} options.lang - Only this language
+ * @param {string} options.lmid - Only this LMID
+ * @param {string} options.baseUrl - Deployment URL to start new jobs right away; without it the
+ *   process-queue cron picks them up
+ * @returns {Promise<Object>} { dryRun, window, inWindow, concurrency, activeJobs, stale, enqueued, deferred, skipped, errors }
+ */
+export async function runNightlyRebuild({ now = new Date(), force = false, dryRun = false, lang, lmid, baseUrl = null } = {}) {
+    const window = process.env.NIGHTLY_REBUILD_WINDOW || DEFAULT_WINDOW;
+    const concurrency = readPositiveInt('NIGHTLY_REBUILD_CONCURRENCY', DEFAULT_CONCURRENCY);
+    const lookbackDays = readPositiveInt('NIGHTLY_REBUILD_LOOKBACK_DAYS', DEFAULT_LOOKBACK_DAYS);
+    const backoffHours = readPositiveInt('NIGHTLY_REBUILD_FAILURE_BACKOFF_HOURS', DEFAULT_FAILURE_BACKOFF_HOURS);
+
+    const report = {
+        dryRun,
+        window,
+        inWindow: isInQuietWindow(now, window),
+        concurrency,
+        activeJobs: 0,
+        stale: 0,
+        enqueued: [],
+        deferred: [],
+        skipped: [],
+        errors: []
+    };
+
+    if (!report.inWindow && !force) {
+        console.log(`🌙 Nightly rebuild: ${now.toISOString()} is outside the quiet window ${window} UTC - nothing to do`);
+        return report;
+    }
+
+    const supabase = getSupabaseClient();
+    const since = new Date(now.getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+    const stalePrograms = await findStalePrograms(supabase, { since, lang, lmid });
+    const activeJobs = await fetchActiveJobs(supabase);
+    const activeKeys = new Set(activeJobs.map(programKey));
+
+    report.stale = stalePrograms.length;
+    report.activeJobs = activeJobs.length;
+    let slots = Math.max(0, concurrency - activeJobs.length);
+
+    console.log(`🌙 Nightly rebuild: ${stalePrograms.length} stale programs, ${activeJobs.length} active jobs, ${slots} free slots${dryRun ? ' (dry run)' : ''}`);
+
+    // One plan per LMID and language - its recordings serve every world and type
+    const plans = new Map();
+
+    for (const program of stalePrograms) {
+        const entry = { lmid: program.lmid, world: program.world, lang: program.lang, type: program.type, newRecordings: program.newRecordings };
+
+        if (activeKeys.has(programKey(program))) {
+            report.skipped.push({ ...entry, reason: 'already-queued' });
+            continue;
+        }
+        if (isBackingOff(program.failedJob, now, backoffHours)) {
+            report.skipped.push({ ...entry, reason: 'failed-rebuild', failedJobId: program.failedJob.id, failedStatus: program.failedJob.status });
+            continue;
+        }
+        if (slots === 0) {
+            report.deferred.push(entry);
+            continue;
+        }
+        if (dryRun) {
+            report.enqueued.push(entry);
+            slots--;
+            continue;
+        }
+
+        // One failing program does not stop the others
+        try {
+            const planKey = `${program.lang}/${program.lmid}`;
+            if (!plans.has(planKey)) {
+                plans.set(planKey, await planLmidPrograms(supabase, program.lmid, { lang: program.lang }));
+            }
+            const planned = plans.get(planKey).find(candidate => candidate.world === program.world && candidate.type === program.type);
+            if (!planned || planned.recordingCount === 0) {
+                report.skipped.push({ ...entry, reason: 'no-recordings' });
+                continue;
+            }
+
+            // Same edition and question order as the program's last version
+            const settings = await getProgramSettings(supabase, program);
+            const audioSegments = await buildProgramSegments({ ...planned, ...settings });
+            const { job, mode } = await enqueueProgramJob(supabase, { ...planned, ...settings, lmid: program.lmid, audioSegments });
+            report.enqueued.push({ ...entry, jobId: job.id, mode });
+            activeKeys.add(programKey(program));
+
+            if (mode === 'created' || mode === 'follow-up') {
+                slots--;
+            }
+            if (mode === 'created' && baseUrl) {
+                await triggerJobProcessing(baseUrl, job.id, 'nightly-rebuild');
+            }
+        } catch (error) {
+            console.error(`❌ Nightly rebuild: Failed to enqueue ${programKey(program)}:`, error.message);
+            report.errors.push({ ...entry, error: error.message });
+        }
+    }
+
+    console.log(`✅ Nightly rebuild: ${report.enqueued.length} enqueued, ${report.deferred.length} deferred, ${report.skipped.length} skipped, ${report.errors.length} errors`);
+    return report;
+}
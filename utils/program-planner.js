@@ -0,0 +1,273 @@
+/**
+ * utils/program-planner.js - Program Generation Planning
+ *
+ * PURPOSE: Decide which radio programs of an LMID are out of date, and with which recordings
+ *          they would be generated - shared by the radio page, bulk generation and nightly rebuilds
+ * DEPENDENCIES: Supabase audio_generation_jobs + recordings tables, utils/recordings-index.js
+ *
+ * CHANGE DETECTION (needsNewProgram):
+ * - A program type needs a new program when the LMID/world/lang has more uploaded recordings of that
+ *   role than the last completed job of that type was built from (job file_count)
+ * - Both counts come from the recordings table (utils/recordings-index.js)
+ *
+ * STALE PROGRAMS (findStalePrograms):
+ * - A program is stale when it has uploaded recordings created after the segments of its last
+ *   completed job were planned (planned_at - set at creation and on every merged request,
+ *   supabase-migrations/add_job_planned_at.sql), or was never generated
+ * - Only recordings created since options.since are looked at, and only LMIDs in use
+ * - The newest job since the last completion is returned when it failed (dead or failed) or a teacher
+ *   cancelled it (cancelled - a rebuild would undo the cancellation), with the
+ *   count of recordings created after it, so callers can back off instead of rebuilding it again
+ *
+ * EXPORTED FUNCTIONS:
+ * - needsNewProgram(currentRecordings, supabase, world, lmid, lang): { needsKids, needsParent, counts... }
+ * - planLmidPrograms(supabase, lmid, options): Every world/lang/type of an LMID with its need and recordings
+ * - findStalePrograms(supabase, options): Programs of every LMID with recordings newer than their last completed job
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+import { WORLDS } from './lmid-utils.js';
+import { getStorage } from './storage.js';
+import { listIndexedRecordings, RECORDINGS_TABLE, RECORDING_STATUS } from './recordings-index.js';
+
+const PROGRAM_TYPES = ['kids', 'parent'];
+
+// Rows per page when scanning recent recordings
+const RECORDINGS_PAGE_SIZE = 1000;
+
+// Keep .in() filters well below the URL length limit
+const LMID_BATCH_SIZE = 200;
+
+/**
+ * file_count of the last completed job of a program (0 when it was never generated)
+ */
+async function getLastCompletedFileCount(supabase, { lmid, world, lang, type }) {
+    const { data, error } = await supabase
+        .from('audio_generation_jobs')
+        .select('file_count')
+        .eq('lmid', lmid.toString())
+        .eq('world', world)
+        .eq('type', type)
+        .eq('lang', lang)
+        .eq('status', 'completed')
+        .order('completed_at', { ascending: false })
+        .limit(1);
+
+    if (error) {
+        throw new Error(`Failed to read last completed ${type} job: ${error.message}`);
+    }
+    return data?.[0]?.file_count || 0;
+}
+
+/**
+ * Check if new program generation is needed by comparing recording counts
+ * Counts come from the recordings table (role column) - the job file_count
+ * they are compared with is counted from the same table (utils/recordings-index.js)
+ * @param {Array} currentRecordings - Current recordings with role ('kids' or 'parent')
+ * @param {Object} supabase - Supabase client for job queries
+ * @param {string} world - World identifier
+ * @param {string} lmid - LMID number
+ * @param {string} lang - Language code (en/pl)
+ * @returns {Promise<Object>} Object with needsKids and needsParent flags
+ */
+export async function needsNewProgram(currentRecordings, supabase, world, lmid, lang) {
+    const currentKidsCount = currentRecordings.filter(recording => recording.role === 'kids').length;
+    const currentParentCount = currentRecordings.filter(recording => recording.role === 'parent').length;
+
+    console.log(`📊 Found ${currentKidsCount} kids recordings, ${currentParentCount} parent recordings in ${lang}/${world}/${lmid}`);
+
+    const previousKidsCount = await getLastCompletedFileCount(supabase, { lmid, world, lang, type: 'kids' });
+    const previousParentCount = await getLastCompletedFileCount(supabase, { lmid, world, lang, type: 'parent' });
+
+    // Simple comparison: generate if current count > previous count
+    const needsKids = currentKidsCount > previousKidsCount;
+    const needsParent = currentParentCount > previousParentCount;
+
+    console.log(`🔍 KIDS ANALYSIS: Current=${currentKidsCount}, Previous=${previousKidsCount}, Needs=${needsKids}`);
+    console.log(`🔍 PARENT ANALYSIS: Current=${currentParentCount}, Previous=${previousParentCount}, Needs=${needsParent}`);
+
+    return {
+        needsKids,
+        needsParent,
+        kidsCount: currentKidsCount,
+        parentCount: currentParentCount,
+        hasKidsRecordings: currentKidsCount > 0,
+        hasParentRecordings: currentParentCount > 0
+    };
+}
+
+/**
+ * Every program of an LMID: world x language (with recordings) x type
+ * @param {Object} supabase - Supabase client
+ * @param {string|number} lmid - LMID number
+ * @param {Object} options - { lang } narrows to one language
+ * @returns {Promise<Array>} [{ world, lang, type, needed, recordingCount, recordings }]
+ *   recordings: combine-audio payload [{ url, filename, questionId, duration }] (unsigned URLs)
+ */
+export async function planLmidPrograms(supabase, lmid, { lang } = {}) {
+    const storage = getStorage();
+    const rows = await listIndexedRecordings({ lmid, lang });
+
+    // Group the LMID's recordings by lang/world
+    const groups = new Map();
+    rows.forEach(row => {
+        if (!WORLDS.includes(row.world)) return;
+        const key = `${row.lang}/${row.world}`;
+        if (!groups.has(key)) {
+            groups.set(key, { lang: row.lang, world: row.world, recordings: [] });
+        }
+        groups.get(key).recordings.push({
+            url: storage.publicUrl(row.storage_key),
+            filename: row.filename,
+            questionId: String(row.question_id),
+            duration: row.duration_seconds !== null ? Number(row.duration_seconds) : null,
+            role: row.role
+        });
+    });
+
+    const plan = [];
+    for (const group of groups.values()) {
+        const needs = await needsNewProgram(group.recordings, supabase, group.world, String(lmid), group.lang);
+
+        PROGRAM_TYPES.forEach(type => {
+            const recordings = group.recordings
+                .filter(recording => recording.role === type)
+                .map(({ role, ...recording }) => recording);
+
+            plan.push({
+                world: group.world,
+                lang: group.lang,
+                type,
+                needed: type === 'kids' ? needs.needsKids : needs.needsParent,
+                recordingCount: recordings.length,
+                recordings
+            });
+        });
+    }
+
+    // Dashboard order: worlds as listed in WORLDS
+    return plan.sort((a, b) => WORLDS.indexOf(a.world) - WORLDS.indexOf(b.world) || a.lang.localeCompare(b.lang) || a.type.localeCompare(b.type));
+}
+
+/**
+ * Uploaded recordings created since a date, grouped by program (lmid/world/lang/role)
+ */
+async function groupRecentRecordings(supabase, { since, lang, lmid }) {
+    const programs = new Map();
+
+    for (let offset = 0; ; offset += RECORDINGS_PAGE_SIZE) {
+        let query = supabase
+            .from(RECORDINGS_TABLE)
+            .select('lmid, world, lang, role, created_at')
+            .eq('status', RECORDING_STATUS.uploaded)
+            .gte('created_at', since.toISOString());
+        if (lang) query = query.eq('lang', lang);
+        if (lmid) query = query.eq('lmid', parseInt(lmid, 10));
+
+        const { data, error } = await query
+            .order('created_at', { ascending: true })
+            .order('id')
+            .range(offset, offset + RECORDINGS_PAGE_SIZE - 1);
+        if (error) {
+            throw new Error(`Failed to read recent recordings: ${error.message}`);
+        }
+
+        data.filter(row => WORLDS.includes(row.world)).forEach(row => {
+            const key = `${row.lang}/${row.lmid}/${row.world}/${row.role}`;
+            if (!programs.has(key)) {
+                programs.set(key, { lmid: String(row.lmid), world: row.world, lang: row.lang, type: row.role, createdAt: [] });
+            }
+            programs.get(key).createdAt.push(row.created_at);
+        });
+
+        if (data.length < RECORDINGS_PAGE_SIZE) break;
+    }
+
+    return [...programs.values()];
+}
+
+/**
+ * Programs with recordings created after the segments of their last completed job were planned
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options - { since: Date (required), lang, lmid } narrow the scan
+ * @returns {Promise<Array>} [{ lmid, world, lang, type, newRecordings, oldestNewRecordingAt, lastCompletedAt,
+ *   failedJob: { id, status, createdAt, completedAt, newRecordingsSince } | null }], longest waiting first
+ */
+export async function findStalePrograms(supabase, { since, lang, lmid } = {}) {
+    const candidates = await groupRecentRecordings(supabase, { since, lang, lmid });
+    if (candidates.length === 0) return [];
+
+    // Deleted or unassigned LMIDs keep their rows until the reconciler runs
+    const lmids = [...new Set(candidates.map(candidate => Number(candidate.lmid)))];
+    const inUse = new Set();
+    for (let i = 0; i < lmids.length; i += LMID_BATCH_SIZE) {
+        const { data, error } = await supabase
+            .from('lmids')
+            .select('lmid, status')
+            .in('lmid', lmids.slice(i, i + LMID_BATCH_SIZE));
+        if (error) {
+            throw new Error(`Failed to read lmids: ${error.message}`);
+        }
+        data.filter(row => row.status === 'used').forEach(row => inUse.add(String(row.lmid)));
+    }
+
+    const stale = [];
+    for (const candidate of candidates.filter(candidate => inUse.has(candidate.lmid))) {
+        const { data: jobs, error: jobError } = await supabase
+            .from('audio_generation_jobs')
+            .select('planned_at, created_at, completed_at')
+            .match({ lmid: candidate.lmid, world: candidate.world, lang: candidate.lang, type: candidate.type })
+            .eq('status', 'completed')
+            .order('completed_at', { ascending: false })
+            .limit(1);
+        if (jobError) {
+            throw new Error(`Failed to read last completed ${candidate.type} job: ${jobError.message}`);
+        }
+
+        const lastJob = jobs[0];
+        const builtFrom = lastJob ? new Date(lastJob.planned_at || lastJob.created_at) : null;
+        const newRecordings = candidate.createdAt.filter(createdAt => !builtFrom || new Date(createdAt) > builtFrom);
+        if (newRecordings.length === 0) continue;
+
+        // Newest job since that completion - a dead or failed one means rebuilding failed already,
+        // a cancelled one that a teacher stopped it
+        let newestQuery = supabase
+            .from('audio_generation_jobs')
+            .select('id, status, planned_at, created_at, completed_at')
+            .match({ lmid: candidate.lmid, world: candidate.world, lang: candidate.lang, type: candidate.type });
+        if (lastJob) newestQuery = newestQuery.gt('created_at', lastJob.created_at);
+        const { data: newestJobs, error: newestError } = await newestQuery
+            .order('created_at', { ascending: false })
+            .limit(1);
+        if (newestError) {
+            throw new Error(`Failed to read newest ${candidate.type} job: ${newestError.message}`);
+        }
+
+        const newestJob = newestJobs[0];
+        const failedJob = newestJob && ['dead', 'failed', 'cancelled'].includes(newestJob.status)
+            ? {
+                id: newestJob.id,
+                status: newestJob.status,
+                createdAt: newestJob.created_at,
+                completedAt: newestJob.completed_at,
+                newRecordingsSince: candidate.createdAt.filter(createdAt => new Date(createdAt) > new Date(newestJob.planned_at || newestJob.created_at)).length
+            }
+            : null;
+
+        stale.push({
+            lmid: candidate.lmid,
+            world: candidate.world,
+            lang: candidate.lang,
+            type: candidate.type,
+            newRecordings: newRecordings.length,
+            oldestNewRecordingAt: newRecordings[0],
+            lastCompletedAt: lastJob ? lastJob.completed_at : null,
+            failedJob
+        });
+    }
+
+    return stale.sort((a, b) => new Date(a.oldestNewRecordingAt) - new Date(b.oldestNewRecordingAt));
+}
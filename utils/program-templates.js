@@ -0,0 +1,347 @@
+/**
+ * utils/program-templates.js - Declarative Radio Program Templates
+ *
+ * PURPOSE: Load, validate and expand the JSON program templates in /program-templates
+ *          into the audioSegments consumed by process-queue.js
+ * DEPENDENCIES: Node fs (templates are bundled via includeFiles in vercel.json)
+ *
+ * EXPORTED FUNCTIONS:
+ * - resolveProgramTemplate(): Pick the template for an edition, world, language and role
+ * - validateProgramTemplate(): List the problems of a parsed template (empty when valid)
+ * - expandProgramTemplate(): Turn a template plus recordings into audioSegments
+ * - getDefaultEdition(): Edition used when a request names none (PROGRAM_EDITION env)
+ *
+ * TEMPLATE FORMAT (one JSON file per template):
+ * {
+ *   "edition": "short",                         // Name requested by clients
+ *   "match": { "worlds": ["*"], "langs": ["*"], "roles": ["*"] },
+ *   "background": "audio/{world}/other/{world}-background.mp3" | null,  // Bed under the whole program
+ *   "sequence": [
+ *     { "type": "audio", "src": "audio/jingles/intro-jingle.mp3", "background": "..." },
+ *     { "type": "silence", "duration": 1 },
+ *     { "type": "questions", "each": [ { "type": "prompt" }, { "type": "answers", "limit": 3 } ] }
+ *   ]
+ * }
+ *
+ * ITEMS:
+ * - audio: static file from the CDN (language folder prepended)
+ * - silence: generated silence, 0-10 seconds
+ * - questions: top level, exactly once - "each" is expanded per question (numeric order)
+ * - prompt: the question prompt (inside "each", may appear more than once to repeat it)
+ * - answers: the question's recordings, first recorded first (inside "each", exactly once)
+ *   With a "limit" only the first answers are rendered, but plannedUrls keeps them all - the job
+ *   file_count counts every recording the program was planned from, or it would never catch up
+ *   with the uploaded count (utils/program-planner.js)
+ * Any audio, silence or answers item may set "background" - a bed under that section only
+ *
+ * PLACEHOLDERS: {world}, {lang}, {role} (educators/parents), {questionId} (inside "each" only)
+ *
+ * RESOLUTION: Of the templates with the requested edition whose match covers the
+ * world, language and role, the most specific one wins ("*" matches everything),
+ * so a world can override an edition by adding e.g. program-templates/default-spookyland.json
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+import fs from 'fs/promises';
+
+const TEMPLATES_DIR = new URL('../program-templates/', import.meta.url);
+
+const PROMPT_SRC = 'audio/{world}/questions/{world}-QID{questionId}.mp3';
+const MAX_SILENCE_SECONDS = 10;
+const TOP_LEVEL_ITEMS = ['audio', 'silence', 'questions'];
+const QUESTION_ITEMS = ['audio', 'silence', 'prompt', 'answers'];
+const MATCH_KEYS = ['worlds', 'langs', 'roles'];
+
+// Parsed templates, loaded once per function instance
+let templatesPromise = null;
+
+/**
+ * Edition used when a request does not name one
+ * @returns {string} Edition name
+ */
+export function getDefaultEdition() {
+    return process.env.PROGRAM_EDITION || 'default';
+}
+
+/**
+ * Pick the template for a program
+ * @param {string} edition - Edition name (e.g. "default", "short", "holiday")
+ * @param {Object} context - { world, lang, role } with role 'educators' or 'parents'
+ * @returns {Promise<Object>} Template
+ * @throws {Error} statusCode 400 when no template of the edition covers the program
+ */
+export async function resolveProgramTemplate(edition, { world, lang, role }) {
+    const templates = await loadProgramTemplates();
+    const values = { worlds: world, langs: lang, roles: role };
+
+    const candidates = templates
+        .filter(template => template.edition === edition)
+        .filter(template => MATCH_KEYS.every(key => matchesValue(template.match?.[key], values[key])))
+        .sort((a, b) => getSpecificity(b) - getSpecificity(a));
+
+    if (candidates.length === 0) {
+        const error = new Error(`No "${edition}" program template for ${lang}/${world} (${role})`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return candidates[0];
+}
+
+/**
+ * Validate a parsed template
+ * @param {Object} template - Parsed template JSON
+ * @returns {Array<string>} Problems found (empty when the template is valid)
+ */
+export function validateProgramTemplate(template) {
+    const problems = [];
+
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        return ['Template must be a JSON object'];
+    }
+
+    if (typeof template.edition !== 'string' || !/^[a-z0-9-]+$/.test(template.edition)) {
+        problems.push('"edition" must be a lowercase name (a-z, 0-9, -)');
+    }
+
+    if (template.match !== undefined) {
+        MATCH_KEYS.forEach(key => {
+            const values = template.match[key];
+            if (values !== undefined && (!Array.isArray(values) || values.some(value => typeof value !== 'string'))) {
+                problems.push(`"match.${key}" must be an array of strings`);
+            }
+        });
+    }
+
+    if (template.background !== undefined && template.background !== null) {
+        problems.push(...validateSourcePath(template.background, 'background', false));
+    }
+
+    if (!Array.isArray(template.sequence) || template.sequence.length === 0) {
+        problems.push('"sequence" must be a non-empty array');
+        return problems;
+    }
+
+    const questionBlocks = template.sequence.filter(item => item?.type === 'questions');
+    if (questionBlocks.length !== 1) {
+        problems.push('"sequence" must contain exactly one "questions" item');
+    }
+
+    template.sequence.forEach((item, index) => {
+        problems.push(...validateItem(item, `sequence[${index}]`, TOP_LEVEL_ITEMS, false));
+
+        if (item?.type === 'questions') {
+            if (!Array.isArray(item.each) || item.each.length === 0) {
+                problems.push(`sequence[${index}].each must be a non-empty array`);
+                return;
+            }
+
+            if (item.each.filter(child => child?.type === 'answers').length !== 1) {
+                problems.push(`sequence[${index}].each must contain exactly one "answers" item`);
+            }
+
+            item.each.forEach((child, childIndex) => {
+                problems.push(...validateItem(child, `sequence[${index}].each[${childIndex}]`, QUESTION_ITEMS, true));
+            });
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Expand a template into audioSegments
+ * @param {Object} template - Validated template
+ * @param {Object} context - { world, lang, role, cdnBaseUrl }
+ * @param {Array} recordings - [{ url, filename, questionId, duration }]
+ * @param {Array<string>} questionOrder - Optional question order (defaults to numeric)
+ * @returns {Array} audioSegments (a leading { type: 'background' } carries the program bed)
+ */
+export function expandProgramTemplate(template, context, recordings, questionOrder = null) {
+    const { world, lang, role, cdnBaseUrl } = context;
+    const cacheBust = Date.now();
+    const audioSegments = [];
+
+    const toUrl = (src, questionId = null) => {
+        const assetPath = fillPlaceholders(src, { world, lang, role, questionId });
+        return `${cdnBaseUrl}/${lang}/${assetPath}?t=${cacheBust}`;
+    };
+    const withBed = (segment, item, questionId = null) => (
+        item.background ? { ...segment, bedUrl: toUrl(item.background, questionId) } : segment
+    );
+
+    const recordingsByQuestion = groupByQuestion(recordings);
+    const questionIds = orderQuestions(Object.keys(recordingsByQuestion), questionOrder);
+
+    if (template.background) {
+        audioSegments.push({ type: 'background', url: toUrl(template.background) });
+    }
+
+    template.sequence.forEach(item => {
+        if (item.type === 'audio') {
+            audioSegments.push(withBed({ type: 'single', url: toUrl(item.src) }, item));
+        } else if (item.type === 'silence') {
+            audioSegments.push(withBed({ type: 'silence', duration: item.duration }, item));
+        } else if (item.type === 'questions') {
+            questionIds.forEach(questionId => {
+                item.each.forEach(child => {
+                    if (child.type === 'audio') {
+                        audioSegments.push(withBed({ type: 'single', url: toUrl(child.src, questionId) }, child, questionId));
+                    } else if (child.type === 'silence') {
+                        audioSegments.push(withBed({ type: 'silence', duration: child.duration }, child, questionId));
+                    } else if (child.type === 'prompt') {
+                        audioSegments.push({ type: 'single', url: toUrl(PROMPT_SRC, questionId) });
+                    } else if (child.type === 'answers') {
+                        const answers = recordingsByQuestion[questionId].slice(0, child.limit || undefined);
+                        audioSegments.push(withBed({
+                            type: 'combine_with_background',
+                            answerUrls: answers.map(recording => recording.url),
+                            answerDurations: answers.map(recording => recording.duration ?? null), // Upload-time analysis (null if not analyzed)
+                            plannedUrls: recordingsByQuestion[questionId].map(recording => recording.url), // Before the limit - job file_count
+                            questionId: questionId
+                        }, child, questionId));
+                    }
+                });
+            });
+        }
+    });
+
+    console.log(`🎼 Expanded "${template.edition}" template: ${audioSegments.length} segments for ${world} (${role}) with ${questionIds.length} questions`);
+    return audioSegments;
+}
+
+/**
+ * Read and validate every template file
+ * @returns {Promise<Array>} Parsed templates
+ * @throws {Error} When a template file is invalid (a broken template must not ship silently)
+ */
+async function loadProgramTemplates() {
+    if (!templatesPromise) {
+        templatesPromise = (async () => {
+            const fileNames = (await fs.readdir(TEMPLATES_DIR)).filter(name => name.endsWith('.json')).sort();
+
+            return Promise.all(fileNames.map(async fileName => {
+                const template = JSON.parse(await fs.readFile(new URL(fileName, TEMPLATES_DIR), 'utf8'));
+                const problems = validateProgramTemplate(template);
+
+                if (problems.length > 0) {
+                    throw new Error(`Invalid program template ${fileName}: ${problems.join('; ')}`);
+                }
+
+                return template;
+            }));
+        })();
+
+        // Retry on the next request instead of caching the failure
+        templatesPromise.catch(() => {
+            templatesPromise = null;
+        });
+    }
+
+    return templatesPromise;
+}
+
+function validateItem(item, label, allowedTypes, insideQuestion) {
+    if (!item || !allowedTypes.includes(item.type)) {
+        return [`${label}.type must be one of: ${allowedTypes.join(', ')}`];
+    }
+
+    const problems = [];
+
+    if (item.type === 'audio') {
+        problems.push(...validateSourcePath(item.src, `${label}.src`, insideQuestion));
+    }
+
+    if (item.type === 'silence' &&
+        (typeof item.duration !== 'number' || item.duration <= 0 || item.duration > MAX_SILENCE_SECONDS)) {
+        problems.push(`${label}.duration must be a number of seconds between 0 and ${MAX_SILENCE_SECONDS}`);
+    }
+
+    if (item.type === 'answers' && item.limit !== undefined &&
+        (!Number.isInteger(item.limit) || item.limit < 1)) {
+        problems.push(`${label}.limit must be a positive integer`);
+    }
+
+    if (item.background !== undefined) {
+        if (!['audio', 'silence', 'answers'].includes(item.type)) {
+            problems.push(`${label}.background is only supported on audio, silence and answers items`);
+        } else {
+            problems.push(...validateSourcePath(item.background, `${label}.background`, insideQuestion));
+        }
+    }
+
+    return problems;
+}
+
+function validateSourcePath(src, label, allowQuestionId) {
+    if (typeof src !== 'string' || src.length === 0) {
+        return [`${label} must be a path`];
+    }
+
+    // CDN paths only - process-queue downloads every segment URL
+    if (src.includes('://') || src.startsWith('/') || src.split('/').includes('..')) {
+        return [`${label} must be a relative CDN path`];
+    }
+
+    const allowed = allowQuestionId ? ['world', 'lang', 'role', 'questionId'] : ['world', 'lang', 'role'];
+    const unknown = [...src.matchAll(/\{(\w+)\}/g)]
+        .map(match => match[1])
+        .filter(name => !allowed.includes(name));
+
+    return unknown.length > 0 ? [`${label} uses unsupported placeholder(s): ${unknown.join(', ')}`] : [];
+}
+
+function fillPlaceholders(src, values) {
+    return src.replace(/\{(\w+)\}/g, (placeholder, name) => encodeURIComponent(values[name]));
+}
+
+function matchesValue(allowedValues, value) {
+    return !allowedValues || allowedValues.includes('*') || allowedValues.includes(value);
+}
+
+function getSpecificity(template) {
+    return MATCH_KEYS.filter(key => template.match?.[key] && !template.match[key].includes('*')).length;
+}
+
+/**
+ * Group recordings by question, answers sorted by filename timestamp (first recorded = first played)
+ */
+function groupByQuestion(recordings) {
+    const recordingsByQuestion = {};
+
+    recordings.forEach(recording => {
+        const questionId = String(recording.questionId ?? recording.filename?.match(/question_(\d+)/)?.[1] ?? '1');
+        if (!recordingsByQuestion[questionId]) {
+            recordingsByQuestion[questionId] = [];
+        }
+        recordingsByQuestion[questionId].push(recording);
+    });
+
+    const getTimestamp = (filename) => {
+        const match = filename?.match(/tm_(\d+)/);
+        return match ? parseInt(match[1]) : 0;
+    };
+
+    Object.values(recordingsByQuestion).forEach(answers => {
+        answers.sort((a, b) => getTimestamp(a.filename) - getTimestamp(b.filename));
+    });
+
+    return recordingsByQuestion;
+}
+
+/**
+ * Requested order first (e.g. DOM order on the recording page), then the rest numerically
+ */
+function orderQuestions(questionIds, questionOrder) {
+    const numeric = [...questionIds].sort((a, b) => parseInt(a) - parseInt(b));
+
+    if (!Array.isArray(questionOrder)) {
+        return numeric;
+    }
+
+    const ordered = questionOrder.map(String).filter(questionId => questionIds.includes(questionId));
+    return [...new Set([...ordered, ...numeric])];
+}
@@ -0,0 +1,241 @@
+/**
+ * utils/program-versions.js - Program Version History (Episode Archive)
+ *
+ * PURPOSE: Every completed generation job is an immutable program version with its own files,
+ *          so families can replay older "episodes" and teachers can pin the published one
+ * DEPENDENCIES: Supabase audio_generation_jobs (pinned_at, pruned_at), storage adapter (utils/storage.js)
+ * SCHEMA: supabase-migrations/add_program_versions.sql, add_program_version_pin_function.sql (pin_program_version)
+ *
+ * STORAGE LAYOUT (written by api/process-queue.js):
+ * {lang}/{lmid}/{world}/programs/{type}/{jobId}/radio-program-{type}-{world}-{lmid}.mp3
+ *                                              /...webm, .m4a, .waveform.json, hls/master.m3u8
+ * Jobs completed before versioning share the old fixed path - only the newest of them is playable
+ *
+ * PUBLISHED PROGRAM:
+ * - The pinned version of a program (lmid/world/type/lang) if a teacher pinned one
+ * - Otherwise the latest completed version
+ *
+ * RETENTION:
+ * - PROGRAM_VERSION_RETENTION newest versions (default 10) keep their files, plus the pinned one
+ * - Older versions lose their folder and get pruned_at (the job row stays as history)
+ *
+ * EXPORTED FUNCTIONS:
+ * - getProgramVersionFolder(job): Storage folder of a job's program files
+ * - listProgramVersions(supabase, program): Playable versions, newest first
+ * - getPublishedVersion(versions): Pinned version, else the latest
+ * - describeProgramVersion(storage, version, published): Client view with signed URLs
+ * - pinProgramVersion(supabase, program, jobId, memberId): Publish one version
+ * - unpinProgramVersion(supabase, program): Publish the latest version again
+ * - pruneProgramVersions(supabase, program): Apply the retention count
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+import { getStorage, signProgramUrls } from './storage.js';
+
+export const PROGRAM_VERSION_CONFIG = {
+    folder: 'programs',
+    retention: parseInt(process.env.PROGRAM_VERSION_RETENTION, 10) || 10
+};
+
+const VERSION_COLUMNS = 'id, lmid, world, type, lang, program_url, manifest_data, file_count, completed_at, pinned_at, pinned_by';
+
+/**
+ * Client error with an HTTP status (the handlers map statusCode to the response)
+ */
+function versionError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Job columns identifying a program
+ */
+function programMatch({ lmid, world, type, lang }) {
+    return { lmid: lmid.toString(), world, type, lang };
+}
+
+/**
+ * Storage folder of a job's program files
+ * @param {Object} job - Job row { id, lmid, world, type, lang }
+ * @returns {string} e.g. en/32/spookyland/programs/kids/{jobId}/
+ */
+export function getProgramVersionFolder({ id, lmid, world, type, lang }) {
+    return `${lang}/${lmid}/${world}/${PROGRAM_VERSION_CONFIG.folder}/${type}/${id}/`;
+}
+
+/**
+ * Whether a job's program lives in its own version folder (false for pre-versioning jobs)
+ */
+function hasVersionFolder(storage, job) {
+    const programPath = storage.pathFromUrl(job.program_url);
+    return Boolean(programPath && programPath.startsWith(getProgramVersionFolder(job)));
+}
+
+/**
+ * Completed, unpruned jobs of a program split into playable versions and superseded
+ * pre-versioning jobs (they all point at one overwritten file - only the newest still matches it)
+ */
+async function loadVersions(supabase, program) {
+    const { data, error } = await supabase
+        .from('audio_generation_jobs')
+        .select(VERSION_COLUMNS)
+        .match(programMatch(program))
+        .eq('status', 'completed')
+        .is('pruned_at', null)
+        .order('completed_at', { ascending: false });
+
+    if (error) {
+        throw new Error(`Failed to load program versions: ${error.message}`);
+    }
+
+    const storage = getStorage();
+    const playable = [];
+    const superseded = [];
+    let legacySeen = false;
+
+    for (const job of data || []) {
+        if (hasVersionFolder(storage, job)) {
+            playable.push(job);
+        } else if (!legacySeen) {
+            legacySeen = true;
+            playable.push(job);
+        } else {
+            superseded.push(job);
+        }
+    }
+
+    return { playable, superseded };
+}
+
+/**
+ * Playable versions of a program, newest first
+ * @param {Object} supabase - Supabase client
+ * @param {Object} program - { lmid, world, type, lang }
+ * @returns {Promise<Array>} Job rows (program_url, manifest_data, file_count, completed_at, pinned_at...)
+ */
+export async function listProgramVersions(supabase, program) {
+    return (await loadVersions(supabase, program)).playable;
+}
+
+/**
+ * Published version: the pinned one, else the latest
+ * @param {Array} versions - listProgramVersions() result
+ * @returns {Object|null} Job row
+ */
+export function getPublishedVersion(versions) {
+    return versions.find(version => version.pinned_at) || versions[0] || null;
+}
+
+/**
+ * Client view of a version (stored URLs are unsigned - signed here)
+ * @param {Object} storage - Storage adapter
+ * @param {Object} version - Job row
+ * @param {boolean} published - Whether this is the published version
+ * @returns {Object} { jobId, type, completedAt, fileCount, duration, programUrl, manifest, pinned, published }
+ */
+export function describeProgramVersion(storage, version, published) {
+    const { programUrl, manifest } = signProgramUrls(storage, version.program_url, version.manifest_data);
+
+    return {
+        jobId: version.id,
+        type: version.type,
+        completedAt: version.completed_at,
+        fileCount: version.file_count,
+        duration: manifest?.duration ?? null,
+        programUrl,
+        manifest,
+        pinned: Boolean(version.pinned_at),
+        published
+    };
+}
+
+/**
+ * Publish one version instead of the latest
+ * @param {Object} supabase - Supabase client
+ * @param {Object} program - { lmid, world, type, lang }
+ * @param {string} jobId - Version to pin
+ * @param {string} memberId - Teacher pinning it
+ * @returns {Promise<Object>} Pinned job row
+ * @throws {Error} 404 unknown or pruned version, 409 concurrent pin
+ */
+export async function pinProgramVersion(supabase, program, jobId, memberId) {
+    const versions = await listProgramVersions(supabase, program);
+    const version = versions.find(candidate => candidate.id === jobId);
+    if (!version) {
+        throw versionError('Program version not found', 404);
+    }
+
+    // Unpin and pin in one transaction - a failed pin keeps the earlier one
+    const { data, error } = await supabase.rpc('pin_program_version', {
+        p_job_id: jobId,
+        p_member_id: memberId
+    });
+
+    if (error) {
+        if (error.code === '23505') {
+            throw versionError('Another version was pinned at the same time', 409);
+        }
+        throw new Error(`Failed to pin program version: ${error.message}`);
+    }
+    if (!data || data.length === 0) {
+        throw versionError('Program version not found', 404); // Pruned meanwhile
+    }
+
+    console.log(`📌 Pinned ${program.type} program version ${jobId} for ${program.lang}/${program.world}/${program.lmid}`);
+    return data[0];
+}
+
+/**
+ * Remove the pin - the latest version is published again
+ * @param {Object} supabase - Supabase client
+ * @param {Object} program - { lmid, world, type, lang }
+ */
+export async function unpinProgramVersion(supabase, program) {
+    const { error } = await supabase
+        .from('audio_generation_jobs')
+        .update({ pinned_at: null, pinned_by: null })
+        .match(programMatch(program))
+        .not('pinned_at', 'is', null);
+
+    if (error) {
+        throw new Error(`Failed to unpin program version: ${error.message}`);
+    }
+}
+
+/**
+ * Apply the retention count: delete the files of old versions and mark them pruned
+ * The pinned version is always kept; shared pre-versioning files are never deleted
+ * @param {Object} supabase - Supabase client
+ * @param {Object} program - { lmid, world, type, lang }
+ * @returns {Promise<number>} Versions pruned
+ */
+export async function pruneProgramVersions(supabase, program) {
+    const storage = getStorage();
+    const { playable, superseded } = await loadVersions(supabase, program);
+    const expired = playable.slice(PROGRAM_VERSION_CONFIG.retention).filter(version => !version.pinned_at);
+
+    for (const version of expired) {
+        if (hasVersionFolder(storage, version)) {
+            await storage.delete(getProgramVersionFolder(version));
+        }
+    }
+
+    const pruned = [...expired, ...superseded];
+    if (pruned.length === 0) return 0;
+
+    const { error } = await supabase
+        .from('audio_generation_jobs')
+        .update({ pruned_at: new Date().toISOString() })
+        .in('id', pruned.map(version => version.id));
+
+    if (error) {
+        throw new Error(`Failed to mark pruned program versions: ${error.message}`);
+    }
+
+    console.log(`🗄️ Pruned ${pruned.length} old ${program.type} program versions for ${program.lang}/${program.world}/${program.lmid}`);
+    return pruned.length;
+}
@@ -0,0 +1,442 @@
+/**
+ * utils/recordings-index.js - Recordings Index (Supabase recordings table)
+ *
+ * PURPOSE: One row per stored recording, so listing and counting never depend on folder listings
+ *          and filename regexes (the source of several program counting bugs)
+ * DEPENDENCIES: Supabase client, storage adapter (utils/storage.js), audio-utils sidecar names
+ * SCHEMA: supabase-migrations/create_recordings_table.sql
+ *
+ * WRITERS:
+ * - api/upload-audio.js: indexRecording() once the files and sidecars are stored
+ * - api/delete-audio.js: markRecordingDeleted() / markLmidRecordingsDeleted() before the files go
+ * - scripts/reconcile-recordings.js: reconcileRecordings() backfills existing storage and marks
+ *   rows whose files disappeared as missing
+ *
+ * READERS:
+ * - api/list-recordings.js: listIndexedRecordings()
+ * - api/get-radio-data.js: counts by role from the listed rows (change detection)
+ * - api/combine-audio.js, api/process-queue.js: countProgramRecordings() for the job file_count
+ *
+ * FILENAMES:
+ * parseRecordingKey() is the only place a recording filename is parsed - at write time.
+ * Everything else reads the columns.
+ *
+ * EXPORTED FUNCTIONS:
+ * - parseRecordingKey(storageKey): Recording fields of a storage key, or null
+ * - indexRecording(entry): Insert or refresh the row of an uploaded recording
+ * - markRecordingDeleted(folderPath, filename): Mark a recording (either format) deleted
+ * - markLmidRecordingsDeleted(lmid): Mark every recording of an LMID deleted
+ * - listIndexedRecordings(scope): Uploaded recordings of an LMID (optionally one lang/world/question), newest first
+ * - countProgramRecordings(audioSegments, type): Distinct indexed recordings used by a program
+ * - reconcileRecordings(scope): Compare storage with the table, fix unless dryRun
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+import { getSupabaseClient, getLmidDetails } from './database-utils.js';
+import { getStorage } from './storage.js';
+import { WORLDS } from './lmid-utils.js';
+import { getAnalysisSidecarName, getWaveformSidecarName, getRecordingBaseName, RECORDING_FORMATS } from './audio-utils.js';
+
+export const RECORDINGS_TABLE = 'recordings';
+
+export const RECORDING_STATUS = {
+    uploaded: 'uploaded',
+    deleted: 'deleted',
+    missing: 'missing'
+};
+
+// {lang}/{lmid}/{world}/kids-world_{world}-lmid_{lmid}-question_{n}-tm_{ms}.webm
+// {lang}/{lmid}/{world}/parent_{memberId}-world_{world}-lmid_{lmid}-question_{n}-tm_{ms}.mp3
+const RECORDING_KEY_PATTERN = /^([a-z]{2})\/(\d+)\/([a-z-]+)\/((?:kids|parent_([^/-]+))-world_([a-z-]+)-lmid_(\d+)-question_(\d+)-tm_(\d+))\.(webm|mp3)$/;
+
+// PostgREST returns at most 1000 rows per request
+const PAGE_SIZE = 1000;
+
+// Keep .in() filters well below the URL length limit (storage keys are ~90 characters)
+const STORAGE_KEY_BATCH_SIZE = 50;
+
+/**
+ * Recording fields of a storage key
+ * The folder and the filename must agree on world and lmid
+ * @param {string} storageKey - e.g. en/32/spookyland/kids-world_spookyland-lmid_32-question_9-tm_1700000000000.webm
+ * @returns {Object|null} { storageKey, folderPath, filename, baseName, extension, lang, lmid, world,
+ *   questionId, role, parentMemberId, recordedAt } or null when the key is not a recording
+ */
+export function parseRecordingKey(storageKey) {
+    const match = typeof storageKey === 'string' && storageKey.match(RECORDING_KEY_PATTERN);
+    if (!match) return null;
+
+    const [, lang, folderLmid, folderWorld, baseName, parentMemberId, world, lmid, questionId, timestamp, extension] = match;
+    if (folderWorld !== world || folderLmid !== lmid || !WORLDS.includes(world)) {
+        return null;
+    }
+
+    return {
+        storageKey,
+        folderPath: `${lang}/${lmid}/${world}/`,
+        filename: `${baseName}.${extension}`,
+        baseName,
+        extension,
+        lang,
+        lmid: parseInt(lmid, 10),
+        world,
+        questionId: parseInt(questionId, 10),
+        role: parentMemberId ? 'parent' : 'kids',
+        parentMemberId: parentMemberId || null,
+        recordedAt: new Date(parseInt(timestamp, 10)).toISOString()
+    };
+}
+
+/**
+ * Memberstack ID of the educator an LMID is assigned to (uploader of kids recordings)
+ */
+async function getEducatorMemberId(lmid) {
+    const details = await getLmidDetails(lmid);
+    return details?.assigned_to_member_id || null;
+}
+
+/**
+ * All rows of a query, page by page
+ * @param {Function} buildQuery - () => Supabase select query (a new one per page)
+ * @returns {Promise<Array>} Rows
+ */
+async function fetchAllRows(buildQuery) {
+    const rows = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+        if (error) {
+            throw new Error(`Failed to read ${RECORDINGS_TABLE}: ${error.message}`);
+        }
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) return rows;
+    }
+}
+
+/**
+ * Table row for a parsed recording
+ */
+function buildRow(parsed, { fallbackStorageKey, waveformStorageKey, sizeBytes, fallbackSizeBytes, durationSeconds, analysis, uploaderMemberId, createdAt }) {
+    const row = {
+        storage_key: parsed.storageKey,
+        lmid: parsed.lmid,
+        world: parsed.world,
+        lang: parsed.lang,
+        question_id: parsed.questionId,
+        role: parsed.role,
+        uploader_member_id: parsed.parentMemberId || uploaderMemberId || null,
+        filename: parsed.filename,
+        fallback_storage_key: fallbackStorageKey || null,
+        waveform_storage_key: waveformStorageKey || null,
+        duration_seconds: durationSeconds ?? analysis?.duration ?? null,
+        size_bytes: sizeBytes ?? null,
+        fallback_size_bytes: fallbackStorageKey ? (fallbackSizeBytes ?? null) : null, // Counted in quotas
+        analysis: analysis || null,
+        status: RECORDING_STATUS.uploaded,
+        recorded_at: parsed.recordedAt,
+        updated_at: new Date().toISOString(),
+        deleted_at: null
+    };
+
+    if (createdAt) {
+        row.created_at = createdAt;
+    }
+    return row;
+}
+
+/**
+ * Insert or refresh the row of an uploaded recording (same storage key = same recording)
+ * @param {Object} entry - { storageKey, fallbackStorageKey, waveformStorageKey, sizeBytes, fallbackSizeBytes, durationSeconds, analysis }
+ * @returns {Promise<Object>} Stored row
+ * @throws {Error} When the key is not a recording or the write fails
+ */
+export async function indexRecording(entry) {
+    const parsed = parseRecordingKey(entry.storageKey);
+    if (!parsed) {
+        throw new Error(`Not a recording storage key: ${entry.storageKey}`);
+    }
+
+    const uploaderMemberId = parsed.role === 'kids' ? await getEducatorMemberId(parsed.lmid) : null;
+    const { data, error } = await getSupabaseClient()
+        .from(RECORDINGS_TABLE)
+        .upsert(buildRow(parsed, { ...entry, uploaderMemberId }), { onConflict: 'storage_key' })
+        .select()
+        .single();
+
+    if (error) {
+        throw new Error(`Failed to index recording ${parsed.filename}: ${error.message}`);
+    }
+
+    console.log(`🗂️ Indexed ${parsed.role} recording ${parsed.filename}`);
+    return data;
+}
+
+/**
+ * Mark a recording deleted - either stored format (.webm / legacy .mp3) identifies it
+ * @param {string} folderPath - {lang}/{lmid}/{world}/
+ * @param {string} filename - Recording filename as listed
+ * @returns {Promise<number>} Rows marked
+ */
+export async function markRecordingDeleted(folderPath, filename) {
+    const baseName = getRecordingBaseName(filename);
+    const storageKeys = [RECORDING_FORMATS.canonical, RECORDING_FORMATS.fallback]
+        .map(format => `${folderPath}${baseName}.${format.extension}`);
+    const now = new Date().toISOString();
+
+    const { data, error } = await getSupabaseClient()
+        .from(RECORDINGS_TABLE)
+        .update({ status: RECORDING_STATUS.deleted, deleted_at: now, updated_at: now })
+        .in('storage_key', storageKeys)
+        .neq('status', RECORDING_STATUS.deleted)
+        .select('id');
+
+    if (error) {
+        throw new Error(`Failed to mark ${filename} deleted: ${error.message}`);
+    }
+    return data.length;
+}
+
+/**
+ * Mark every recording of an LMID deleted (all languages and worlds)
+ * @param {string|number} lmid - LMID
+ * @returns {Promise<number>} Rows marked
+ */
+export async function markLmidRecordingsDeleted(lmid) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await getSupabaseClient()
+        .from(RECORDINGS_TABLE)
+        .update({ status: RECORDING_STATUS.deleted, deleted_at: now, updated_at: now })
+        .eq('lmid', lmid)
+        .neq('status', RECORDING_STATUS.deleted)
+        .select('id');
+
+    if (error) {
+        throw new Error(`Failed to mark recordings of LMID ${lmid} deleted: ${error.message}`);
+    }
+    return data.length;
+}
+
+/**
+ * Uploaded recordings of an LMID, newest first
+ * @param {Object} scope - { lmid, lang, world, questionId } - all but lmid optional
+ * @returns {Promise<Array>} Table rows
+ */
+export async function listIndexedRecordings({ lang, lmid, world, questionId }) {
+    const supabase = getSupabaseClient();
+
+    return fetchAllRows(() => {
+        let query = supabase
+            .from(RECORDINGS_TABLE)
+            .select('*')
+            .eq('lmid', lmid)
+            .eq('status', RECORDING_STATUS.uploaded);
+
+        if (lang) {
+            query = query.eq('lang', lang);
+        }
+        if (world) {
+            query = query.eq('world', world);
+        }
+        if (questionId) {
+            query = query.eq('question_id', questionId);
+        }
+        return query.order('created_at', { ascending: false }).order('id');
+    });
+}
+
+/**
+ * Distinct indexed recordings a program is built from (job file_count)
+ * Compared with the uploaded count by get-radio-data.js, so both must come from the table
+ * Counts plannedUrls (every answer, before a template limit) and falls back to answerUrls for
+ * segments expanded before plannedUrls existed
+ * @param {Array} audioSegments - Expanded program segments (plannedUrls/answerUrls, signed or not)
+ * @param {string} type - Program type ('kids' or 'parent')
+ * @returns {Promise<number>} Recording count
+ */
+export async function countProgramRecordings(audioSegments, type) {
+    const storage = getStorage();
+    const storageKeys = new Set();
+
+    audioSegments.forEach(segment => {
+        (segment.plannedUrls || segment.answerUrls || []).forEach(url => {
+            const storageKey = storage.pathFromUrl(url);
+            if (storageKey) storageKeys.add(storageKey);
+        });
+    });
+
+    const keys = [...storageKeys];
+    let count = 0;
+
+    for (let i = 0; i < keys.length; i += STORAGE_KEY_BATCH_SIZE) {
+        const { data, error } = await getSupabaseClient()
+            .from(RECORDINGS_TABLE)
+            .select('id')
+            .in('storage_key', keys.slice(i, i + STORAGE_KEY_BATCH_SIZE))
+            .eq('role', type);
+
+        if (error) {
+            throw new Error(`Failed to count program recordings: ${error.message}`);
+        }
+        count += data.length;
+    }
+    return count;
+}
+
+/**
+ * Subfolder names of a storage folder that pass a filter
+ */
+async function listSubfolders(storage, folder, accept) {
+    const entries = await storage.list(folder);
+    return entries.filter(entry => entry.isDirectory && accept(entry.name)).map(entry => entry.name);
+}
+
+/**
+ * Reconcile one {lang}/{lmid}/{world}/ folder with its rows
+ */
+async function reconcileFolder(supabase, storage, folderPath, rows, educatorMemberId, report, dryRun) {
+    const files = (await storage.list(folderPath)).filter(file => !file.isDirectory);
+    const fileNames = new Set(files.map(file => file.name));
+
+    // Stored recordings by base name: canonical .webm and/or .mp3 fallback
+    const stored = new Map();
+    files.forEach(file => {
+        const parsed = parseRecordingKey(`${folderPath}${file.name}`);
+        if (!parsed) return;
+        const entry = stored.get(parsed.baseName) || {};
+        entry[parsed.extension === RECORDING_FORMATS.canonical.extension ? 'canonical' : 'fallback'] = file;
+        stored.set(parsed.baseName, entry);
+    });
+
+    const rowsByBaseName = new Map(rows.map(row => [getRecordingBaseName(row.filename), row]));
+
+    for (const [baseName, { canonical, fallback }] of stored) {
+        const row = rowsByBaseName.get(baseName);
+        const file = canonical || fallback;
+        const storageKey = `${folderPath}${file.name}`;
+
+        // Deleted by the user but still in storage: leave the files to a cleanup, never resurrect
+        if (row?.status === RECORDING_STATUS.deleted) {
+            report.deletedButStored.push(storageKey);
+            continue;
+        }
+
+        const fallbackStorageKey = canonical && fallback ? `${folderPath}${fallback.name}` : null;
+        const fallbackSizeBytes = fallbackStorageKey ? (fallback.size ?? null) : null;
+        const waveformName = getWaveformSidecarName(file.name);
+        const waveformStorageKey = fileNames.has(waveformName) ? `${folderPath}${waveformName}` : null;
+
+        if (row && row.status === RECORDING_STATUS.uploaded && row.storage_key === storageKey &&
+            row.fallback_storage_key === fallbackStorageKey && row.waveform_storage_key === waveformStorageKey &&
+            (row.fallback_size_bytes === null ? null : Number(row.fallback_size_bytes)) === fallbackSizeBytes) {
+            report.unchanged++;
+            continue;
+        }
+
+        (row ? report.updated : report.indexed).push(storageKey);
+        if (dryRun) continue;
+
+        const analysisName = getAnalysisSidecarName(file.name);
+        const analysis = row?.analysis ||
+            (fileNames.has(analysisName) ? await storage.getJson(`${folderPath}${analysisName}`) : null);
+        const values = buildRow(parseRecordingKey(storageKey), {
+            fallbackStorageKey,
+            waveformStorageKey,
+            sizeBytes: file.size,
+            fallbackSizeBytes,
+            analysis,
+            uploaderMemberId: educatorMemberId,
+            createdAt: row ? null : new Date(file.lastModified).toISOString()
+        });
+
+        const { error } = row
+            ? await supabase.from(RECORDINGS_TABLE).update(values).eq('id', row.id)
+            : await supabase.from(RECORDINGS_TABLE).upsert(values, { onConflict: 'storage_key' });
+        if (error) {
+            throw new Error(`Failed to index ${storageKey}: ${error.message}`);
+        }
+    }
+
+    // Rows whose files are gone
+    const missing = rows.filter(row => row.status === RECORDING_STATUS.uploaded &&
+        !stored.has(getRecordingBaseName(row.filename)));
+    await markMissing(supabase, missing, report, dryRun);
+}
+
+/**
+ * Mark uploaded rows without files as missing
+ */
+async function markMissing(supabase, rows, report, dryRun) {
+    if (rows.length === 0) return;
+
+    report.missing.push(...rows.map(row => row.storage_key));
+    if (dryRun) return;
+
+    const { error } = await supabase
+        .from(RECORDINGS_TABLE)
+        .update({ status: RECORDING_STATUS.missing, updated_at: new Date().toISOString() })
+        .in('id', rows.map(row => row.id));
+    if (error) {
+        throw new Error(`Failed to mark missing recordings: ${error.message}`);
+    }
+}
+
+/**
+ * Compare storage with the recordings table and fix the table (backfill)
+ * - Stored recordings without a row are indexed (created_at = file date, analysis from sidecars)
+ * - Rows of recordings whose files are gone become 'missing'
+ * - Files of rows deleted by the user are reported, not re-indexed
+ * @param {Object} scope - { lang, lmid, world } (all optional - narrows the scan), dryRun: report only
+ * @returns {Promise<Object>} { dryRun, folders, unchanged, indexed, updated, missing, deletedButStored }
+ */
+export async function reconcileRecordings({ lang, lmid, world, dryRun = false } = {}) {
+    const storage = getStorage();
+    const supabase = getSupabaseClient();
+    const report = { dryRun, folders: 0, unchanged: 0, indexed: [], updated: [], missing: [], deletedButStored: [] };
+
+    // Every row in scope, grouped by folder
+    const rows = await fetchAllRows(() => {
+        let query = supabase
+            .from(RECORDINGS_TABLE)
+            .select('id, storage_key, filename, lang, lmid, world, status, fallback_storage_key, waveform_storage_key, fallback_size_bytes, analysis');
+        if (lang) query = query.eq('lang', lang);
+        if (lmid) query = query.eq('lmid', lmid);
+        if (world) query = query.eq('world', world);
+        return query.order('id');
+    });
+    const rowsByFolder = new Map();
+    rows.forEach(row => {
+        const folderPath = `${row.lang}/${row.lmid}/${row.world}/`;
+        rowsByFolder.set(folderPath, [...(rowsByFolder.get(folderPath) || []), row]);
+    });
+
+    const langs = lang ? [lang] : await listSubfolders(storage, '', name => /^[a-z]{2}$/.test(name));
+    for (const folderLang of langs) {
+        const lmids = lmid ? [String(lmid)] : await listSubfolders(storage, `${folderLang}/`, name => /^\d+$/.test(name));
+
+        for (const folderLmid of lmids) {
+            const educatorMemberId = await getEducatorMemberId(folderLmid);
+            const worlds = world ? [world] : await listSubfolders(storage, `${folderLang}/${folderLmid}/`, name => WORLDS.includes(name));
+
+            for (const folderWorld of worlds) {
+                const folderPath = `${folderLang}/${folderLmid}/${folderWorld}/`;
+                await reconcileFolder(supabase, storage, folderPath, rowsByFolder.get(folderPath) || [], educatorMemberId, report, dryRun);
+                rowsByFolder.delete(folderPath);
+                report.folders++;
+            }
+        }
+    }
+
+    // Folders that no longer exist at all
+    const orphanedRows = [...rowsByFolder.values()].flat().filter(row => row.status === RECORDING_STATUS.uploaded);
+    await markMissing(supabase, orphanedRows, report, dryRun);
+
+    console.log(`🗂️ Recordings reconcile${dryRun ? ' (dry run)' : ''}: ${report.folders} folders, ` +
+        `${report.indexed.length} indexed, ${report.updated.length} updated, ${report.missing.length} missing, ` +
+        `${report.deletedButStored.length} deleted but stored`);
+
+    return report;
+}
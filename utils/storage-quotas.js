@@ -0,0 +1,179 @@
+/**
+ * utils/storage-quotas.js - Plan-Based Storage Quotas
+ *
+ * PURPOSE: Track recording bytes and minutes per LMID and per teacher account and enforce
+ *          the quota of the teacher's Memberstack plan
+ * DEPENDENCIES: Supabase recording_usage_by_lmid view, Memberstack Admin API (plan), brevo-contact-config.js (plan map)
+ * SCHEMA: supabase-migrations/create_recording_usage_view.sql
+ *
+ * QUOTAS (PLAN_QUOTAS):
+ * - free: 60 minutes / 500MB per LMID, 120 minutes / 1GB per teacher account
+ * - paid: 600 minutes / 5GB per LMID, 6000 minutes / 50GB per teacher account
+ * - Parent uploads count against the class (LMID) and its teacher's account
+ * - Any active plan that is not a known free plan counts as paid
+ *
+ * ENFORCEMENT:
+ * - upload-session.js rejects new sessions once a quota is used up (before any chunk is sent)
+ * - upload-audio.js checks the transcoded recording before it is stored
+ * - Exceeded: 403 { error, code: 'QUOTA_EXCEEDED', scope, metric, used, limit, plan }
+ * - When the plan cannot be looked up (Memberstack not configured or down) uploads are not blocked
+ *
+ * EXPORTED FUNCTIONS:
+ * - getPlanTier(memberId): 'free' | 'paid' | null
+ * - getStorageUsage(memberId, extraLmids): Usage of the account and each of its LMIDs
+ * - assertWithinQuota(lmid, addition): Throw QUOTA_EXCEEDED if an upload would exceed a quota
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+import { getSupabaseClient, getLmidDetails, findLmidsByMemberId } from './database-utils.js';
+import { getMemberDetails } from './memberstack-utils.js';
+import { getPlanConfig } from './brevo-contact-config.js';
+
+const MB = 1024 * 1024;
+
+export const PLAN_QUOTAS = {
+    free: {
+        lmid: { minutes: 60, bytes: 500 * MB },
+        account: { minutes: 120, bytes: 1024 * MB }
+    },
+    paid: {
+        lmid: { minutes: 600, bytes: 5 * 1024 * MB },
+        account: { minutes: 6000, bytes: 50 * 1024 * MB }
+    }
+};
+
+export const QUOTA_ERROR_CODE = 'QUOTA_EXCEEDED';
+
+const USAGE_VIEW = 'recording_usage_by_lmid';
+
+/**
+ * Quota error (403) with the details the recorder and dashboard show
+ */
+function quotaError(message, details) {
+    const error = new Error(message);
+    error.statusCode = 403;
+    error.responseBody = { error: message, code: QUOTA_ERROR_CODE, ...details };
+    return error;
+}
+
+/**
+ * Quota tier of a teacher account from its active Memberstack plans
+ * @param {string} memberId - Memberstack ID of the teacher
+ * @returns {Promise<string|null>} 'free' | 'paid', null when the plan cannot be looked up
+ */
+export async function getPlanTier(memberId) {
+    const member = await getMemberDetails(memberId);
+    if (!member) return null;
+
+    const activePlanIds = (member.planConnections || [])
+        .filter(connection => connection.active && connection.status === 'ACTIVE')
+        .map(connection => connection.planId);
+
+    const hasPaidPlan = activePlanIds.some(planId => getPlanConfig(planId)?.isPaid !== false);
+    return hasPaidPlan ? 'paid' : 'free';
+}
+
+/**
+ * Empty usage totals
+ */
+function emptyUsage() {
+    return { recordings: 0, bytes: 0, minutes: 0 };
+}
+
+/**
+ * Recording usage of a teacher account and each of its LMIDs
+ * @param {string|null} memberId - Memberstack ID of the teacher (null: only extraLmids)
+ * @param {Array<number|string>} extraLmids - LMIDs to include even if not (yet) listed for the account
+ * @returns {Promise<Object>} { account: { recordings, bytes, minutes }, lmids: { [lmid]: { recordings, bytes, minutes } } }
+ */
+export async function getStorageUsage(memberId, extraLmids = []) {
+    const accountLmids = memberId ? (await findLmidsByMemberId(memberId)).map(record => record.lmid) : [];
+    const lmidNumbers = [...new Set([...accountLmids, ...extraLmids].map(lmid => parseInt(lmid, 10)))];
+
+    const lmids = Object.fromEntries(lmidNumbers.map(lmid => [lmid, emptyUsage()]));
+    const account = emptyUsage();
+    if (lmidNumbers.length === 0) {
+        return { account, lmids };
+    }
+
+    const { data, error } = await getSupabaseClient()
+        .from(USAGE_VIEW)
+        .select('lmid, recording_count, total_bytes, total_seconds')
+        .in('lmid', lmidNumbers);
+
+    if (error) {
+        throw new Error(`Failed to load storage usage: ${error.message}`);
+    }
+
+    for (const row of data || []) {
+        const usage = {
+            recordings: Number(row.recording_count),
+            bytes: Number(row.total_bytes),
+            minutes: Math.round((Number(row.total_seconds) / 60) * 10) / 10
+        };
+        lmids[row.lmid] = usage;
+
+        // Only the teacher's own LMIDs count towards the account
+        if (accountLmids.includes(row.lmid) || !memberId) {
+            account.recordings += usage.recordings;
+            account.bytes += usage.bytes;
+            account.minutes = Math.round((account.minutes + usage.minutes) * 10) / 10;
+        }
+    }
+
+    return { account, lmids };
+}
+
+/**
+ * Human readable amount for quota messages
+ */
+function formatAmount(metric, value) {
+    return metric === 'minutes' ? `${Math.round(value)} minutes` : `${Math.round(value / MB)}MB`;
+}
+
+/**
+ * Throw QUOTA_EXCEEDED if adding a recording would exceed the LMID or account quota
+ * @param {number|string} lmid - LMID the recording is uploaded to
+ * @param {Object} addition - { bytes, minutes } of the new recording ({} only checks for a used-up quota)
+ * @returns {Promise<Object|null>} { plan, usage } when checked, null when the plan is unknown
+ * @throws {Error} 403 QUOTA_EXCEEDED
+ */
+export async function assertWithinQuota(lmid, { bytes = 0, minutes = 0 }) {
+    const lmidRecord = await getLmidDetails(lmid);
+    const memberId = lmidRecord?.assigned_to_member_id;
+    if (!memberId) {
+        console.warn(`⚠️ LMID ${lmid} has no teacher - storage quota not checked`);
+        return null;
+    }
+
+    const plan = await getPlanTier(memberId);
+    if (!plan) {
+        console.warn(`⚠️ Plan of ${memberId} unavailable - storage quota not checked`);
+        return null;
+    }
+
+    const usage = await getStorageUsage(memberId, [lmid]);
+    const scopes = {
+        lmid: usage.lmids[parseInt(lmid, 10)],
+        account: usage.account
+    };
+
+    for (const [scope, used] of Object.entries(scopes)) {
+        for (const [metric, addedAmount] of [['minutes', minutes], ['bytes', bytes]]) {
+            const limit = PLAN_QUOTAS[plan][scope][metric];
+            if (used[metric] >= limit || used[metric] + addedAmount > limit) {
+                const owner = scope === 'lmid' ? 'This class' : 'This teacher account';
+                throw quotaError(
+                    `${owner} has used ${formatAmount(metric, used[metric])} of its ${formatAmount(metric, limit)} ` +
+                    `on the ${plan} plan. Delete older recordings or upgrade the plan to record more.`,
+                    { scope, metric, used: used[metric], limit, plan }
+                );
+            }
+        }
+    }
+
+    return { plan, usage };
+}
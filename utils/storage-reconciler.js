@@ -0,0 +1,332 @@
+/**
+ * utils/storage-reconciler.js - Storage / Database Reconciliation
+ *
+ * PURPOSE: Find what an LMID deletion or a crashed generation left behind on one side only -
+ *          delete-audio.js removes folders and lmid-operations.js updates Supabase separately,
+ *          so a failure in either leaves orphans
+ * DEPENDENCIES: Supabase lmids + recordings + generation_locks tables, storage adapter, utils/recordings-index.js, utils/generation-lock.js
+ *
+ * CHECKS:
+ * 1. Orphan folders: {lang}/{lmid}/ folders whose LMID is deleted, unassigned or has no row
+ *    → fix (deleted LMIDs only): the folder is marked first; once the marker is older than the grace
+ *      period and the LMID is still deleted, its recordings are marked deleted and the folder deleted
+ *    Unassigned LMIDs and folders without a row are only reported - a status read mid-reassignment
+ *    must never cost a class its recordings
+ * 2. Orphan recordings: uploaded recording rows of an LMID that is not in use (no folder left to find them by)
+ *    → fix (deleted LMIDs only): rows marked deleted
+ * 3. Recordings vs files of active LMIDs: reconcileRecordings() per LMID folder
+ *    → fix: missing files marked, unindexed files indexed
+ * 4. Stale locks: generation leases past expires_at (a worker that crashed), and the generation-lock-{type}.json
+ *    files of the old storage locks (nothing reads them since locks moved to the database)
+ *    → fix: lease row / lock file deleted
+ *
+ * SLICES:
+ * - A run checks at most `limit` LMID folders (in lang/lmid order, after `cursor`) and stops early when
+ *   its time budget is used up - the report covers that slice and gives nextCursor (null once the pass is done)
+ * - Checks 2 and 4 (expired leases) run in the first slice of a pass (no cursor)
+ * - The route keeps the cursor of the running pass in storage (RECONCILE_CURSOR_FILE), so each
+ *   cron run continues where the previous one stopped
+ *
+ * USAGE:
+ * - api/reconcile-storage.js (protected route, daily cron)
+ * - Dry run by default: the report lists everything that would be fixed
+ * - The daily cron runs it as a dry run; fixing is a manual ?fix=true call
+ *
+ * CONFIGURATION:
+ * - STORAGE_ORPHAN_GRACE_DAYS: Days between marking a deleted LMID's folder and deleting it (default 30)
+ * - STORAGE_RECONCILE_BATCH_SIZE: LMID folders per run (default 100)
+ *
+ * EXPORTED FUNCTIONS:
+ * - reconcileStorage(options): Run the checks for one slice, fix unless dryRun
+ * - loadReconcileCursor() / saveReconcileCursor(cursor): Cursor of the running pass
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+import { getSupabaseClient } from './database-utils.js';
+import { getStorage } from './storage.js';
+import { WORLDS } from './lmid-utils.js';
+import { reconcileRecordings, markLmidRecordingsDeleted } from './recordings-index.js';
+import { listExpiredLocks, removeExpiredLock } from './generation-lock.js';
+
+const LOCK_FILE_PATTERN = /^generation-lock-(kids|parent)\.json$/;
+
+// Written into an orphan folder on the first fix run that finds it, removed when the LMID is back in use
+const ORPHAN_MARKER_FILE = '.orphan-marker.json';
+const DEFAULT_GRACE_DAYS = 30;
+
+// Slice of one run - the route's maxDuration is 300s (vercel.json)
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_TIME_BUDGET_MS = 240 * 1000;
+const RECONCILE_CURSOR_FILE = '.reconcile-cursor.json';
+const CURSOR_PATTERN = /^([a-z]{2})\/(\d+)$/;
+
+// Keep .in() filters well below the URL length limit
+const LMID_BATCH_SIZE = 200;
+
+/**
+ * Subfolder names of a storage folder that pass a filter
+ */
+async function listSubfolders(storage, folder, accept) {
+    const entries = await storage.list(folder);
+    return entries.filter(entry => entry.isDirectory && accept(entry.name)).map(entry => entry.name);
+}
+
+/**
+ * Status of each LMID ('used', 'available', 'deleted') - LMIDs without a row are left out
+ * @param {Object} supabase - Supabase client
+ * @param {Array<number>} lmids - LMIDs to look up
+ * @returns {Promise<Map<number, string>>} lmid → status
+ */
+async function fetchLmidStatuses(supabase, lmids) {
+    const statuses = new Map();
+
+    for (let i = 0; i < lmids.length; i += LMID_BATCH_SIZE) {
+        const { data, error } = await supabase
+            .from('lmids')
+            .select('lmid, status')
+            .in('lmid', lmids.slice(i, i + LMID_BATCH_SIZE));
+        if (error) {
+            throw new Error(`Failed to read lmids: ${error.message}`);
+        }
+        data.forEach(row => statuses.set(Number(row.lmid), row.status));
+    }
+
+    return statuses;
+}
+
+/**
+ * LMIDs with uploaded recordings in the index (recording_usage_by_lmid view)
+ */
+async function fetchLmidsWithRecordings(supabase) {
+    const { data, error } = await supabase
+        .from('recording_usage_by_lmid')
+        .select('lmid, recording_count');
+    if (error) {
+        throw new Error(`Failed to read recording usage: ${error.message}`);
+    }
+    return data.map(row => ({ lmid: Number(row.lmid), recordings: Number(row.recording_count) }));
+}
+
+/**
+ * Why an LMID's data should not exist, or null when it is in use
+ */
+function orphanReason(status) {
+    if (status === undefined) return 'no-lmid-row';
+    if (status === 'deleted') return 'lmid-deleted';
+    if (status !== 'used') return 'lmid-unassigned';
+    return null;
+}
+
+/**
+ * Days a marked orphan folder is kept before it is deleted (STORAGE_ORPHAN_GRACE_DAYS)
+ */
+function getGraceDays() {
+    const days = parseInt(process.env.STORAGE_ORPHAN_GRACE_DAYS, 10);
+    return Number.isFinite(days) && days >= 0 ? days : DEFAULT_GRACE_DAYS;
+}
+
+/**
+ * LMID folders per run (STORAGE_RECONCILE_BATCH_SIZE)
+ */
+function getBatchSize() {
+    const size = parseInt(process.env.STORAGE_RECONCILE_BATCH_SIZE, 10);
+    return Number.isFinite(size) && size > 0 ? size : DEFAULT_BATCH_SIZE;
+}
+
+/**
+ * Whether a {lang, lmid} folder comes after a cursor ("lang/lmid" of the last folder checked)
+ */
+function isAfterCursor(folder, cursor) {
+    const match = CURSOR_PATTERN.exec(cursor || '');
+    if (!match) return true;
+    const [, cursorLang, cursorLmid] = match;
+    return folder.lang > cursorLang || (folder.lang === cursorLang && folder.lmid > Number(cursorLmid));
+}
+
+/**
+ * Cursor of the running reconcile pass, null to start a new pass
+ * @returns {Promise<string|null>} "lang/lmid" of the last folder checked
+ */
+export async function loadReconcileCursor() {
+    const saved = await getStorage().getJson(RECONCILE_CURSOR_FILE);
+    return saved && CURSOR_PATTERN.test(saved.cursor || '') ? saved.cursor : null;
+}
+
+/**
+ * Remember where the next run continues (null: the pass is done, the next run starts over)
+ * @param {string|null} cursor - nextCursor of a report
+ */
+export async function saveReconcileCursor(cursor) {
+    await getStorage().put(RECONCILE_CURSOR_FILE, JSON.stringify({ cursor, updatedAt: new Date().toISOString() }), { contentType: 'application/json' });
+}
+
+/**
+ * Lock files of the old storage locks in the world folders of an LMID folder
+ */
+async function findLegacyLockFiles(storage, lmidFolder) {
+    const lockFiles = [];
+    const worlds = await listSubfolders(storage, lmidFolder, name => WORLDS.includes(name));
+
+    for (const world of worlds) {
+        (await storage.list(`${lmidFolder}${world}/`))
+            .filter(file => !file.isDirectory && LOCK_FILE_PATTERN.test(file.name))
+            .forEach(file => lockFiles.push(`${lmidFolder}${world}/${file.name}`));
+    }
+
+    return lockFiles;
+}
+
+/**
+ * Compare storage with the database and fix what is out of line - one slice of folders per call
+ * @param {Object} options - { lang, lmid } narrow the scan, dryRun (default true): report only,
+ *   cursor: continue after this folder ("lang/lmid", null: start a pass), limit: folders in this slice,
+ *   timeBudgetMs: stop taking folders after this long
+ * @returns {Promise<Object>} { dryRun, graceDays, cursor, nextCursor, complete, totalFolders, scannedFolders,
+ *   orphanFolders, orphanRecordings, staleLocks, recordings, errors }
+ */
+export async function reconcileStorage({ lang, lmid, dryRun = true, cursor = null, limit = getBatchSize(), timeBudgetMs = DEFAULT_TIME_BUDGET_MS } = {}) {
+    const storage = getStorage();
+    const supabase = getSupabaseClient();
+    const now = new Date();
+    const graceDays = getGraceDays();
+    const firstSlice = !cursor;
+    const report = {
+        dryRun,
+        graceDays,
+        cursor: cursor || null,
+        nextCursor: null,
+        complete: true,
+        totalFolders: 0,
+        scannedFolders: 0,
+        orphanFolders: [],
+        orphanRecordings: [],
+        staleLocks: [],
+        recordings: { indexed: [], updated: [], missing: [], deletedButStored: [] },
+        errors: []
+    };
+
+    // Failures of one item are reported, the run goes on
+    async function attempt(path, fix) {
+        if (dryRun) return;
+        try {
+            await fix();
+        } catch (error) {
+            console.error(`❌ Reconcile fix failed for ${path}:`, error.message);
+            report.errors.push({ path, error: error.message });
+        }
+    }
+
+    // Every {lang}/{lmid}/ folder in scope, in cursor order - this run takes the slice after the cursor
+    const folders = [];
+    const langs = lang ? [lang] : await listSubfolders(storage, '', name => /^[a-z]{2}$/.test(name));
+    for (const folderLang of langs) {
+        const lmids = await listSubfolders(storage, `${folderLang}/`, name => /^\d+$/.test(name) && (!lmid || name === String(lmid)));
+        lmids.forEach(folderLmid => folders.push({ lang: folderLang, lmid: Number(folderLmid) }));
+    }
+    folders.sort((a, b) => a.lang.localeCompare(b.lang) || a.lmid - b.lmid);
+    report.totalFolders = folders.length;
+
+    const remaining = folders.filter(folder => isAfterCursor(folder, cursor));
+    const slice = remaining.slice(0, limit);
+
+    const indexedLmids = firstSlice
+        ? (await fetchLmidsWithRecordings(supabase)).filter(entry => !lmid || entry.lmid === Number(lmid))
+        : [];
+    const statuses = await fetchLmidStatuses(supabase, [...new Set([...slice.map(folder => folder.lmid), ...indexedLmids.map(entry => entry.lmid)])]);
+
+    // 1. + 3. + 4. Folders
+    const startedAt = Date.now();
+    for (const folder of slice) {
+        if (Date.now() - startedAt > timeBudgetMs) break;
+        const path = `${folder.lang}/${folder.lmid}/`;
+        const reason = orphanReason(statuses.get(folder.lmid));
+        report.scannedFolders++;
+        report.nextCursor = `${folder.lang}/${folder.lmid}`;
+
+        if (reason) {
+            const marker = await storage.getJson(`${path}${ORPHAN_MARKER_FILE}`);
+            const entry = { path, lmid: folder.lmid, reason, markedAt: marker ? marker.markedAt : null, action: 'report-only' };
+            report.orphanFolders.push(entry);
+            if (reason !== 'lmid-deleted') continue;
+
+            // Mark now, delete on a later run once the grace period is over
+            if (!marker) {
+                entry.action = 'mark';
+                await attempt(path, () => storage.put(`${path}${ORPHAN_MARKER_FILE}`, JSON.stringify({ lmid: folder.lmid, reason, markedAt: now.toISOString() }), { contentType: 'application/json' }));
+                continue;
+            }
+            const deleteAfter = new Date(new Date(marker.markedAt).getTime() + graceDays * 24 * 60 * 60 * 1000);
+            if (isNaN(deleteAfter) || deleteAfter > now) {
+                entry.action = 'wait';
+                entry.deleteAfter = isNaN(deleteAfter) ? null : deleteAfter.toISOString();
+                continue;
+            }
+
+            entry.action = 'delete';
+            await attempt(path, async () => {
+                await markLmidRecordingsDeleted(folder.lmid);
+                await storage.delete(path);
+            });
+            continue;
+        }
+
+        // Back in use - the folder is no longer up for deletion
+        if (await storage.exists(`${path}${ORPHAN_MARKER_FILE}`)) {
+            await attempt(path, () => storage.delete(`${path}${ORPHAN_MARKER_FILE}`));
+        }
+
+        const recordingsReport = await reconcileRecordings({ lang: folder.lang, lmid: folder.lmid, dryRun });
+        Object.keys(report.recordings).forEach(key => report.recordings[key].push(...recordingsReport[key]));
+
+        for (const lockPath of await findLegacyLockFiles(storage, path)) {
+            report.staleLocks.push({ source: 'file', lock: lockPath });
+            await attempt(lockPath, () => storage.delete(lockPath));
+        }
+    }
+
+    // Folders left for the next run (the slice ended, or the time budget did)
+    report.complete = report.scannedFolders === remaining.length;
+    if (report.complete) report.nextCursor = null;
+
+    // 2. and 4. once per pass
+    if (!firstSlice) {
+        logReconcileSummary(report);
+        return report;
+    }
+
+    // 4. Expired generation leases
+    const expiredLocks = (await listExpiredLocks()).filter(lock => (!lang || lock.lang === lang) && (!lmid || lock.lmid === String(lmid)));
+    for (const lock of expiredLocks) {
+        report.staleLocks.push({ source: 'database', lock: lock.lockKey, ownerId: lock.ownerId, expiresAt: lock.expiresAt });
+        await attempt(lock.lockKey, () => removeExpiredLock(lock));
+    }
+
+    // 2. Recording rows of LMIDs that are not in use and have no folder left - an LMID with a folder
+    //    (in any slice) has its rows marked when the folder is deleted, after the grace period
+    const folderLmids = new Set(folders.map(folder => folder.lmid));
+    for (const entry of indexedLmids) {
+        const reason = orphanReason(statuses.get(entry.lmid));
+        if (!reason || folderLmids.has(entry.lmid)) continue;
+
+        report.orphanRecordings.push({ lmid: entry.lmid, recordings: entry.recordings, reason, action: reason === 'lmid-deleted' ? 'mark-deleted' : 'report-only' });
+        if (reason !== 'lmid-deleted') continue;
+        await attempt(`lmid ${entry.lmid}`, () => markLmidRecordingsDeleted(entry.lmid));
+    }
+
+    logReconcileSummary(report);
+    return report;
+}
+
+/**
+ * One log line per run
+ */
+function logReconcileSummary(report) {
+    console.log(`🧹 Storage reconcile${report.dryRun ? ' (dry run)' : ''}: ${report.scannedFolders}/${report.totalFolders} folders` +
+        `${report.complete ? '' : ` (continues after ${report.nextCursor})`}, ` +
+        `${report.orphanFolders.length} orphan folders, ${report.orphanRecordings.length} LMIDs with orphan recordings, ` +
+        `${report.staleLocks.length} stale locks, ${report.recordings.missing.length} missing recordings, ` +
+        `${report.errors.length} errors`);
+}
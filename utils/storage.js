@@ -0,0 +1,477 @@
+/**
+ * utils/storage.js - Storage Adapter (Bunny.net or local directory)
+ *
+ * PURPOSE: One storage interface for recordings, programs, sidecars and locks,
+ *          so the recording → program flow can run without CDN credentials
+ * DEPENDENCIES: Node fs, global fetch
+ *
+ * EXPORTED FUNCTIONS:
+ * - getStorage(): Adapter for the configured backend (cached per function instance)
+ * - createBunnyStorage(): Bunny.net Storage API + CDN pull zone
+ * - createLocalStorage(): Files under a local directory, served by api/local-storage.js
+ * - getAssetBaseUrl(): Base URL of the static program assets (jingles, prompts, beds)
+ * - signProgramUrls(): Signed copies of a program URL and its manifest (renditions, waveform)
+ *
+ * ADAPTER INTERFACE (paths are relative to the zone root, e.g. en/32/spookyland/file.webm):
+ * - put(path, body, { contentType, cacheControl }): Store a Buffer or string
+ * - putFile(path, localPath, options): Store a local file
+ * - get(path): Buffer, or null when missing
+ * - getJson(path): Parsed JSON, or null when missing or unreadable
+ * - list(folder): [{ name, size, lastModified, isDirectory }], [] when the folder is missing
+ * - delete(path): true when deleted, false when it did not exist
+ * - exists(path): Boolean
+ * - publicUrl(path): Unsigned URL - what we store in jobs, manifests and the recordings table
+ * - signedUrl(path, { expiresIn, directory }): Expiring URL for clients and downloads
+ * - signUrl(url, options): Sign a stored URL (old tokens are replaced; foreign URLs pass through)
+ * - unsignUrl(url): Strip token parameters so stored URLs stay stable
+ * - pathFromUrl(url): Storage path of one of our URLs (signed or not), null for foreign URLs
+ * - isSigning(): True when a token key is configured
+ * - isConfigured(): False when required settings are missing
+ *
+ * SIGNED URLS:
+ * Children's recordings and programs must not be readable at guessable paths. With a token
+ * key configured every URL handed to a client carries a token and an expiry:
+ * - Bunny: pull zone Token Authentication (SHA256, base64url); HLS playlists get a directory
+ *   token (bcdn_token path segment) so their relative segment URIs are covered too
+ * - Local: /_signed/{hmac}/{expires}/{scope}/ path prefix verified by api/local-storage.js
+ * URLs are stored unsigned and signed on the way out, so an expired link is fixed by asking
+ * the API again (the players do this when playback fails).
+ *
+ * CONFIGURATION:
+ * - STORAGE_BACKEND: "bunny" (default) or "local"
+ * - Bunny: BUNNY_API_KEY, BUNNY_STORAGE_ZONE, BUNNY_CDN_URL, BUNNY_TOKEN_KEY (pull zone token key)
+ * - Local: LOCAL_STORAGE_DIR (default ./.local-storage),
+ *          LOCAL_STORAGE_PUBLIC_URL (default http://localhost:3000/local-storage, rewritten
+ *          to api/local-storage.js in vercel.json - path based so relative HLS URIs resolve),
+ *          LOCAL_STORAGE_TOKEN_KEY (optional HMAC key for signed URLs)
+ * - SIGNED_URL_TTL_SECONDS: Lifetime of signed URLs (default 3600)
+ * - PROGRAM_ASSET_BASE_URL: Static assets (default https://BUNNY_CDN_URL or the public CDN)
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+
+const BUNNY_STORAGE_HOST = 'https://storage.bunnycdn.com';
+const PUBLIC_ASSET_CDN = 'https://little-microphones.b-cdn.net';
+const DEFAULT_SIGNED_URL_TTL_SECONDS = 3600;
+const LOCAL_SIGNED_PREFIX = '_signed/';
+
+// Query parameters owned by the token scheme - replaced on every signing
+const TOKEN_PARAMS = ['token', 'expires', 'token_path'];
+
+let cachedStorage = null;
+
+/**
+ * Adapter for the configured backend
+ * @returns {Object} Storage adapter (see header)
+ */
+export function getStorage() {
+    if (!cachedStorage) {
+        cachedStorage = process.env.STORAGE_BACKEND === 'local'
+            ? createLocalStorage({
+                rootDir: process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), '.local-storage'),
+                publicBaseUrl: (process.env.LOCAL_STORAGE_PUBLIC_URL || 'http://localhost:3000/local-storage').replace(/\/$/, ''),
+                tokenKey: process.env.LOCAL_STORAGE_TOKEN_KEY
+            })
+            : createBunnyStorage({
+                apiKey: process.env.BUNNY_API_KEY,
+                storageZone: process.env.BUNNY_STORAGE_ZONE,
+                cdnHost: process.env.BUNNY_CDN_URL,
+                tokenKey: process.env.BUNNY_TOKEN_KEY
+            });
+    }
+
+    return cachedStorage;
+}
+
+/**
+ * Base URL of the static program assets (jingles, prompts, beds) - read-only and public,
+ * so they stay on the CDN even with the local backend
+ * @returns {string} Base URL without trailing slash
+ */
+export function getAssetBaseUrl() {
+    if (process.env.PROGRAM_ASSET_BASE_URL) {
+        return process.env.PROGRAM_ASSET_BASE_URL.replace(/\/$/, '');
+    }
+
+    return process.env.BUNNY_CDN_URL ? `https://${process.env.BUNNY_CDN_URL}` : PUBLIC_ASSET_CDN;
+}
+
+/**
+ * Lifetime of signed URLs
+ * @returns {number} Seconds
+ */
+export function getSignedUrlTtl() {
+    const ttl = parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10);
+    return ttl > 0 ? ttl : DEFAULT_SIGNED_URL_TTL_SECONDS;
+}
+
+/**
+ * Signed copies of a program URL and its manifest (jobs store both unsigned)
+ * HLS renditions get a directory token so the playlist's segments load too
+ * @param {Object} storage - Storage adapter
+ * @param {string|null} programUrl - Stored program URL
+ * @param {Object|null} manifest - Stored manifest ({ programUrl, renditions, waveformUrl, ... })
+ * @returns {{ programUrl: string|null, manifest: Object|null }} Signed copies
+ */
+export function signProgramUrls(storage, programUrl, manifest) {
+    const signedManifest = manifest ? { ...manifest } : null;
+
+    if (signedManifest) {
+        if (signedManifest.programUrl) {
+            signedManifest.programUrl = storage.signUrl(signedManifest.programUrl);
+        }
+        if (signedManifest.waveformUrl) {
+            signedManifest.waveformUrl = storage.signUrl(signedManifest.waveformUrl);
+        }
+        if (Array.isArray(signedManifest.renditions)) {
+            signedManifest.renditions = signedManifest.renditions.map(rendition => ({
+                ...rendition,
+                url: storage.signUrl(rendition.url, { directory: rendition.format === 'hls' })
+            }));
+        }
+    }
+
+    return {
+        programUrl: programUrl ? storage.signUrl(programUrl) : null,
+        manifest: signedManifest
+    };
+}
+
+/**
+ * Bunny.net Storage API adapter
+ * @param {Object} config - { apiKey, storageZone, cdnHost, tokenKey }
+ * @returns {Object} Storage adapter
+ */
+export function createBunnyStorage({ apiKey, storageZone, cdnHost, tokenKey }) {
+    const storageUrl = (storagePath) => `${BUNNY_STORAGE_HOST}/${storageZone}/${storagePath}`;
+
+    async function put(storagePath, body, { contentType = 'application/octet-stream', cacheControl = null } = {}) {
+        const headers = { 'AccessKey': apiKey, 'Content-Type': contentType };
+        if (cacheControl) {
+            headers['Cache-Control'] = cacheControl;
+        }
+
+        const response = await fetch(storageUrl(storagePath), { method: 'PUT', headers, body });
+
+        if (!response.ok) {
+            const errorText = await response.text().catch(() => '');
+            throw new Error(`Storage upload failed for ${storagePath}: ${response.status} ${errorText}`.trim());
+        }
+    }
+
+    async function get(storagePath) {
+        const response = await fetch(storageUrl(storagePath), { headers: { 'AccessKey': apiKey } });
+
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`Storage download failed for ${storagePath}: ${response.status}`);
+        }
+
+        return Buffer.from(await response.arrayBuffer());
+    }
+
+    async function list(folder) {
+        const response = await fetch(storageUrl(`${folder.replace(/\/$/, '')}/`), {
+            headers: { 'AccessKey': apiKey, 'Accept': 'application/json' }
+        });
+
+        if (response.status === 404) {
+            return [];
+        }
+        if (!response.ok) {
+            throw new Error(`Storage listing failed for ${folder}: ${response.status}`);
+        }
+
+        const entries = await response.json();
+        return entries.map(entry => ({
+            name: entry.ObjectName,
+            size: entry.Length,
+            lastModified: entry.LastChanged,
+            isDirectory: Boolean(entry.IsDirectory)
+        }));
+    }
+
+    async function remove(storagePath) {
+        const response = await fetch(storageUrl(storagePath), {
+            method: 'DELETE',
+            headers: { 'AccessKey': apiKey }
+        });
+
+        if (response.status === 404) {
+            return false;
+        }
+        if (!response.ok) {
+            throw new Error(`Storage delete failed for ${storagePath}: ${response.status}`);
+        }
+
+        return true;
+    }
+
+    // Bunny token authentication: sha256(key + signed path + expires + sorted params), base64url
+    function signPath(storagePath, params, expires, directoryPath) {
+        const signedParams = new URLSearchParams(params);
+        if (directoryPath) {
+            signedParams.set('token_path', directoryPath);
+        }
+        signedParams.sort();
+
+        const entries = [...signedParams].filter(([, value]) => value !== '');
+        const parameterData = entries.map(([key, value]) => `${key}=${value}`).join('&');
+        const parameterDataUrl = entries.map(([key, value]) => `&${key}=${encodeURIComponent(value)}`).join('');
+
+        const signaturePath = directoryPath || `/${storagePath}`;
+        const token = createHash('sha256')
+            .update(`${tokenKey}${signaturePath}${expires}${parameterData}`)
+            .digest('base64url');
+
+        const encodedPath = `/${encodeURI(storagePath)}`;
+        return directoryPath
+            ? `https://${cdnHost}/bcdn_token=${token}${parameterDataUrl}&expires=${expires}${encodedPath}`
+            : `https://${cdnHost}${encodedPath}?token=${token}${parameterDataUrl}&expires=${expires}`;
+    }
+
+    function parsePublicUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return null;
+        }
+        if (parsed.host !== cdnHost) return null;
+
+        // Directory-signed URLs carry the token and parameters as the first path segment
+        const tokenSegment = parsed.pathname.match(/^\/(bcdn_token=[^/]*)/);
+        const params = tokenSegment ? new URLSearchParams(tokenSegment[1]) : parsed.searchParams;
+        const pathname = tokenSegment ? parsed.pathname.slice(tokenSegment[0].length) : parsed.pathname;
+
+        params.delete('bcdn_token');
+        return { storagePath: decodeURI(pathname.replace(/^\/+/, '')), params };
+    }
+
+    return withSharedMethods({
+        backend: 'bunny',
+        put,
+        get,
+        list,
+        delete: remove,
+        publicUrl: (storagePath) => `https://${cdnHost}/${storagePath}`,
+        signPath,
+        parsePublicUrl,
+        tokenKey,
+        isConfigured: () => Boolean(apiKey && storageZone && cdnHost)
+    });
+}
+
+/**
+ * Local directory adapter (development without CDN credentials)
+ * @param {Object} config - { rootDir, publicBaseUrl, tokenKey }
+ * @returns {Object} Storage adapter
+ */
+export function createLocalStorage({ rootDir, publicBaseUrl, tokenKey }) {
+    const root = path.resolve(rootDir);
+
+    async function put(storagePath, body) {
+        const filePath = resolveLocalPath(root, storagePath);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, body);
+    }
+
+    async function get(storagePath) {
+        try {
+            return await fs.readFile(resolveLocalPath(root, storagePath));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async function list(folder) {
+        const folderPath = resolveLocalPath(root, folder);
+
+        let names;
+        try {
+            names = await fs.readdir(folderPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        return Promise.all(names.map(async name => {
+            const stats = await fs.stat(path.join(folderPath, name));
+            return {
+                name,
+                size: stats.size,
+                lastModified: stats.mtime.toISOString(),
+                isDirectory: stats.isDirectory()
+            };
+        }));
+    }
+
+    async function remove(storagePath) {
+        try {
+            await fs.rm(resolveLocalPath(root, storagePath), { recursive: true });
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    const localToken = (scope, expires) => createHmac('sha256', tokenKey).update(`${scope}:${expires}`).digest('base64url');
+
+    function signPath(storagePath, params, expires, directoryPath) {
+        const scope = directoryPath || `/${storagePath}`;
+        const query = params.toString();
+
+        return `${publicBaseUrl}/${LOCAL_SIGNED_PREFIX}${localToken(scope, expires)}/${expires}/` +
+            `${Buffer.from(scope).toString('base64url')}/${encodeURI(storagePath)}${query ? `?${query}` : ''}`;
+    }
+
+    function parsePublicUrl(url) {
+        if (typeof url !== 'string' || !url.startsWith(`${publicBaseUrl}/`)) return null;
+
+        const [pathPart, query = ''] = url.slice(publicBaseUrl.length + 1).split('?');
+        const unsignedPath = pathPart.startsWith(LOCAL_SIGNED_PREFIX)
+            ? pathPart.split('/').slice(4).join('/')
+            : pathPart;
+
+        return { storagePath: decodeURI(unsignedPath), params: new URLSearchParams(query) };
+    }
+
+    /**
+     * Storage path of a request to api/local-storage.js, checking its signature when signing is on
+     * @param {string} requestPath - Path after the public base URL (may start with _signed/)
+     * @returns {string} Storage path
+     */
+    function verifyRequestPath(requestPath) {
+        const requestedPath = String(requestPath || '').replace(/^\/+/, '');
+
+        if (!requestedPath.startsWith(LOCAL_SIGNED_PREFIX)) {
+            if (tokenKey) {
+                throw Object.assign(new Error('Signed URL required'), { statusCode: 403 });
+            }
+            return requestedPath;
+        }
+
+        const [, token, expires, encodedScope, ...rest] = requestedPath.split('/');
+        const storagePath = rest.join('/');
+        if (!tokenKey) {
+            return storagePath;
+        }
+
+        const scope = Buffer.from(encodedScope || '', 'base64url').toString('utf8');
+        const expected = Buffer.from(localToken(scope, expires));
+        const provided = Buffer.from(token || '');
+        const inScope = scope.endsWith('/') ? `/${storagePath}`.startsWith(scope) : `/${storagePath}` === scope;
+
+        if (provided.length !== expected.length || !timingSafeEqual(provided, expected) || !inScope) {
+            throw Object.assign(new Error('Invalid signature'), { statusCode: 403 });
+        }
+        if (!(parseInt(expires, 10) * 1000 > Date.now())) {
+            throw Object.assign(new Error('Signed URL expired'), { statusCode: 403 });
+        }
+
+        return storagePath;
+    }
+
+    return withSharedMethods({
+        backend: 'local',
+        rootDir: root,
+        put,
+        get,
+        list,
+        delete: remove,
+        publicUrl: (storagePath) => `${publicBaseUrl}/${encodeURI(storagePath)}`,
+        signPath,
+        parsePublicUrl,
+        verifyRequestPath,
+        tokenKey,
+        isConfigured: () => true
+    });
+}
+
+/**
+ * Resolve a storage path inside the local root (no escaping it with ..)
+ * @param {string} root - Absolute root directory
+ * @param {string} storagePath - Relative storage path
+ * @returns {string} Absolute file path
+ */
+export function resolveLocalPath(root, storagePath) {
+    const resolved = path.resolve(root, String(storagePath).replace(/^\/+/, ''));
+
+    if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+        throw new Error(`Storage path escapes the storage root: ${storagePath}`);
+    }
+
+    return resolved;
+}
+
+/**
+ * Methods both backends derive from put/get/list and signPath/parsePublicUrl
+ */
+function withSharedMethods(adapter) {
+    const { tokenKey, signPath, parsePublicUrl, ...publicAdapter } = adapter;
+
+    function unsignUrl(url) {
+        const parsed = url ? parsePublicUrl(url) : null;
+        if (!parsed) return url;
+
+        TOKEN_PARAMS.forEach(param => parsed.params.delete(param));
+        const query = parsed.params.toString();
+        return `${adapter.publicUrl(parsed.storagePath)}${query ? `?${query}` : ''}`;
+    }
+
+    function signUrl(url, { expiresIn = getSignedUrlTtl(), directory = false } = {}) {
+        const parsed = url && tokenKey ? parsePublicUrl(url) : null;
+        if (!parsed) return url;
+
+        TOKEN_PARAMS.forEach(param => parsed.params.delete(param));
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        const directoryPath = directory
+            ? `/${parsed.storagePath.slice(0, parsed.storagePath.lastIndexOf('/') + 1)}`
+            : null;
+
+        return signPath(parsed.storagePath, parsed.params, expires, directoryPath);
+    }
+
+    return {
+        ...publicAdapter,
+        signUrl,
+        unsignUrl,
+        signedUrl: (storagePath, options) => signUrl(adapter.publicUrl(storagePath), options),
+        pathFromUrl: (url) => (url ? parsePublicUrl(url)?.storagePath ?? null : null),
+        isSigning: () => Boolean(tokenKey),
+
+        async putFile(storagePath, localPath, options = {}) {
+            await adapter.put(storagePath, await fs.readFile(localPath), options);
+        },
+
+        async getJson(storagePath) {
+            const body = await adapter.get(storagePath);
+            if (!body) return null;
+
+            try {
+                return JSON.parse(body.toString('utf8'));
+            } catch (error) {
+                console.warn(`⚠️ Unreadable JSON in storage: ${storagePath}`);
+                return null;
+            }
+        },
+
+        async exists(storagePath) {
+            const separator = storagePath.lastIndexOf('/');
+            const folder = separator >= 0 ? storagePath.slice(0, separator) : '';
+            const name = storagePath.slice(separator + 1);
+            const entries = await adapter.list(folder);
+            return entries.some(entry => entry.name === name);
+        }
+    };
+}
@@ -0,0 +1,326 @@
+/**
+ * utils/upload-sessions.js - Resumable Chunked Upload Sessions
+ *
+ * PURPOSE: Keep the chunks of a recording upload in storage between serverless invocations,
+ *          so a long answer over flaky classroom Wi-Fi resumes instead of starting over
+ * DEPENDENCIES: Storage adapter (utils/storage.js), Node crypto,
+ *               Supabase upload_finalize_claims table (supabase-migrations/create_upload_finalize_claims.sql)
+ *
+ * STORAGE LAYOUT:
+ * uploads/{sessionId}/session.json        - Recording fields, totalSize, chunkSize, result once finalized
+ * uploads/{sessionId}/chunk-{offset}      - Binary chunks, offset zero-padded so they sort in order
+ *
+ * ACKNOWLEDGED OFFSET:
+ * - Derived from the stored chunks: the sum of contiguous chunk sizes from offset 0
+ * - Nothing is updated per chunk, so a repeated or concurrent PUT cannot corrupt the session
+ *
+ * LIFECYCLE:
+ * - Session IDs start with their creation time, so expired sessions are pruned from a listing
+ *   without reading them (pruneExpiredSessions, called when a session is created)
+ * - Finalized sessions keep session.json with the result (chunks deleted) until they expire,
+ *   so a client that lost the finalize response gets the same answer again
+ *
+ * FINALIZE CLAIMS:
+ * - Storage has no conditional write, so a finalize claims the session in the database first
+ *   (claim_upload_finalize - insert, or take over an expired claim, in one statement)
+ * - A second finalize of the same session finds the claim and waits for the first one's result
+ * - The claim is released when the finalize ends; a crashed finalize frees it after FINALIZE_CLAIM_TTL_SECONDS
+ *
+ * EXPORTED FUNCTIONS:
+ * - createUploadSession(fields, totalSize, mimeType): New session
+ * - getUploadSession(sessionId): Session, or throws 404/410
+ * - getAcknowledgedOffset(sessionId): Bytes stored contiguously from the start
+ * - putUploadChunk(session, offset, body): Store one chunk, returns the new acknowledged offset
+ * - readUploadedFile(session): The complete upload as one Buffer
+ * - completeUploadSession(session, result): Remember the result and drop the chunks
+ * - claimUploadFinalize(sessionId): Claim a session for finalizing, null when another finalize holds it
+ * - releaseUploadFinalize(claim): Release a finalize claim
+ * - waitForUploadResult(sessionId, timeoutMs): Session once another finalize stored its result, or null
+ * - pruneExpiredSessions(): Delete expired sessions
+ *
+ * LAST UPDATED: October 2026
+ * VERSION: 1.0.0
+ * STATUS: Production Ready ✅
+ */
+
+import { randomBytes } from 'crypto';
+import { getStorage } from './storage.js';
+import { getSupabaseClient } from './database-utils.js';
+
+export const UPLOAD_SESSION_CONFIG = {
+    folder: 'uploads',
+    chunkSize: parseInt(process.env.UPLOAD_CHUNK_SIZE, 10) || 1024 * 1024, // 1MB - well under the 4.5MB request limit
+    ttlMs: 24 * 60 * 60 * 1000
+};
+
+// Longer than the upload-session function maxDuration (300s in vercel.json) - a finalize that is
+// still running is never taken over, only one the platform killed
+const FINALIZE_CLAIM_TTL_SECONDS = 360;
+const FINALIZE_POLL_INTERVAL_MS = 2000;
+
+const SESSION_ID_PATTERN = /^(\d{13})-[0-9a-f]{24}$/;
+const CHUNK_PATTERN = /^chunk-(\d{10})$/;
+
+/**
+ * Client error with an HTTP status (the handlers map statusCode to the response)
+ */
+function sessionError(message, statusCode, extra = {}) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    Object.assign(error, extra);
+    return error;
+}
+
+const sessionFolder = (sessionId) => `${UPLOAD_SESSION_CONFIG.folder}/${sessionId}`;
+const chunkName = (offset) => `chunk-${String(offset).padStart(10, '0')}`;
+
+/**
+ * Create an upload session for a recording
+ * @param {Object} fields - Validated recording fields { filename, world, lmid, questionId, lang }
+ * @param {number} totalSize - Size of the complete recording in bytes
+ * @param {string} mimeType - Recording MIME type reported by the browser
+ * @returns {Promise<Object>} Session
+ */
+export async function createUploadSession(fields, totalSize, mimeType) {
+    const now = Date.now();
+    const session = {
+        sessionId: `${now}-${randomBytes(12).toString('hex')}`,
+        ...fields,
+        totalSize,
+        mimeType: mimeType || null,
+        chunkSize: UPLOAD_SESSION_CONFIG.chunkSize,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + UPLOAD_SESSION_CONFIG.ttlMs).toISOString(),
+        result: null
+    };
+
+    await getStorage().put(`${sessionFolder(session.sessionId)}/session.json`, JSON.stringify(session), {
+        contentType: 'application/json'
+    });
+
+    return session;
+}
+
+/**
+ * Load a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} Session
+ * @throws {Error} 400 malformed ID, 404 unknown session, 410 expired session
+ */
+export async function getUploadSession(sessionId) {
+    if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+        throw sessionError('Invalid sessionId', 400);
+    }
+
+    const session = await getStorage().getJson(`${sessionFolder(sessionId)}/session.json`);
+    if (!session) {
+        throw sessionError('Upload session not found', 404);
+    }
+    if (new Date(session.expiresAt) <= new Date()) {
+        throw sessionError('Upload session expired', 410);
+    }
+
+    return session;
+}
+
+/**
+ * Stored chunks of a session in offset order
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Array>} [{ name, offset, size }]
+ */
+async function listChunks(sessionId) {
+    const entries = await getStorage().list(`${sessionFolder(sessionId)}/`);
+
+    return entries
+        .map(entry => {
+            const match = !entry.isDirectory && entry.name.match(CHUNK_PATTERN);
+            return match ? { name: entry.name, offset: parseInt(match[1], 10), size: entry.size } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Contiguous chunks from offset 0 (a gap ends the acknowledged range)
+ */
+function contiguousChunks(chunks) {
+    const contiguous = [];
+    let offset = 0;
+
+    for (const chunk of chunks) {
+        if (chunk.offset !== offset) break;
+        contiguous.push(chunk);
+        offset += chunk.size;
+    }
+
+    return { contiguous, offset };
+}
+
+/**
+ * Bytes stored contiguously from the start - where the client continues after a reload
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<number>} Acknowledged offset
+ */
+export async function getAcknowledgedOffset(sessionId) {
+    return contiguousChunks(await listChunks(sessionId)).offset;
+}
+
+/**
+ * Store one chunk at the acknowledged offset
+ * Chunks below the acknowledged offset were already stored and are not written again
+ * @param {Object} session - Session
+ * @param {number} offset - Byte offset of the chunk
+ * @param {Buffer} body - Chunk data
+ * @returns {Promise<number>} New acknowledged offset
+ * @throws {Error} 400 invalid chunk, 409 (with .offset) when the chunk does not continue the upload
+ */
+export async function putUploadChunk(session, offset, body) {
+    if (session.result) {
+        throw sessionError('Upload session already finalized', 409, { offset: session.totalSize });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw sessionError('Invalid offset', 400);
+    }
+    if (!body || body.length === 0 || body.length > session.chunkSize) {
+        throw sessionError(`Chunk must be 1 to ${session.chunkSize} bytes`, 400);
+    }
+    if (offset + body.length > session.totalSize) {
+        throw sessionError('Chunk extends past the end of the upload', 400);
+    }
+
+    const acknowledged = await getAcknowledgedOffset(session.sessionId);
+    if (offset < acknowledged) {
+        return acknowledged;
+    }
+    if (offset > acknowledged) {
+        throw sessionError('Chunk does not continue the upload', 409, { offset: acknowledged });
+    }
+
+    await getStorage().put(`${sessionFolder(session.sessionId)}/${chunkName(offset)}`, body, {
+        contentType: 'application/octet-stream'
+    });
+
+    return offset + body.length;
+}
+
+/**
+ * The complete upload as one Buffer
+ * @param {Object} session - Session
+ * @returns {Promise<Buffer>} Uploaded file
+ * @throws {Error} 409 (with .offset) while chunks are missing
+ */
+export async function readUploadedFile(session) {
+    const { contiguous, offset } = contiguousChunks(await listChunks(session.sessionId));
+    if (offset !== session.totalSize) {
+        throw sessionError(`Upload incomplete: ${offset} of ${session.totalSize} bytes received`, 409, { offset });
+    }
+
+    const storage = getStorage();
+    const buffers = [];
+    for (const chunk of contiguous) {
+        const data = await storage.get(`${sessionFolder(session.sessionId)}/${chunk.name}`);
+        if (!data) {
+            throw new Error(`Upload chunk disappeared: ${chunk.name}`);
+        }
+        buffers.push(data);
+    }
+
+    return Buffer.concat(buffers);
+}
+
+/**
+ * Remember the finalize result and drop the chunks
+ * @param {Object} session - Session
+ * @param {Object} result - Response body of the finalized upload
+ */
+export async function completeUploadSession(session, result) {
+    const storage = getStorage();
+    const completed = { ...session, result, completedAt: new Date().toISOString() };
+
+    await storage.put(`${sessionFolder(session.sessionId)}/session.json`, JSON.stringify(completed), {
+        contentType: 'application/json'
+    });
+
+    for (const chunk of await listChunks(session.sessionId)) {
+        await storage.delete(`${sessionFolder(session.sessionId)}/${chunk.name}`).catch(error => {
+            console.warn(`⚠️ Could not delete upload chunk ${chunk.name}: ${error.message}`);
+        });
+    }
+}
+
+/**
+ * Claim a session for finalizing - only the holder of the claim ingests the recording
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Claim { sessionId, ownerId }, or null when another finalize holds it
+ */
+export async function claimUploadFinalize(sessionId) {
+    const ownerId = `finalize_${Date.now()}_${randomBytes(6).toString('hex')}`;
+
+    const { data, error } = await getSupabaseClient().rpc('claim_upload_finalize', {
+        p_session_id: sessionId,
+        p_owner_id: ownerId,
+        p_ttl_seconds: FINALIZE_CLAIM_TTL_SECONDS
+    });
+
+    if (error) {
+        throw new Error(`Failed to claim upload session: ${error.message}`);
+    }
+    return data && data.length > 0 ? { sessionId, ownerId } : null;
+}
+
+/**
+ * Release a finalize claim (only our own - an expired claim may have been taken over)
+ * @param {Object} claim - Claim from claimUploadFinalize
+ */
+export async function releaseUploadFinalize(claim) {
+    const { error } = await getSupabaseClient()
+        .from('upload_finalize_claims')
+        .delete()
+        .eq('session_id', claim.sessionId)
+        .eq('owner_id', claim.ownerId);
+
+    if (error) {
+        console.warn(`⚠️ Failed to release finalize claim of ${claim.sessionId} (it expires): ${error.message}`);
+    }
+}
+
+/**
+ * Wait for another finalize of the session to store its result
+ * @param {string} sessionId - Session ID
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Promise<Object|null>} Finalized session, or null when none arrived in time
+ */
+export async function waitForUploadResult(sessionId, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, FINALIZE_POLL_INTERVAL_MS));
+        const session = await getUploadSession(sessionId);
+        if (session.result) {
+            return session;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Delete expired sessions (abandoned uploads and finalized ones past their TTL)
+ * @returns {Promise<number>} Number of sessions deleted
+ */
+export async function pruneExpiredSessions() {
+    const storage = getStorage();
+    const cutoff = Date.now() - UPLOAD_SESSION_CONFIG.ttlMs;
+    const entries = await storage.list(`${UPLOAD_SESSION_CONFIG.folder}/`);
+
+    let deleted = 0;
+    for (const entry of entries) {
+        const match = entry.isDirectory && entry.name.match(SESSION_ID_PATTERN);
+        if (match && parseInt(match[1], 10) < cutoff) {
+            await storage.delete(`${sessionFolder(entry.name)}/`);
+            deleted++;
+        }
+    }
+
+    return deleted;
+}